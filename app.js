@@ -7,7 +7,7 @@
  * - JPG、PNG、GIF、WebP画像ファイルのドラッグ＆ドロップおよびファイル選択によるアップロード
  * - 画像のSVG形式への変換処理（Potraceライブラリを使用）
  * - 高度な物体認識によるレイヤー分離
- * - 変換進捗の表示
+ * - 変換進捗の表示（変換はWeb Workerで実行し、途中でキャンセル可能）
  * - 元画像とSVG変換結果のプレビュー表示
  * - レイヤーごとの編集（色変更、表示/非表示）
  * - Photopea、Illustrator互換SVG出力
@@ -157,8 +157,9 @@ function showErrorMessage(message, action, actionHandler) {
  * @param {Function} progressCallback - 進捗コールバック
  * @param {Function} resolve - 成功時の解決関数
  * @param {Function} reject - 失敗時の拒否関数
+ * @param {Object} [workerClient] - 使用するWorkerクライアント（省略時は既定のクライアント）
  */
-function safeSvgConversion(file, options, progressCallback, resolve, reject) {
+function safeSvgConversion(file, options, progressCallback, resolve, reject, workerClient) {
   // 有効な画像タイプかチェック
   if (!file || !file.type.startsWith('image/')) {
     console.error('無効なファイルタイプ:', file ? file.type : 'ファイルなし');
@@ -185,22 +186,34 @@ function safeSvgConversion(file, options, progressCallback, resolve, reject) {
     threshold: options.threshold || 128,
     colorMode: options.colorMode || 'color',
     colorQuantization: options.colorQuantization || 16,
+    quantizer: options.quantizer || 'kmeans',
+    palette: options.palette || null,
+    paletteMode: options.paletteMode || 'fixed',
     blurRadius: options.blurRadius || 0,
+    simplify: typeof options.simplify === 'number' ? options.simplify : 0.5,
+    alphaLevels: options.alphaLevels || 0,
+    thresholdMethod: options.thresholdMethod || 'global',
+    traceMode: options.traceMode || 'outline',
+    pixelSize: options.pixelSize || 0,
+    strokeWidth: options.strokeWidth || 0,
     
     // レイヤーオプション
     enableLayers: options.enableLayers !== false,
     layerNaming: options.layerNaming || 'color',
     preserveLayers: options.preserveLayers !== false,
     layerCompatibility: options.layerCompatibility || 'photoshop',
+    gapless: options.gapless === true,
+    gradients: options.gradients === true,
     
     // オブジェクト検出オプション
     edgeThreshold: options.edgeThreshold || 20,
     minColorArea: options.minColorArea || 10,
-    detailBoost: options.detailBoost || false,
+    objectDetection: options.objectDetection === true,
+    maxSegments: options.maxSegments || 24,
     
     // パフォーマンスオプション
     maxImageSize: options.maxImageSize || 2000,
-    timeout: options.timeout || 60000, // デフォルト1分のタイムアウト
+    timeout: options.timeout || 60000, // ImageTracerによるフォールバック変換のタイムアウト（デフォルト1分）
     
     // 進捗コールバック
     progressCallback: progress
@@ -209,52 +222,70 @@ function safeSvgConversion(file, options, progressCallback, resolve, reject) {
   // グローバル変数に保存して他の関数からアクセス可能に
   window.conversionOptions = conversionOptions;
   
-  // SVGLayerAdapterを使用
-  if (typeof SVGLayerAdapter !== 'undefined' && typeof SVGLayerAdapter.fileToSVG === 'function') {
-    console.log('SVGLayerAdapterを使用してSVG変換を実行');
+  // Web Workerで変換（メインスレッドをブロックせず、キャンセルボタンで中断できる）
+  if (typeof ImageTracerWorkerClient !== 'undefined' && ImageTracerWorkerClient.isSupported()) {
+    console.log('Web WorkerでSVG変換を実行');
+    
+    (workerClient || ImageTracerWorkerClient).convert(file, conversionOptions, progressCallback)
+      .then(result => {
+        console.log(`Worker変換成功（レイヤー数: ${result.layerCount}）`);
+        completeConversion(result.svgData);
+      })
+      .catch(error => {
+        if (ImageTracerWorkerClient.isCancelError(error)) {
+          reject(error);
+          return;
+        }
+        
+        console.error('Workerでの変換に失敗しました。メインスレッドで変換します:', error);
+        convertWithAdapter();
+      });
+  } else {
+    convertWithAdapter();
+  }
+  
+  // SVGLayerAdapterを使用してメインスレッドで変換
+  function convertWithAdapter() {
+    if (typeof SVGLayerAdapter === 'undefined' || typeof SVGLayerAdapter.fileToSVG !== 'function') {
+      console.log('SVGLayerAdapterが利用できないため、ImageTracerにフォールバック');
+      fallbackToImageTracer(file, conversionOptions, resolve, reject);
+      return;
+    }
     
-    // 全体のタイムアウト処理
-    const timeoutId = setTimeout(() => {
-      console.error('SVG変換がタイムアウトしました（' + (conversionOptions.timeout / 1000) + '秒）');
-      if (typeof reject === 'function') {
-        reject(new Error('SVG変換処理がタイムアウトしました。処理が複雑すぎるか、サイズが大きすぎる可能性があります。'));
-      }
-    }, conversionOptions.timeout);
+    console.log('SVGLayerAdapterを使用してSVG変換を実行');
     
     try {
       SVGLayerAdapter.fileToSVG(file, conversionOptions, function(error, svgData) {
-        clearTimeout(timeoutId); // タイムアウトをクリア
-        
         if (error || !svgData) {
           console.error('SVGLayerAdapter変換エラー:', error);
           // ImageTracerにフォールバック
           fallbackToImageTracer(file, conversionOptions, resolve, reject);
         } else {
           console.log('SVGLayerAdapter変換成功');
-          
-          // SVGデータの検証
-          if (typeof svgData === 'string' && svgData.includes('<svg')) {
-            try {
-              // 成功時の処理を実行
-              handleSuccessfulConversion(svgData);
-            } catch (handlerError) {
-              console.error('成功ハンドラでエラー:', handlerError);
-              resolve(svgData); // エラーでも元のSVGデータを返す
-            }
-          } else {
-            console.error('無効なSVGデータ形式', typeof svgData);
-            fallbackToImageTracer(file, conversionOptions, resolve, reject);
-          }
+          completeConversion(svgData);
         }
       });
     } catch (adapterError) {
-      clearTimeout(timeoutId); // タイムアウトをクリア
       console.error('SVGLayerAdapter例外:', adapterError);
       fallbackToImageTracer(file, conversionOptions, resolve, reject);
     }
-  } else {
-    console.log('SVGLayerAdapterが利用できないため、ImageTracerにフォールバック');
-    fallbackToImageTracer(file, conversionOptions, resolve, reject);
+  }
+  
+  // 変換結果を検証して成功時の処理を行う
+  function completeConversion(svgData) {
+    // SVGデータの検証
+    if (typeof svgData === 'string' && svgData.includes('<svg')) {
+      try {
+        // 成功時の処理を実行
+        handleSuccessfulConversion(svgData);
+      } catch (handlerError) {
+        console.error('成功ハンドラでエラー:', handlerError);
+        resolve(svgData); // エラーでも元のSVGデータを返す
+      }
+    } else {
+      console.error('無効なSVGデータ形式', typeof svgData);
+      fallbackToImageTracer(file, conversionOptions, resolve, reject);
+    }
   }
   
   // 成功時の共通処理
@@ -290,8 +321,6 @@ function safeSvgConversion(file, options, progressCallback, resolve, reject) {
       return;
     }
     
-    clearTimeout(conversionTimeout);
-    
     // レイヤーの存在確認
     const hasLayers = svgData.includes('<g') && (
       svgData.includes('id="layer') || 
@@ -580,6 +609,9 @@ let currentFile = null; // 現在選択されているファイル
 let currentSvgData = null; // 現在のSVG変換結果
 let currentLayers = []; // 現在のレイヤー情報
 let fileInputClicked = false; // ファイル選択ボタンがクリックされたかのフラグ
+let activeConversions = []; // 実行中の変換（キャンセル用。比較モードでは複数）
+let currentQualityReport = null; // 現在のSVGの品質評価 {report, renderedCanvas}
+let optimizedSvgCache = null; // 最適化したSVG {source, precision, result}（同じ設定での再計算を避ける）
 
 // DOMが読み込まれたときの処理
 document.addEventListener('DOMContentLoaded', function() {
@@ -603,25 +635,56 @@ document.addEventListener('DOMContentLoaded', function() {
   const colorMode = document.getElementById('color-mode');
   const threshold = document.getElementById('threshold');
   const thresholdValue = document.getElementById('threshold-value');
+  const thresholdMethod = document.getElementById('threshold-method');
+  const traceMode = document.getElementById('trace-mode');
   const colorQuantization = document.getElementById('color-quantization');
   const colorQuantizationValue = document.getElementById('color-quantization-value');
+  const quantizer = document.getElementById('quantizer');
+  const paletteColors = document.getElementById('palette-colors');
+  const paletteFile = document.getElementById('palette-file');
+  const paletteMode = document.getElementById('palette-mode');
   const blurRadius = document.getElementById('blur-radius');
   const blurRadiusValue = document.getElementById('blur-radius-value');
   const simplify = document.getElementById('simplify');
   const simplifyValue = document.getElementById('simplify-value');
+  const alphaLevels = document.getElementById('alpha-levels');
   const strokeWidth = document.getElementById('stroke-width');
   const strokeWidthValue = document.getElementById('stroke-width-value');
   const enableLayersCheckbox = document.getElementById('enable-layers');
   const illustratorCompatCheckbox = document.getElementById('illustrator-compat');
   const photopeaCompatCheckbox = document.getElementById('photopea-compat');
+  const gaplessLayersCheckbox = document.getElementById('gapless-layers');
+  const detectGradientsCheckbox = document.getElementById('detect-gradients');
   const objectDetectionCheckbox = document.getElementById('object-detection');
+  const maxSegments = document.getElementById('max-segments');
+  const maxSegmentsValue = document.getElementById('max-segments-value');
+  
+  // プリセット要素の参照取得
+  const presetSelect = document.getElementById('preset-select');
+  const savePresetButton = document.getElementById('save-preset-button');
+  const deletePresetButton = document.getElementById('delete-preset-button');
+  const exportPresetsButton = document.getElementById('export-presets-button');
+  const presetFile = document.getElementById('preset-file');
   
   // ボタン要素の参照取得
+  const autoSettingsButton = document.getElementById('auto-settings-button');
   const convertButton = document.getElementById('convert-button');
+  const compareButton = document.getElementById('compare-button');
+  const qualityButton = document.getElementById('quality-button');
+  const showHeatmapCheckbox = document.getElementById('show-heatmap');
+  const optimizeSvgCheckbox = document.getElementById('optimize-svg');
+  const svgPrecisionSelect = document.getElementById('svg-precision');
+  const downloadFormatSelect = document.getElementById('download-format');
+  const rasterScaleSelect = document.getElementById('raster-scale');
+  const rasterSizeInput = document.getElementById('raster-size');
+  const rasterBackgroundCheckbox = document.getElementById('raster-background-enabled');
+  const rasterBackgroundInput = document.getElementById('raster-background');
   const downloadButton = document.getElementById('download-button');
   const resetButton = document.getElementById('reset-button');
+  const cancelButton = document.getElementById('cancel-button');
   const showAllLayersButton = document.getElementById('show-all-layers');
   const hideAllLayersButton = document.getElementById('hide-all-layers');
+  const exportLayersButton = document.getElementById('export-layers-button');
   
   // 要素が存在するかチェック
   if (!uploadArea || !fileInput) {
@@ -705,6 +768,9 @@ document.addEventListener('DOMContentLoaded', function() {
         if (convertButton) {
           convertButton.disabled = false;
         }
+        
+        // 減色プレビューを表示
+        schedulePosterizePreview();
       };
       
       // 画像のロードエラー処理
@@ -870,11 +936,82 @@ document.addEventListener('DOMContentLoaded', function() {
     fileInput.addEventListener('change', handleFileSelect);
   }
   
+  // プリセットのイベント
+  if (presetSelect) presetSelect.addEventListener('change', selectPreset);
+  if (savePresetButton) savePresetButton.addEventListener('click', savePreset);
+  if (deletePresetButton) deletePresetButton.addEventListener('click', deletePreset);
+  if (exportPresetsButton) exportPresetsButton.addEventListener('click', exportPresets);
+  if (presetFile) presetFile.addEventListener('change', () => {
+    if (presetFile.files.length > 0) {
+      importPresetFile(presetFile.files[0]);
+      presetFile.value = '';
+    }
+  });
+  refreshPresetList();
+  
+  // 自動設定ボタンのイベント
+  if (autoSettingsButton) {
+    autoSettingsButton.addEventListener('click', applySuggestedSettings);
+  }
+  
   // 変換ボタンのイベント
   if (convertButton) {
     convertButton.addEventListener('click', convertToSVG);
   }
   
+  // 比較ボタンのイベント
+  if (compareButton) {
+    compareButton.addEventListener('click', compareSettings);
+  }
+  
+  // 品質評価のイベント
+  if (qualityButton) {
+    qualityButton.addEventListener('click', evaluateQuality);
+  }
+  
+  if (showHeatmapCheckbox) {
+    showHeatmapCheckbox.addEventListener('change', () => {
+      toggleErrorHeatmap(showHeatmapCheckbox.checked);
+    });
+  }
+  
+  // SVGの最適化設定のイベント（サイズの比較を更新）
+  if (optimizeSvgCheckbox) {
+    optimizeSvgCheckbox.addEventListener('change', () => {
+      if (svgPrecisionSelect) svgPrecisionSelect.disabled = !optimizeSvgCheckbox.checked;
+      updateOptimizeReport();
+    });
+  }
+  
+  if (svgPrecisionSelect) {
+    svgPrecisionSelect.addEventListener('change', updateOptimizeReport);
+  }
+  
+  // ダウンロード形式のイベント
+  if (downloadFormatSelect) {
+    downloadFormatSelect.addEventListener('change', updateDownloadFormat);
+  }
+  
+  // 画像として書き出す大きさ・背景色のイベント
+  if (rasterScaleSelect) {
+    rasterScaleSelect.addEventListener('change', () => {
+      if (rasterSizeInput) {
+        rasterSizeInput.style.display = ['width', 'height'].includes(rasterScaleSelect.value) ? '' : 'none';
+      }
+      updateRasterSizeInfo();
+    });
+  }
+  
+  if (rasterSizeInput) {
+    rasterSizeInput.addEventListener('input', updateRasterSizeInfo);
+  }
+  
+  if (rasterBackgroundCheckbox && rasterBackgroundInput) {
+    rasterBackgroundCheckbox.addEventListener('change', () => {
+      rasterBackgroundInput.disabled = !rasterBackgroundCheckbox.checked;
+    });
+  }
+  
   // ダウンロードボタンのイベント
   if (downloadButton) {
     downloadButton.addEventListener('click', downloadSVG);
@@ -885,6 +1022,11 @@ document.addEventListener('DOMContentLoaded', function() {
     resetButton.addEventListener('click', resetUI);
   }
   
+  // キャンセルボタンのイベント
+  if (cancelButton) {
+    cancelButton.addEventListener('click', cancelConversion);
+  }
+  
   // レイヤーボタンのイベント
   if (showAllLayersButton) {
     showAllLayersButton.addEventListener('click', showAllLayers);
@@ -894,11 +1036,26 @@ document.addEventListener('DOMContentLoaded', function() {
     hideAllLayersButton.addEventListener('click', hideAllLayers);
   }
   
+  if (exportLayersButton) {
+    exportLayersButton.addEventListener('click', exportLayersZip);
+  }
+  
   // 設定値の変更イベントリスナー
   if (threshold) threshold.addEventListener('input', updateSettings);
   if (simplify) simplify.addEventListener('input', updateSettings);
   if (colorMode) colorMode.addEventListener('change', updateSettings);
+  if (thresholdMethod) thresholdMethod.addEventListener('change', updateSettings);
   if (colorQuantization) colorQuantization.addEventListener('input', updateSettings);
+  if (maxSegments) maxSegments.addEventListener('input', updateSettings);
+  if (quantizer) quantizer.addEventListener('change', () => {
+    console.log('色の量子化方式:', quantizer.value);
+  });
+  if (paletteFile) paletteFile.addEventListener('change', () => {
+    if (paletteFile.files.length > 0) {
+      importPaletteFile(paletteFile.files[0]);
+      paletteFile.value = '';
+    }
+  });
   if (blurRadius) blurRadius.addEventListener('input', updateSettings);
   if (strokeWidth) strokeWidth.addEventListener('input', updateSettings);
   if (enableLayersCheckbox) enableLayersCheckbox.addEventListener('change', updateSettings);
@@ -908,10 +1065,28 @@ document.addEventListener('DOMContentLoaded', function() {
   if (photopeaCompatCheckbox) photopeaCompatCheckbox.addEventListener('change', () => {
     console.log('Photopea互換モード:', photopeaCompatCheckbox.checked ? '有効' : '無効');
   });
+  if (traceMode) traceMode.addEventListener('change', () => {
+    const labels = { outline: '輪郭', centerline: '中心線', pixel: 'ドット絵' };
+    console.log('トレース方法:', labels[traceMode.value] || traceMode.value);
+  });
+  if (gaplessLayersCheckbox) gaplessLayersCheckbox.addEventListener('change', () => {
+    console.log('境界共有トレース:', gaplessLayersCheckbox.checked ? '有効' : '無効');
+  });
+  if (detectGradientsCheckbox) detectGradientsCheckbox.addEventListener('change', () => {
+    console.log('グラデーション検出:', detectGradientsCheckbox.checked ? '有効' : '無効');
+  });
   if (objectDetectionCheckbox) objectDetectionCheckbox.addEventListener('change', () => {
     console.log('物体認識:', objectDetectionCheckbox.checked ? '有効' : '無効');
   });
   
+  // 減色結果に影響する設定の変更時に減色プレビューを更新
+  [colorQuantization, blurRadius, threshold, paletteColors].forEach(element => {
+    if (element) element.addEventListener('input', schedulePosterizePreview);
+  });
+  [colorMode, thresholdMethod, traceMode, quantizer, paletteMode, alphaLevels].forEach(element => {
+    if (element) element.addEventListener('change', schedulePosterizePreview);
+  });
+  
   // 初期設定値の表示
   updateSettings();
   console.log('アプリケーション初期化完了');
@@ -921,19 +1096,42 @@ document.addEventListener('DOMContentLoaded', function() {
    * 変換設定パラメータの更新
    */
   function updateSettings() {
-  thresholdValue.textContent = threshold.value;
-  simplifyValue.textContent = simplify.value;
+  // 各要素の参照を取得
+  const colorMode = document.getElementById('color-mode');
+  const threshold = document.getElementById('threshold');
+  const thresholdValue = document.getElementById('threshold-value');
+  const thresholdMethod = document.getElementById('threshold-method');
+  const simplify = document.getElementById('simplify');
+  const simplifyValue = document.getElementById('simplify-value');
+  const colorQuantization = document.getElementById('color-quantization');
+  const colorQuantizationValue = document.getElementById('color-quantization-value');
+  const blurRadius = document.getElementById('blur-radius');
+  const blurRadiusValue = document.getElementById('blur-radius-value');
+  const strokeWidth = document.getElementById('stroke-width');
+  const strokeWidthValue = document.getElementById('stroke-width-value');
+  const maxSegments = document.getElementById('max-segments');
+  const maxSegmentsValue = document.getElementById('max-segments-value');
+  const enableLayersCheckbox = document.getElementById('enable-layers');
+  
+  if (thresholdValue) thresholdValue.textContent = threshold.value;
+  if (simplifyValue) simplifyValue.textContent = simplify.value;
   
-  // カラーモードによる閾値設定の表示/非表示
+  // カラーモードに応じて白黒モード設定とカラーモード設定を切り替え
   const isBW = colorMode.value === 'bw';
-  document.querySelector('.threshold-container').style.display = isBW ? 'block' : 'none';
+  const bwSettings = document.getElementById('bw-settings');
+  const colorSettings = document.getElementById('color-settings');
+  if (bwSettings) bwSettings.style.display = isBW ? 'block' : 'none';
+  if (colorSettings) colorSettings.style.display = isBW ? 'none' : 'block';
+  
+  // 閾値のスライダーは固定閾値の場合のみ表示
+  const thresholdItem = threshold ? threshold.closest('.settings-item') : null;
+  if (thresholdItem) {
+    thresholdItem.style.display = !thresholdMethod || thresholdMethod.value === 'global' ? 'block' : 'none';
+  }
   
   // 追加設定の更新
   if (colorQuantizationValue) {
     colorQuantizationValue.textContent = colorQuantization.value;
-    // カラーモードの場合のみ色量子化設定を表示
-    document.querySelector('.color-quantization-container').style.display = 
-      colorMode.value === 'color' ? 'block' : 'none';
   }
   
   if (blurRadiusValue) {
@@ -942,9 +1140,10 @@ document.addEventListener('DOMContentLoaded', function() {
   
   if (strokeWidthValue) {
     strokeWidthValue.textContent = strokeWidth.value;
-    // 白黒モードの場合のみストローク幅設定を表示
-    document.querySelector('.stroke-width-container').style.display = 
-      colorMode.value === 'bw' ? 'block' : 'none';
+  }
+  
+  if (maxSegmentsValue) {
+    maxSegmentsValue.textContent = maxSegments.value;
   }
   
   // レイヤー設定の表示/非表示
@@ -1002,6 +1201,15 @@ function updateLayersList(layers) {
       layerName.className = 'layer-name';
       layerName.textContent = layer.name;
       
+      // 指定パレットで固定された色の表示
+      let lockedBadge = null;
+      if (layer.locked) {
+        lockedBadge = document.createElement('span');
+        lockedBadge.className = 'layer-locked';
+        lockedBadge.textContent = '固定';
+        lockedBadge.title = '指定パレットで固定された色';
+      }
+      
       // 色選択
       const colorPicker = document.createElement('input');
       colorPicker.type = 'color';
@@ -1015,6 +1223,7 @@ function updateLayersList(layers) {
       // 要素を追加
       layerItem.appendChild(visibilityCheckbox);
       layerItem.appendChild(layerName);
+      if (lockedBadge) layerItem.appendChild(lockedBadge);
       layerItem.appendChild(colorPicker);
       
       layersList.appendChild(layerItem);
@@ -1043,6 +1252,7 @@ function toggleLayerVisibility(layerId, visible) {
     
     // SVGコードの表示を更新
     updateSvgCodeDisplay(updatedSvg);
+    updateOptimizeReport();
     
     // レイヤー情報の更新
     const layerIndex = currentLayers.findIndex(layer => layer.id === layerId);
@@ -1075,6 +1285,7 @@ function changeLayerColor(layerId, newColor) {
     
     // SVGコードの表示を更新
     updateSvgCodeDisplay(updatedSvg);
+    updateOptimizeReport();
     
     // レイヤー情報の更新
     const layerIndex = currentLayers.findIndex(layer => layer.id === layerId);
@@ -1121,9 +1332,11 @@ function updateSvgCodeDisplay(svgData) {
  * @param {File} file - 変換対象のファイルオブジェクト
  * @param {Object} options - 変換オプション
  * @param {Function} progressCallback - 進捗通知用コールバック関数
+ * @param {Object} [workerClient] - 使用するWorkerクライアント。指定した場合は実行中の変換を中断せずに
+ *   並列に実行します（比較モード用。ImageTracerWorkerClient.create()で作成したもの）
  * @returns {Promise<string>} SVGデータを含むPromiseオブジェクト
  */
-function processSVGConversion(file, options, progressCallback) {
+function processSVGConversion(file, options, progressCallback, workerClient) {
   return new Promise((resolve, reject) => {
     if (!file) {
       reject(new Error('ファイルが指定されていません'));
@@ -1132,9 +1345,21 @@ function processSVGConversion(file, options, progressCallback) {
 
     console.log('SVG変換プロセスを開始します:', file.name);
     
+    // 前の変換が実行中であれば中断し、この変換をキャンセル可能な変換として登録
+    if (!workerClient) cancelConversion();
+    const conversion = { reject: reject, cancelled: false, workerClient: workerClient || null };
+    activeConversions.push(conversion);
+    
+    // キャンセル後に届いた結果は破棄する
+    const settle = callback => value => {
+      if (conversion.cancelled) return;
+      activeConversions = activeConversions.filter(item => item !== conversion);
+      callback(value);
+    };
+    
     try {
       // 既存のsafeSvgConversion関数を呼び出す
-      safeSvgConversion(file, options, progressCallback, resolve, reject);
+      safeSvgConversion(file, options, progressCallback, settle(resolve), settle(reject), workerClient);
     } catch (error) {
       console.error('SVG変換プロセス中にエラーが発生しました:', error);
       reject(error);
@@ -1143,208 +1368,1335 @@ function processSVGConversion(file, options, progressCallback) {
 }
 
 /**
- * SVGに変換ボタンのクリックハンドラー
- * ユーザーが選択したファイルをSVG形式に変換する
+ * 実行中のSVG変換をキャンセルする（比較モードで並列に実行中の変換もすべてキャンセルします）
+ * Workerで変換中の場合はWorkerを終了して処理を中断します
+ * @returns {boolean} キャンセルした変換があればtrue
  */
-function convertToSVG() {
-  console.log('SVG変換を開始します');
-  
-  // ファイルが選択されているか確認
-  if (!currentFile) {
-    showErrorMessage('ファイルを選択してください', 'ファイルを選択', () => {
-      document.getElementById('file-input').click();
-    });
-    return;
-  }
-  
-  // ファイル情報をデバッグ出力
-  console.log('変換対象ファイル:', currentFile.name, currentFile.type, currentFile.size);
+function cancelConversion() {
+  const conversions = activeConversions;
+  if (conversions.length === 0) return false;
   
-  // 進捗表示の準備
-  const progressContainer = document.getElementById('progress-container');
-  if (progressContainer) {
-    progressContainer.style.display = 'block';
-  }
-  updateProgressUI('SVGに変換中...', 0);
+  console.log('SVG変換をキャンセルします');
   
-  // 変換設定を取得
-  const colorMode = document.getElementById('color-mode').value;
-  const threshold = parseInt(document.getElementById('threshold').value);
-  const posterizeColors = parseInt(document.getElementById('color-quantization').value);
-  const blurRadius = parseInt(document.getElementById('blur-radius').value);
-  const edgeThreshold = 20; // デフォルト値を使用
-  const enableLayers = document.getElementById('enable-layers').checked;
-  const layerNaming = 'color'; // デフォルト値を使用
-  const maxImageSize = 2000; // デフォルト値を使用
-  const detailBoost = document.getElementById('object-detection').checked;
+  activeConversions = [];
   
-  // 変換オプションを設定
-  const conversionOptions = {
-    // 色モード設定
-    colorMode: colorMode,
-    threshold: threshold,
-    colorQuantization: posterizeColors,
-    blurRadius: blurRadius,
-    edgeThreshold: edgeThreshold,
-    detailBoost: detailBoost,
-    
-    // レイヤー関連設定
-    enableLayers: enableLayers,
-    layerNaming: layerNaming,
-    enforceSingleLayer: !enableLayers,
-    preserveLayers: enableLayers,
-    layerCompatibility: 'photoshop',
-    
-    // オブジェクト検出と性能設定
-    maxImageSize: maxImageSize,
-    timeout: 120000, // 2分のタイムアウト
+  conversions.forEach(conversion => {
+    conversion.cancelled = true;
     
-    // 進捗コールバック
-    progressCallback: function(stage, progress) {
-      // 進捗バーを更新
-      updateProgressUI(stage, progress);
-      console.log(`変換進捗: ${progress}%`);
+    if (conversion.workerClient) {
+      conversion.workerClient.cancel();
+    } else if (typeof ImageTracerWorkerClient !== 'undefined') {
+      ImageTracerWorkerClient.cancel();
     }
-  };
+    
+    const error = new Error('変換がキャンセルされました');
+    error.name = 'AbortError';
+    conversion.reject(error);
+  });
   
-  // SVG変換処理を実行
-  processSVGConversion(currentFile, conversionOptions, updateProgressUI)
-    .then(svgData => {
-      // 成功時の処理
-      console.log('SVG変換が成功しました');
-      
-      // 進捗表示を非表示
-      if (progressContainer) {
-        progressContainer.style.display = 'none';
-      }
-      
-      // SVGを表示
-      updateSvgPreview(svgData);
-      
-      // SVGコードを表示エリアに設定
-      updateSvgCodeDisplay(svgData);
-      
-      // 結果コンテナを表示
-      const resultContainer = document.getElementById('result-container');
-      if (resultContainer) {
-        resultContainer.style.display = 'block';
-      }
-      
-      // ダウンロードボタンを有効化
-      const downloadButton = document.getElementById('download-button');
-      if (downloadButton) {
-        downloadButton.disabled = false;
-      }
-      
-      // 現在のSVGデータを保存
-      currentSvgData = svgData;
-      
-      // レイヤー情報を抽出して表示
-      try {
-        if (window.ImageTracer && typeof window.ImageTracer.extractLayers === 'function') {
-          const layers = window.ImageTracer.extractLayers(svgData);
-          updateLayersList(layers);
-        }
-      } catch (error) {
-        console.error('レイヤー情報の抽出に失敗しました:', error);
-      }
-    })
-    .catch(error => {
-      // エラー時の処理
-      console.error('SVG変換エラー:', error);
-      
-      // 進捗表示を非表示
-      if (progressContainer) {
-        progressContainer.style.display = 'none';
-      }
-      
-      showErrorMessage('SVGへの変換中にエラーが発生しました: ' + error.message, 'リトライ', () => {
-        convertToSVG();
-      });
-    });
+  return true;
 }
 
 /**
- * SVGプレビューを更新する
- * @param {string} svgData - SVGデータ文字列
+ * 設定パネルの指定パレットを取得する
+ * @returns {Array|null} カラーコードの配列（指定がない場合はnull）
  */
-function updateSvgPreview(svgData) {
-  if (!svgData) return;
-  
-  const svgPreview = document.getElementById('svg-preview');
-  const svgCode = document.getElementById('svg-code');
-  const layersList = document.getElementById('layers-list');
-  const layersContainer = document.getElementById('layers-container');
-  const downloadButton = document.getElementById('download-button');
-  
-  if (!svgPreview) return;
-  
-  // 最終的なレイヤー数確認と制限適用
-  const MAX_LAYERS = 30;
-  const layerCount = analyzeSvgLayers(svgData, "プレビュー表示前");
-  console.log(`プレビュー表示前のSVGレイヤー数: ${layerCount}`);
-  
-  let finalSvgData = svgData;
-  if (layerCount > MAX_LAYERS) {
-    console.log(`最終出力でもレイヤー数(${layerCount})が多すぎるため、制限を適用します`);
-    finalSvgData = enforceLayerLimit(svgData, MAX_LAYERS);
-    
-    // 制限適用後のレイヤー数を再確認
-    const newLayerCount = analyzeSvgLayers(finalSvgData, "最終レイヤー制限適用後");
-    console.log(`最終的なSVGレイヤー数: ${newLayerCount}`);
-  }
-  
-  // 現在のSVGデータを更新
-  currentSvgData = finalSvgData;
-  
-  // SVGプレビュー更新
-  svgPreview.innerHTML = finalSvgData;
+function readPaletteSetting() {
+  const paletteColors = document.getElementById('palette-colors');
+  if (!paletteColors || !paletteColors.value.trim()) return null;
   
-  // SVGコードを表示
-  if (svgCode) {
-    updateSvgCodeDisplay(finalSvgData);
-  }
+  return ImageTracerPalette.parseHexList(paletteColors.value).map(color => color.hex);
+}
+
+/**
+ * 設定パネルの2値化方式を取得する
+ * @returns {string} 2値化方式（'global', 'otsu', 'sauvola', 'niblack', 'adaptive-mean'）
+ */
+function readThresholdMethodSetting() {
+  const thresholdMethod = document.getElementById('threshold-method');
+  return thresholdMethod ? thresholdMethod.value : 'global';
+}
+
+/**
+ * 設定パネルのドットの大きさを取得する
+ * @returns {number} 1ドットの大きさ（ピクセル、0は自動検出）
+ */
+function readPixelSizeSetting() {
+  const pixelSize = document.getElementById('pixel-size');
+  return pixelSize ? parseInt(pixelSize.value, 10) || 0 : 0;
+}
+
+/**
+ * 設定パネルの透明度の段階数を取得する
+ * @returns {number} 段階数（0は使用しない）
+ */
+function readAlphaLevelsSetting() {
+  const alphaLevels = document.getElementById('alpha-levels');
+  return alphaLevels ? parseInt(alphaLevels.value, 10) || 0 : 0;
+}
+
+/**
+ * パレットファイル（SVG / ASE / GPL / テキスト）を読み込んで設定パネルに反映する
+ * @param {File} file - パレットファイル
+ */
+function importPaletteFile(file) {
+  const reader = new FileReader();
+  const isBinary = /\.ase$/i.test(file.name);
   
-  // レイヤー情報を抽出・表示
-  if (layersList && layersContainer) {
+  reader.onload = function() {
     try {
-      const parser = new DOMParser();
-      const svgDoc = parser.parseFromString(finalSvgData, 'image/svg+xml');
-      const layers = extractLayers(finalSvgData);
-      
-      if (layers && layers.length > 0) {
-        updateLayersList(layers);
-        layersContainer.style.display = 'block';
-        
-        // レイヤー数を表示
-        const layersHeading = layersContainer.querySelector('h3');
-        if (layersHeading) {
-          layersHeading.textContent = `レイヤー管理 (${layers.length})`;
-        }
-      } else {
-        layersContainer.style.display = 'none';
+      const palette = ImageTracerPalette.parsePaletteFile(file.name, reader.result);
+      if (palette.length === 0) {
+        throw new Error('色が見つかりません');
       }
-    } catch (e) {
-      console.error('レイヤー処理エラー:', e);
-      layersContainer.style.display = 'none';
+      
+      document.getElementById('palette-colors').value = ImageTracerPalette.toHexList(palette);
+      console.log(`パレットを読み込みました: ${file.name}（${palette.length}色）`);
+    } catch (error) {
+      console.error('パレットの読み込みに失敗しました:', error);
+      showErrorMessage(`パレットの読み込みに失敗しました: ${error.message}`, null);
     }
-  }
+  };
   
-  // ダウンロードボタンを有効化
-  if (downloadButton) {
-    downloadButton.disabled = false;
+  reader.onerror = function() {
+    showErrorMessage('パレットファイルを読み込めませんでした', null);
+  };
+  
+  if (isBinary) {
+    reader.readAsArrayBuffer(file);
+  } else {
+    reader.readAsText(file);
   }
 }
 
 /**
- * SVGデータをダウンロードする
+ * プリセットの設定項目と設定パネルの要素の対応
+ * type は要素から値を読み書きする方法（value: 文字列、number: 数値、checked: チェックボックス、palette: パレット指定）
+ * @type {Array<{key: string, id: string, type: string}>}
  */
-function downloadSVG() {
-  if (!currentSvgData || !currentFile) {
-    showErrorMessage('ダウンロードできるSVGデータがありません。画像を選択して変換してください。', 'やり直す');
-    return;
-  }
-  
+const PRESET_FIELDS = [
+  { key: 'colorMode', id: 'color-mode', type: 'value' },
+  { key: 'threshold', id: 'threshold', type: 'number' },
+  { key: 'thresholdMethod', id: 'threshold-method', type: 'value' },
+  { key: 'traceMode', id: 'trace-mode', type: 'value' },
+  { key: 'pixelSize', id: 'pixel-size', type: 'number' },
+  { key: 'colorQuantization', id: 'color-quantization', type: 'number' },
+  { key: 'quantizer', id: 'quantizer', type: 'value' },
+  { key: 'palette', id: 'palette-colors', type: 'palette' },
+  { key: 'paletteMode', id: 'palette-mode', type: 'value' },
+  { key: 'blurRadius', id: 'blur-radius', type: 'number' },
+  { key: 'simplify', id: 'simplify', type: 'number' },
+  { key: 'strokeWidth', id: 'stroke-width', type: 'number' },
+  { key: 'alphaLevels', id: 'alpha-levels', type: 'number' },
+  { key: 'enableLayers', id: 'enable-layers', type: 'checked' },
+  { key: 'illustratorCompat', id: 'illustrator-compat', type: 'checked' },
+  { key: 'photopeaCompat', id: 'photopea-compat', type: 'checked' },
+  { key: 'gapless', id: 'gapless-layers', type: 'checked' },
+  { key: 'gradients', id: 'detect-gradients', type: 'checked' },
+  { key: 'objectDetection', id: 'object-detection', type: 'checked' },
+  { key: 'maxSegments', id: 'max-segments', type: 'number' }
+];
+
+/**
+ * プリセットを保存するストレージを取得する
+ * @returns {Storage|null} localStorage（利用できない場合はnull）
+ */
+function getPresetStorage() {
+  try {
+    return window.localStorage;
+  } catch (error) {
+    console.warn('localStorageを利用できません:', error.message);
+    return null;
+  }
+}
+
+/**
+ * 設定パネルの現在の値をプリセットの設定として取得する
+ * @returns {Object} 設定
+ * @throws {Error} パレットの指定が正しくない場合
+ */
+function readPresetSettings() {
+  const settings = {};
+  
+  PRESET_FIELDS.forEach(field => {
+    const element = document.getElementById(field.id);
+    if (!element) return;
+    
+    if (field.type === 'checked') {
+      settings[field.key] = element.checked;
+    } else if (field.type === 'number') {
+      settings[field.key] = parseFloat(element.value);
+    } else if (field.type === 'palette') {
+      settings[field.key] = readPaletteSetting();
+    } else {
+      settings[field.key] = element.value;
+    }
+  });
+  
+  return settings;
+}
+
+/**
+ * プリセットの設定を設定パネルに反映する
+ * @param {Object} settings - すべての項目を含む設定（ImageTracerPresets.resolveの結果）
+ */
+function applyPresetSettings(settings) {
+  PRESET_FIELDS.forEach(field => {
+    const element = document.getElementById(field.id);
+    if (!element || !(field.key in settings)) return;
+    
+    const value = settings[field.key];
+    if (field.type === 'checked') {
+      element.checked = value;
+    } else if (field.type === 'palette') {
+      element.value = value ? value.join(', ') : '';
+    } else {
+      element.value = String(value);
+    }
+  });
+  
+  updateSettings();
+  schedulePosterizePreview();
+}
+
+/**
+ * プリセットの選択肢を作成し直す
+ * @param {string} [selectedId] - 選択状態にするプリセットID
+ */
+function refreshPresetList(selectedId = '') {
+  const presetSelect = document.getElementById('preset-select');
+  const deleteButton = document.getElementById('delete-preset-button');
+  if (!presetSelect || typeof ImageTracerPresets === 'undefined') return;
+  
+  const presets = ImageTracerPresets.list(getPresetStorage());
+  
+  presetSelect.innerHTML = '';
+  presetSelect.appendChild(new Option('（プリセットを選択）', ''));
+  
+  [['組み込み', true], ['保存したプリセット', false]].forEach(([label, builtin]) => {
+    const group = presets.filter(preset => preset.builtin === builtin);
+    if (group.length === 0) return;
+    
+    const optgroup = document.createElement('optgroup');
+    optgroup.label = label;
+    group.forEach(preset => optgroup.appendChild(new Option(preset.name, preset.id)));
+    presetSelect.appendChild(optgroup);
+  });
+  
+  presetSelect.value = presets.some(preset => preset.id === selectedId) ? selectedId : '';
+  
+  // 削除できるのは保存したプリセットのみ
+  if (deleteButton) deleteButton.disabled = !presetSelect.value.startsWith('user:');
+}
+
+/**
+ * 選択したプリセットを設定パネルに適用する
+ */
+function selectPreset() {
+  const presetSelect = document.getElementById('preset-select');
+  const deleteButton = document.getElementById('delete-preset-button');
+  const presetName = document.getElementById('preset-name');
+  if (!presetSelect) return;
+  
+  if (deleteButton) deleteButton.disabled = !presetSelect.value.startsWith('user:');
+  if (!presetSelect.value) return;
+  
+  const preset = ImageTracerPresets.find(getPresetStorage(), presetSelect.value);
+  if (!preset) return;
+  
+  console.log('プリセットを適用します:', preset.name);
+  applyPresetSettings(ImageTracerPresets.resolve(preset));
+  
+  // 上書き保存しやすいように、保存したプリセットの名前を入力欄に設定
+  if (presetName && !preset.builtin) presetName.value = preset.name;
+}
+
+/**
+ * 現在の設定を名前を付けてプリセットとして保存する（同じ名前のプリセットは上書き）
+ */
+function savePreset() {
+  const presetName = document.getElementById('preset-name');
+  const name = presetName ? presetName.value.trim() : '';
+  
+  if (!name) {
+    showErrorMessage('プリセット名を入力してください', null);
+    return;
+  }
+  
+  try {
+    const preset = ImageTracerPresets.saveUserPreset(getPresetStorage(), name, readPresetSettings());
+    console.log('プリセットを保存しました:', preset.name);
+    refreshPresetList(preset.id);
+  } catch (error) {
+    console.error('プリセットの保存に失敗しました:', error);
+    showErrorMessage(`プリセットの保存に失敗しました: ${error.message}`, null);
+  }
+}
+
+/**
+ * 選択している保存済みプリセットを削除する
+ */
+function deletePreset() {
+  const presetSelect = document.getElementById('preset-select');
+  if (!presetSelect || !presetSelect.value.startsWith('user:')) return;
+  
+  try {
+    ImageTracerPresets.removeUserPreset(getPresetStorage(), presetSelect.value);
+    refreshPresetList();
+  } catch (error) {
+    console.error('プリセットの削除に失敗しました:', error);
+    showErrorMessage(`プリセットの削除に失敗しました: ${error.message}`, null);
+  }
+}
+
+/**
+ * 保存したプリセットをJSONファイルとしてダウンロードする
+ */
+function exportPresets() {
+  const presets = ImageTracerPresets.loadUserPresets(getPresetStorage());
+  
+  if (presets.length === 0) {
+    showErrorMessage('書き出すプリセットがありません。現在の設定を保存してから書き出してください。', null);
+    return;
+  }
+  
+  const blob = new Blob([ImageTracerPresets.exportPresets(presets)], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = 'svg-wizard-presets.json';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(link.href), 100);
+}
+
+/**
+ * JSONファイルからプリセットを読み込んで保存する
+ * @param {File} file - プリセットファイル
+ */
+function importPresetFile(file) {
+  const reader = new FileReader();
+  
+  reader.onload = function() {
+    try {
+      const imported = ImageTracerPresets.importPresets(getPresetStorage(), reader.result);
+      console.log(`プリセットを読み込みました: ${file.name}（${imported.length}件）`);
+      refreshPresetList(imported[0].id);
+    } catch (error) {
+      console.error('プリセットの読み込みに失敗しました:', error);
+      showErrorMessage(`プリセットの読み込みに失敗しました: ${error.message}`, null);
+    }
+  };
+  
+  reader.onerror = function() {
+    showErrorMessage('プリセットファイルを読み込めませんでした', null);
+  };
+  
+  reader.readAsText(file);
+}
+
+let posterizePreviewTimer = null; // 減色プレビュー更新の待機タイマー
+
+/**
+ * 減色プレビューの更新を予約する
+ * スライダー操作中に連続して計算しないよう、最後の操作から少し待ってから更新する
+ */
+function schedulePosterizePreview() {
+  clearTimeout(posterizePreviewTimer);
+  posterizePreviewTimer = setTimeout(renderPosterizePreview, 150);
+}
+
+/**
+ * トレース前の減色結果（量子化したラベル画像）を減色プレビュー領域に表示する
+ * 色ごとの面積比も表示し、トレースを実行する前に色数を決められるようにする
+ * 変換結果を表示しているSVGプレビューとは別の領域に描くので、変換後に設定を変えても変換結果は消えない
+ */
+function renderPosterizePreview() {
+  posterizePreviewTimer = null;
+  
+  const originalImage = document.getElementById('original-image');
+  const posterizePreview = document.getElementById('posterize-preview');
+  const posterizePreviewItem = document.getElementById('posterize-preview-item');
+  
+  if (!currentFile || !posterizePreview || !originalImage || !originalImage.naturalWidth) return;
+  if (typeof ImageTracerEngine === 'undefined' || !ImageTracerEngine.posterize) return;
+  
+  // プレビューは縮小した画像で計算する
+  const MAX_PREVIEW_SIZE = 400;
+  const scale = Math.min(1, MAX_PREVIEW_SIZE / Math.max(originalImage.naturalWidth, originalImage.naturalHeight));
+  const width = Math.max(1, Math.round(originalImage.naturalWidth * scale));
+  const height = Math.max(1, Math.round(originalImage.naturalHeight * scale));
+  
+  const sourceCanvas = document.createElement('canvas');
+  sourceCanvas.width = width;
+  sourceCanvas.height = height;
+  const sourceContext = sourceCanvas.getContext('2d');
+  sourceContext.drawImage(originalImage, 0, 0, width, height);
+  
+  // 変換時と同じ設定を使用
+  let palette = null;
+  try {
+    palette = readPaletteSetting();
+  } catch (error) {
+    console.warn('指定パレットを解析できないため、パレットなしでプレビューします:', error.message);
+  }
+  
+  const quantizerSelect = document.getElementById('quantizer');
+  const paletteModeSelect = document.getElementById('palette-mode');
+  
+  let result;
+  try {
+    result = ImageTracerEngine.posterize(sourceContext.getImageData(0, 0, width, height), {
+      colorMode: document.getElementById('color-mode').value,
+      threshold: parseInt(document.getElementById('threshold').value, 10),
+      thresholdMethod: readThresholdMethodSetting(),
+      colorQuantization: parseInt(document.getElementById('color-quantization').value, 10),
+      blurRadius: parseFloat(document.getElementById('blur-radius').value),
+      quantizer: quantizerSelect ? quantizerSelect.value : 'kmeans',
+      palette: palette,
+      paletteMode: paletteModeSelect ? paletteModeSelect.value : 'fixed',
+      alphaLevels: readAlphaLevelsSetting(),
+      traceMode: document.getElementById('trace-mode').value
+    });
+  } catch (error) {
+    console.error('減色プレビューの作成に失敗しました:', error);
+    return;
+  }
+  
+  // 減色した画像を描画
+  const canvas = document.createElement('canvas');
+  canvas.className = 'posterize-canvas';
+  canvas.width = result.width;
+  canvas.height = result.height;
+  canvas.getContext('2d').putImageData(new ImageData(result.data, result.width, result.height), 0, 0);
+  
+  // 色ごとの面積比の凡例
+  const legend = document.createElement('ul');
+  legend.className = 'posterize-legend';
+  result.areas.filter(area => area.pixelCount > 0).forEach(area => {
+    const item = document.createElement('li');
+    const swatch = document.createElement('span');
+    swatch.className = 'posterize-swatch';
+    swatch.style.backgroundColor = area.hex;
+    swatch.style.opacity = area.opacity;
+    item.appendChild(swatch);
+    const opacityLabel = area.opacity < 1 ? ` 不透明度${Math.round(area.opacity * 100)}%` : '';
+    item.appendChild(document.createTextNode(`${area.hex}${opacityLabel} ${area.percent.toFixed(1)}%${area.locked ? '（固定）' : ''}`));
+    legend.appendChild(item);
+  });
+  
+  const caption = document.createElement('p');
+  caption.className = 'posterize-caption';
+  caption.textContent = `${result.areas.filter(area => area.pixelCount > 0).length}色`;
+  
+  const container = document.createElement('div');
+  container.className = 'posterize-preview';
+  container.appendChild(caption);
+  container.appendChild(canvas);
+  container.appendChild(legend);
+  
+  posterizePreview.innerHTML = '';
+  posterizePreview.appendChild(container);
+  if (posterizePreviewItem) posterizePreviewItem.style.display = 'block';
+}
+
+/**
+ * 読み込んだ画像を分析し、推奨設定を設定画面に反映する
+ * 設定した理由は自動設定ボタンの下に表示する
+ */
+function applySuggestedSettings() {
+  const originalImage = document.getElementById('original-image');
+  const resultList = document.getElementById('auto-settings-result');
+  
+  if (!currentFile || !originalImage || !originalImage.naturalWidth) {
+    showErrorMessage('画像を読み込んでから自動設定を実行してください', null);
+    return;
+  }
+  
+  // 分析は縮小した画像で行う
+  const MAX_ANALYSIS_SIZE = 300;
+  const scale = Math.min(1, MAX_ANALYSIS_SIZE / Math.max(originalImage.naturalWidth, originalImage.naturalHeight));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(originalImage.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(originalImage.naturalHeight * scale));
+  canvas.getContext('2d').drawImage(originalImage, 0, 0, canvas.width, canvas.height);
+  
+  let suggestion;
+  try {
+    suggestion = SVGLayerAdapter.suggestSettings(canvas);
+  } catch (error) {
+    console.error('画像の分析に失敗しました:', error);
+    showErrorMessage(`画像の分析に失敗しました: ${error.message}`, null);
+    return;
+  }
+  
+  const { settings, reasons } = suggestion;
+  console.log('推奨設定:', settings, suggestion.analysis);
+  
+  document.getElementById('color-mode').value = settings.colorMode;
+  document.getElementById('color-quantization').value = settings.colorQuantization;
+  document.getElementById('blur-radius').value = settings.blurRadius;
+  document.getElementById('simplify').value = settings.simplify;
+  
+  if (resultList) {
+    resultList.innerHTML = '';
+    reasons.forEach(reason => {
+      const item = document.createElement('li');
+      item.textContent = reason;
+      resultList.appendChild(item);
+    });
+    resultList.style.display = 'block';
+  }
+  
+  updateSettings();
+  schedulePosterizePreview();
+}
+
+/**
+ * 設定パネルから変換オプションを作成する（進捗コールバックは含まない）
+ * @returns {Object} 変換オプション
+ * @throws {Error} パレットの指定が正しくない場合
+ */
+function readConversionSettings() {
+  const quantizerSelect = document.getElementById('quantizer');
+  const paletteModeSelect = document.getElementById('palette-mode');
+  const gaplessLayers = document.getElementById('gapless-layers');
+  const detectGradients = document.getElementById('detect-gradients');
+  const traceModeSelect = document.getElementById('trace-mode');
+  const enableLayers = document.getElementById('enable-layers').checked;
+  
+  return {
+    // 色モード設定
+    colorMode: document.getElementById('color-mode').value,
+    threshold: parseInt(document.getElementById('threshold').value, 10),
+    colorQuantization: parseInt(document.getElementById('color-quantization').value, 10),
+    quantizer: quantizerSelect ? quantizerSelect.value : 'kmeans',
+    palette: readPaletteSetting(),
+    paletteMode: paletteModeSelect ? paletteModeSelect.value : 'fixed',
+    blurRadius: parseFloat(document.getElementById('blur-radius').value) || 0,
+    simplify: parseFloat(document.getElementById('simplify').value),
+    alphaLevels: readAlphaLevelsSetting(),
+    thresholdMethod: readThresholdMethodSetting(),
+    traceMode: traceModeSelect ? traceModeSelect.value : 'outline',
+    pixelSize: readPixelSizeSetting(),
+    strokeWidth: parseFloat(document.getElementById('stroke-width').value) || 0,
+    edgeThreshold: 20, // デフォルト値を使用
+    objectDetection: document.getElementById('object-detection').checked,
+    maxSegments: parseInt(document.getElementById('max-segments').value, 10) || 24,
+    
+    // レイヤー関連設定
+    enableLayers: enableLayers,
+    layerNaming: 'color', // デフォルト値を使用
+    enforceSingleLayer: !enableLayers,
+    preserveLayers: enableLayers,
+    layerCompatibility: 'photoshop',
+    gapless: gaplessLayers ? gaplessLayers.checked : false,
+    gradients: detectGradients ? detectGradients.checked : false,
+    
+    // オブジェクト検出と性能設定
+    maxImageSize: 2000, // デフォルト値を使用
+    timeout: 120000 // 2分のタイムアウト
+  };
+}
+
+/**
+ * 変換結果をプレビュー・SVGコード・レイヤー一覧に表示し、ダウンロード対象にする
+ * @param {string} svgData - SVGデータ文字列
+ */
+function showConversionResult(svgData) {
+  // 前のSVGの品質評価は使えないため破棄
+  clearQualityReport();
+  
+  // SVGを表示
+  updateSvgPreview(svgData);
+  
+  // SVGコードを表示エリアに設定
+  updateSvgCodeDisplay(svgData);
+  
+  // 結果コンテナを表示
+  const resultContainer = document.getElementById('result-container');
+  if (resultContainer) {
+    resultContainer.style.display = 'block';
+  }
+  
+  // ダウンロードボタンを有効化
+  const downloadButton = document.getElementById('download-button');
+  if (downloadButton) {
+    downloadButton.disabled = false;
+  }
+  
+  // 現在のSVGデータを保存
+  currentSvgData = svgData;
+  
+  // レイヤー情報を抽出して表示
+  try {
+    if (window.ImageTracer && typeof window.ImageTracer.extractLayers === 'function') {
+      const layers = window.ImageTracer.extractLayers(svgData);
+      updateLayersList(layers);
+    }
+  } catch (error) {
+    console.error('レイヤー情報の抽出に失敗しました:', error);
+  }
+  
+  // 最適化前後のサイズと、画像として書き出す大きさを表示
+  updateOptimizeReport();
+  updateRasterSizeInfo();
+}
+
+/**
+ * SVGに変換ボタンのクリックハンドラー
+ * ユーザーが選択したファイルをSVG形式に変換する
+ */
+function convertToSVG() {
+  console.log('SVG変換を開始します');
+  
+  // ファイルが選択されているか確認
+  if (!currentFile) {
+    showErrorMessage('ファイルを選択してください', 'ファイルを選択', () => {
+      document.getElementById('file-input').click();
+    });
+    return;
+  }
+  
+  // ファイル情報をデバッグ出力
+  console.log('変換対象ファイル:', currentFile.name, currentFile.type, currentFile.size);
+  
+  // 変換設定を取得
+  let conversionOptions;
+  try {
+    conversionOptions = readConversionSettings();
+  } catch (error) {
+    showErrorMessage(`パレットの指定が正しくありません: ${error.message}`, null);
+    return;
+  }
+  
+  // 進捗表示の準備
+  const progressContainer = document.getElementById('progress-container');
+  if (progressContainer) {
+    progressContainer.style.display = 'block';
+  }
+  updateProgressUI('SVGに変換中...', 0);
+  
+  // 前回の比較結果は新しい変換結果と混同しないよう閉じる
+  clearComparison();
+  
+  // 進捗コールバック
+  conversionOptions.progressCallback = function(stage, progress) {
+    // 進捗バーを更新
+    updateProgressUI(stage, progress);
+    console.log(`変換進捗: ${progress}%`);
+  };
+  
+  // SVG変換処理を実行
+  processSVGConversion(currentFile, conversionOptions, updateProgressUI)
+    .then(svgData => {
+      // 成功時の処理
+      console.log('SVG変換が成功しました');
+      
+      // 進捗表示を非表示
+      if (progressContainer) {
+        progressContainer.style.display = 'none';
+      }
+      
+      showConversionResult(svgData);
+    })
+    .catch(error => {
+      // 進捗表示を非表示
+      if (progressContainer) {
+        progressContainer.style.display = 'none';
+      }
+      
+      // キャンセルされた場合はエラーとして扱わない
+      if (error && error.name === 'AbortError') {
+        console.log('SVG変換がキャンセルされました');
+        return;
+      }
+      
+      // エラー時の処理
+      console.error('SVG変換エラー:', error);
+      
+      showErrorMessage('SVGへの変換中にエラーが発生しました: ' + error.message, 'リトライ', () => {
+        convertToSVG();
+      });
+    });
+}
+
+/**
+ * 比較モードで変換する設定
+ * 現在の設定をもとに、それぞれの変更を加えた設定で変換します
+ * @type {Array<{name: string, apply: Function}>}
+ */
+const COMPARISON_PRESETS = [
+  { name: '現在の設定', apply: settings => settings },
+  {
+    name: '色数を減らす',
+    apply: settings => ({ ...settings, colorQuantization: Math.max(2, Math.round(settings.colorQuantization / 2)) })
+  },
+  {
+    name: '色数を増やす',
+    apply: settings => ({ ...settings, colorQuantization: Math.min(30, settings.colorQuantization * 2) })
+  },
+  {
+    name: 'なめらか（ぼかし・単純化を強く）',
+    apply: settings => ({
+      ...settings,
+      blurRadius: Math.max(1, settings.blurRadius),
+      simplify: Math.min(1, Math.max(0.8, settings.simplify))
+    })
+  },
+  {
+    name: '白黒',
+    apply: settings => ({ ...settings, colorMode: 'bw' })
+  }
+];
+
+/**
+ * 複数の設定で同時に変換し、結果を並べて比較する
+ * 結果ごとにパス数・ノード数・ファイルサイズ・元画像との差を表示し、選んだ結果をダウンロード対象にします
+ */
+function compareSettings() {
+  if (!currentFile) {
+    showErrorMessage('ファイルを選択してください', 'ファイルを選択', () => {
+      document.getElementById('file-input').click();
+    });
+    return;
+  }
+  
+  let baseOptions;
+  try {
+    baseOptions = readConversionSettings();
+  } catch (error) {
+    showErrorMessage(`パレットの指定が正しくありません: ${error.message}`, null);
+    return;
+  }
+  
+  // 同じ設定になる組み合わせは1回だけ変換する
+  const seen = new Set();
+  const candidates = COMPARISON_PRESETS
+    .map(preset => ({ name: preset.name, options: preset.apply({ ...baseOptions }) }))
+    .filter(candidate => {
+      const key = JSON.stringify(candidate.options);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  
+  cancelConversion();
+  clearComparison();
+  
+  const progressContainer = document.getElementById('progress-container');
+  if (progressContainer) {
+    progressContainer.style.display = 'block';
+  }
+  
+  let finished = 0;
+  const reportProgress = () => {
+    updateProgressUI(`設定を比較中... (${finished}/${candidates.length})`, Math.round(finished / candidates.length * 100));
+  };
+  reportProgress();
+  
+  const runCandidate = (candidate, workerClient) => {
+    return processSVGConversion(currentFile, candidate.options, null, workerClient)
+      .then(svgData => ({ name: candidate.name, svgData: svgData, error: null }))
+      .catch(error => ({ name: candidate.name, svgData: null, error: error }))
+      .then(result => {
+        if (workerClient) workerClient.dispose();
+        finished++;
+        reportProgress();
+        return result;
+      });
+  };
+  
+  // 設定ごとに専用のWorkerで並列に変換する（Workerを使えない場合はメインスレッドで順番に変換）
+  const conversions = typeof ImageTracerWorkerClient !== 'undefined' && ImageTracerWorkerClient.isSupported() ?
+    Promise.all(candidates.map(candidate => runCandidate(candidate, ImageTracerWorkerClient.create()))) :
+    candidates.reduce((chain, candidate) => chain.then(results => {
+      if (results.some(result => result.error && result.error.name === 'AbortError')) return results;
+      return runCandidate(candidate, null).then(result => results.concat([result]));
+    }), Promise.resolve([]));
+  
+  conversions.then(results => {
+    if (progressContainer) {
+      progressContainer.style.display = 'none';
+    }
+    
+    // キャンセルされた場合は何も表示しない
+    if (results.some(result => result.error && result.error.name === 'AbortError')) {
+      console.log('設定の比較がキャンセルされました');
+      return;
+    }
+    
+    const succeeded = results.filter(result => result.svgData);
+    results.filter(result => result.error).forEach(result => {
+      console.error(`「${result.name}」での変換に失敗しました:`, result.error);
+    });
+    
+    if (succeeded.length === 0) {
+      showErrorMessage('すべての設定で変換に失敗しました', 'リトライ', compareSettings);
+      return;
+    }
+    
+    // 最初の結果（現在の設定）を選択した状態で表示
+    showConversionResult(succeeded[0].svgData);
+    renderComparison(succeeded);
+  });
+}
+
+/**
+ * 比較結果を一覧に表示する
+ * 元画像との差は非同期に計算し、計算できたものから表示を更新します
+ * @param {Array<{name: string, svgData: string}>} results - 変換結果
+ */
+function renderComparison(results) {
+  const comparisonContainer = document.getElementById('comparison-container');
+  const comparisonList = document.getElementById('comparison-list');
+  const originalImage = document.getElementById('original-image');
+  if (!comparisonContainer || !comparisonList) return;
+  
+  comparisonList.innerHTML = '';
+  
+  results.forEach((result, index) => {
+    const stats = measureSvgResult(result.svgData);
+    
+    const item = document.createElement('div');
+    item.className = 'comparison-item' + (index === 0 ? ' selected' : '');
+    
+    const title = document.createElement('h4');
+    title.textContent = result.name;
+    
+    const preview = document.createElement('img');
+    preview.className = 'comparison-preview';
+    preview.alt = result.name;
+    preview.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(result.svgData);
+    
+    const statsList = document.createElement('dl');
+    statsList.className = 'comparison-stats';
+    const addStat = (label, value) => {
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const description = document.createElement('dd');
+      description.textContent = value;
+      statsList.appendChild(term);
+      statsList.appendChild(description);
+      return description;
+    };
+    addStat('パス数', stats.pathCount.toLocaleString());
+    addStat('ノード数', stats.nodeCount.toLocaleString());
+    addStat('サイズ', formatByteSize(stats.byteSize));
+    const differenceValue = addStat('元画像との差', '計算中...');
+    
+    const selectButton = document.createElement('button');
+    selectButton.className = 'small-button';
+    selectButton.textContent = 'この結果を使用';
+    selectButton.addEventListener('click', () => {
+      comparisonList.querySelectorAll('.comparison-item').forEach(element => element.classList.remove('selected'));
+      item.classList.add('selected');
+      showConversionResult(result.svgData);
+    });
+    
+    item.appendChild(title);
+    item.appendChild(preview);
+    item.appendChild(statsList);
+    item.appendChild(selectButton);
+    comparisonList.appendChild(item);
+    
+    measurePixelDifference(result.svgData, originalImage)
+      .then(difference => {
+        differenceValue.textContent = `${difference.toFixed(2)}%`;
+      })
+      .catch(error => {
+        console.error('元画像との差の計算に失敗しました:', error);
+        differenceValue.textContent = '計算できません';
+      });
+  });
+  
+  comparisonContainer.style.display = 'block';
+}
+
+/**
+ * 比較結果の一覧を閉じる
+ */
+function clearComparison() {
+  const comparisonContainer = document.getElementById('comparison-container');
+  const comparisonList = document.getElementById('comparison-list');
+  
+  if (comparisonList) comparisonList.innerHTML = '';
+  if (comparisonContainer) comparisonContainer.style.display = 'none';
+}
+
+/**
+ * SVGのパス数・ノード数・ファイルサイズを数える
+ * @param {string} svgData - SVGデータ文字列
+ * @returns {Object} {pathCount, nodeCount, byteSize}
+ */
+function measureSvgResult(svgData) {
+  // コマンドごとの引数の数（ノード1つあたり）
+  const ARGUMENT_COUNTS = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7 };
+  const pathData = svgData.match(/\sd="[^"]*"/g) || [];
+  let nodeCount = 0;
+  
+  pathData.forEach(attribute => {
+    const commands = attribute.match(/[a-df-z][^a-df-z]*/gi) || [];
+    commands.forEach(command => {
+      const argumentCount = ARGUMENT_COUNTS[command[0].toLowerCase()];
+      if (!argumentCount) return;
+      const numbers = command.slice(1).match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+      nodeCount += Math.floor(numbers.length / argumentCount);
+    });
+  });
+  
+  return {
+    pathCount: (svgData.match(/<path\b/g) || []).length,
+    nodeCount: nodeCount,
+    byteSize: new Blob([svgData]).size
+  };
+}
+
+/**
+ * バイト数を読みやすい単位の文字列にする
+ * @param {number} bytes - バイト数
+ * @returns {string} 例: "12.3 KB"
+ */
+function formatByteSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * SVGを描画した結果と元画像のピクセルの差を求める
+ * 縮小した画像を白背景に描画し、RGBの差の絶対値の平均を最大値に対する割合で返します
+ * @param {string} svgData - SVGデータ文字列
+ * @param {HTMLImageElement} originalImage - 元画像
+ * @returns {Promise<number>} 差（0〜100%、0は一致）
+ */
+function measurePixelDifference(svgData, originalImage) {
+  if (!originalImage || !originalImage.naturalWidth) {
+    return Promise.reject(new Error('元画像が読み込まれていません'));
+  }
+  
+  const MAX_COMPARE_SIZE = 300;
+  const scale = Math.min(1, MAX_COMPARE_SIZE / Math.max(originalImage.naturalWidth, originalImage.naturalHeight));
+  const width = Math.max(1, Math.round(originalImage.naturalWidth * scale));
+  const height = Math.max(1, Math.round(originalImage.naturalHeight * scale));
+  
+  return ImageTracerUtils.rasterizeSvg(svgData, width, height, '#ffffff').then(svgCanvas => {
+    const { ctx: originalContext } = ImageTracerUtils.createTempCanvas(width, height);
+    originalContext.fillStyle = '#ffffff';
+    originalContext.fillRect(0, 0, width, height);
+    originalContext.drawImage(originalImage, 0, 0, width, height);
+    
+    const rendered = svgCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+    const original = originalContext.getImageData(0, 0, width, height).data;
+    
+    let total = 0;
+    for (let i = 0; i < original.length; i += 4) {
+      total += Math.abs(rendered[i] - original[i]) +
+        Math.abs(rendered[i + 1] - original[i + 1]) +
+        Math.abs(rendered[i + 2] - original[i + 2]);
+    }
+    
+    return total / (width * height * 3 * 255) * 100;
+  });
+}
+
+/**
+ * 現在のSVGを元画像と比較して品質を評価する
+ * SVGを変換時と同じ解像度で描画し、RMSE・SSIM・色差ΔE（CIEDE2000）を表示します
+ */
+function evaluateQuality() {
+  const originalImage = document.getElementById('original-image');
+  const qualityButton = document.getElementById('quality-button');
+  
+  if (!currentSvgData || !originalImage || !originalImage.naturalWidth) {
+    showErrorMessage('品質を評価するSVGがありません。画像を選択して変換してください。', null);
+    return;
+  }
+  
+  if (typeof ImageTracerMetrics === 'undefined') {
+    showErrorMessage('品質評価モジュールが読み込まれていません', null);
+    return;
+  }
+  
+  // 変換時と同じく最大2000pxに収めた元画像の解像度で比較する
+  const { width, height } = SVGLayerAdapter.getResizedDimensions(originalImage.naturalWidth, originalImage.naturalHeight, 2000);
+  const svgData = currentSvgData;
+  
+  if (qualityButton) {
+    qualityButton.disabled = true;
+    qualityButton.textContent = '評価中...';
+  }
+  
+  ImageTracerUtils.rasterizeSvg(svgData, width, height)
+    .then(renderedCanvas => {
+      const { ctx: sourceContext } = ImageTracerUtils.createTempCanvas(width, height);
+      sourceContext.drawImage(originalImage, 0, 0, width, height);
+      
+      const report = ImageTracerMetrics.compare(
+        sourceContext.getImageData(0, 0, width, height),
+        renderedCanvas.getContext('2d').getImageData(0, 0, width, height)
+      );
+      
+      // 評価中に別のSVGに変わった場合は破棄
+      if (svgData !== currentSvgData) return;
+      
+      console.log('品質評価:', { rmse: report.rmse, ssim: report.ssim, deltaE: report.deltaE });
+      currentQualityReport = { report: report, renderedCanvas: renderedCanvas };
+      renderQualityReport(report);
+    })
+    .catch(error => {
+      console.error('品質の評価に失敗しました:', error);
+      showErrorMessage(`品質の評価に失敗しました: ${error.message}`, null);
+    })
+    .then(() => {
+      if (qualityButton) {
+        qualityButton.disabled = false;
+        qualityButton.textContent = '品質を評価';
+      }
+    });
+}
+
+/**
+ * 品質評価の結果を表示する
+ * @param {Object} report - ImageTracerMetrics.compareの評価結果
+ */
+function renderQualityReport(report) {
+  const qualityReport = document.getElementById('quality-report');
+  const showHeatmapCheckbox = document.getElementById('show-heatmap');
+  if (!qualityReport) return;
+  
+  const items = [
+    ['RMSE', `${report.rmse.toFixed(2)}（0〜255）`],
+    ['SSIM', report.ssim.toFixed(4)],
+    ['ΔE 平均', report.deltaE.mean.toFixed(2)],
+    ['ΔE 95%', report.deltaE.p95.toFixed(2)],
+    ['ΔE 最大', report.deltaE.max.toFixed(2)],
+    ['解像度', `${report.width} × ${report.height}`]
+  ];
+  
+  qualityReport.innerHTML = '';
+  items.forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const description = document.createElement('dd');
+    description.textContent = value;
+    qualityReport.appendChild(term);
+    qualityReport.appendChild(description);
+  });
+  qualityReport.style.display = 'grid';
+  
+  if (showHeatmapCheckbox) showHeatmapCheckbox.disabled = false;
+}
+
+/**
+ * SVGプレビューに誤差のヒートマップを重ねて表示する（または元に戻す）
+ * ヒートマップは描画したSVGの上に、色差が大きいピクセルほど赤く重ねます
+ * @param {boolean} show - 表示する場合はtrue
+ */
+function toggleErrorHeatmap(show) {
+  const svgPreview = document.getElementById('svg-preview');
+  if (!svgPreview) return;
+  
+  const existing = svgPreview.querySelector('.error-heatmap');
+  if (existing) existing.remove();
+  
+  const svgElement = svgPreview.querySelector('svg');
+  if (svgElement) svgElement.style.display = show ? 'none' : '';
+  
+  if (!show || !currentQualityReport) return;
+  
+  const { report, renderedCanvas } = currentQualityReport;
+  const heatmap = ImageTracerMetrics.createHeatmap(report);
+  
+  const heatmapCanvas = document.createElement('canvas');
+  heatmapCanvas.width = heatmap.width;
+  heatmapCanvas.height = heatmap.height;
+  heatmapCanvas.getContext('2d').putImageData(new ImageData(heatmap.data, heatmap.width, heatmap.height), 0, 0);
+  
+  const canvas = document.createElement('canvas');
+  canvas.className = 'error-heatmap';
+  canvas.width = report.width;
+  canvas.height = report.height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.globalAlpha = 0.5;
+  ctx.drawImage(renderedCanvas, 0, 0);
+  ctx.globalAlpha = 1;
+  ctx.drawImage(heatmapCanvas, 0, 0);
+  
+  svgPreview.appendChild(canvas);
+}
+
+/**
+ * 品質評価の結果とヒートマップを破棄する
+ */
+function clearQualityReport() {
+  currentQualityReport = null;
+  
+  const qualityReport = document.getElementById('quality-report');
+  const showHeatmapCheckbox = document.getElementById('show-heatmap');
+  
+  if (qualityReport) {
+    qualityReport.innerHTML = '';
+    qualityReport.style.display = 'none';
+  }
+  
+  if (showHeatmapCheckbox) {
+    if (showHeatmapCheckbox.checked) toggleErrorHeatmap(false);
+    showHeatmapCheckbox.checked = false;
+    showHeatmapCheckbox.disabled = true;
+  }
+}
+
+/**
+ * SVGプレビューを更新する
+ * @param {string} svgData - SVGデータ文字列
+ */
+function updateSvgPreview(svgData) {
+  if (!svgData) return;
+  
+  const svgPreview = document.getElementById('svg-preview');
+  const svgCode = document.getElementById('svg-code');
+  const layersList = document.getElementById('layers-list');
+  const layersContainer = document.getElementById('layers-container');
+  const downloadButton = document.getElementById('download-button');
+  
+  if (!svgPreview) return;
+  
+  // 最終的なレイヤー数確認と制限適用
+  const MAX_LAYERS = 30;
+  const layerCount = analyzeSvgLayers(svgData, "プレビュー表示前");
+  console.log(`プレビュー表示前のSVGレイヤー数: ${layerCount}`);
+  
+  let finalSvgData = svgData;
+  if (layerCount > MAX_LAYERS) {
+    console.log(`最終出力でもレイヤー数(${layerCount})が多すぎるため、制限を適用します`);
+    finalSvgData = enforceLayerLimit(svgData, MAX_LAYERS);
+    
+    // 制限適用後のレイヤー数を再確認
+    const newLayerCount = analyzeSvgLayers(finalSvgData, "最終レイヤー制限適用後");
+    console.log(`最終的なSVGレイヤー数: ${newLayerCount}`);
+  }
+  
+  // 現在のSVGデータを更新
+  currentSvgData = finalSvgData;
+  
+  // SVGプレビュー更新
+  svgPreview.innerHTML = finalSvgData;
+  
+  // ラスター画像によるフォールバック出力かどうかを表示
+  updateRasterFallbackNotice(finalSvgData);
+  
+  // SVGコードを表示
+  if (svgCode) {
+    updateSvgCodeDisplay(finalSvgData);
+  }
+  
+  // レイヤー情報を抽出・表示
+  if (layersList && layersContainer) {
+    try {
+      const parser = new DOMParser();
+      const svgDoc = parser.parseFromString(finalSvgData, 'image/svg+xml');
+      const layers = extractLayers(finalSvgData);
+      
+      if (layers && layers.length > 0) {
+        updateLayersList(layers);
+        layersContainer.style.display = 'block';
+        
+        // レイヤー数を表示
+        const layersHeading = layersContainer.querySelector('h3');
+        if (layersHeading) {
+          layersHeading.textContent = `レイヤー管理 (${layers.length})`;
+        }
+      } else {
+        layersContainer.style.display = 'none';
+      }
+    } catch (e) {
+      console.error('レイヤー処理エラー:', e);
+      layersContainer.style.display = 'none';
+    }
+  }
+  
+  // ダウンロードボタンを有効化
+  if (downloadButton) {
+    downloadButton.disabled = false;
+  }
+}
+
+/**
+ * SVGがベクターパスではなく埋め込みラスター画像のみで構成されているか判定する
+ * @param {string} svgData - SVGデータ文字列
+ * @returns {boolean} ラスターによるフォールバック出力であればtrue
+ */
+function isRasterFallbackSVG(svgData) {
+  if (!svgData) return false;
+  
+  const hasImage = /<image[\s>]/.test(svgData);
+  const hasPath = /<path[^>]*\sd="[^"]+"/.test(svgData);
+  
+  return hasImage && !hasPath;
+}
+
+/**
+ * ラスターフォールバックの通知表示を更新する
+ * @param {string|null} svgData - SVGデータ文字列（nullの場合は非表示）
+ */
+function updateRasterFallbackNotice(svgData) {
+  const notice = document.getElementById('raster-fallback-notice');
+  if (!notice) return;
+  
+  const isFallback = isRasterFallbackSVG(svgData);
+  notice.style.display = isFallback ? 'block' : 'none';
+  
+  if (isFallback) {
+    console.warn('ベクター変換に失敗したため、ラスター画像を埋め込んだSVGを表示しています');
+  }
+}
+
+/**
+ * 「SVGを最適化」の設定を取得する
+ * @returns {Object} {enabled, precision}
+ */
+function getOptimizeSettings() {
+  const optimizeSvgCheckbox = document.getElementById('optimize-svg');
+  const svgPrecisionSelect = document.getElementById('svg-precision');
+  
+  return {
+    enabled: Boolean(optimizeSvgCheckbox && optimizeSvgCheckbox.checked && window.ImageTracerOptimizer),
+    precision: svgPrecisionSelect ? parseInt(svgPrecisionSelect.value, 10) : 2
+  };
+}
+
+/**
+ * 現在のSVGと設定で最適化済みの結果があれば返す
+ * @returns {Object|null} ImageTracerOptimizer.optimizeの結果
+ */
+function getCachedOptimizedSvg() {
+  const { enabled, precision } = getOptimizeSettings();
+  if (!enabled || !optimizedSvgCache) return null;
+  return optimizedSvgCache.source === currentSvgData && optimizedSvgCache.precision === precision ?
+    optimizedSvgCache.result : null;
+}
+
+/**
+ * ダウンロードするSVGデータを取得する
+ * 「SVGを最適化」が有効な場合は、ImageTracerOptimizerで最適化した結果を返す
+ * （サイズ表示のために最適化した結果があれば再利用する。失敗した場合は最適化せずに返す）
+ * @returns {Object} {svgData, originalSize, optimizedSize}（最適化しない場合 optimizedSize は null）
+ */
+function getExportSvgData() {
+  const { enabled, precision } = getOptimizeSettings();
+  const unoptimized = {
+    svgData: currentSvgData,
+    originalSize: new Blob([currentSvgData]).size,
+    optimizedSize: null
+  };
+  
+  if (!enabled) {
+    return unoptimized;
+  }
+  
+  const cached = getCachedOptimizedSvg();
+  if (cached) {
+    return cached;
+  }
+  
+  try {
+    const result = ImageTracerOptimizer.optimize(currentSvgData, { precision: precision });
+    optimizedSvgCache = { source: currentSvgData, precision: precision, result: result };
+    return result;
+  } catch (error) {
+    console.warn('SVGを最適化できなかったため、最適化せずに書き出します:', error);
+    return unoptimized;
+  }
+}
+
+let optimizeReportTimer = null; // 最適化後のサイズを求める処理の待機タイマー
+
+/**
+ * ダウンロードボタンの横に、最適化前後のファイルサイズを表示する
+ * 最適化していない場合は元のサイズだけをすぐに表示し、最適化は少し待ってから行う
+ * （「すべて表示」などでレイヤーを続けて変更したときに、変更ごとに最適化しないようにする）
+ * 最適化した結果はダウンロードのときにそのまま使う
+ */
+function updateOptimizeReport() {
+  clearTimeout(optimizeReportTimer);
+  optimizeReportTimer = null;
+  
+  const optimizeReport = document.getElementById('optimize-report');
+  if (!optimizeReport) return;
+  
+  if (!currentSvgData) {
+    optimizeReport.textContent = '';
+    return;
+  }
+  
+  const originalSize = new Blob([currentSvgData]).size;
+  const optimized = getCachedOptimizedSvg();
+  
+  if (!getOptimizeSettings().enabled) {
+    optimizeReport.textContent = `ファイルサイズ: ${formatByteSize(originalSize)}`;
+    return;
+  }
+  
+  if (!optimized) {
+    optimizeReport.textContent = `ファイルサイズ: ${formatByteSize(originalSize)}（最適化後のサイズを計算中...）`;
+    optimizeReportTimer = setTimeout(() => {
+      optimizeReportTimer = null;
+      if (!currentSvgData) return;
+      
+      // 最適化に失敗した場合は元のサイズだけを表示する
+      if (getExportSvgData().optimizedSize === null) {
+        optimizeReport.textContent = `ファイルサイズ: ${formatByteSize(originalSize)}`;
+        return;
+      }
+      updateOptimizeReport();
+    }, 300);
+    return;
+  }
+  
+  const reduction = originalSize > 0 ? Math.round((1 - optimized.optimizedSize / originalSize) * 100) : 0;
+  optimizeReport.textContent =
+    `ファイルサイズ: ${formatByteSize(originalSize)} → ${formatByteSize(optimized.optimizedSize)}（${reduction}%削減）`;
+}
+
+/**
+ * ダウンロードする形式に合わせてボタンの表示を切り替える
+ * 最適化の設定とサイズ表示はSVGのとき、大きさと背景色の設定はPNG・WebPのとき、
+ * 単位・解像度・許容誤差の設定はDXF・HPGLのときだけ表示する
+ */
+function updateDownloadFormat() {
+  const downloadFormatSelect = document.getElementById('download-format');
+  const downloadButton = document.getElementById('download-button');
+  const exportOptions = document.querySelector('.export-options');
+  const optimizeReport = document.getElementById('optimize-report');
+  const rasterOptions = document.querySelector('.raster-options');
+  const plotterOptions = document.querySelector('.plotter-options');
+  const format = downloadFormatSelect ? downloadFormatSelect.value : 'svg';
+  
+  if (downloadButton) {
+    downloadButton.textContent = `${RASTER_FORMATS[format] ? RASTER_FORMATS[format].label : format.toUpperCase()}をダウンロード`;
+  }
+  if (exportOptions) exportOptions.style.display = format === 'svg' ? '' : 'none';
+  if (optimizeReport) optimizeReport.style.display = format === 'svg' ? '' : 'none';
+  if (rasterOptions) rasterOptions.style.display = RASTER_FORMATS[format] ? '' : 'none';
+  if (plotterOptions) plotterOptions.style.display = format === 'dxf' || format === 'hpgl' ? '' : 'none';
+  updateRasterSizeInfo();
+}
+
+/**
+ * SVGデータをダウンロードする
+ * 形式にPDF・EPSを選択した場合は、ImageTracerVectorExportでSVGのレイヤーとパスから変換して保存する
+ * PNG・WebPを選択した場合は、downloadRasterImageで指定した大きさの画像にして保存する
+ * DXF・HPGLを選択した場合は、ImageTracerPlotterExportで曲線を折れ線にして実寸の座標で保存する
+ */
+function downloadSVG() {
+  if (!currentSvgData || !currentFile) {
+    showErrorMessage('ダウンロードできるSVGデータがありません。画像を選択して変換してください。', 'やり直す');
+    return;
+  }
+  
   try {
     // SVG文字列の厳格な検証
     if (!currentSvgData.trim().startsWith('<?xml') && !currentSvgData.trim().startsWith('<svg')) {
@@ -1364,19 +2716,55 @@ function downloadSVG() {
       console.warn('レイヤーが検出されませんでした。レイヤー分割に問題がある可能性があります。');
     }
     
-    // .svgの拡張子を持つファイル名を作成
-    const filename = currentFile.name.replace(/\.[^/.]+$/, '') + '.svg';
+    // 選択した形式の拡張子を持つファイル名とBlobオブジェクトを作成
+    const downloadFormatSelect = document.getElementById('download-format');
+    const format = downloadFormatSelect ? downloadFormatSelect.value : 'svg';
+    const baseName = currentFile.name.replace(/\.[^/.]+$/, '');
+    let filename;
+    let blob;
+    
+    // 画像の描画は非同期のため別に処理する
+    if (RASTER_FORMATS[format]) {
+      downloadRasterImage(format, baseName);
+      return;
+    }
     
-    // Blobオブジェクトの作成
-    const blob = new Blob([currentSvgData], { type: 'image/svg+xml' });
+    if (format === 'svg') {
+      // 最適化が有効な場合は最適化したSVG
+      const exportData = getExportSvgData();
+      filename = baseName + '.svg';
+      blob = new Blob([exportData.svgData], { type: 'image/svg+xml' });
+      updateOptimizeReport();
+    } else if (format === 'dxf' || format === 'hpgl') {
+      if (!window.ImageTracerPlotterExport) {
+        throw new Error('ImageTracerPlotterExportモジュールが読み込まれていません');
+      }
+      const plotterUnitsSelect = document.getElementById('plotter-units');
+      const plotterDpiInput = document.getElementById('plotter-dpi');
+      const plotterToleranceInput = document.getElementById('plotter-tolerance');
+      const exported = ImageTracerPlotterExport.convert(currentSvgData, format, {
+        units: plotterUnitsSelect ? plotterUnitsSelect.value : 'mm',
+        dpi: plotterDpiInput ? parseFloat(plotterDpiInput.value) : 96,
+        tolerance: plotterToleranceInput ? parseFloat(plotterToleranceInput.value) : 0.1
+      });
+      filename = baseName + exported.extension;
+      blob = new Blob([exported.data], { type: exported.mimeType });
+    } else {
+      if (!window.ImageTracerVectorExport) {
+        throw new Error('ImageTracerVectorExportモジュールが読み込まれていません');
+      }
+      const exported = ImageTracerVectorExport.convert(currentSvgData, format, { title: baseName });
+      filename = baseName + exported.extension;
+      blob = new Blob([exported.data], { type: exported.mimeType });
+    }
     
-    // SVGデータサイズの確認
+    // データサイズの確認
     const svgSizeInKB = Math.round(blob.size / 1024);
-    console.log(`SVGデータサイズ: ${svgSizeInKB} KB`);
+    console.log(`${format.toUpperCase()}データサイズ: ${svgSizeInKB} KB`);
     
     // ファイルサイズの警告（オプション）
     if (svgSizeInKB > 5000) {
-      console.warn(`SVGファイルサイズが大きいです (${svgSizeInKB} KB)。複雑すぎる可能性があります。`);
+      console.warn(`ファイルサイズが大きいです (${svgSizeInKB} KB)。複雑すぎる可能性があります。`);
     }
     
     // ダウンロードリンクの作成
@@ -1394,7 +2782,7 @@ function downloadSVG() {
       document.body.removeChild(link);
     }, 100);
     
-    console.log('SVGダウンロード完了:', filename);
+    console.log('ダウンロード完了:', filename);
   } catch (error) {
     console.error('ダウンロードエラー:', error);
     showErrorMessage('ダウンロードに失敗しました: ' + error.message, 'やり直す', function() {
@@ -1403,12 +2791,208 @@ function downloadSVG() {
   }
 }
 
+const RASTER_FORMATS = {
+  png: { label: 'PNG', mimeType: 'image/png', extension: '.png', quality: 1 },
+  webp: { label: 'WebP', mimeType: 'image/webp', extension: '.webp', quality: 0.92 }
+};
+const MAX_RASTER_SIZE = 16384; // 書き出す画像の一辺の最大ピクセル数（ブラウザのキャンバスの上限）
+const MAX_RASTER_PIXELS = 64 * 1024 * 1024; // 書き出す画像の最大画素数（メモリ不足を防ぐ）
+
+/**
+ * SVGのwidth・height属性（ない場合はviewBox）から、等倍のピクセル数を求める
+ * @param {string} svgData - SVGデータ文字列
+ * @returns {Object|null} {width, height}（求められない場合はnull）
+ */
+function getSvgPixelSize(svgData) {
+  const svgTag = svgData && svgData.match(/<svg\b[^>]*>/);
+  if (!svgTag) return null;
+  
+  const attribute = name => {
+    const match = svgTag[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`));
+    return match ? match[1] : '';
+  };
+  const viewBox = attribute('viewBox').split(/[\s,]+/).map(Number);
+  const size = (value, fallback) => /%/.test(value) ? fallback : (parseFloat(value) || fallback);
+  const width = size(attribute('width'), viewBox.length === 4 ? viewBox[2] : 0);
+  const height = size(attribute('height'), viewBox.length === 4 ? viewBox[3] : 0);
+  
+  return width > 0 && height > 0 ? { width: width, height: height } : null;
+}
+
+/**
+ * 画像として書き出す大きさを設定から求める
+ * 倍率のほか、幅または高さのピクセル数を指定した場合は縦横比を保って残りを決める
+ * @returns {Object|null} {width, height}（求められない場合はnull）
+ */
+function getRasterSize() {
+  const baseSize = getSvgPixelSize(currentSvgData);
+  if (!baseSize) return null;
+  
+  const rasterScaleSelect = document.getElementById('raster-scale');
+  const rasterSizeInput = document.getElementById('raster-size');
+  const mode = rasterScaleSelect ? rasterScaleSelect.value : '4';
+  const target = rasterSizeInput ? parseInt(rasterSizeInput.value, 10) : NaN;
+  let scale;
+  
+  if (mode === 'width' || mode === 'height') {
+    if (!(target > 0)) return null;
+    scale = target / (mode === 'width' ? baseSize.width : baseSize.height);
+  } else {
+    scale = parseFloat(mode) || 1;
+  }
+  
+  return {
+    width: Math.max(1, Math.round(baseSize.width * scale)),
+    height: Math.max(1, Math.round(baseSize.height * scale))
+  };
+}
+
+/**
+ * 画像として書き出す大きさを表示する
+ */
+function updateRasterSizeInfo() {
+  const rasterSizeInfo = document.getElementById('raster-size-info');
+  if (!rasterSizeInfo) return;
+  
+  const size = currentSvgData ? getRasterSize() : null;
+  rasterSizeInfo.textContent = size ? `${size.width} × ${size.height} px` : '';
+}
+
+/**
+ * 現在のSVGをPNG・WebPの画像にしてダウンロードする
+ * 非表示にしたレイヤーは描画されず、背景色を指定しない場合は透明のまま書き出す
+ * @param {string} format - 形式（'png' または 'webp'）
+ * @param {string} baseName - 拡張子を除いたファイル名
+ */
+function downloadRasterImage(format, baseName) {
+  const downloadButton = document.getElementById('download-button');
+  const rasterBackgroundCheckbox = document.getElementById('raster-background-enabled');
+  const rasterBackgroundInput = document.getElementById('raster-background');
+  const rasterFormat = RASTER_FORMATS[format];
+  const size = getRasterSize();
+  
+  if (!size) {
+    showErrorMessage('画像の大きさを求められません。幅または高さに1以上の値を入力してください。', null);
+    return;
+  }
+  if (size.width > MAX_RASTER_SIZE || size.height > MAX_RASTER_SIZE || size.width * size.height > MAX_RASTER_PIXELS) {
+    showErrorMessage(`画像が大きすぎます（${size.width} × ${size.height} px）。倍率またはピクセル数を小さくしてください。`, null);
+    return;
+  }
+  
+  const background = rasterBackgroundCheckbox && rasterBackgroundCheckbox.checked && rasterBackgroundInput ?
+    rasterBackgroundInput.value : null;
+  
+  if (downloadButton) {
+    downloadButton.disabled = true;
+    downloadButton.textContent = '書き出し中...';
+  }
+  
+  ImageTracerUtils.rasterizeSvg(currentSvgData, size.width, size.height, background)
+    // 大きな画像でもメモリを使いすぎないよう、Base64のデータURLではなくBlobにする
+    .then(canvas => new Promise(resolve => canvas.toBlob(resolve, rasterFormat.mimeType, rasterFormat.quality)))
+    .then(blob => {
+      if (!blob) {
+        throw new Error('キャンバスから画像を作成できませんでした');
+      }
+      
+      // 対応していない形式はPNGで返されるため確認する
+      if (blob.type !== rasterFormat.mimeType) {
+        throw new Error(`このブラウザは${rasterFormat.label}の書き出しに対応していません`);
+      }
+      
+      const filename = baseName + rasterFormat.extension;
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(blob);
+      link.download = filename;
+      
+      document.body.appendChild(link);
+      link.click();
+      
+      // クリーンアップ
+      setTimeout(() => {
+        URL.revokeObjectURL(link.href);
+        document.body.removeChild(link);
+      }, 100);
+      
+      console.log(`ダウンロード完了: ${filename} (${size.width} × ${size.height} px, ${formatByteSize(blob.size)})`);
+    })
+    .catch(error => {
+      console.error('画像の書き出しエラー:', error);
+      showErrorMessage('画像の書き出しに失敗しました: ' + error.message, null);
+    })
+    .finally(() => {
+      if (downloadButton) downloadButton.disabled = false;
+      updateDownloadFormat();
+    });
+}
+
+/**
+ * レイヤーごとのSVG・全体のSVG・マニフェストをZIPファイルにまとめてダウンロードする
+ * 最適化の設定（チェックボックスと小数点以下の桁数）は各SVGにも適用する
+ */
+function exportLayersZip() {
+  if (!currentSvgData || !currentFile) {
+    showErrorMessage('書き出せるSVGデータがありません。画像を選択して変換してください。', 'やり直す');
+    return;
+  }
+  
+  try {
+    if (!window.ImageTracerLayerExport) {
+      throw new Error('ImageTracerLayerExportモジュールが読み込まれていません');
+    }
+    if (!window.ImageTracer || typeof window.ImageTracer.extractLayers !== 'function') {
+      throw new Error('ImageTracerモジュールが読み込まれていません');
+    }
+    
+    // 表示状態や色の変更を反映した最新のレイヤー一覧
+    const layers = window.ImageTracer.extractLayers(currentSvgData);
+    const optimizeSvgCheckbox = document.getElementById('optimize-svg');
+    const svgPrecisionSelect = document.getElementById('svg-precision');
+    const baseName = currentFile.name.replace(/\.[^/.]+$/, '');
+    
+    const zip = ImageTracerLayerExport.createArchive(currentSvgData, layers, {
+      baseName: baseName,
+      optimize: Boolean(optimizeSvgCheckbox && optimizeSvgCheckbox.checked),
+      precision: svgPrecisionSelect ? parseInt(svgPrecisionSelect.value, 10) : 2
+    });
+    const blob = new Blob([zip], { type: 'application/zip' });
+    const filename = `${baseName}-layers.zip`;
+    
+    // ダウンロードリンクの作成
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    
+    document.body.appendChild(link);
+    link.click();
+    
+    // クリーンアップ
+    setTimeout(() => {
+      URL.revokeObjectURL(link.href);
+      document.body.removeChild(link);
+    }, 100);
+    
+    console.log(`レイヤーを書き出しました: ${filename} (${formatByteSize(blob.size)})`);
+  } catch (error) {
+    console.error('レイヤーの書き出しエラー:', error);
+    showErrorMessage('レイヤーの書き出しに失敗しました: ' + error.message, 'やり直す');
+  }
+}
+
 /**
  * UIをリセットする
  */
 function resetUI() {
   console.log('UIをリセットします');
   
+  // 実行中の変換を中断
+  cancelConversion();
+  
+  // 減色プレビューの更新予約を取り消し
+  clearTimeout(posterizePreviewTimer);
+  posterizePreviewTimer = null;
+  
   // 各要素の参照を取得
   const uploadArea = document.getElementById('upload-area');
   const fileInput = document.getElementById('file-input');
@@ -1425,18 +3009,40 @@ function resetUI() {
   const colorMode = document.getElementById('color-mode');
   const threshold = document.getElementById('threshold');
   const thresholdValue = document.getElementById('threshold-value');
+  const thresholdMethod = document.getElementById('threshold-method');
+  const traceMode = document.getElementById('trace-mode');
+  const pixelSize = document.getElementById('pixel-size');
   const colorQuantization = document.getElementById('color-quantization');
   const colorQuantizationValue = document.getElementById('color-quantization-value');
+  const quantizer = document.getElementById('quantizer');
+  const paletteColors = document.getElementById('palette-colors');
+  const paletteFile = document.getElementById('palette-file');
+  const paletteMode = document.getElementById('palette-mode');
   const blurRadius = document.getElementById('blur-radius');
   const blurRadiusValue = document.getElementById('blur-radius-value');
   const strokeWidth = document.getElementById('stroke-width');
   const strokeWidthValue = document.getElementById('stroke-width-value');
   const simplify = document.getElementById('simplify');
   const simplifyValue = document.getElementById('simplify-value');
+  const alphaLevels = document.getElementById('alpha-levels');
   const enableLayersCheckbox = document.getElementById('enable-layers');
   const illustratorCompatCheckbox = document.getElementById('illustrator-compat');
   const photopeaCompatCheckbox = document.getElementById('photopea-compat');
+  const gaplessLayersCheckbox = document.getElementById('gapless-layers');
+  const detectGradientsCheckbox = document.getElementById('detect-gradients');
   const objectDetectionCheckbox = document.getElementById('object-detection');
+  const maxSegments = document.getElementById('max-segments');
+  const maxSegmentsValue = document.getElementById('max-segments-value');
+  const optimizeSvgCheckbox = document.getElementById('optimize-svg');
+  const svgPrecisionSelect = document.getElementById('svg-precision');
+  const downloadFormatSelect = document.getElementById('download-format');
+  const rasterScaleSelect = document.getElementById('raster-scale');
+  const rasterSizeInput = document.getElementById('raster-size');
+  const rasterBackgroundCheckbox = document.getElementById('raster-background-enabled');
+  const rasterBackgroundInput = document.getElementById('raster-background');
+  const plotterUnitsSelect = document.getElementById('plotter-units');
+  const plotterDpiInput = document.getElementById('plotter-dpi');
+  const plotterToleranceInput = document.getElementById('plotter-tolerance');
 
   // 各要素を初期状態に戻す
   if (uploadArea) {
@@ -1474,6 +3080,23 @@ function resetUI() {
   if (svgPreview) svgPreview.innerHTML = '';
   if (svgCode) svgCode.textContent = '';
   
+  // 減色プレビューをクリア
+  const posterizePreview = document.getElementById('posterize-preview');
+  const posterizePreviewItem = document.getElementById('posterize-preview-item');
+  if (posterizePreview) posterizePreview.innerHTML = '';
+  if (posterizePreviewItem) posterizePreviewItem.style.display = 'none';
+  
+  // 比較結果と品質評価をクリア
+  clearComparison();
+  clearQualityReport();
+  
+  // 自動設定の理由をクリア
+  const autoSettingsResult = document.getElementById('auto-settings-result');
+  if (autoSettingsResult) {
+    autoSettingsResult.innerHTML = '';
+    autoSettingsResult.style.display = 'none';
+  }
+  
   // レイヤーリストをクリア
   if (layersList) {
     layersList.innerHTML = '';
@@ -1484,6 +3107,8 @@ function resetUI() {
     layersContainer.style.display = 'none';
   }
   
+  updateRasterFallbackNotice(null);
+  
   if (previewContainer) {
     previewContainer.style.display = 'none';
   }
@@ -1505,7 +3130,11 @@ function resetUI() {
   currentFile = null;
   currentSvgData = null;
   currentLayers = [];
+  optimizedSvgCache = null;
   window.currentImageFile = null;
+  
+  // 最適化前後のサイズ表示をクリア
+  updateOptimizeReport();
     
   // ファイル入力をリセット
   if (fileInput) {
@@ -1523,12 +3152,20 @@ function resetUI() {
   }
   
   if (colorMode) colorMode.value = 'color';
+  if (thresholdMethod) thresholdMethod.value = 'global';
+  if (traceMode) traceMode.value = 'outline';
+  if (pixelSize) pixelSize.value = '0';
+  if (quantizer) quantizer.value = 'kmeans';
+  if (paletteColors) paletteColors.value = '';
+  if (paletteMode) paletteMode.value = 'fixed';
   
   if (simplify) {
     simplify.value = 0.5;
     if (simplifyValue) simplifyValue.textContent = '0.5';
   }
   
+  if (alphaLevels) alphaLevels.value = '0';
+  
   // 追加設定を初期値に戻す
   if (colorQuantization) {
     colorQuantization.value = 8;  // 16から8に変更
@@ -1548,7 +3185,38 @@ function resetUI() {
   if (enableLayersCheckbox) enableLayersCheckbox.checked = false;  // trueからfalseに変更
   if (illustratorCompatCheckbox) illustratorCompatCheckbox.checked = true;
   if (photopeaCompatCheckbox) photopeaCompatCheckbox.checked = true;
-  if (objectDetectionCheckbox) objectDetectionCheckbox.checked = true;
+  if (gaplessLayersCheckbox) gaplessLayersCheckbox.checked = false;
+  if (detectGradientsCheckbox) detectGradientsCheckbox.checked = false;
+  if (objectDetectionCheckbox) objectDetectionCheckbox.checked = false;
+  
+  if (maxSegments) {
+    maxSegments.value = 24;
+    if (maxSegmentsValue) maxSegmentsValue.textContent = '24';
+  }
+  
+  if (optimizeSvgCheckbox) optimizeSvgCheckbox.checked = true;
+  if (svgPrecisionSelect) {
+    svgPrecisionSelect.value = '2';
+    svgPrecisionSelect.disabled = false;
+  }
+  if (downloadFormatSelect) downloadFormatSelect.value = 'svg';
+  if (rasterScaleSelect) rasterScaleSelect.value = '4';
+  if (rasterSizeInput) {
+    rasterSizeInput.value = '1024';
+    rasterSizeInput.style.display = 'none';
+  }
+  if (rasterBackgroundCheckbox) rasterBackgroundCheckbox.checked = false;
+  if (rasterBackgroundInput) {
+    rasterBackgroundInput.value = '#ffffff';
+    rasterBackgroundInput.disabled = true;
+  }
+  if (plotterUnitsSelect) plotterUnitsSelect.value = 'mm';
+  if (plotterDpiInput) plotterDpiInput.value = '96';
+  if (plotterToleranceInput) plotterToleranceInput.value = '0.1';
+  updateDownloadFormat();
+  
+  // プリセットの選択を解除
+  refreshPresetList();
   
   // エラーメッセージをクリア
   const errorContainer = document.querySelector('.error-message');
@@ -1771,7 +3439,7 @@ function useImageBasedFallback(file, options, resolve, reject, originalImage = n
       let svg;
       if (isBW) {
         // 白黒モード：閾値でレイヤー分割
-        svg = createBWFallbackSVG(canvas, options.threshold || 128);
+        svg = createBWFallbackSVG(canvas, options.threshold || 128, options.thresholdMethod);
       } else {
         // カラーモード：色の量子化でレイヤー分割
         svg = createColorLayeredSVG(canvas, options);
@@ -1814,13 +3482,18 @@ function useImageBasedFallback(file, options, resolve, reject, originalImage = n
  * 白黒モードのフォールバックSVG生成
  * @param {HTMLCanvasElement} canvas - 処理対象のキャンバス
  * @param {number} threshold - 2値化の閾値 (0-255)
+ * @param {string} thresholdMethod - 2値化方式（'global'以外はImageTracerThresholdを使用）
  * @returns {string} SVGデータ
  */
-function createBWFallbackSVG(canvas, threshold) {
+function createBWFallbackSVG(canvas, threshold, thresholdMethod = 'global') {
   const ctx = canvas.getContext('2d');
   const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
   const data = imgData.data;
   
+  // 固定閾値以外の方式は周囲の明るさなどから2値化する
+  const dark = thresholdMethod !== 'global' && typeof ImageTracerThreshold !== 'undefined' ?
+    ImageTracerThreshold.binarize(imgData, { method: thresholdMethod, alphaThreshold: 1 }) : null;
+  
   // 2値化処理
   for (let i = 0; i < data.length; i += 4) {
     const r = data[i];
@@ -1831,7 +3504,8 @@ function createBWFallbackSVG(canvas, threshold) {
     const brightness = 0.299 * r + 0.587 * g + 0.114 * b;
     
     // 閾値で2値化
-    const value = brightness >= threshold ? 255 : 0;
+    const isDark = dark ? dark[i / 4] === 1 : brightness < threshold;
+    const value = isDark ? 0 : 255;
     data[i] = data[i + 1] = data[i + 2] = value;
   }
   
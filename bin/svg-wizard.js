@@ -0,0 +1,503 @@
+#!/usr/bin/env node
+/**
+ * @module svg-wizard
+ * @description SVG Wizard コマンドラインツール
+ * @version 4.0.0
+ * @license MIT
+ *
+ * 画像ファイルをまとめてSVGに変換します。変換処理はブラウザ版と同じImageTracerEngineを使用し、
+ * オプションは設定パネル（index.html）の各項目に対応しています。
+ *
+ * 使用例:
+ *   node bin/svg-wizard.js convert in/*.png -o out/ --mode color --colors 8 --simplify 0.5 --layers --illustrator
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const ImageTracerEngine = require('../js/core/imagetracer-engine.js');
+const ImageTracerPalette = require('../js/core/imagetracer-palette.js');
+const ImageTracerOptimizer = require('../js/core/imagetracer-optimizer.js');
+const ImageTracerVectorExport = require('../js/core/imagetracer-vector-export.js');
+const ImageTracerPlotterExport = require('../js/core/imagetracer-plotter-export.js');
+const PngDecoder = require('../js/node/png-decoder.js');
+
+const VERSION = '4.0.0';
+
+// --verbose を指定しない場合の詳細ログの出力先（警告のみ表示）
+const QUIET_LOGGER = {
+  log: () => {},
+  warn: (...messages) => console.warn(...messages)
+};
+
+// 終了コード
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+/**
+ * コマンドラインオプションの定義
+ * setting は対応する設定パネルの要素ID、default は設定パネルの初期値です
+ */
+const OPTION_SPECS = [
+  { name: 'mode', setting: 'color-mode', key: 'colorMode', type: 'choice', choices: ['color', 'bw'], default: 'color',
+    description: 'カラーモード（color: カラー, bw: 白黒）' },
+  { name: 'threshold', setting: 'threshold', key: 'threshold', type: 'number', min: 1, max: 255, default: 128,
+    description: '白黒モードの閾値' },
+  { name: 'threshold-method', setting: 'threshold-method', key: 'thresholdMethod', type: 'choice',
+    choices: ['global', 'otsu', 'sauvola', 'niblack', 'adaptive-mean'], default: 'global',
+    description: '白黒モードの2値化方式（global: 固定閾値, otsu: 自動, sauvola・niblack・adaptive-mean: 局所適応）' },
+  { name: 'threshold-window', key: 'thresholdWindow', type: 'number', min: 0, max: 501, default: 0,
+    description: '局所適応の2値化で使用する周囲の範囲（ピクセル、0は自動）' },
+  { name: 'trace-mode', setting: 'trace-mode', key: 'traceMode', type: 'choice', choices: ['outline', 'centerline', 'pixel'],
+    default: 'outline',
+    description: 'トレース方法（outline: 輪郭を塗りつぶす, centerline: 中心線を線で描く（白黒のみ）, pixel: ドット絵の格子に沿った多角形）' },
+  { name: 'pixel-size', setting: 'pixel-size', key: 'pixelSize', type: 'number', min: 0, max: 16, default: 0,
+    description: 'ドット絵モードの1ドットの大きさ（ピクセル、0は自動検出）' },
+  { name: 'colors', setting: 'color-quantization', key: 'colorQuantization', type: 'number', min: 2, max: 30, default: 8,
+    description: 'カラーモードの色数' },
+  { name: 'blur', setting: 'blur-radius', key: 'blurRadius', type: 'number', min: 0, max: 5, default: 0,
+    description: '変換前に適用するぼかしの強さ' },
+  { name: 'simplify', setting: 'simplify', key: 'simplify', type: 'number', min: 0, max: 1, default: 0.5,
+    description: 'パスの単純化レベル' },
+  { name: 'alpha-levels', setting: 'alpha-levels', key: 'alphaLevels', type: 'number', min: 0, max: 16, default: 0,
+    description: '不透明度の段階数（2以上で半透明の部分をfill-opacity付きのレイヤーに分ける、0は使用しない）' },
+  { name: 'stroke-width', setting: 'stroke-width', key: 'strokeWidth', type: 'number', min: 0, max: 5, default: 0,
+    description: 'パスの線の太さ' },
+  { name: 'layers', setting: 'enable-layers', key: 'enableLayers', type: 'boolean', default: false,
+    description: '色ごとのレイヤー分離を有効化' },
+  { name: 'illustrator', setting: 'illustrator-compat', key: 'illustratorCompat', type: 'boolean', default: true,
+    description: 'Illustrator互換のレイヤー構造で出力' },
+  { name: 'photopea', setting: 'photopea-compat', key: 'photopeaCompat', type: 'boolean', default: true,
+    description: 'Photopea互換のレイヤー構造で出力' },
+  { name: 'gapless', setting: 'gapless-layers', key: 'gapless', type: 'boolean', default: false,
+    description: '隣り合う色の境界を共有してトレース（カラーモードのみ）' },
+  { name: 'gradients', setting: 'detect-gradients', key: 'gradients', type: 'boolean', default: false,
+    description: '色がなめらかに変化する領域をグラデーションで塗る（カラーモードのみ）' },
+  { name: 'object-detection', setting: 'object-detection', key: 'objectDetection', type: 'boolean', default: false,
+    description: '物体認識（スーパーピクセルの領域分割と統合）による物体ごとのレイヤー分離（カラーモードのみ）' },
+  { name: 'max-segments', setting: 'max-segments', key: 'maxSegments', type: 'number', min: 2, max: 64, default: 24,
+    description: '物体認識で分ける最大の領域数' },
+  { name: 'quantizer', setting: 'quantizer', key: 'quantizer', type: 'choice', choices: ['kmeans', 'median-cut', 'octree', 'wu'],
+    default: 'kmeans', description: '色量子化方式' },
+  { name: 'color-space', key: 'colorSpace', type: 'choice', choices: ['lab', 'rgb'], default: 'lab',
+    description: '量子化と色の割り当てに使う色空間（lab: CIELABと色差ΔE, rgb: 従来のRGB）' },
+  { name: 'palette', setting: 'palette-colors', key: 'palette', type: 'palette', default: null,
+    description: '使用する色（カンマ区切りのカラーコード、またはSVG/ASE/GPLファイル）' },
+  { name: 'palette-mode', setting: 'palette-mode', key: 'paletteMode', type: 'choice', choices: ['fixed', 'lock'],
+    default: 'fixed', description: 'fixed: 指定した色のみ使用, lock: 指定した色を固定して残りを自動で選択' },
+  { name: 'tracer', key: 'tracer', type: 'choice', choices: ['potrace', 'builtin'], default: 'potrace',
+    description: 'トレース方式（potrace: 同梱のPotrace, builtin: レイヤー生成器の輪郭追跡）' },
+  { name: 'format', setting: 'download-format', key: 'format', type: 'choice', choices: ['svg', 'pdf', 'eps', 'dxf', 'hpgl'],
+    default: 'svg',
+    description: '出力形式（pdf: レイヤーごとのOCG付き, eps: 印刷用のEPS, dxf: DXF R12, hpgl: プロッター用のHPGL）' },
+  { name: 'optimize', setting: 'optimize-svg', key: 'optimize', type: 'boolean', default: true,
+    description: '書き出すSVGを最適化（メタデータの削除、座標の丸め、パスの統合など）' },
+  { name: 'precision', setting: 'svg-precision', key: 'precision', type: 'number', min: 0, max: 6, default: 2,
+    description: '最適化したSVGの座標の小数点以下の桁数' },
+  { name: 'units', setting: 'plotter-units', key: 'plotterUnits', type: 'choice', choices: ['mm', 'inch'], default: 'mm',
+    description: 'DXFの座標の単位（HPGLは常にプロッター単位）' },
+  { name: 'dpi', setting: 'plotter-dpi', key: 'plotterDpi', type: 'number', min: 1, max: 2400, default: 96,
+    description: 'DXF・HPGLの実寸への換算に使う解像度（1インチあたりのピクセル数）' },
+  { name: 'tolerance', setting: 'plotter-tolerance', key: 'plotterTolerance', type: 'number', min: 0.01, max: 5, default: 0.1,
+    description: 'DXF・HPGLで曲線を折れ線にするときの許容誤差（mm）' }
+];
+
+// 使い方の表示で、オプション名の列の幅（これより長いオプション名は説明を次の行に表示する）
+const USAGE_COLUMN_WIDTH = 30;
+
+/**
+ * 使い方の1行（オプション名と説明）を整形します
+ * @private
+ */
+function formatOption(flag, description) {
+  const name = `  ${flag}`;
+  return name.length < USAGE_COLUMN_WIDTH - 1 ?
+    name.padEnd(USAGE_COLUMN_WIDTH) + description :
+    `${name}\n${' '.repeat(USAGE_COLUMN_WIDTH)}${description}`;
+}
+
+/**
+ * 使い方を表示します
+ */
+function printUsage(stream) {
+  const lines = [
+    `SVG Wizard ${VERSION} - 画像をSVGに一括変換します`,
+    '',
+    '使い方:',
+    '  svg-wizard convert <入力ファイルまたはディレクトリ...> [-o <出力ディレクトリ>] [オプション]',
+    '',
+    'オプション:',
+    formatOption('-o, --output <dir>', '出力ディレクトリ（省略時は入力ファイルと同じ場所）')
+  ];
+
+  for (const spec of OPTION_SPECS) {
+    let flag;
+    if (spec.type === 'boolean') {
+      flag = `--[no-]${spec.name}`;
+    } else if (spec.type === 'choice') {
+      flag = `--${spec.name} <${spec.choices.join('|')}>`;
+    } else if (spec.type === 'palette') {
+      flag = `--${spec.name} <colors|file>`;
+    } else {
+      flag = `--${spec.name} <${spec.min}-${spec.max}>`;
+    }
+    lines.push(formatOption(flag, `${spec.description}（初期値: ${spec.default === null ? 'なし' : spec.default}）`));
+  }
+
+  lines.push(
+    formatOption('--verbose', '変換処理の詳細ログを表示'),
+    formatOption('-h, --help', 'この使い方を表示'),
+    formatOption('-v, --version', 'バージョンを表示'),
+    '',
+    '設定パネルの要素ID（--color-quantization など）もオプション名として使用できます。',
+    '入力はPNGファイルのみ対応しています（JPEGなどの画像はPNGに変換してから指定してください）。',
+    '入力にディレクトリを指定した場合は、その中のPNGファイルをすべて変換します。'
+  );
+
+  stream.write(lines.join('\n') + '\n');
+}
+
+/**
+ * オプション名から定義を検索します
+ * @private
+ */
+function findSpec(name) {
+  return OPTION_SPECS.find(spec => spec.name === name || spec.setting === name);
+}
+
+/**
+ * オプション値を検証して変換します
+ * @private
+ */
+function parseValue(spec, rawValue) {
+  if (spec.type === 'boolean') {
+    if (rawValue === undefined || rawValue === 'true') return true;
+    if (rawValue === 'false') return false;
+    throw new Error(`--${spec.name} には true または false を指定してください: ${rawValue}`);
+  }
+
+  if (rawValue === undefined) {
+    throw new Error(`--${spec.name} には値が必要です`);
+  }
+
+  if (spec.type === 'choice') {
+    if (!spec.choices.includes(rawValue)) {
+      throw new Error(`--${spec.name} には ${spec.choices.join(', ')} のいずれかを指定してください: ${rawValue}`);
+    }
+    return rawValue;
+  }
+
+  if (spec.type === 'palette') {
+    return loadPalette(spec, rawValue);
+  }
+
+  const value = Number(rawValue);
+  if (rawValue === '' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+    throw new Error(`--${spec.name} には ${spec.min}〜${spec.max} の数値を指定してください: ${rawValue}`);
+  }
+  return value;
+}
+
+/**
+ * --palette の値をカラーコードの配列に変換します
+ * 既存のファイルを指定した場合は拡張子に応じて読み込み、それ以外はカラーコードの一覧として解析します
+ * @private
+ */
+function loadPalette(spec, rawValue) {
+  let palette;
+
+  try {
+    palette = fs.existsSync(rawValue) && fs.statSync(rawValue).isFile() ?
+      ImageTracerPalette.parsePaletteFile(rawValue, fs.readFileSync(rawValue)) :
+      ImageTracerPalette.parseHexList(rawValue);
+  } catch (error) {
+    throw new Error(`--${spec.name} を読み込めません: ${error.message}`);
+  }
+
+  if (palette.length === 0) {
+    throw new Error(`--${spec.name} に色が含まれていません: ${rawValue}`);
+  }
+
+  return palette.map(color => color.hex);
+}
+
+/**
+ * コマンドライン引数を解析します
+ * @param {Array<string>} argv - コマンドライン引数（node とスクリプト名を除く）
+ * @returns {Object} 解析結果 {command, inputs, outputDir, options, verbose, help, version}
+ */
+function parseArgs(argv) {
+  const result = {
+    command: null,
+    inputs: [],
+    outputDir: null,
+    options: {},
+    verbose: false,
+    help: false,
+    version: false
+  };
+
+  for (const spec of OPTION_SPECS) {
+    result.options[spec.key] = spec.default;
+  }
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '-h' || arg === '--help') {
+      result.help = true;
+    } else if (arg === '-v' || arg === '--version') {
+      result.version = true;
+    } else if (arg === '--verbose') {
+      result.verbose = true;
+    } else if (arg === '-o' || arg === '--output' || arg.startsWith('--output=')) {
+      const value = arg.startsWith('--output=') ? arg.slice('--output='.length) : argv[++i];
+      if (!value) throw new Error('出力ディレクトリを指定してください');
+      result.outputDir = value;
+    } else if (arg.startsWith('--')) {
+      const [flag, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+      const negated = flag.startsWith('no-') && !findSpec(flag);
+      const spec = findSpec(negated ? flag.slice(3) : flag);
+
+      if (!spec) {
+        throw new Error(`不明なオプションです: ${arg}`);
+      }
+
+      if (negated) {
+        if (spec.type !== 'boolean') throw new Error(`不明なオプションです: ${arg}`);
+        result.options[spec.key] = false;
+      } else if (spec.type === 'boolean') {
+        result.options[spec.key] = parseValue(spec, inlineValue);
+      } else {
+        result.options[spec.key] = parseValue(spec, inlineValue !== undefined ? inlineValue : argv[++i]);
+      }
+    } else if (!result.command) {
+      result.command = arg;
+    } else {
+      result.inputs.push(arg);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 入力引数を変換対象のファイル一覧に展開します
+ * ディレクトリはその直下のPNGファイルに展開します（同じファイルを重ねて指定した場合は1回だけ変換します）
+ * @private
+ */
+function expandInputs(inputs) {
+  const files = [];
+  const seen = new Set();
+  const add = filePath => {
+    if (seen.has(path.resolve(filePath))) return;
+    seen.add(path.resolve(filePath));
+    files.push({ path: filePath });
+  };
+
+  for (const input of inputs) {
+    let stat;
+    try {
+      stat = fs.statSync(input);
+    } catch (error) {
+      files.push({ path: input, error: new Error('ファイルが見つかりません') });
+      continue;
+    }
+
+    if (stat.isDirectory()) {
+      fs.readdirSync(input)
+        .filter(name => path.extname(name).toLowerCase() === '.png')
+        .sort()
+        .forEach(name => add(path.join(input, name)));
+    } else {
+      add(input);
+    }
+  }
+
+  return files;
+}
+
+// PNG以外の主な画像形式の先頭のバイト列（未対応の形式を分かりやすく伝えるため）
+const IMAGE_SIGNATURES = [
+  { name: 'JPEG', test: buffer => buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { name: 'GIF', test: buffer => buffer.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { name: 'WebP', test: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' &&
+    buffer.subarray(8, 12).toString('latin1') === 'WEBP' },
+  { name: 'BMP', test: buffer => buffer.subarray(0, 2).toString('latin1') === 'BM' }
+];
+
+/**
+ * 入力ファイルに対応する出力ファイルのパスを求めます
+ * @param {string} inputPath - 入力ファイルのパス
+ * @param {string|null} outputDir - 出力ディレクトリ（nullの場合は入力ファイルと同じ場所）
+ * @param {string} format - 出力形式（'svg', 'pdf', 'eps', 'dxf', 'hpgl'）
+ * @returns {string} 出力ファイルのパス
+ */
+function outputPathFor(inputPath, outputDir, format) {
+  const exporter = format === 'dxf' || format === 'hpgl' ? ImageTracerPlotterExport : ImageTracerVectorExport;
+  const extension = format && format !== 'svg' ? exporter.FORMATS[format].extension : '.svg';
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  return path.join(outputDir || path.dirname(inputPath), baseName + extension);
+}
+
+/**
+ * 出力先が同じになる入力ファイル（別のディレクトリにある同じ名前のファイルなど）を探します
+ * @returns {Array<Object>} 重複 [{outputPath, inputs: 入力ファイルのパスの配列}]
+ * @private
+ */
+function findOutputConflicts(files, outputDir, format) {
+  const inputsByOutput = new Map();
+
+  for (const file of files) {
+    if (file.error) continue;
+
+    const outputPath = path.resolve(outputPathFor(file.path, outputDir, format));
+    inputsByOutput.set(outputPath, (inputsByOutput.get(outputPath) || []).concat([file.path]));
+  }
+
+  return Array.from(inputsByOutput)
+    .filter(([, inputs]) => inputs.length > 1)
+    .map(([outputPath, inputs]) => ({ outputPath: outputPath, inputs: inputs }));
+}
+
+/**
+ * 1つの画像ファイルをSVG（またはPDF・EPS・DXF・HPGL）に変換して保存します
+ * @param {string} inputPath - 入力ファイルのパス
+ * @param {string|null} outputDir - 出力ディレクトリ
+ * @param {Object} options - 変換オプション（logger に詳細ログの出力先を指定できます）
+ * @returns {Object} 変換結果 {outputPath, layerCount, bytes}
+ */
+function convertFile(inputPath, outputDir, options) {
+  const buffer = fs.readFileSync(inputPath);
+
+  if (!PngDecoder.isPNG(buffer)) {
+    const known = IMAGE_SIGNATURES.find(signature => signature.test(buffer));
+    throw new Error(`${known ? `${known.name}形式の画像` : '未対応の画像形式'}です（PNGのみ対応しています。PNGに変換してから指定してください）`);
+  }
+
+  const pixels = PngDecoder.decode(buffer);
+  const result = ImageTracerEngine.convert(pixels, options);
+  const baseName = path.basename(inputPath, path.extname(inputPath));
+  let data;
+
+  if (options.format === 'dxf' || options.format === 'hpgl') {
+    data = ImageTracerPlotterExport.convert(result.svgData, options.format, {
+      units: options.plotterUnits,
+      dpi: options.plotterDpi,
+      tolerance: options.plotterTolerance
+    }).data;
+  } else if (options.format && options.format !== 'svg') {
+    data = ImageTracerVectorExport.convert(result.svgData, options.format, { title: baseName }).data;
+  } else {
+    data = options.optimize ?
+      ImageTracerOptimizer.optimize(result.svgData, { precision: options.precision }).svgData :
+      result.svgData;
+  }
+
+  const outputPath = outputPathFor(inputPath, outputDir, options.format);
+  fs.writeFileSync(outputPath, data);
+
+  return {
+    outputPath: outputPath,
+    layerCount: result.layers.length,
+    bytes: Buffer.byteLength(data)
+  };
+}
+
+/**
+ * convertコマンドを実行します
+ * @returns {number} 終了コード
+ * @private
+ */
+function runConvert(args) {
+  if (args.inputs.length === 0) {
+    process.stderr.write('エラー: 入力ファイルを指定してください\n\n');
+    printUsage(process.stderr);
+    return EXIT_USAGE;
+  }
+
+  const files = expandInputs(args.inputs);
+  let failures = 0;
+
+  if (files.length === 0) {
+    process.stderr.write('エラー: 変換対象のPNGファイルが見つかりません\n');
+    return EXIT_FAILURE;
+  }
+
+  // 出力先が同じになるファイルがあると上書きし合うため、変換を始める前に中止する
+  const conflicts = findOutputConflicts(files, args.outputDir, args.options.format);
+  if (conflicts.length > 0) {
+    conflicts.forEach(conflict => {
+      process.stderr.write(`エラー: 出力ファイル名が重複します: ${conflict.outputPath} ← ${conflict.inputs.join(', ')}\n`);
+    });
+    process.stderr.write('同じ名前の入力ファイルは、ファイル名を変えるか別々に変換してください\n');
+    return EXIT_USAGE;
+  }
+
+  if (args.outputDir) {
+    fs.mkdirSync(args.outputDir, { recursive: true });
+  }
+
+  // 変換処理の詳細ログは --verbose 指定時のみ表示する（警告は常に表示）
+  const options = Object.assign({}, args.options, { logger: args.verbose ? console : QUIET_LOGGER });
+
+  for (const file of files) {
+    try {
+      if (file.error) throw file.error;
+
+      const result = convertFile(file.path, args.outputDir, options);
+      process.stdout.write(
+        `変換: ${file.path} → ${result.outputPath}（レイヤー ${result.layerCount}、${(result.bytes / 1024).toFixed(1)} KB）\n`
+      );
+    } catch (error) {
+      failures++;
+      process.stderr.write(`失敗: ${file.path}: ${error.message}\n`);
+    }
+  }
+
+  process.stdout.write(`完了: ${files.length - failures}件成功、${failures}件失敗\n`);
+
+  return failures > 0 ? EXIT_FAILURE : EXIT_OK;
+}
+
+/**
+ * CLIのエントリーポイント
+ * @param {Array<string>} argv - コマンドライン引数（node とスクリプト名を除く）
+ * @returns {number} 終了コード
+ */
+function main(argv) {
+  let args;
+
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    process.stderr.write(`エラー: ${error.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  if (args.version) {
+    process.stdout.write(VERSION + '\n');
+    return EXIT_OK;
+  }
+
+  if (args.help || !args.command) {
+    printUsage(args.help ? process.stdout : process.stderr);
+    return args.help ? EXIT_OK : EXIT_USAGE;
+  }
+
+  if (args.command !== 'convert') {
+    process.stderr.write(`エラー: 不明なコマンドです: ${args.command}\n\n`);
+    printUsage(process.stderr);
+    return EXIT_USAGE;
+  }
+
+  return runConvert(args);
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main: main, parseArgs: parseArgs, convertFile: convertFile };
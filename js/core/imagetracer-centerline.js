@@ -0,0 +1,388 @@
+/**
+ * @module ImageTracerCenterline
+ * @description 線画の中心線（スケルトン）を求めるモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 2値化した線画を細線化し、線の中心を通る開いた折れ線の集まりに変換します。
+ * スケッチ・サイン・図面などを、輪郭の塗りではなく線（stroke）として編集できるようにするためのものです。
+ *
+ * 処理の流れ:
+ *   1. 距離変換で各ピクセルから背景までの距離を求め、線幅を推定する
+ *   2. Zhang-Suen法で1ピクセル幅に細線化する
+ *   3. 隣り合う分岐点のピクセルを1つの分岐点にまとめ、端点・分岐点の間をたどって折れ線
+ *      （分岐点のない輪は閉じた折れ線）にする
+ *   4. 線幅より短いひげ（端点から分岐点までの短い枝）を取り除く
+ *   5. 折れ線の端を分岐点の中心に合わせ、ピクセルの階段状のがたつきを滑らかにする
+ *
+ * 使用例:
+ *   const { lines, strokeWidth } = ImageTracerCenterline.trace(mask, width, height);
+ *   // lines: [{points: [{x, y}, ...], closed}]（座標はピクセルの中心）
+ */
+
+// ImageTracerCenterlineを定義
+const ImageTracerCenterline = (function() {
+  'use strict';
+
+  /**
+   * 中心線抽出オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    spurLength: null,  // これより短いひげを取り除く（nullの場合は推定した線幅）
+    smoothing: 2       // 折れ線を滑らかにする回数（0の場合はピクセルの中心を通る折れ線のまま）
+  };
+
+  /**
+   * 2値マスクの各ピクセルから最も近い背景ピクセルまでの距離を求めます
+   * （1と√2の重みによる2パスの面取り距離変換。画像の外側は背景として扱います）
+   * @param {Uint8Array} mask - 2値マスク（1が線）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @returns {Float32Array} 距離（背景は0、背景に接する線のピクセルは1）
+   */
+  function distanceTransform(mask, width, height) {
+    const dist = new Float32Array(width * height);
+    const DIAGONAL = Math.SQRT2;
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : dist[y * width + x]);
+
+    for (let i = 0; i < dist.length; i++) {
+      dist[i] = mask[i] ? Infinity : 0;
+    }
+
+    // 左上から右下へ
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        if (dist[i] === 0) continue;
+
+        dist[i] = Math.min(dist[i],
+          at(x - 1, y) + 1, at(x, y - 1) + 1,
+          at(x - 1, y - 1) + DIAGONAL, at(x + 1, y - 1) + DIAGONAL);
+      }
+    }
+
+    // 右下から左上へ
+    for (let y = height - 1; y >= 0; y--) {
+      for (let x = width - 1; x >= 0; x--) {
+        const i = y * width + x;
+        if (dist[i] === 0) continue;
+
+        dist[i] = Math.min(dist[i],
+          at(x + 1, y) + 1, at(x, y + 1) + 1,
+          at(x + 1, y + 1) + DIAGONAL, at(x - 1, y + 1) + DIAGONAL);
+      }
+    }
+
+    return dist;
+  }
+
+  /**
+   * Zhang-Suen法で2値マスクを1ピクセル幅に細線化します
+   * @param {Uint8Array} mask - 2値マスク（1が線）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @returns {Uint8Array} 細線化したマスク
+   */
+  function thin(mask, width, height) {
+    const skeleton = Uint8Array.from(mask, value => (value ? 1 : 0));
+    const at = (x, y) => (x < 0 || y < 0 || x >= width || y >= height ? 0 : skeleton[y * width + x]);
+    let candidates = [];
+
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) candidates.push(i);
+    }
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+
+      for (let step = 0; step < 2; step++) {
+        const removals = [];
+
+        for (const i of candidates) {
+          if (!skeleton[i]) continue;
+
+          const x = i % width;
+          const y = (i - x) / width;
+          // 上から時計回りの8近傍 P2〜P9
+          const p = [
+            at(x, y - 1), at(x + 1, y - 1), at(x + 1, y), at(x + 1, y + 1),
+            at(x, y + 1), at(x - 1, y + 1), at(x - 1, y), at(x - 1, y - 1)
+          ];
+
+          const count = p[0] + p[1] + p[2] + p[3] + p[4] + p[5] + p[6] + p[7];
+          if (count < 2 || count > 6) continue;
+
+          let transitions = 0;
+          for (let k = 0; k < 8; k++) {
+            if (p[k] === 0 && p[(k + 1) % 8] === 1) transitions++;
+          }
+          if (transitions !== 1) continue;
+
+          if (step === 0) {
+            if (p[0] * p[2] * p[4] !== 0 || p[2] * p[4] * p[6] !== 0) continue;
+          } else if (p[0] * p[2] * p[6] !== 0 || p[0] * p[4] * p[6] !== 0) {
+            continue;
+          }
+
+          removals.push(i);
+        }
+
+        for (const i of removals) {
+          skeleton[i] = 0;
+        }
+        if (removals.length > 0) changed = true;
+      }
+
+      candidates = candidates.filter(i => skeleton[i]);
+    }
+
+    return skeleton;
+  }
+
+  /**
+   * 細線の各ピクセルの隣接ピクセルを返します
+   * 斜めの隣接は、間にある上下左右のピクセルがどちらも空の場合だけ数えます
+   * （階段状の細線で余分な分岐ができないようにするため）
+   * @private
+   */
+  function neighborsOf(skeleton, width, height, i) {
+    const x = i % width;
+    const y = (i - x) / width;
+    const on = (nx, ny) => nx >= 0 && ny >= 0 && nx < width && ny < height && skeleton[ny * width + nx] === 1;
+    const result = [];
+
+    if (on(x + 1, y)) result.push(i + 1);
+    if (on(x - 1, y)) result.push(i - 1);
+    if (on(x, y + 1)) result.push(i + width);
+    if (on(x, y - 1)) result.push(i - width);
+
+    for (const [dx, dy] of [[1, 1], [1, -1], [-1, 1], [-1, -1]]) {
+      if (on(x + dx, y + dy) && !on(x + dx, y) && !on(x, y + dy)) {
+        result.push(i + dy * width + dx);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 細線を端点・分岐点の間の折れ線に分けます
+   * 線が交わる所では分岐点のピクセルが2×2などのかたまりになるため、隣り合う分岐点のピクセル
+   * （と、かたまりの中だけをつなぐピクセル）を1つの分岐点にまとめ、かたまりの中の短い折れ線は作りません
+   * @param {Uint8Array} skeleton - 細線化したマスク
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @returns {Array} 折れ線 [{pixels: ピクセル番号の配列, closed, startDegree, endDegree, startNode, endNode}]
+   *   （startNode・endNode は端が分岐点の場合の分岐点 {x, y, degree}（かたまりのピクセルの中心の平均）、それ以外はnull）
+   * @private
+   */
+  function traceSkeleton(skeleton, width, height) {
+    const neighbors = new Map();
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) neighbors.set(i, neighborsOf(skeleton, width, height, i));
+    }
+
+    const visited = new Set();
+    const edgeKey = (a, b) => (a < b ? a * skeleton.length + b : b * skeleton.length + a);
+    const degree = i => neighbors.get(i).length;
+    const chains = [];
+
+    // 隣り合う分岐点のピクセルを1つの分岐点にまとめる
+    const nodeOf = new Map();
+    for (const [i, list] of neighbors) {
+      if (list.length < 3 || nodeOf.has(i)) continue;
+
+      const node = { x: 0, y: 0, degree: 0 };
+      const members = [i];
+      nodeOf.set(i, node);
+      for (let k = 0; k < members.length; k++) {
+        for (const n of neighbors.get(members[k])) {
+          if (!nodeOf.has(n) && degree(n) >= 3) {
+            nodeOf.set(n, node);
+            members.push(n);
+          }
+        }
+      }
+
+      // 両隣がかたまりの中にあるピクセルもかたまりに含める
+      for (let k = 0; k < members.length; k++) {
+        for (const n of neighbors.get(members[k])) {
+          if (!nodeOf.has(n) && degree(n) === 2 && neighbors.get(n).every(m => nodeOf.get(m) === node)) {
+            nodeOf.set(n, node);
+            members.push(n);
+          }
+        }
+      }
+
+      for (const member of members) {
+        const x = member % width;
+        node.x += x + 0.5;
+        node.y += (member - x) / width + 0.5;
+        node.degree += neighbors.get(member).filter(n => nodeOf.get(n) !== node).length;
+      }
+      node.x /= members.length;
+      node.y /= members.length;
+    }
+
+    const walk = (start, next) => {
+      const pixels = [start, next];
+      visited.add(edgeKey(start, next));
+
+      let prev = start;
+      let current = next;
+
+      while (degree(current) === 2 && !nodeOf.has(current) && current !== start) {
+        const following = neighbors.get(current).find(n => n !== prev && !visited.has(edgeKey(current, n)));
+        if (following === undefined) break;
+
+        visited.add(edgeKey(current, following));
+        pixels.push(following);
+        prev = current;
+        current = following;
+      }
+
+      return pixels;
+    };
+
+    // 端点・分岐点から始まる枝
+    for (const [i, list] of neighbors) {
+      if (list.length === 2 && !nodeOf.has(i)) continue;
+
+      if (list.length === 0) {
+        // 孤立した点
+        chains.push({ pixels: [i, i], closed: false, startDegree: 0, endDegree: 0, startNode: null, endNode: null });
+        continue;
+      }
+
+      const node = nodeOf.get(i) || null;
+      for (const n of list) {
+        if (visited.has(edgeKey(i, n)) || node && nodeOf.get(n) === node) continue;
+
+        const pixels = walk(i, n);
+        const endNode = nodeOf.get(pixels[pixels.length - 1]) || null;
+        chains.push({
+          pixels: pixels,
+          closed: false,
+          startDegree: node ? node.degree : list.length,
+          endDegree: endNode ? endNode.degree : degree(pixels[pixels.length - 1]),
+          startNode: node,
+          endNode: endNode
+        });
+      }
+    }
+
+    // 分岐のない輪
+    for (const [i, list] of neighbors) {
+      if (list.length !== 2 || nodeOf.has(i) || visited.has(edgeKey(i, list[0]))) continue;
+
+      const pixels = walk(i, list[0]);
+      if (pixels[pixels.length - 1] === i) pixels.pop();
+      chains.push({ pixels: pixels, closed: true, startDegree: 2, endDegree: 2, startNode: null, endNode: null });
+    }
+
+    return chains;
+  }
+
+  /**
+   * 折れ線の各点を前後の点との重み付き平均（1:2:1）で滑らかにします
+   * 細線のピクセルの階段状のがたつきを抑えるためのもので、開いた折れ線の両端は動かしません
+   * @param {Array} points - 点の配列
+   * @param {boolean} closed - 閉じた折れ線の場合はtrue
+   * @param {number} iterations - 繰り返す回数
+   * @returns {Array} 滑らかにした点の配列
+   * @private
+   */
+  function smoothPoints(points, closed, iterations) {
+    const count = points.length;
+    if (count < 3) return points;
+
+    let current = points;
+    for (let k = 0; k < iterations; k++) {
+      current = current.map((point, i) => {
+        if (!closed && (i === 0 || i === count - 1)) return point;
+
+        const prev = current[(i - 1 + count) % count];
+        const next = current[(i + 1) % count];
+        return { x: (prev.x + 2 * point.x + next.x) / 4, y: (prev.y + 2 * point.y + next.y) / 4 };
+      });
+    }
+
+    return current;
+  }
+
+  /**
+   * 細線上の距離から線幅を推定します（中央値）
+   * @param {Float32Array} dist - 距離変換の結果
+   * @param {Uint8Array} skeleton - 細線化したマスク
+   * @returns {number} 推定した線幅（ピクセル）
+   */
+  function estimateStrokeWidth(dist, skeleton) {
+    const widths = [];
+    for (let i = 0; i < skeleton.length; i++) {
+      if (skeleton[i]) widths.push(dist[i] * 2 - 1);
+    }
+
+    if (widths.length === 0) return 1;
+
+    widths.sort((a, b) => a - b);
+    const median = widths[Math.floor(widths.length / 2)];
+    return Math.max(1, Math.round(median * 10) / 10);
+  }
+
+  /**
+   * 2値マスクの中心線を求めます
+   * @param {Uint8Array} mask - 2値マスク（1が線）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} options - オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 中心線 {lines: [{points: [{x, y}], closed}], strokeWidth: 推定した線幅}
+   */
+  function trace(mask, width, height, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    const dist = distanceTransform(mask, width, height);
+    const skeleton = thin(mask, width, height);
+    const strokeWidth = estimateStrokeWidth(dist, skeleton);
+    const spurLength = settings.spurLength !== null ? settings.spurLength : strokeWidth;
+
+    const lines = traceSkeleton(skeleton, width, height)
+      .filter(chain => {
+        // 端点と分岐点を結ぶ短い枝は、線の太さによるひげとして取り除く
+        const isSpur = (chain.startDegree === 1 && chain.endDegree > 2) ||
+          (chain.endDegree === 1 && chain.startDegree > 2);
+        return !isSpur || chain.pixels.length - 1 >= spurLength;
+      })
+      .map(chain => {
+        const points = chain.pixels.map(i => {
+          const x = i % width;
+          return { x: x + 0.5, y: (i - x) / width + 0.5 };
+        });
+
+        // 分岐点につながる端は、まとめた分岐点の中心に合わせる
+        if (chain.startNode) points[0] = { x: chain.startNode.x, y: chain.startNode.y };
+        if (chain.endNode) points[points.length - 1] = { x: chain.endNode.x, y: chain.endNode.y };
+
+        return { points: smoothPoints(points, chain.closed, settings.smoothing), closed: chain.closed };
+      });
+
+    return { lines: lines, strokeWidth: strokeWidth };
+  }
+
+  // 公開API
+  return {
+    trace: trace,
+    thin: thin,
+    distanceTransform: distanceTransform,
+    estimateStrokeWidth: estimateStrokeWidth,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerCenterline;
+} else {
+  globalThis.ImageTracerCenterline = ImageTracerCenterline;
+}
@@ -9,8 +9,8 @@
  * 高度な物体認識とセグメンテーションによる効果的なレイヤー分離を実現します。
  */
 
-// グローバル名前空間にImageTracerCoreを定義
-window.ImageTracerCore = (function() {
+// ImageTracerCoreを定義（DOMに依存しない関数はNode.jsからも利用可能）
+const ImageTracerCore = (function() {
   'use strict';
   
   /**
@@ -318,9 +318,10 @@ window.ImageTracerCore = (function() {
    * 画像の色を量子化します
    * @param {ImageData} imageData - 画像データ
    * @param {number} colorCount - 量子化する色の数
+   * @param {Object} logger - 処理の詳細ログの出力先（log・warnを持つオブジェクト、省略時はconsole）
    * @returns {Array} 量子化された色の配列 [[R, G, B], ...]
    */
-  function quantizeColors(imageData, colorCount) {
+  function quantizeColors(imageData, colorCount, logger = console) {
     try {
       // 色の数が2未満の場合は修正
       colorCount = Math.max(2, Math.min(64, colorCount));
@@ -328,7 +329,7 @@ window.ImageTracerCore = (function() {
       // 処理するピクセル数が多すぎる場合は警告
       const totalPixels = imageData.width * imageData.height;
       if (totalPixels > 1000000) {
-        console.warn(`大きな画像（${imageData.width}x${imageData.height}）の色量子化を行います。処理に時間がかかる場合があります。`);
+        logger.warn(`大きな画像（${imageData.width}x${imageData.height}）の色量子化を行います。処理に時間がかかる場合があります。`);
       }
       
       // 色の数をビット深度に変換（2^n = colorCount）
@@ -363,7 +364,7 @@ window.ImageTracerCore = (function() {
           sampledPixels.push(pixels[i]);
         }
         
-        console.log(`量子化のためのピクセルサンプリング: ${pixels.length} → ${sampledPixels.length}ピクセル`);
+        logger.log(`量子化のためのピクセルサンプリング: ${pixels.length} → ${sampledPixels.length}ピクセル`);
       }
       
       // 色空間を分割して量子化
@@ -401,171 +402,6 @@ window.ImageTracerCore = (function() {
     </svg>`;
   }
   
-  /**
-   * 高度な物体認識のためのエッジ検出を行います
-   * @param {ImageData} imageData - 画像データ
-   * @param {number} threshold - エッジ検出の閾値（0-255）
-   * @returns {Uint8Array} エッジデータ
-   */
-  function detectEdges(imageData, threshold = 30) {
-    const { width, height, data } = imageData;
-    const edgeData = new Uint8Array(width * height);
-    const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-    const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-    
-    // グレースケールに変換
-    const gray = new Uint8Array(width * height);
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = (y * width + x) * 4;
-        // 輝度変換（人間の視覚に合わせた重み付け）
-        gray[y * width + x] = Math.round(
-          data[idx] * 0.299 + data[idx + 1] * 0.587 + data[idx + 2] * 0.114
-        );
-      }
-    }
-    
-    // Sobelフィルタでエッジ検出
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        let gx = 0, gy = 0;
-        let idx = 0;
-        
-        // 3x3カーネルの適用
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            const pixel = gray[(y + ky) * width + (x + kx)];
-            gx += pixel * sobelX[idx];
-            gy += pixel * sobelY[idx];
-            idx++;
-          }
-        }
-        
-        // エッジの強度を計算
-        const g = Math.sqrt(gx * gx + gy * gy);
-        
-        // 閾値との比較
-        edgeData[y * width + x] = g > threshold ? 255 : 0;
-      }
-    }
-    
-    return edgeData;
-  }
-  
-  /**
-   * 物体のセグメンテーションを行います（Watershed法）
-   * @param {ImageData} imageData - 画像データ
-   * @param {Uint8Array} edgeData - エッジデータ
-   * @param {number} minSize - 最小セグメントサイズ
-   * @returns {Int32Array} セグメント番号の配列
-   */
-  function segmentImage(imageData, edgeData, minSize = 100) {
-    const { width, height } = imageData;
-    const segments = new Int32Array(width * height).fill(-1);
-    let nextLabel = 0;
-    
-    // フラッドフィル用のキュー
-    const queue = [];
-    
-    // 画像全体をスキャン
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        
-        // 未処理かつエッジでない場所を検索
-        if (segments[idx] === -1 && edgeData[idx] === 0) {
-          // 新しいセグメントを開始
-          const label = nextLabel++;
-          queue.push([x, y]);
-          segments[idx] = label;
-          
-          // セグメントサイズを記録
-          let size = 1;
-          
-          // フラッドフィル
-          while (queue.length > 0) {
-            const [cx, cy] = queue.shift();
-            
-            // 近傍8ピクセルをチェック
-            for (let dy = -1; dy <= 1; dy++) {
-              for (let dx = -1; dx <= 1; dx++) {
-                if (dx === 0 && dy === 0) continue;
-                
-                const nx = cx + dx;
-                const ny = cy + dy;
-                
-                // 画像の範囲内かチェック
-                if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
-                  const nidx = ny * width + nx;
-                  
-                  // 未処理かつエッジでない場所を同じセグメントに追加
-                  if (segments[nidx] === -1 && edgeData[nidx] === 0) {
-                    segments[nidx] = label;
-                    queue.push([nx, ny]);
-                    size++;
-                  }
-                }
-              }
-            }
-          }
-          
-          // 小さすぎるセグメントを削除（ノイズ除去）
-          if (size < minSize) {
-            for (let i = 0; i < segments.length; i++) {
-              if (segments[i] === label) {
-                segments[i] = -1;
-              }
-            }
-            nextLabel--; // ラベルを再利用
-          }
-        }
-      }
-    }
-    
-    // 未処理の部分（エッジ）に最も近いセグメントを割り当て
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        if (segments[idx] === -1) {
-          let bestLabel = -1;
-          let minDist = Infinity;
-          
-          // 近接セグメントを検索（単純な実装）
-          for (let r = 1; r < 5 && bestLabel === -1; r++) {
-            for (let dy = -r; dy <= r; dy++) {
-              for (let dx = -r; dx <= r; dx++) {
-                if (Math.abs(dx) + Math.abs(dy) > r) continue;
-                
-                const nx = x + dx;
-                const ny = y + dy;
-                
-                if (nx >= 0 && ny >= 0 && nx < width && ny < height) {
-                  const nidx = ny * width + nx;
-                  if (segments[nidx] >= 0) {
-                    const dist = dx * dx + dy * dy;
-                    if (dist < minDist) {
-                      minDist = dist;
-                      bestLabel = segments[nidx];
-                    }
-                  }
-                }
-              }
-            }
-          }
-          
-          if (bestLabel >= 0) {
-            segments[idx] = bestLabel;
-          } else {
-            // 見つからない場合は新しいセグメントを作成
-            segments[idx] = nextLabel++;
-          }
-        }
-      }
-    }
-    
-    return { segments, count: nextLabel };
-  }
-  
   /**
    * セグメントの色を計算します
    * @param {ImageData} imageData - 画像データ
@@ -607,100 +443,6 @@ window.ImageTracerCore = (function() {
     return colors;
   }
   
-  /**
-   * セグメントごとにマスク画像を生成します
-   * @param {Int32Array} segments - セグメント番号の配列
-   * @param {number} width - 画像の幅
-   * @param {number} height - 画像の高さ
-   * @param {number} segmentId - セグメントID
-   * @returns {ImageData} マスク画像データ
-   */
-  function createSegmentMask(segments, width, height, segmentId) {
-    const maskData = new Uint8ClampedArray(width * height * 4);
-    
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
-        const dataIdx = idx * 4;
-        
-        if (segments[idx] === segmentId) {
-          // セグメントに含まれる場合は黒（トレース対象）
-          maskData[dataIdx] = 0;
-          maskData[dataIdx + 1] = 0;
-          maskData[dataIdx + 2] = 0;
-          maskData[dataIdx + 3] = 255;
-        } else {
-          // セグメントに含まれない場合は白（背景）
-          maskData[dataIdx] = 255;
-          maskData[dataIdx + 1] = 255;
-          maskData[dataIdx + 2] = 255;
-          maskData[dataIdx + 3] = 255;
-        }
-      }
-    }
-    
-    const maskImageData = new ImageData(maskData, width, height);
-    return maskImageData;
-  }
-  
-  /**
-   * 物体認識ベースの高度な色抽出を行います
-   * @param {ImageData} imageData - 画像データ
-   * @param {Object} options - 処理オプション
-   * @returns {Object} セグメント情報と色情報
-   */
-  function extractObjectsWithColors(imageData, options = {}) {
-    const { width, height } = imageData;
-    
-    // オプションの初期化
-    const edgeThreshold = options.edgeThreshold || 30;
-    const minSegmentSize = options.minSegmentSize || 100;
-    const maxSegments = options.maxSegments || 32;
-    
-    // エッジ検出
-    const edgeData = detectEdges(imageData, edgeThreshold);
-    
-    // セグメンテーション
-    const { segments, count } = segmentImage(imageData, edgeData, minSegmentSize);
-    
-    // セグメントの色を計算
-    let colors = calculateSegmentColors(imageData, segments, count);
-    
-    // セグメント情報を保持
-    const segmentInfo = [];
-    
-    for (let i = 0; i < count; i++) {
-      if (colors[i].count > 0) {
-        segmentInfo.push({
-          id: i,
-          color: {
-            r: colors[i].r,
-            g: colors[i].g,
-            b: colors[i].b,
-            a: colors[i].a
-          },
-          size: colors[i].count,
-          hex: rgbToHex(colors[i].r, colors[i].g, colors[i].b)
-        });
-      }
-    }
-    
-    // サイズ順にソート（大きいものを優先）
-    segmentInfo.sort((a, b) => b.size - a.size);
-    
-    // 最大数に制限
-    if (segmentInfo.length > maxSegments) {
-      segmentInfo.length = maxSegments;
-    }
-    
-    return {
-      width,
-      height,
-      segments,
-      segmentInfo
-    };
-  }
-  
   /**
    * RGB値を16進数表記に変換します
    * @param {number} r - 赤成分（0-255）
@@ -844,17 +586,33 @@ window.ImageTracerCore = (function() {
     return attributes;
   }
   
+  /**
+   * ImageTracerEngineモジュールを取得します
+   * @private
+   */
+  function getEngine() {
+    if (typeof globalThis.ImageTracerEngine !== 'undefined') {
+      return globalThis.ImageTracerEngine;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-engine.js');
+    }
+
+    throw new Error('ImageTracerEngineモジュールが読み込まれていません');
+  }
+  
   /**
    * 物体認識ベースのSVGを生成します
+   * ImageTracerSegmentation（SLICスーパーピクセル＋領域隣接グラフの統合）で物体ごとの領域に分け、
+   * 領域ごとに1つのレイヤーとしてImageTracerEngineでトレースします
    * @param {ImageData} imageData - 処理する画像データ
-   * @param {Object} options - 変換オプション
+   * @param {Object} options - 変換オプション（ImageTracerEngineのオプション。maxSegments で最大の領域数を指定）
    * @returns {Object} SVGデータとレイヤー情報を含むオブジェクト
    */
   function generateObjectBasedSVG(imageData, options = {}) {
     // デフォルトオプション
     const defaults = {
-      edgeThreshold: 30,
-      minSegmentSize: 100,
       maxSegments: 24,
       simplify: 0.5,
       photopeaCompat: true,
@@ -866,144 +624,22 @@ window.ImageTracerCore = (function() {
     options = Object.assign({}, defaults, options);
     
     try {
-      // エッジ検出
-      const edgeData = detectEdges(imageData, options.edgeThreshold);
-      
-      // 画像のセグメント化
-      const segments = segmentImage(imageData, edgeData, options.minSegmentSize);
-      
-      // セグメント数を制限
-      const segmentCount = Math.min(segments.maxId + 1, options.maxSegments);
-      
-      // セグメントごとの代表色を計算
-      const segmentColors = calculateSegmentColors(imageData, segments, segmentCount);
-      
-      // オブジェクト情報を抽出
-      const objects = extractObjectsWithColors(imageData, {
-        segments: segments,
-        segmentColors: segmentColors,
-        segmentCount: segmentCount,
-        minSize: options.minSegmentSize
-      });
-      
-      // オブジェクト名を推測
-      const namedObjects = inferObjectNames(objects, imageData.width, imageData.height);
-      
-      // レイヤー情報を作成
-      const layers = [];
-      
-      // Potraceが利用可能かチェック
-      const potraceAvailable = typeof window.Potrace !== 'undefined';
-      
-      // 一時キャンバス
-      const canvas = document.createElement('canvas');
-      canvas.width = imageData.width;
-      canvas.height = imageData.height;
-      const ctx = canvas.getContext('2d');
-      
-      // 各オブジェクトをトレース
-      for (let i = 0; i < namedObjects.length; i++) {
-        const obj = namedObjects[i];
-        
-        // マスク画像を作成
-        const maskData = createSegmentMask(segments, imageData.width, imageData.height, obj.id);
-        ctx.putImageData(maskData, 0, 0);
-        
-        let svgPaths = '';
-        
-        if (potraceAvailable) {
-          try {
-            // Potraceパラメータを設定
-            const params = {
-              turdsize: 2,
-              turnpolicy: Potrace.TURNPOLICY_MINORITY,
-              optcurve: true,
-              optTolerance: options.simplify,
-              threshold: 128,
-              blackOnWhite: true
-            };
-            
-            // Potraceでトレース
-            Potrace.setParameter(params);
-            Potrace.loadImageFromCanvas(canvas);
-            const svgData = Potrace.getSVG(1);
-            const pathMatches = svgData.match(/<path[^>]*>/g);
-            
-            if (pathMatches && pathMatches.length > 0) {
-              svgPaths = pathMatches.join('');
-            }
-          } catch (error) {
-            console.error(`オブジェクト ${i} のトレースに失敗しました:`, error);
-            
-            // フォールバック: Base64画像を使用
-            const dataURL = canvas.toDataURL('image/png', 0.8);
-            svgPaths = `<image width="${imageData.width}" height="${imageData.height}" href="${dataURL}" />`;
-          }
-        } else {
-          // Potraceが利用できない場合はBase64画像を使用
-          const dataURL = canvas.toDataURL('image/png', 0.8);
-          svgPaths = `<image width="${imageData.width}" height="${imageData.height}" href="${dataURL}" />`;
-        }
-        
-        // 色情報
-        const color = obj.color;
-        const colorHex = rgbToHex(color[0], color[1], color[2]);
-        
-        // レイヤー名
-        const layerName = obj.name || `オブジェクト ${i + 1}`;
-        
-        // レイヤーID
-        const layerId = `object_${i}`;
-        
-        // Photopea互換属性
-        const photopeaAttrs = options.photopeaCompat ? 
-          createPhotopeaLayerAttributes(layerId, layerName, {r: color[0], g: color[1], b: color[2]}) : {};
-        
-        // レイヤー情報を追加
-        layers.push({
-          id: layerId,
-          name: layerName,
-          content: svgPaths,
-          pathData: svgPaths,
-          color: colorHex,
-          visible: true,
-          photopeaAttributes: photopeaAttrs,
-          objectData: {
-            id: obj.id,
-            area: obj.area,
-            bounds: obj.bounds,
-            type: obj.type
-          }
-        });
-      }
-      
-      // SVGを生成
-      let svgData;
-      
-      if (options.photopeaCompat) {
-        // Photopea互換SVG
-        svgData = _generatePhotopeaCompatSVG(layers, imageData.width, imageData.height, options);
-      } else if (options.universalLayerCompat) {
-        // 汎用レイヤー互換SVG
-        svgData = _generateLayeredSVG(layers, imageData.width, imageData.height, options);
-      } else if (options.illustratorCompat) {
-        // Illustrator互換SVG（外部モジュールに依存）
-        if (typeof window.ImageTracerLayers !== 'undefined' && 
-            typeof window.ImageTracerLayers.createAICompatSVG === 'function') {
-          svgData = window.ImageTracerLayers.createAICompatSVG(layers, imageData.width, imageData.height, options);
-        } else {
-          // フォールバック
-          svgData = _generateLayeredSVG(layers, imageData.width, imageData.height, options);
-        }
-      } else {
-        // 標準SVG
-        svgData = _generateStandardSVG(layers, imageData.width, imageData.height);
-      }
+      const result = getEngine().convert(imageData, Object.assign({}, options, {
+        colorMode: 'color',
+        traceMode: 'outline',
+        objectDetection: true,
+        enableLayers: true
+      }));
       
       return {
-        svgData: svgData,
-        layers: layers,
-        objects: namedObjects,
+        svgData: result.svgData,
+        layers: result.layers,
+        objects: result.layers.map(layer => ({
+          id: layer.id,
+          name: layer.name,
+          color: layer.color,
+          area: layer.pixelCount
+        })),
         width: imageData.width,
         height: imageData.height
       };
@@ -1100,6 +736,26 @@ window.ImageTracerCore = (function() {
   return svg;
 }
 
+  /**
+   * 汎用レイヤー構造のSVGを生成します
+   * ImageTracerLayersが読み込まれていればその汎用互換形式を使用します
+   * @param {Array} layers - レイヤー情報の配列
+   * @param {number} width - SVGの幅
+   * @param {number} height - SVGの高さ
+   * @param {Object} options - 追加オプション
+   * @returns {string} SVGデータ
+   * @private
+   */
+  function _generateLayeredSVG(layers, width, height, options = {}) {
+    const layersModule = globalThis.ImageTracerLayers;
+    
+    if (layersModule && typeof layersModule.createUniversalCompatSVG === 'function') {
+      return layersModule.createUniversalCompatSVG(layers, width, height, options);
+    }
+    
+    return _generatePhotopeaCompatSVG(layers, width, height, options);
+  }
+  
   // 公開API
   return {
     getImageData: getImageData,
@@ -1112,12 +768,8 @@ window.ImageTracerCore = (function() {
     quantizeColors: quantizeColors,
     createFallbackSVG: createFallbackSVG,
     
-    // 新しい物体認識とレイヤー分離API
-    detectEdges: detectEdges,
-    segmentImage: segmentImage,
+    // 物体認識とレイヤー分離API（領域分割そのものは ImageTracerSegmentation を使用）
     calculateSegmentColors: calculateSegmentColors,
-    createSegmentMask: createSegmentMask,
-    extractObjectsWithColors: extractObjectsWithColors,
     inferObjectNames: inferObjectNames,
     rgbToHex: rgbToHex,
     getColorName: getColorName,
@@ -1125,4 +777,11 @@ window.ImageTracerCore = (function() {
     generateLayeredSVG: _generateLayeredSVG,
     generateObjectBasedSVG: generateObjectBasedSVG
   };
-})(); 
\ No newline at end of file
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerCore;
+} else {
+  globalThis.ImageTracerCore = ImageTracerCore;
+}
@@ -0,0 +1,1014 @@
+/**
+ * @module ImageTracerEngine
+ * @description DOMに依存しない画像→SVG変換パイプライン
+ * @version 4.0.0
+ * @license MIT
+ *
+ * RGBAピクセル配列（幅・高さ・Uint8ClampedArray）と変換オプションを受け取り、
+ * SVG文字列とレイヤー情報を返します。canvas、DOMParser、windowを使用しないため、
+ * ブラウザ（ImageTracer、SVGLayerAdapter）からもNode.jsからも同じ処理を利用できます。
+ *
+ * 使用例（Node.js）:
+ *   const engine = require('./js/core/imagetracer-engine.js');
+ *   const result = engine.convert({ width, height, data }, { colorQuantization: 8 });
+ *   fs.writeFileSync('out.svg', result.svgData);
+ */
+
+// ImageTracerEngineを定義
+const ImageTracerEngine = (function() {
+  'use strict';
+
+  /**
+   * 変換オプションのデフォルト値
+   * 設定パネル（index.html）の項目と同じ名前を使用します
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    colorMode: 'color',        // 'color' または 'bw'
+    threshold: 128,            // 白黒モード用の閾値
+    thresholdMethod: 'global', // 白黒モードの2値化方式（'global', 'otsu', 'adaptive-mean', 'niblack', 'sauvola'）
+    thresholdWindow: 0,        // 局所的な2値化方式で使用する周囲の範囲（ピクセル、0は自動）
+    thresholdK: null,          // 'niblack'・'sauvola'の係数（nullは方式ごとの既定値）
+    colorQuantization: 8,      // カラーモードの色数
+    blurRadius: 0,             // ぼかし効果の強さ
+    simplify: 0.5,             // パスの単純化レベル
+    strokeWidth: 0,            // パスの線幅
+
+    // レイヤーオプション
+    enableLayers: true,        // レイヤー分離を有効化
+    layerNaming: 'color',      // レイヤー命名方法（'color', 'index', 'auto'）
+    illustratorCompat: true,   // イラストレーター互換出力
+    photopeaCompat: true,      // Photopea互換出力
+    universalLayerCompat: true, // 汎用レイヤー互換出力
+
+    // パイプラインオプション
+    quantizer: 'median-cut',   // 色量子化方式（'median-cut', 'kmeans', 'octree', 'wu'）
+    colorSpace: 'lab',         // 量子化と色の割り当てを行う色空間（'lab': CIELABとΔE, 'rgb'）
+    palette: null,             // 指定したパレット（'#rrggbb'、[r, g, b]、{r, g, b} の配列）
+    paletteMode: 'fixed',      // 'fixed': パレットの色のみ使用, 'lock': パレットの色を固定して残りを量子化で選ぶ
+    alphaThreshold: 128,       // これ未満の不透明度のピクセルは透明として扱う
+    alphaLevels: 0,            // 不透明度の段階数（2以上で半透明の部分をfill-opacity付きのレイヤーに分ける。0は無効）
+    traceMode: 'outline',      // トレース方法（'outline': 輪郭を塗りつぶす, 'centerline': 中心線を線で描く（白黒モードのみ）,
+                               //   'pixel': ドット絵としてドットの格子に沿った縦横の辺だけの多角形にする）
+    pixelSize: 0,              // 'pixel'モードの1ドットの大きさ（ピクセル、0は自動検出）
+    tracer: 'potrace',         // トレーサー（'potrace', 'builtin'、またはマスクをパスデータに変換する関数）
+    gapless: false,            // 隣り合う色の境界を共有してトレースする（カラーモードのみ、tracerより優先）
+    gradients: false,          // 色がなめらかに変化する領域をグラデーション（linearGradient・radialGradient）で塗る（カラーモードの輪郭トレースのみ）
+    objectDetection: false,    // 色の量子化の代わりに物体ごとの領域分割（SLIC＋領域の統合）でレイヤーを分ける（カラーモードの輪郭トレースのみ）
+    maxSegments: 24,           // 物体ごとの領域分割の最大の領域数
+    progressCallback: null,    // 進捗コールバック関数(stage, percent)
+    logger: null               // 処理の詳細ログの出力先（log・warnを持つオブジェクト、nullの場合はconsole）
+  };
+
+  /**
+   * 依存モジュールを取得します
+   * ブラウザではグローバル変数から、Node.jsではrequireで解決します
+   * @param {string} globalName - グローバル変数名
+   * @param {string} modulePath - Node.jsでのモジュールパス
+   * @returns {Object} モジュール
+   * @private
+   */
+  function resolveModule(globalName, modulePath) {
+    if (typeof globalThis[globalName] !== 'undefined') {
+      return globalThis[globalName];
+    }
+
+    if (typeof require === 'function') {
+      return require(modulePath);
+    }
+
+    throw new Error(`${globalName}モジュールが読み込まれていません`);
+  }
+
+  function getCore() {
+    return resolveModule('ImageTracerCore', './imagetracer-core.js');
+  }
+
+  function getLayers() {
+    return resolveModule('ImageTracerLayers', '../layers/imagetracer-layers.js');
+  }
+
+  function getGenerator() {
+    return resolveModule('SVGLayerGenerator', '../layers/svg-layer-generator.js');
+  }
+
+  function getQuantizer() {
+    return resolveModule('ImageTracerQuantizer', './imagetracer-quantizer.js');
+  }
+
+  function getPalette() {
+    return resolveModule('ImageTracerPalette', './imagetracer-palette.js');
+  }
+
+  function getPotrace() {
+    return resolveModule('Potrace', './imagetracer-potrace.js');
+  }
+
+  function getCenterline() {
+    return resolveModule('ImageTracerCenterline', './imagetracer-centerline.js');
+  }
+
+  function getThreshold() {
+    return resolveModule('ImageTracerThreshold', './imagetracer-threshold.js');
+  }
+
+  function getPixelArt() {
+    return resolveModule('ImageTracerPixelArt', './imagetracer-pixelart.js');
+  }
+
+  function getGradient() {
+    return resolveModule('ImageTracerGradient', './imagetracer-gradient.js');
+  }
+
+  function getSegmentation() {
+    return resolveModule('ImageTracerSegmentation', './imagetracer-segmentation.js');
+  }
+
+  /**
+   * 入力ピクセルを検証して画像データ形式に揃えます
+   * @param {Object} pixels - {width, height, data} 形式のピクセルデータ
+   * @returns {Object} 画像データ {width, height, data: Uint8ClampedArray}
+   * @private
+   */
+  function normalizePixels(pixels) {
+    if (!pixels || typeof pixels !== 'object') {
+      throw new Error('ピクセルデータが指定されていません');
+    }
+
+    const width = pixels.width;
+    const height = pixels.height;
+
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw new Error(`画像サイズが不正です: ${width}x${height}`);
+    }
+
+    if (!pixels.data || pixels.data.length !== width * height * 4) {
+      throw new Error(`ピクセルデータの長さが画像サイズ（${width}x${height}のRGBA）と一致しません`);
+    }
+
+    const data = pixels.data instanceof Uint8ClampedArray ?
+      pixels.data : Uint8ClampedArray.from(pixels.data);
+
+    return { width: width, height: height, data: data };
+  }
+
+  /**
+   * ボックスブラーを3回適用してガウスぼかしを近似します
+   * @param {Object} imageData - 画像データ
+   * @param {number} radius - ぼかし半径
+   * @returns {Object} ぼかし適用後の画像データ
+   */
+  function blurPixels(imageData, radius) {
+    const boxRadius = Math.round(radius);
+    if (boxRadius < 1) return imageData;
+
+    const { width, height } = imageData;
+    let source = new Float32Array(imageData.data);
+    let target = new Float32Array(source.length);
+
+    // 透明ピクセルの色がにじまないよう、不透明度を乗算した色でぼかす
+    for (let i = 0; i < source.length; i += 4) {
+      const alpha = source[i + 3] / 255;
+      source[i] *= alpha;
+      source[i + 1] *= alpha;
+      source[i + 2] *= alpha;
+    }
+
+    for (let pass = 0; pass < 3; pass++) {
+      boxBlurPass(source, target, width, height, boxRadius, true);
+      boxBlurPass(target, source, width, height, boxRadius, false);
+    }
+
+    for (let i = 0; i < source.length; i += 4) {
+      const alpha = source[i + 3] / 255;
+      if (alpha > 0) {
+        source[i] /= alpha;
+        source[i + 1] /= alpha;
+        source[i + 2] /= alpha;
+      }
+    }
+
+    return {
+      width: width,
+      height: height,
+      data: Uint8ClampedArray.from(source, value => Math.round(value))
+    };
+  }
+
+  /**
+   * 一方向のボックスブラーを適用します（端のピクセルは延長して扱う）
+   * @private
+   */
+  function boxBlurPass(source, target, width, height, radius, horizontal) {
+    const length = horizontal ? width : height;
+    const lines = horizontal ? height : width;
+    const stride = horizontal ? 4 : width * 4;
+    const size = radius * 2 + 1;
+
+    for (let line = 0; line < lines; line++) {
+      const start = horizontal ? line * width * 4 : line * 4;
+
+      for (let channel = 0; channel < 4; channel++) {
+        const base = start + channel;
+        let sum = 0;
+
+        for (let k = -radius; k <= radius; k++) {
+          const pos = Math.min(length - 1, Math.max(0, k));
+          sum += source[base + pos * stride];
+        }
+
+        for (let i = 0; i < length; i++) {
+          target[base + i * stride] = sum / size;
+
+          const outPos = Math.max(0, i - radius);
+          const inPos = Math.min(length - 1, i + radius + 1);
+          sum += source[base + inPos * stride] - source[base + outPos * stride];
+        }
+      }
+    }
+  }
+
+  /**
+   * 指定された方式で代表色（パレット）を求めます
+   * 'rgb'での'median-cut'以外はImageTracerQuantizerで量子化します（'rgb'ではRGBのユークリッド距離を使用）。
+   * 'rgb'での'median-cut'は従来のRGBでの実装を使用します。
+   * @param {Object} imageData - 画像データ
+   * @param {number} colorCount - 色数
+   * @param {string} quantizer - 量子化方式（'median-cut', 'kmeans', 'octree', 'wu'）
+   * @param {string} colorSpace - 色空間（'lab', 'rgb'）
+   * @param {Array} lockedColors - 固定する色 [{r, g, b}, ...]（残りの色を量子化で選ぶ）
+   * @param {Object} logger - 詳細ログの出力先（log・warnを持つオブジェクト）
+   * @returns {Array} パレット [{r, g, b, hex, locked}, ...]
+   * @throws {Error} 代表色が1色も求められなかった場合
+   */
+  function quantizePalette(imageData, colorCount, quantizer, colorSpace = DEFAULT_OPTIONS.colorSpace, lockedColors = [],
+    logger = console) {
+    let colors;
+
+    switch (colorSpace === 'rgb' && lockedColors.length === 0 ? quantizer : 'perceptual') {
+      case 'median-cut':
+        colors = getCore().quantizeColors(imageData, colorCount, logger)
+          .map(color => ({ r: color[0], g: color[1], b: color[2] }));
+        break;
+
+      default:
+        colors = getQuantizer().quantize(imageData, colorCount, {
+          method: quantizer,
+          colorSpace: colorSpace,
+          fixedColors: lockedColors
+        });
+    }
+
+    // 同じ色が複数回現れた場合は1つにまとめる
+    const palette = [];
+    const seen = new Set();
+
+    for (const color of colors) {
+      const r = Math.round(color.r);
+      const g = Math.round(color.g);
+      const b = Math.round(color.b);
+      const hex = rgbToHex(r, g, b);
+
+      if (!seen.has(hex)) {
+        seen.add(hex);
+        palette.push({ r: r, g: g, b: b, hex: hex, locked: color.locked === true });
+      }
+    }
+
+    if (palette.length === 0) {
+      throw new Error('代表色を1色も求められませんでした（不透明なピクセルがない可能性があります）');
+    }
+
+    return palette;
+  }
+
+  /**
+   * 各ピクセルを最も近いパレット色のインデックスに割り当てたラベル画像を作成します
+   * @param {Object} imageData - 画像データ
+   * @param {Array} palette - パレット [{r, g, b}, ...]
+   * @param {number} alphaThreshold - 透明とみなす不透明度の閾値
+   * @param {string} colorSpace - 色の距離を測る色空間（'lab'はΔE、'rgb'はRGBのユークリッド距離）
+   * @returns {Int16Array} ラベル画像（透明ピクセルは-1）
+   */
+  function createLabelMap(imageData, palette, alphaThreshold = DEFAULT_OPTIONS.alphaThreshold,
+    colorSpace = DEFAULT_OPTIONS.colorSpace) {
+    const data = imageData.data;
+    const labels = new Int16Array(imageData.width * imageData.height);
+    const cache = new Map();
+    const match = getQuantizer().createColorMatcher(palette, colorSpace);
+
+    for (let p = 0, i = 0; p < labels.length; p++, i += 4) {
+      if (data[i + 3] < alphaThreshold) {
+        labels[p] = -1;
+        continue;
+      }
+
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let label = cache.get(key);
+
+      if (label === undefined) {
+        label = match(data[i], data[i + 1], data[i + 2]);
+        cache.set(key, label);
+      }
+
+      labels[p] = label;
+    }
+
+    return labels;
+  }
+
+  /**
+   * ラベル画像から指定ラベルの2値マスクを作成します
+   * @param {Int16Array} labels - ラベル画像
+   * @param {number} label - 対象のラベル
+   * @returns {Object} マスク {mask: Uint8Array, pixelCount}
+   * @private
+   */
+  function createMask(labels, label) {
+    const mask = new Uint8Array(labels.length);
+    let pixelCount = 0;
+
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] === label) {
+        mask[i] = 1;
+        pixelCount++;
+      }
+    }
+
+    return { mask: mask, pixelCount: pixelCount };
+  }
+
+  /**
+   * 内蔵トレーサー：2値マスクをSVGパスデータの配列に変換します
+   * @param {Uint8Array} mask - 2値マスク（1が塗りつぶし対象）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} options - 変換オプション
+   * @returns {Array<string>} SVGパスデータの配列
+   */
+  function traceMask(mask, width, height, options) {
+    return getGenerator().generatePathsFromColorMap(mask, width, height, {
+      simplification: options.simplify,
+      cornerThreshold: options.cornerThreshold,
+      curveFitting: options.curveFitting
+    }).filter(pathData => pathData);
+  }
+
+  /**
+   * Potraceトレーサー：2値マスクを滑らかなベジェ曲線のパスデータに変換します
+   * 穴は外形と逆向きのサブパスとして同じパスデータに含まれます
+   * @param {Uint8Array} mask - 2値マスク（1が塗りつぶし対象）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} options - 変換オプション
+   * @returns {Array<string>} SVGパスデータの配列
+   */
+  function potraceMask(mask, width, height, options) {
+    const pathData = getPotrace().trace(mask, width, height, {
+      turdsize: 2,
+      turnpolicy: 'minority',
+      optcurve: true,
+      alphamax: 1,
+      opttolerance: options.simplify
+    });
+
+    return pathData ? [pathData] : [];
+  }
+
+  /**
+   * 中心線トレーサー：2値マスクを細線化し、線の中心を通る開いたパスに変換します
+   * @param {Uint8Array} mask - 2値マスク（1が線）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} options - 変換オプション
+   * @returns {Object} {paths: SVGパスデータの配列, strokeWidth: 推定した線幅}
+   */
+  function centerlineMask(mask, width, height, options) {
+    const { lines, strokeWidth } = getCenterline().trace(mask, width, height);
+    const generator = getGenerator();
+    const pathOptions = {
+      simplification: options.simplify,
+      cornerThreshold: options.cornerThreshold,
+      curveFitting: options.curveFitting
+    };
+
+    return {
+      paths: lines
+        .map(line => generator.polylineToPathData(line.points, line.closed, pathOptions))
+        .filter(pathData => pathData),
+      strokeWidth: strokeWidth
+    };
+  }
+
+  /**
+   * tracerオプションからトレース関数を決定します
+   * @private
+   */
+  function resolveTracer(tracer) {
+    if (typeof tracer === 'function') return tracer;
+    if (tracer === 'builtin') return traceMask;
+    if (!tracer || tracer === 'potrace') return potraceMask;
+
+    throw new Error(`不明なトレーサーです: ${tracer}`);
+  }
+
+  /**
+   * 白黒モードのレイヤー定義を作成します
+   * @private
+   */
+  function createBlackAndWhiteLayers(imageData, options) {
+    const { width, height, data } = imageData;
+    const alphaLevels = resolveAlphaLevels(options);
+    const black = { r: 0, g: 0, b: 0, hex: '#000000' };
+
+    // 不透明度の段階ごとに黒のマスクを作成する（段階を使わない場合は1つ）
+    const layerSources = Array.from({ length: alphaLevels || 1 }, (_, i) => {
+      const opacity = alphaLevels ? levelOpacity(i + 1, alphaLevels) : 1;
+      return {
+        mask: new Uint8Array(width * height),
+        pixelCount: 0,
+        color: black,
+        name: opacityLayerName('白黒レイヤー', opacity),
+        opacity: opacity
+      };
+    });
+
+    // 固定閾値以外の方式はImageTracerThresholdで2値化する（完全に透明なピクセルのみ背景として扱う）
+    const dark = options.thresholdMethod && options.thresholdMethod !== 'global' ?
+      getThreshold().binarize(imageData, {
+        method: options.thresholdMethod,
+        windowSize: options.thresholdWindow,
+        k: options.thresholdK,
+        alphaThreshold: 1
+      }) : null;
+
+    for (let p = 0, i = 0; p < width * height; p++, i += 4) {
+      const level = alphaLevelOf(data[i + 3], options, alphaLevels);
+      if (level === 0) continue;
+
+      const isDark = dark ? dark[p] === 1 :
+        data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114 < options.threshold;
+      if (isDark) {
+        const source = layerSources[level - 1];
+        source.mask[p] = 1;
+        source.pixelCount++;
+      }
+    }
+
+    return {
+      palette: [black],
+      layerSources: layerSources
+    };
+  }
+
+  /**
+   * alphaLevelsオプションを有効な段階数に変換します
+   * @returns {number} 段階数（2〜16、無効な場合は0）
+   * @private
+   */
+  function resolveAlphaLevels(options) {
+    const levels = Math.round(options.alphaLevels || 0);
+    return levels >= 2 ? Math.min(16, levels) : 0;
+  }
+
+  /**
+   * ピクセルの不透明度の段階を求めます
+   * 段階を使わない場合は、alphaThreshold未満を透明（0）、それ以外を不透明（1）とします
+   * @param {number} alpha - 不透明度（0〜255）
+   * @param {Object} options - 変換オプション
+   * @param {number} alphaLevels - 段階数（0は段階を使わない）
+   * @returns {number} 段階（0は透明）
+   * @private
+   */
+  function alphaLevelOf(alpha, options, alphaLevels) {
+    if (!alphaLevels) {
+      return alpha < options.alphaThreshold ? 0 : 1;
+    }
+    return Math.round(alpha / 255 * alphaLevels);
+  }
+
+  /**
+   * 不透明度の段階をfill-opacityの値に変換します
+   * @private
+   */
+  function levelOpacity(level, alphaLevels) {
+    return Math.round(level / alphaLevels * 1000) / 1000;
+  }
+
+  /**
+   * 半透明のレイヤー名に不透明度を付け加えます
+   * @private
+   */
+  function opacityLayerName(name, opacity) {
+    return opacity < 1 ? `${name} (不透明度 ${Math.round(opacity * 100)}%)` : name;
+  }
+
+  /**
+   * パレットを決定します
+   * paletteオプションが指定されている場合は、その色のみ（'fixed'）、
+   * またはその色を固定して残りを量子化で選んだパレット（'lock'）を使用します
+   * ドット絵モードでは、画像の色が色数以内であれば量子化せずにその色をそのまま使用します
+   * @private
+   */
+  function resolvePalette(imageData, colorCount, options) {
+    const userPalette = options.palette && options.palette.length > 0 ?
+      getPalette().normalizePalette(options.palette) : [];
+
+    if (userPalette.length === 0) {
+      const exactColors = options.traceMode === 'pixel' ?
+        getPixelArt().distinctColors(imageData, colorCount, options.alphaThreshold) : null;
+      if (exactColors && exactColors.length > 0) return exactColors;
+      return quantizePalette(imageData, colorCount, options.quantizer, options.colorSpace, [], options.logger || console);
+    }
+
+    if (options.paletteMode !== 'fixed' && options.paletteMode !== 'lock') {
+      throw new Error(`不明なパレットモードです: ${options.paletteMode}`);
+    }
+
+    // 固定する色だけで色数に達する場合は、量子化せずにパレットの色のみを使用する
+    if (options.paletteMode === 'lock' && userPalette.length < colorCount) {
+      return quantizePalette(imageData, colorCount, options.quantizer, options.colorSpace, userPalette, options.logger || console);
+    }
+
+    return userPalette.map(color => ({ r: color.r, g: color.g, b: color.b, hex: color.hex, locked: true }));
+  }
+
+  /**
+   * カラーモードのパレットとラベル画像を作成します
+   * alphaLevelsが指定されている場合は、色と不透明度の段階の組み合わせごとにラベルを分けます
+   * （パレットの各色に不透明度 opacity が付きます）
+   * @private
+   */
+  function createColorLabels(imageData, options, reportProgress) {
+    const colorCount = Math.min(64, Math.max(2, Math.round(options.colorQuantization)));
+    const alphaLevels = resolveAlphaLevels(options);
+
+    // 半透明のピクセルも色の量子化と割り当ての対象にするため、透明でない段階のピクセルを不透明として扱う
+    const colorData = alphaLevels ? opaqueColorData(imageData, options, alphaLevels) : imageData;
+
+    reportProgress('色の量子化', 20);
+    const colors = resolvePalette(colorData, colorCount, options);
+
+    reportProgress('ラベル画像の作成', 30);
+    const colorLabels = createLabelMap(colorData, colors, options.alphaThreshold, options.colorSpace);
+
+    if (!alphaLevels) {
+      return { palette: colors, labels: colorLabels };
+    }
+
+    const palette = [];
+    colors.forEach(color => {
+      for (let level = 1; level <= alphaLevels; level++) {
+        palette.push(Object.assign({}, color, { opacity: levelOpacity(level, alphaLevels) }));
+      }
+    });
+
+    const data = imageData.data;
+    const labels = new Int16Array(colorLabels.length);
+
+    for (let p = 0; p < labels.length; p++) {
+      labels[p] = colorLabels[p] < 0 ? -1 :
+        colorLabels[p] * alphaLevels + alphaLevelOf(data[p * 4 + 3], options, alphaLevels) - 1;
+    }
+
+    return { palette: palette, labels: labels };
+  }
+
+  /**
+   * 物体ごとの領域分割でパレットとラベル画像を作成します
+   * 領域ごとの平均色をパレットの色とし、レイヤー名は領域の色と大きさから付けます（「赤色小さい物体」など）
+   * @private
+   */
+  function createObjectLabels(imageData, options, reportProgress) {
+    const core = getCore();
+
+    // 領域の平均色で塗るため、色数・量子化方式・パレット・透明度の段階は使用しない
+    const ignored = [];
+    if (options.palette && options.palette.length > 0) ignored.push('パレット');
+    if (options.alphaLevels >= 2) ignored.push('透明度の段階');
+    if (ignored.length > 0) {
+      (options.logger || console).warn(`物体認識が有効なため、指定した${ignored.join('・')}は使用しません（物体認識を無効にすると使用できます）`);
+    }
+
+    reportProgress('物体の領域分割', 20);
+    const { segments, count } = getSegmentation().segment(imageData, {
+      maxSegments: options.maxSegments,
+      alphaThreshold: options.alphaThreshold
+    });
+
+    reportProgress('領域の色の計算', 30);
+    const colors = core.calculateSegmentColors(imageData, segments, count);
+    const palette = colors.map(color => ({
+      r: color.r, g: color.g, b: color.b, hex: core.rgbToHex(color.r, color.g, color.b)
+    }));
+
+    const objects = core.inferObjectNames(colors.map((color, i) => ({
+      id: i, color: color, size: color.count, hex: palette[i].hex
+    })), imageData.width, imageData.height);
+
+    return {
+      palette: palette,
+      labels: Int16Array.from(segments),
+      names: objects.map(object => object.name)
+    };
+  }
+
+  /**
+   * 色の分類に使う画像データを作成します（透明でない段階のピクセルを不透明、それ以外を透明にする）
+   * @private
+   */
+  function opaqueColorData(imageData, options, alphaLevels) {
+    const data = new Uint8ClampedArray(imageData.data);
+
+    for (let i = 3; i < data.length; i += 4) {
+      data[i] = alphaLevelOf(data[i], options, alphaLevels) > 0 ? 255 : 0;
+    }
+
+    return { width: imageData.width, height: imageData.height, data: data };
+  }
+
+  /**
+   * 色がなめらかに変化する領域を検出し、グラデーションで塗る色としてパレットとラベル画像に追加します
+   * 領域のピクセルは量子化した色のラベルから外れ、領域ごとに1つのグラデーションのレイヤーになります
+   * （ラベル画像に含めるため、境界共有トレースでも隣の色との間に隙間ができません）
+   * @private
+   */
+  function addGradientLabels(imageData, palette, labels, options) {
+    const regions = getGradient().detectGradients(imageData, labels, {
+      // 不透明度の段階を使う場合は、完全に不透明なピクセルのみを対象にする
+      alphaThreshold: resolveAlphaLevels(options) ? 255 : options.alphaThreshold
+    });
+
+    regions.forEach(region => {
+      const label = palette.length;
+      palette.push(Object.assign({}, region.color, { gradient: region.gradient }));
+
+      region.mask.forEach((value, p) => {
+        if (value) labels[p] = label;
+      });
+    });
+  }
+
+  /**
+   * カラーモードのレイヤー定義を作成します
+   * @private
+   */
+  function createColorLayers(imageData, options, reportProgress) {
+    const { palette, labels, names } = options.objectDetection && options.traceMode === 'outline' ?
+      createObjectLabels(imageData, options, reportProgress) :
+      createColorLabels(imageData, options, reportProgress);
+    const layersModule = getLayers();
+
+    if (options.gradients && options.traceMode === 'outline') {
+      reportProgress('グラデーションの検出', 35);
+      addGradientLabels(imageData, palette, labels, options);
+    }
+
+    const layerSources = palette.map((color, i) => {
+      const { mask, pixelCount } = createMask(labels, i);
+      const opacity = typeof color.opacity === 'number' ? color.opacity : 1;
+      const name = (names && names[i]) ||
+        layersModule.getLayerName([color.r, color.g, color.b], i, options.layerNaming) || `レイヤー ${i + 1}`;
+
+      return {
+        mask: mask,
+        pixelCount: pixelCount,
+        color: color,
+        name: color.gradient ? `グラデーション（${name}）` : opacityLayerName(name, opacity),
+        locked: color.locked === true,
+        opacity: opacity,
+        gradient: color.gradient || null
+      };
+    });
+
+    return { palette: palette, layerSources: layerSources, labels: labels };
+  }
+
+  /**
+   * 境界共有トレーサー：ラベル画像の境界を一度だけトレースし、色ごとのパスデータを作成します
+   * 隣り合う色は同じ境界の曲線を共有するため、レイヤーの間に隙間ができません
+   * @param {Int16Array} labels - ラベル画像（透明は-1）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {number} labelCount - ラベル（パレットの色）の数
+   * @param {Object} options - 変換オプション
+   * @returns {Array<Array<string>>} ラベルごとのSVGパスデータの配列
+   */
+  function traceLabels(labels, width, height, labelCount, options) {
+    return getGenerator().traceLabelMap(labels, width, height, labelCount, {
+      simplification: options.simplify,
+      cornerThreshold: options.cornerThreshold,
+      curveFitting: options.curveFitting
+    }).map(pathData => (pathData ? [pathData] : []));
+  }
+
+  /**
+   * レイヤー情報からSVG文字列を組み立てます
+   * @param {Array} layers - レイヤー情報の配列
+   * @param {number} width - SVGの幅
+   * @param {number} height - SVGの高さ
+   * @param {Object} options - 変換オプション
+   * @returns {string} SVGデータ
+   */
+  function buildSVG(layers, width, height, options) {
+    if (!options.enableLayers) {
+      // レイヤー無効時は塗り色を各パスに持たせた単一SVGとして生成
+      let paths = '';
+      layers.forEach(layer => {
+        layer.paths.forEach(pathData => {
+          paths += `\n  ${pathElement(pathData, layer, options, true)}`;
+        });
+      });
+
+      const gradients = layers
+        .filter(layer => layer.gradient)
+        .map(layer => getGradient().gradientElement(layer.gradient))
+        .join('');
+      const defs = gradients ? `\n  <defs>${gradients}</defs>` : '';
+
+      return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${defs}${paths}
+</svg>`;
+    }
+
+    const layersModule = getLayers();
+
+    if (options.photopeaCompat) {
+      return layersModule.createPhotopeaCompatSVG(layers, width, height, options);
+    } else if (options.universalLayerCompat) {
+      return layersModule.createUniversalCompatSVG(layers, width, height, options);
+    } else if (options.illustratorCompat) {
+      return layersModule.createAICompatSVG(layers, width, height, options);
+    }
+
+    return layersModule.createLayeredSVG(layers, width, height);
+  }
+
+  /**
+   * レイヤーのパスデータからpath要素を生成します
+   * 中心線のレイヤーは塗りなしの線として、ドット絵のレイヤーはアンチエイリアスなしで描画します
+   * グラデーションのレイヤーは、レイヤーの有無にかかわらずグラデーションを塗り色として持たせます
+   * @param {string} pathData - SVGパスデータ
+   * @param {Object} layer - レイヤー情報
+   * @param {Object} options - 変換オプション
+   * @param {boolean} withFill - 塗り色をpath要素に持たせる場合はtrue（レイヤー無効時）
+   * @returns {string} path要素
+   * @private
+   */
+  function pathElement(pathData, layer, options, withFill) {
+    if (layer.centerline) {
+      const opacity = layer.opacity < 1 ? ` stroke-opacity="${layer.opacity}"` : '';
+      return `<path d="${pathData}" fill="none" stroke="${layer.color}" stroke-width="${layer.strokeWidth}"${opacity}` +
+        ' stroke-linecap="round" stroke-linejoin="round"/>';
+    }
+
+    const fill = layer.gradient ? ` fill="url(#${layer.gradient.id})"` : withFill ?
+      ` fill="${layer.color}"${layer.opacity < 1 ? ` fill-opacity="${layer.opacity}"` : ''}` : '';
+    const crisp = layer.pixelArt ? ' shape-rendering="crispEdges"' : '';
+    return `<path d="${pathData}"${fill} fill-rule="evenodd"${crisp}${strokeAttributes(layer.color, options)}/>`;
+  }
+
+  /**
+   * 線幅オプションに応じたstroke属性を生成します
+   * @private
+   */
+  function strokeAttributes(color, options) {
+    return options.strokeWidth > 0 ?
+      ` stroke="${color}" stroke-width="${options.strokeWidth}"` : '';
+  }
+
+  /**
+   * RGBAピクセルをSVGに変換します
+   * @param {Object} pixels - {width, height, data: Uint8ClampedArray} 形式のピクセルデータ
+   * @param {Object} options - 変換オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 変換結果 {svgData, layers, palette, width, height}
+   */
+  function convert(pixels, options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    const reportProgress = function(stage, percent) {
+      if (typeof options.progressCallback === 'function') {
+        options.progressCallback(stage, percent);
+      }
+    };
+
+    let imageData = normalizePixels(pixels);
+    const { width, height } = imageData;
+    const tracer = resolveTracer(options.tracer);
+
+    if (!['outline', 'centerline', 'pixel'].includes(options.traceMode)) {
+      throw new Error(`不明なトレース方法です: ${options.traceMode}`);
+    }
+
+    // 中心線トレースは白黒モードのみ
+    const centerline = options.colorMode === 'bw' && options.traceMode === 'centerline';
+    const pixelArt = options.traceMode === 'pixel';
+    let grid = null;
+
+    reportProgress('画像の前処理', 10);
+    if (pixelArt) {
+      // ドット絵はぼかさずに、1ドットを1ピクセルに縮小した画像で色を割り当てる
+      grid = getPixelArt().detectGrid(imageData, {
+        pixelSize: options.pixelSize,
+        alphaThreshold: options.alphaThreshold
+      });
+      imageData = getPixelArt().downsample(imageData, grid);
+    } else if (options.blurRadius > 0) {
+      imageData = blurPixels(imageData, options.blurRadius);
+    }
+
+    const { palette, layerSources, labels } = options.colorMode === 'bw' ?
+      createBlackAndWhiteLayers(imageData, options) :
+      createColorLayers(imageData, options, reportProgress);
+
+    // 境界共有トレースでは、全色の境界をまとめてトレースする（ドット絵はドットの格子で境界が一致するため不要）
+    const sharedPaths = options.gapless && labels && !pixelArt ?
+      traceLabels(labels, width, height, palette.length, options) : null;
+
+    const core = getCore();
+    const layers = [];
+
+    layerSources.forEach((source, i) => {
+      reportProgress('パスのトレース', 40 + Math.round((i / layerSources.length) * 50));
+
+      if (source.pixelCount === 0) return;
+
+      let paths;
+      let lineWidth;
+
+      if (centerline) {
+        const result = centerlineMask(source.mask, width, height, options);
+        paths = result.paths;
+        lineWidth = options.strokeWidth > 0 ? options.strokeWidth : result.strokeWidth;
+      } else if (pixelArt) {
+        paths = getPixelArt().traceCells(source.mask, grid);
+      } else {
+        paths = sharedPaths ? sharedPaths[i] : tracer(source.mask, width, height, options);
+      }
+
+      // パスが取得できた場合のみ追加（空のレイヤーは除外）
+      if (!paths || paths.length === 0) return;
+
+      const layerId = `layer_${i}`;
+      const color = source.color;
+
+      const layer = {
+        id: layerId,
+        name: source.name,
+        color: color.hex,
+        visible: true,
+        locked: source.locked === true,
+        opacity: typeof source.opacity === 'number' ? source.opacity : 1,
+        paths: paths,
+        pixelCount: source.pixelCount,
+        photopeaAttributes: options.photopeaCompat ?
+          core.createPhotopeaLayerAttributes(layerId, source.name, color) : undefined
+      };
+
+      if (centerline) {
+        layer.centerline = true;
+        layer.strokeWidth = lineWidth;
+      }
+      if (pixelArt) {
+        layer.pixelArt = true;
+      }
+      if (source.gradient) {
+        layer.gradient = Object.assign({ id: getGradient().gradientId(source.gradient) }, source.gradient);
+      }
+
+      // グラデーションの定義はレイヤーのグループ内に置く（レイヤーごとに切り出しても参照が切れない）
+      const defs = layer.gradient ? `<defs>${getGradient().gradientElement(layer.gradient)}</defs>` : '';
+      layer.content = defs + paths.map(pathData => pathElement(pathData, layer, options, false)).join('');
+      layers.push(layer);
+    });
+
+    reportProgress('SVG構造構築中', 95);
+    const svgData = buildSVG(layers, width, height, options);
+
+    reportProgress('完了', 100);
+
+    return {
+      svgData: svgData,
+      layers: layers,
+      palette: palette,
+      width: width,
+      height: height
+    };
+  }
+
+  /**
+   * トレースを行わずに、量子化したラベル画像（減色結果）を作成します
+   * 色数などの設定を決めるためのプレビュー用で、convertと同じ前処理・量子化・色の割り当てを行います
+   * @param {Object} pixels - {width, height, data: Uint8ClampedArray} 形式のピクセルデータ
+   * @param {Object} options - 変換オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 減色結果 {width, height, data: 減色したRGBA, labels, palette,
+   *   areas: [{index, hex, pixelCount, percent, locked, opacity}]（面積の大きい順）}
+   */
+  function posterize(pixels, options) {
+    options = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    let imageData = normalizePixels(pixels);
+    const { width, height } = imageData;
+
+    if (options.blurRadius > 0 && options.traceMode !== 'pixel') {
+      imageData = blurPixels(imageData, options.blurRadius);
+    }
+
+    let palette;
+    let labels;
+
+    if (options.colorMode === 'bw') {
+      // 白黒モードは閾値より暗いピクセルを黒（不透明度の段階ごと）、それ以外を白とする
+      const { layerSources } = createBlackAndWhiteLayers(imageData, options);
+      const alphaLevels = resolveAlphaLevels(options);
+      const data = imageData.data;
+      const white = layerSources.length;
+
+      palette = layerSources.map(source => Object.assign({ opacity: source.opacity }, source.color))
+        .concat([{ r: 255, g: 255, b: 255, hex: '#ffffff' }]);
+      labels = new Int16Array(width * height).fill(-1);
+
+      for (let p = 0; p < labels.length; p++) {
+        if (alphaLevelOf(data[p * 4 + 3], options, alphaLevels) > 0) labels[p] = white;
+      }
+      layerSources.forEach((source, i) => {
+        source.mask.forEach((value, p) => {
+          if (value) labels[p] = i;
+        });
+      });
+    } else {
+      ({ palette, labels } = createColorLabels(imageData, options, () => {}));
+    }
+
+    // 減色した画像と色ごとの面積を求める
+    const data = new Uint8ClampedArray(width * height * 4);
+    const counts = new Array(palette.length).fill(0);
+    let opaqueCount = 0;
+
+    for (let p = 0; p < labels.length; p++) {
+      const label = labels[p];
+      if (label < 0) continue;
+
+      const color = palette[label];
+      data[p * 4] = color.r;
+      data[p * 4 + 1] = color.g;
+      data[p * 4 + 2] = color.b;
+      data[p * 4 + 3] = Math.round((typeof color.opacity === 'number' ? color.opacity : 1) * 255);
+      counts[label]++;
+      opaqueCount++;
+    }
+
+    const areas = palette
+      .map((color, i) => ({
+        index: i,
+        hex: color.hex,
+        pixelCount: counts[i],
+        percent: opaqueCount > 0 ? counts[i] / opaqueCount * 100 : 0,
+        locked: color.locked === true,
+        opacity: typeof color.opacity === 'number' ? color.opacity : 1
+      }))
+      .sort((a, b) => b.pixelCount - a.pixelCount);
+
+    return {
+      width: width,
+      height: height,
+      data: data,
+      labels: labels,
+      palette: palette,
+      areas: areas
+    };
+  }
+
+  /**
+   * RGB値から16進数カラーコードを生成
+   * @private
+   */
+  function rgbToHex(r, g, b) {
+    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+  }
+
+  // 公開API
+  return {
+    convert: convert,
+    posterize: posterize,
+    buildSVG: buildSVG,
+
+    // パイプラインの各段階（単体テスト・個別利用向け）
+    blurPixels: blurPixels,
+    quantizePalette: quantizePalette,
+    createLabelMap: createLabelMap,
+    traceMask: traceMask,
+    centerlineMask: centerlineMask,
+    potraceMask: potraceMask,
+    traceLabels: traceLabels,
+
+    // 設定
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerEngine;
+} else {
+  globalThis.ImageTracerEngine = ImageTracerEngine;
+}
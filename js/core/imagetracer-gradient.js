@@ -0,0 +1,544 @@
+/**
+ * @module ImageTracerGradient
+ * @description 色がなめらかに変化する領域を検出し、SVGのグラデーションを当てはめるモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 色を量子化すると、空や影のようななめらかなグラデーションが色数分の帯（バンディング）に分かれてしまいます。
+ * このモジュールは、隣り合うピクセルの色の差が小さいまま続く領域を1つの領域として集め、
+ * その色の変化に linearGradient または radialGradient を当てはめます。
+ * 当てはめた誤差が小さい領域だけを、段になった複数のレイヤーの代わりに1つのグラデーションの図形にします。
+ *
+ * 処理の流れ:
+ *   1. 色の差が edgeThreshold 以下のピクセルをたどって、なめらかな領域に分ける
+ *   2. ImageTracerCore.calculateSegmentColors で各領域の平均色と面積を求める
+ *   3. 十分に大きく、量子化で複数の色に分かれる領域について、
+ *      色の変化の向き（線形）または中心からの距離（放射）に沿った色の区切り（stop）を求める
+ *   4. 平均色1色で塗るより誤差が十分に小さい場合のみグラデーションとして採用する
+ *
+ * 使用例:
+ *   const regions = ImageTracerGradient.detectGradients(imageData, labels);
+ *   regions.forEach(region => {
+ *     const id = ImageTracerGradient.gradientId(region.gradient);
+ *     const defs = ImageTracerGradient.gradientElement(Object.assign({ id: id }, region.gradient));
+ *   });
+ */
+
+// ImageTracerGradientを定義
+const ImageTracerGradient = (function() {
+  'use strict';
+
+  /**
+   * グラデーション検出オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    edgeThreshold: 24,     // 隣り合うピクセルのRGBの差の合計がこれを超える位置を領域の境界とする
+    minArea: 0.005,        // グラデーションとみなす領域の最小の面積（画像全体に対する割合）
+    minColorRange: 40,     // 領域内の色の変化の最小の大きさ（RGBの差の合計）
+    maxError: 10,          // 当てはめたグラデーションとの誤差の許容値（RGBの二乗平均平方根誤差）
+    stops: 5,              // グラデーションの色の区切り（stop）の最大数
+    alphaThreshold: 128    // これ未満の不透明度のピクセルは対象にしない
+  };
+
+  // 平均色で塗った場合の誤差に対して、グラデーションの誤差がこの割合未満なら採用する
+  const MIN_IMPROVEMENT = 0.6;
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getCore() {
+    if (typeof globalThis.ImageTracerCore !== 'undefined') {
+      return globalThis.ImageTracerCore;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-core.js');
+    }
+
+    throw new Error('ImageTracerCoreモジュールが読み込まれていません');
+  }
+
+  /**
+   * 小数点以下の桁数を指定して丸めます
+   * @private
+   */
+  function round(value, digits) {
+    return Number(value.toFixed(digits));
+  }
+
+  /**
+   * 色の差がedgeThreshold以下の隣り合うピクセルをたどり、なめらかな領域に分けます
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} options - オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} {segments: 領域番号の配列（対象外は-1）, count: 領域数}
+   */
+  function findSmoothRegions(imageData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, data } = imageData;
+    const total = width * height;
+    const segments = new Int32Array(total).fill(-1);
+    const queue = new Int32Array(total);
+    let count = 0;
+
+    const eligible = p => data[p * 4 + 3] >= settings.alphaThreshold;
+    const similar = (a, b) => {
+      const i = a * 4;
+      const j = b * 4;
+      return Math.abs(data[i] - data[j]) + Math.abs(data[i + 1] - data[j + 1]) +
+        Math.abs(data[i + 2] - data[j + 2]) <= settings.edgeThreshold;
+    };
+
+    for (let start = 0; start < total; start++) {
+      if (segments[start] !== -1 || !eligible(start)) continue;
+
+      let head = 0;
+      let tail = 0;
+      segments[start] = count;
+      queue[tail++] = start;
+
+      while (head < tail) {
+        const p = queue[head++];
+        const x = p % width;
+
+        // 上下左右の4近傍
+        const neighbors = [
+          x > 0 ? p - 1 : -1,
+          x < width - 1 ? p + 1 : -1,
+          p >= width ? p - width : -1,
+          p < total - width ? p + width : -1
+        ];
+
+        for (const n of neighbors) {
+          if (n < 0 || segments[n] !== -1 || !eligible(n) || !similar(p, n)) continue;
+          segments[n] = count;
+          queue[tail++] = n;
+        }
+      }
+
+      count++;
+    }
+
+    return { segments: segments, count: count };
+  }
+
+  /**
+   * 2×2の連立一次方程式を解きます
+   * @returns {Array<number>|null} 解（解けない場合はnull）
+   * @private
+   */
+  function solve2(a, b, c, d, e, f) {
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-9) return null;
+    return [(e * d - b * f) / det, (a * f - e * c) / det];
+  }
+
+  /**
+   * 連立一次方程式をガウスの消去法で解きます
+   * @param {Array<Array<number>>} matrix - 係数行列（右辺を最後の列に含む拡大係数行列）
+   * @returns {Array<number>|null} 解（解けない場合はnull）
+   * @private
+   */
+  function solveLinear(matrix) {
+    const n = matrix.length;
+
+    for (let col = 0; col < n; col++) {
+      let pivot = col;
+      for (let row = col + 1; row < n; row++) {
+        if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+      }
+      if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+      [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+      for (let row = col + 1; row < n; row++) {
+        const factor = matrix[row][col] / matrix[col][col];
+        for (let k = col; k <= n; k++) {
+          matrix[row][k] -= factor * matrix[col][k];
+        }
+      }
+    }
+
+    const result = new Array(n).fill(0);
+    for (let row = n - 1; row >= 0; row--) {
+      let sum = matrix[row][n];
+      for (let k = row + 1; k < n; k++) {
+        sum -= matrix[row][k] * result[k];
+      }
+      result[row] = sum / matrix[row][row];
+    }
+
+    return result;
+  }
+
+  /**
+   * 位置の値 t に沿って色の区切りを求め、その区切りで塗った場合の誤差を計算します
+   * @param {Object} region - 領域のピクセル情報 {colors, count}
+   * @param {Float64Array} t - ピクセルごとの位置の値
+   * @param {number} t0 - 区切りの位置0に対応する値
+   * @param {number} t1 - 区切りの位置1に対応する値
+   * @param {number} stopCount - 区切りの最大数
+   * @returns {Object|null} {stops: [{offset, r, g, b}], error}（区切りが2つ未満の場合はnull）
+   * @private
+   */
+  function fitStops(region, t, t0, t1, stopCount) {
+    const { colors, count } = region;
+    const span = t1 - t0;
+    if (span <= 0) return null;
+
+    const bins = Array.from({ length: stopCount }, () => ({ t: 0, r: 0, g: 0, b: 0, count: 0 }));
+    const offsets = new Float64Array(count);
+
+    for (let k = 0; k < count; k++) {
+      const offset = Math.min(1, Math.max(0, (t[k] - t0) / span));
+      const bin = bins[Math.min(stopCount - 1, Math.floor(offset * stopCount))];
+      offsets[k] = offset;
+      bin.t += offset;
+      bin.r += colors[k * 3];
+      bin.g += colors[k * 3 + 1];
+      bin.b += colors[k * 3 + 2];
+      bin.count++;
+    }
+
+    const stops = bins
+      .filter(bin => bin.count > 0)
+      .map(bin => ({
+        offset: bin.t / bin.count,
+        r: bin.r / bin.count,
+        g: bin.g / bin.count,
+        b: bin.b / bin.count
+      }));
+
+    if (stops.length < 2) return null;
+
+    // 区切りの間を線形に補間した色との誤差
+    let total = 0;
+    for (let k = 0; k < count; k++) {
+      const offset = offsets[k];
+      let next = stops.findIndex(stop => stop.offset >= offset);
+      if (next === -1) next = stops.length - 1;
+      const prev = Math.max(0, next - 1);
+      const a = stops[prev];
+      const b = stops[next];
+      const ratio = b.offset > a.offset ? Math.min(1, Math.max(0, (offset - a.offset) / (b.offset - a.offset))) : 0;
+
+      const dr = colors[k * 3] - (a.r + (b.r - a.r) * ratio);
+      const dg = colors[k * 3 + 1] - (a.g + (b.g - a.g) * ratio);
+      const db = colors[k * 3 + 2] - (a.b + (b.b - a.b) * ratio);
+      total += dr * dr + dg * dg + db * db;
+    }
+
+    return { stops: stops, error: Math.sqrt(total / (count * 3)) };
+  }
+
+  /**
+   * 領域の色の変化に線形グラデーションと放射グラデーションを当てはめ、誤差の小さい方を返します
+   * 座標は領域の重心を原点、面積の平方根を単位にして計算します
+   * @param {Object} region - 領域のピクセル情報 {xs, ys, colors, count}
+   * @param {Object} settings - 検出オプション
+   * @returns {Object|null} グラデーション（当てはまらない場合はnull）
+   * @private
+   */
+  function fitRegion(region, settings) {
+    const { xs, ys, colors, count } = region;
+    let cx = 0;
+    let cy = 0;
+    for (let k = 0; k < count; k++) {
+      cx += xs[k];
+      cy += ys[k];
+    }
+    cx /= count;
+    cy /= count;
+    const scale = Math.sqrt(count);
+
+    const u = new Float64Array(count);
+    const v = new Float64Array(count);
+    let suu = 0, suv = 0, svv = 0;
+    const su = [0, 0, 0];
+    const sv = [0, 0, 0];
+    const mean = [0, 0, 0];
+
+    for (let k = 0; k < count; k++) {
+      u[k] = (xs[k] - cx) / scale;
+      v[k] = (ys[k] - cy) / scale;
+      suu += u[k] * u[k];
+      suv += u[k] * v[k];
+      svv += v[k] * v[k];
+      for (let c = 0; c < 3; c++) {
+        mean[c] += colors[k * 3 + c];
+      }
+    }
+    for (let c = 0; c < 3; c++) {
+      mean[c] /= count;
+    }
+    for (let k = 0; k < count; k++) {
+      for (let c = 0; c < 3; c++) {
+        const value = colors[k * 3 + c] - mean[c];
+        su[c] += u[k] * value;
+        sv[c] += v[k] * value;
+      }
+    }
+
+    // 平均色1色で塗った場合の誤差
+    let flatTotal = 0;
+    for (let k = 0; k < count; k++) {
+      for (let c = 0; c < 3; c++) {
+        const diff = colors[k * 3 + c] - mean[c];
+        flatTotal += diff * diff;
+      }
+    }
+    const flatError = Math.sqrt(flatTotal / (count * 3));
+
+    // チャンネルごとの色の傾きから、最も大きく変化するチャンネルにそろえた向きを求める
+    const slopes = [0, 1, 2].map(c => solve2(suu, suv, suv, svv, su[c], sv[c])).filter(Boolean);
+    if (slopes.length === 0) return null;
+
+    const reference = slopes.reduce((a, b) => (Math.hypot(b[0], b[1]) > Math.hypot(a[0], a[1]) ? b : a));
+    let dx = 0;
+    let dy = 0;
+    slopes.forEach(slope => {
+      const sign = slope[0] * reference[0] + slope[1] * reference[1] < 0 ? -1 : 1;
+      dx += slope[0] * sign;
+      dy += slope[1] * sign;
+    });
+
+    const length = Math.hypot(dx, dy);
+    const candidates = [];
+
+    if (length > 1e-6) {
+      dx /= length;
+      dy /= length;
+
+      const t = new Float64Array(count);
+      let t0 = Infinity;
+      let t1 = -Infinity;
+      for (let k = 0; k < count; k++) {
+        t[k] = u[k] * dx + v[k] * dy;
+        t0 = Math.min(t0, t[k]);
+        t1 = Math.max(t1, t[k]);
+      }
+
+      const fit = fitStops(region, t, t0, t1, settings.stops);
+      if (fit) {
+        candidates.push(Object.assign(fit, {
+          type: 'linear',
+          x1: cx + dx * t0 * scale,
+          y1: cy + dy * t0 * scale,
+          x2: cx + dx * t1 * scale,
+          y2: cy + dy * t1 * scale
+        }));
+      }
+    }
+
+    // 輝度を a + b·u + c·v + d·(u² + v²) で近似し、放物面の頂点を放射グラデーションの中心とする
+    const matrix = Array.from({ length: 4 }, () => new Array(5).fill(0));
+    for (let k = 0; k < count; k++) {
+      const luminance = colors[k * 3] * 0.299 + colors[k * 3 + 1] * 0.587 + colors[k * 3 + 2] * 0.114;
+      const basis = [1, u[k], v[k], u[k] * u[k] + v[k] * v[k]];
+      for (let i = 0; i < 4; i++) {
+        for (let j = 0; j < 4; j++) {
+          matrix[i][j] += basis[i] * basis[j];
+        }
+        matrix[i][4] += basis[i] * luminance;
+      }
+    }
+
+    const quadratic = solveLinear(matrix);
+    if (quadratic && Math.abs(quadratic[3]) > 1e-6) {
+      const u0 = -quadratic[1] / (2 * quadratic[3]);
+      const v0 = -quadratic[2] / (2 * quadratic[3]);
+
+      // 中心が領域から大きく離れる場合は、線形グラデーションとほぼ同じになるため使用しない
+      if (Math.hypot(u0, v0) <= 2) {
+        const t = new Float64Array(count);
+        let t1 = 0;
+        for (let k = 0; k < count; k++) {
+          t[k] = Math.hypot(u[k] - u0, v[k] - v0);
+          t1 = Math.max(t1, t[k]);
+        }
+
+        const fit = fitStops(region, t, 0, t1, settings.stops);
+        if (fit) {
+          candidates.push(Object.assign(fit, {
+            type: 'radial',
+            cx: cx + u0 * scale,
+            cy: cy + v0 * scale,
+            r: t1 * scale
+          }));
+        }
+      }
+    }
+
+    if (candidates.length === 0) return null;
+
+    // 放射グラデーションは線形より明らかに誤差が小さい場合のみ選ぶ
+    const best = candidates.reduce((a, b) => (b.error < a.error * 0.8 ? b : a));
+
+    // 区切りの色の変化が小さい場合は、平均色1色で十分
+    let range = 0;
+    best.stops.forEach(a => best.stops.forEach(b => {
+      range = Math.max(range, Math.abs(a.r - b.r) + Math.abs(a.g - b.g) + Math.abs(a.b - b.b));
+    }));
+
+    if (range < settings.minColorRange || best.error > settings.maxError ||
+        best.error >= flatError * MIN_IMPROVEMENT) {
+      return null;
+    }
+
+    return best;
+  }
+
+  /**
+   * グラデーションの数値を出力用に丸め、区切りに16進数カラーコードを付けます
+   * @private
+   */
+  function normalizeGradient(gradient) {
+    const core = getCore();
+    const stops = gradient.stops.map(stop => {
+      const r = Math.round(stop.r);
+      const g = Math.round(stop.g);
+      const b = Math.round(stop.b);
+      return { offset: round(stop.offset, 3), r: r, g: g, b: b, hex: core.rgbToHex(r, g, b) };
+    });
+
+    const geometry = gradient.type === 'linear' ?
+      { x1: round(gradient.x1, 2), y1: round(gradient.y1, 2), x2: round(gradient.x2, 2), y2: round(gradient.y2, 2) } :
+      { cx: round(gradient.cx, 2), cy: round(gradient.cy, 2), r: round(gradient.r, 2) };
+
+    return Object.assign({ type: gradient.type }, geometry, { stops: stops, error: round(gradient.error, 2) });
+  }
+
+  /**
+   * なめらかに色が変化する領域を検出し、グラデーションを当てはめます
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Int16Array|null} labels - 量子化したラベル画像（指定した場合は、2色以上に分かれる領域のみを対象にする）
+   * @param {Object} options - オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Array<Object>} 領域の配列 [{mask, pixelCount, color: {r, g, b, hex}, gradient}]
+   *   gradient: 線形 {type: 'linear', x1, y1, x2, y2, stops, error}
+   *   または放射 {type: 'radial', cx, cy, r, stops, error}（座標は画像のピクセル単位）
+   */
+  function detectGradients(imageData, labels, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, data } = imageData;
+    const total = width * height;
+    const core = getCore();
+
+    const { segments, count } = findSmoothRegions(imageData, settings);
+    const segmentColors = core.calculateSegmentColors(imageData, segments, count);
+    const minPixels = Math.max(16, Math.round(total * settings.minArea));
+
+    // 十分な大きさの領域のみ、ピクセルの位置と色を集める
+    const candidateIndex = new Int32Array(count).fill(-1);
+    const regions = [];
+    segmentColors.forEach((color, id) => {
+      if (color.count < minPixels) return;
+      candidateIndex[id] = regions.length;
+      regions.push({
+        id: id,
+        color: color,
+        xs: new Float64Array(color.count),
+        ys: new Float64Array(color.count),
+        colors: new Float64Array(color.count * 3),
+        labels: new Set(),
+        count: 0
+      });
+    });
+
+    if (regions.length === 0) return [];
+
+    for (let p = 0; p < total; p++) {
+      const index = segments[p] >= 0 ? candidateIndex[segments[p]] : -1;
+      if (index < 0) continue;
+
+      const region = regions[index];
+      const k = region.count++;
+      region.xs[k] = p % width + 0.5;
+      region.ys[k] = Math.floor(p / width) + 0.5;
+      region.colors[k * 3] = data[p * 4];
+      region.colors[k * 3 + 1] = data[p * 4 + 1];
+      region.colors[k * 3 + 2] = data[p * 4 + 2];
+      if (labels) region.labels.add(labels[p]);
+    }
+
+    const results = [];
+
+    regions.forEach(region => {
+      // 量子化で1色にまとまる領域は、グラデーションにしなくても帯にならない
+      if (labels && region.labels.size < 2) return;
+
+      const gradient = fitRegion(region, settings);
+      if (!gradient) return;
+
+      const mask = new Uint8Array(total);
+      for (let p = 0; p < total; p++) {
+        if (segments[p] === region.id) mask[p] = 1;
+      }
+
+      const { r, g, b } = region.color;
+      results.push({
+        mask: mask,
+        pixelCount: region.count,
+        color: { r: r, g: g, b: b, hex: core.rgbToHex(r, g, b) },
+        gradient: normalizeGradient(gradient)
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * グラデーションの内容から決まるIDを作成します
+   * 同じページに複数のSVGを表示してもIDが衝突しないよう、内容のハッシュを使用します
+   * （同じIDになるのは同じ内容のグラデーションのみです）
+   * @param {Object} gradient - detectGradientsの結果のグラデーション
+   * @returns {string} ID
+   */
+  function gradientId(gradient) {
+    const text = JSON.stringify([gradient.type, gradient.x1, gradient.y1, gradient.x2, gradient.y2,
+      gradient.cx, gradient.cy, gradient.r, gradient.stops.map(stop => [stop.offset, stop.hex])]);
+
+    // FNV-1aハッシュ
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+
+    return 'gradient-' + (hash >>> 0).toString(36);
+  }
+
+  /**
+   * グラデーションのSVG要素（linearGradient・radialGradient）を生成します
+   * @param {Object} gradient - グラデーション（idを含む）
+   * @returns {string} SVG要素
+   */
+  function gradientElement(gradient) {
+    const stops = gradient.stops
+      .map(stop => `<stop offset="${stop.offset}" stop-color="${stop.hex}"/>`)
+      .join('');
+
+    if (gradient.type === 'radial') {
+      return `<radialGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" ` +
+        `cx="${gradient.cx}" cy="${gradient.cy}" r="${gradient.r}">${stops}</radialGradient>`;
+    }
+
+    return `<linearGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" ` +
+      `x1="${gradient.x1}" y1="${gradient.y1}" x2="${gradient.x2}" y2="${gradient.y2}">${stops}</linearGradient>`;
+  }
+
+  // 公開API
+  return {
+    detectGradients: detectGradients,
+    findSmoothRegions: findSmoothRegions,
+    gradientId: gradientId,
+    gradientElement: gradientElement,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerGradient;
+} else {
+  globalThis.ImageTracerGradient = ImageTracerGradient;
+}
@@ -0,0 +1,262 @@
+/**
+ * @module ImageTracerLayerExport
+ * @description レイヤーごとのSVGをZIPファイルにまとめて書き出すモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * ImageTracer.extractLayers() のレイヤー一覧をもとに、各レイヤーを単独のSVG（元と同じviewBox）として切り出し、
+ * 全体のSVGとマニフェスト（manifest.json）と一緒に1つのZIPファイルにまとめます。
+ * カッティングマシン用のデータ、シルクスクリーンの版分け、アニメーション素材などに使います。
+ *
+ * ZIPの構成:
+ *   <baseName>.svg        - 全体のSVG
+ *   layers/01_<名前>.svg  - レイヤーごとのSVG（番号はレイヤー一覧の順）
+ *   manifest.json         - 大きさ・viewBox・各レイヤーの情報とファイル名
+ *
+ * 切り出したSVGでは、非表示のレイヤーも表示した状態で書き出します（元の表示状態はマニフェストに残します）。
+ *
+ * 使用例:
+ *   const layers = ImageTracer.extractLayers(svgData);
+ *   const zip = ImageTracerLayerExport.createArchive(svgData, layers, { baseName: 'logo' });
+ *   const blob = new Blob([zip], { type: 'application/zip' });
+ */
+
+// ImageTracerLayerExportを定義
+const ImageTracerLayerExport = (function() {
+  'use strict';
+
+  /**
+   * 書き出しオプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    baseName: 'svg-wizard',  // 全体のSVGとマニフェストに記録するファイル名（拡張子なし）
+    optimize: false,         // 各SVGを ImageTracerOptimizer で最適化する
+    precision: 2,            // 最適化するときの座標の小数点以下の桁数
+    includeHidden: true      // 非表示のレイヤーも書き出す
+  };
+
+  // ファイル名に使えない文字
+  const INVALID_FILENAME_CHARACTERS = /[\\/:*?"<>|\x00-\x1f]/g;
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getOptimizer() {
+    if (typeof globalThis.ImageTracerOptimizer !== 'undefined') {
+      return globalThis.ImageTracerOptimizer;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-optimizer.js');
+    }
+
+    throw new Error('ImageTracerOptimizerモジュールが読み込まれていません');
+  }
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getZip() {
+    if (typeof globalThis.ImageTracerZip !== 'undefined') {
+      return globalThis.ImageTracerZip;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-zip.js');
+    }
+
+    throw new Error('ImageTracerZipモジュールが読み込まれていません');
+  }
+
+  /**
+   * 要素の属性値を取得します（ない場合はnull）
+   * @private
+   */
+  function getAttribute(element, name) {
+    const attribute = element.attributes.find(item => item.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  /**
+   * id から要素を探し、要素とルートからの経路（祖先の配列）を返します
+   * @private
+   */
+  function findElementPaths(root, ids) {
+    const paths = new Map();
+
+    const visit = (node, ancestors) => {
+      if (node.type !== 'element' && node.type !== 'root') return;
+
+      if (node.type === 'element') {
+        const id = getAttribute(node, 'id');
+        if (id !== null && ids.has(id) && !paths.has(id)) {
+          paths.set(id, { element: node, ancestors: ancestors });
+        }
+      }
+
+      const nextAncestors = node.type === 'element' ? ancestors.concat([node]) : ancestors;
+      node.children.forEach(child => visit(child, nextAncestors));
+    };
+
+    visit(root, []);
+    return paths;
+  }
+
+  /**
+   * 非表示のスタイル（display:none）を取り除いた要素のコピーを返します
+   * @private
+   */
+  function showElement(element) {
+    const attributes = [];
+    element.attributes.forEach(attribute => {
+      if (attribute.name !== 'style') {
+        attributes.push(attribute);
+        return;
+      }
+
+      const style = attribute.value.split(';')
+        .filter(declaration => !/^\s*display\s*:\s*none\s*$/i.test(declaration))
+        .join(';');
+      if (style.trim() !== '') {
+        attributes.push({ name: attribute.name, value: style });
+      }
+    });
+
+    return Object.assign({}, element, { attributes: attributes });
+  }
+
+  /**
+   * レイヤーを単独のSVGとして切り出します
+   * @private
+   */
+  function standaloneSVG(svg, ancestors, group) {
+    const text = value => ({ type: 'text', value: value });
+
+    // 祖先のグループ（変形や塗りを引き継ぐ）は中身をこのレイヤーだけにしたコピーで包む
+    let content = showElement(group);
+    for (let i = ancestors.length - 1; i > 0; i--) {
+      content = Object.assign({}, showElement(ancestors[i]), { children: [text('\n'), content, text('\n')] });
+    }
+
+    // ルート直下のグラデーション・スタイルの定義は、参照が切れないようにそのまま残す
+    const shared = svg.children.filter(node => node.type === 'element' && (node.name === 'defs' || node.name === 'style'));
+    const children = [];
+    shared.concat([content]).forEach(node => {
+      children.push(text('\n  '), node);
+    });
+    children.push(text('\n'));
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' + getOptimizer().serializeXML(Object.assign({}, svg, { children: children }));
+  }
+
+  /**
+   * レイヤー名をファイル名に使える文字列にします
+   * @private
+   */
+  function sanitizeFileName(name, fallback) {
+    const sanitized = String(name || '').replace(INVALID_FILENAME_CHARACTERS, '_').trim();
+    return sanitized && !/^\.+$/.test(sanitized) ? sanitized : fallback;
+  }
+
+  /**
+   * 数値を解析します（解析できない場合はnull）
+   * @private
+   */
+  function parseNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  }
+
+  /**
+   * レイヤーごとのSVG・全体のSVG・マニフェストをまとめたZIPファイルを作成します
+   * @param {string} svgData - 全体のSVGデータ
+   * @param {Array<Object>} layers - ImageTracer.extractLayers() のレイヤー一覧
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONS を参照）
+   * @returns {Uint8Array} ZIPファイルのデータ
+   */
+  function createArchive(svgData, layers, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    try {
+      const optimizer = getOptimizer();
+      const root = optimizer.parseXML(svgData);
+      const svg = root.children.find(node => node.type === 'element' && node.name === 'svg');
+
+      if (!svg) {
+        throw new Error('SVG要素が見つかりません');
+      }
+
+      const paths = findElementPaths(root, new Set((layers || []).map(layer => layer.id)));
+
+      // 他のレイヤーを含むグループ（全体を包むルートグループなど）はレイヤーとして書き出さない
+      const exportable = (layers || []).filter(layer => {
+        if (!paths.has(layer.id) || (!settings.includeHidden && !layer.visible)) return false;
+        return !Array.from(paths.values()).some(found => found.ancestors.some(node => getAttribute(node, 'id') === layer.id));
+      });
+
+      if (exportable.length === 0) {
+        throw new Error('書き出せるレイヤーがありません');
+      }
+
+      const finish = data => settings.optimize ? optimizer.optimize(data, { precision: settings.precision }).svgData : data;
+      const digits = Math.max(2, String(exportable.length).length);
+      const files = [];
+      const combinedName = `${sanitizeFileName(settings.baseName, DEFAULT_OPTIONS.baseName)}.svg`;
+
+      const manifestLayers = exportable.map((layer, index) => {
+        const found = paths.get(layer.id);
+        const number = String(index + 1).padStart(digits, '0');
+        const file = `layers/${number}_${sanitizeFileName(layer.name, layer.id)}.svg`;
+
+        files.push({ name: file, data: finish(standaloneSVG(svg, found.ancestors, found.element)) });
+
+        return {
+          id: layer.id,
+          name: layer.name,
+          color: layer.color,
+          visible: layer.visible !== false,
+          locked: Boolean(layer.locked),
+          opacity: typeof layer.opacity === 'number' ? layer.opacity : 1,
+          file: file
+        };
+      });
+
+      files.unshift({ name: combinedName, data: finish(svgData) });
+
+      const viewBox = (getAttribute(svg, 'viewBox') || '').split(/[\s,]+/).map(Number);
+      const manifest = {
+        format: 'svg-wizard-layers',
+        version: 1,
+        source: combinedName,
+        width: parseNumber(getAttribute(svg, 'width')),
+        height: parseNumber(getAttribute(svg, 'height')),
+        viewBox: viewBox.length === 4 && viewBox.every(Number.isFinite) ?
+          { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] } : null,
+        createdAt: new Date().toISOString(),
+        layers: manifestLayers
+      };
+      files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) + '\n' });
+
+      return getZip().createZip(files);
+    } catch (error) {
+      console.error('レイヤーの書き出しに失敗しました:', error);
+      throw new Error(`レイヤーの書き出しに失敗しました: ${error.message}`);
+    }
+  }
+
+  // 公開API
+  return {
+    createArchive: createArchive,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerLayerExport;
+} else {
+  globalThis.ImageTracerLayerExport = ImageTracerLayerExport;
+}
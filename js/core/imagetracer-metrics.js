@@ -0,0 +1,285 @@
+/**
+ * @module ImageTracerMetrics
+ * @description 変換結果の再現度（元画像との誤差）を評価するモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 生成したSVGを元画像と同じ解像度で描画した画像と、元画像をピクセルごとに比較します。
+ * 変換の良し悪しを数値で比べられるため、設定の調整や回帰テストの閾値に使用できます。
+ *
+ * 評価指標:
+ *   rmse    - RGBの二乗平均平方根誤差（0〜255、小さいほど元画像に近い）
+ *   ssim    - 輝度の構造的類似度（-1〜1、1は一致）。ssimWindow四方の窓で求めた値の平均
+ *   deltaE  - CIELABでのCIEDE2000色差 {mean, p95, max}（1前後で人の目に見分けにくい差）
+ *
+ * 半透明のピクセルはどちらの画像もbackgroundの色に重ねてから比較します。
+ * SVGの描画はブラウザのキャンバスで行い、このモジュールには描画済みの画像データを渡します。
+ *
+ * 使用例:
+ *   const report = ImageTracerMetrics.compare(sourceImageData, renderedImageData);
+ *   console.log(report.rmse, report.ssim, report.deltaE.mean);
+ *   const heatmap = ImageTracerMetrics.createHeatmap(report);
+ */
+
+// ImageTracerMetricsを定義
+const ImageTracerMetrics = (function() {
+  'use strict';
+
+  /**
+   * 評価オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    background: { r: 255, g: 255, b: 255 }, // 半透明のピクセルを重ねる背景色
+    ssimWindow: 7,                          // SSIMを求める窓の大きさ（ピクセル、奇数）
+    heatmapMaxDeltaE: 20                    // ヒートマップで最も強い色にする色差
+  };
+
+  // SSIMの安定化定数（輝度の範囲255に対する K1 = 0.01, K2 = 0.03）
+  const SSIM_C1 = Math.pow(0.01 * 255, 2);
+  const SSIM_C2 = Math.pow(0.03 * 255, 2);
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getQuantizer() {
+    if (typeof globalThis.ImageTracerQuantizer !== 'undefined') {
+      return globalThis.ImageTracerQuantizer;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-quantizer.js');
+    }
+
+    throw new Error('ImageTracerQuantizerモジュールが読み込まれていません');
+  }
+
+  /**
+   * 画像データを背景色に重ねたRGB値に変換します
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} background - 背景色 {r, g, b}
+   * @returns {Uint8ClampedArray} RGB値（ピクセルごとに3要素）
+   * @private
+   */
+  function flatten(imageData, background) {
+    const data = imageData.data;
+    const rgb = new Uint8ClampedArray(imageData.width * imageData.height * 3);
+
+    for (let p = 0, i = 0, j = 0; p < imageData.width * imageData.height; p++, i += 4, j += 3) {
+      const alpha = data[i + 3] / 255;
+      rgb[j] = data[i] * alpha + background.r * (1 - alpha);
+      rgb[j + 1] = data[i + 1] * alpha + background.g * (1 - alpha);
+      rgb[j + 2] = data[i + 2] * alpha + background.b * (1 - alpha);
+    }
+
+    return rgb;
+  }
+
+  /**
+   * RGB値の二乗平均平方根誤差を求めます
+   * @param {Uint8ClampedArray} source - 元画像のRGB値
+   * @param {Uint8ClampedArray} rendered - 描画結果のRGB値
+   * @returns {number} RMSE（0〜255）
+   */
+  function rmse(source, rendered) {
+    let total = 0;
+    for (let i = 0; i < source.length; i++) {
+      const diff = source[i] - rendered[i];
+      total += diff * diff;
+    }
+
+    return source.length > 0 ? Math.sqrt(total / source.length) : 0;
+  }
+
+  /**
+   * 輝度の構造的類似度（SSIM）を求めます
+   * 各ピクセルを中心とする窓の平均・分散・共分散を積分画像で求め、SSIMの平均を返します
+   * @param {Uint8ClampedArray} source - 元画像のRGB値
+   * @param {Uint8ClampedArray} rendered - 描画結果のRGB値
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {number} windowSize - 窓の大きさ
+   * @returns {number} SSIM（-1〜1）
+   */
+  function ssim(source, rendered, width, height, windowSize = DEFAULT_OPTIONS.ssimWindow) {
+    const stride = width + 1;
+    const size = stride * (height + 1);
+    const sumX = new Float64Array(size);
+    const sumY = new Float64Array(size);
+    const sumXX = new Float64Array(size);
+    const sumYY = new Float64Array(size);
+    const sumXY = new Float64Array(size);
+
+    for (let y = 0; y < height; y++) {
+      let rowX = 0, rowY = 0, rowXX = 0, rowYY = 0, rowXY = 0;
+
+      for (let x = 0; x < width; x++) {
+        const j = (y * width + x) * 3;
+        const lx = source[j] * 0.299 + source[j + 1] * 0.587 + source[j + 2] * 0.114;
+        const ly = rendered[j] * 0.299 + rendered[j + 1] * 0.587 + rendered[j + 2] * 0.114;
+
+        rowX += lx;
+        rowY += ly;
+        rowXX += lx * lx;
+        rowYY += ly * ly;
+        rowXY += lx * ly;
+
+        const i = (y + 1) * stride + x + 1;
+        sumX[i] = sumX[i - stride] + rowX;
+        sumY[i] = sumY[i - stride] + rowY;
+        sumXX[i] = sumXX[i - stride] + rowXX;
+        sumYY[i] = sumYY[i - stride] + rowYY;
+        sumXY[i] = sumXY[i - stride] + rowXY;
+      }
+    }
+
+    const half = Math.floor(Math.max(1, windowSize) / 2);
+    const area = (sum, x0, y0, x1, y1) =>
+      sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+    let total = 0;
+
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height, y + half + 1);
+
+      for (let x = 0; x < width; x++) {
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width, x + half + 1);
+        const count = (x1 - x0) * (y1 - y0);
+
+        const meanX = area(sumX, x0, y0, x1, y1) / count;
+        const meanY = area(sumY, x0, y0, x1, y1) / count;
+        const varX = area(sumXX, x0, y0, x1, y1) / count - meanX * meanX;
+        const varY = area(sumYY, x0, y0, x1, y1) / count - meanY * meanY;
+        const covXY = area(sumXY, x0, y0, x1, y1) / count - meanX * meanY;
+
+        total += ((2 * meanX * meanY + SSIM_C1) * (2 * covXY + SSIM_C2)) /
+          ((meanX * meanX + meanY * meanY + SSIM_C1) * (varX + varY + SSIM_C2));
+      }
+    }
+
+    return width * height > 0 ? total / (width * height) : 1;
+  }
+
+  /**
+   * ピクセルごとのCIEDE2000色差を求めます
+   * 同じ色の組み合わせは一度だけ計算します（減色した画像では組み合わせが限られるため）
+   * @param {Uint8ClampedArray} source - 元画像のRGB値
+   * @param {Uint8ClampedArray} rendered - 描画結果のRGB値
+   * @returns {Float32Array} 色差（ピクセルごと）
+   */
+  function deltaEMap(source, rendered) {
+    const quantizer = getQuantizer();
+    const labCache = new Map();
+    const pairCache = new Map();
+    const errors = new Float32Array(source.length / 3);
+
+    const labOf = key => {
+      let lab = labCache.get(key);
+      if (!lab) {
+        lab = quantizer.rgbToLab(key >> 16, (key >> 8) & 0xff, key & 0xff);
+        labCache.set(key, lab);
+      }
+      return lab;
+    };
+
+    for (let p = 0, j = 0; p < errors.length; p++, j += 3) {
+      const keyA = (source[j] << 16) | (source[j + 1] << 8) | source[j + 2];
+      const keyB = (rendered[j] << 16) | (rendered[j + 1] << 8) | rendered[j + 2];
+      if (keyA === keyB) continue;
+
+      // キャッシュが大きくなりすぎないよう、組み合わせのキャッシュは一定数までにする
+      const pairKey = keyA * 16777216 + keyB;
+      let value = pairCache.get(pairKey);
+      if (value === undefined) {
+        value = quantizer.deltaE2000(labOf(keyA), labOf(keyB));
+        if (pairCache.size < 1000000) pairCache.set(pairKey, value);
+      }
+      errors[p] = value;
+    }
+
+    return errors;
+  }
+
+  /**
+   * 元画像と描画結果を比較します
+   * @param {Object} sourceImageData - 元画像の画像データ {width, height, data}
+   * @param {Object} renderedImageData - SVGを描画した画像データ（元画像と同じ大きさ）
+   * @param {Object} options - 評価オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 評価結果 {width, height, rmse, ssim, deltaE: {mean, p95, max}, errors: ピクセルごとの色差}
+   */
+  function compare(sourceImageData, renderedImageData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height } = sourceImageData;
+
+    if (renderedImageData.width !== width || renderedImageData.height !== height) {
+      throw new Error(`画像の大きさが一致しません: ${width}x${height} と ${renderedImageData.width}x${renderedImageData.height}`);
+    }
+
+    const source = flatten(sourceImageData, settings.background);
+    const rendered = flatten(renderedImageData, settings.background);
+    const errors = deltaEMap(source, rendered);
+
+    const sorted = Float32Array.from(errors).sort();
+    let total = 0;
+    for (let i = 0; i < errors.length; i++) {
+      total += errors[i];
+    }
+
+    return {
+      width: width,
+      height: height,
+      rmse: rmse(source, rendered),
+      ssim: ssim(source, rendered, width, height, settings.ssimWindow),
+      deltaE: {
+        mean: errors.length > 0 ? total / errors.length : 0,
+        p95: errors.length > 0 ? sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))] : 0,
+        max: errors.length > 0 ? sorted[sorted.length - 1] : 0
+      },
+      errors: errors
+    };
+  }
+
+  /**
+   * 色差のヒートマップを作成します
+   * 色差が大きいほど黄色から赤になり、不透明になります（色差0のピクセルは透明）
+   * @param {Object} report - compareの評価結果
+   * @param {Object} options - 評価オプション（heatmapMaxDeltaEを使用）
+   * @returns {Object} ヒートマップの画像データ {width, height, data}
+   */
+  function createHeatmap(report, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, errors } = report;
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let p = 0, i = 0; p < errors.length; p++, i += 4) {
+      const level = Math.min(1, errors[p] / settings.heatmapMaxDeltaE);
+      if (level <= 0) continue;
+
+      data[i] = 255;
+      data[i + 1] = Math.round(220 * (1 - level));
+      data[i + 2] = 0;
+      data[i + 3] = Math.round(60 + 195 * level);
+    }
+
+    return { width: width, height: height, data: data };
+  }
+
+  // 公開API
+  return {
+    compare: compare,
+    createHeatmap: createHeatmap,
+    rmse: rmse,
+    ssim: ssim,
+    deltaEMap: deltaEMap,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerMetrics;
+} else {
+  globalThis.ImageTracerMetrics = ImageTracerMetrics;
+}
@@ -0,0 +1,716 @@
+/**
+ * @module ImageTracerOptimizer
+ * @description 書き出すSVGのファイルサイズを小さくする最適化モジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 変換結果のSVGには、メタデータやコメント、使われない名前空間の宣言、
+ * 小数点以下3桁の絶対座標のパスデータなど、表示に影響しない冗長な部分が多く含まれます。
+ * このモジュールはSVGを要素の木として読み込み、見た目を変えずにそれらを取り除きます。
+ *
+ * 処理の内容（それぞれオプションで無効にできます）:
+ *   removeMetadata   - <metadata>とコメントを削除する
+ *   convertPathData  - 座標を丸め、相対座標・短縮形（H/V/S/T）のうち短い方のコマンドで書き直す
+ *   mergePaths       - 属性が同じで重ならない隣り合う<path>を1つにまとめる
+ *   cleanupAttributes - 親のグループと同じfill属性や空のstyle属性を削除する
+ *   removeEmptyGroups - 中身のない<g>と<defs>を削除する
+ *   removeNamespaces - 重複した名前空間の宣言と、使われていない名前空間の宣言を削除する
+ *   minify           - 要素の間の空白や改行を削除する
+ *
+ * レイヤーのグループ（id="layer_…"）やPhotopea・イラストレーター用の属性はそのまま残します。
+ *
+ * 使用例:
+ *   const result = ImageTracerOptimizer.optimize(svgData, { precision: 2 });
+ *   console.log(result.originalSize, '→', result.optimizedSize); // UTF-8のバイト数
+ */
+
+// ImageTracerOptimizerを定義
+const ImageTracerOptimizer = (function() {
+  'use strict';
+
+  /**
+   * 最適化オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    precision: 2,             // 座標の小数点以下の桁数（0〜6）
+    removeMetadata: true,
+    convertPathData: true,
+    mergePaths: true,
+    cleanupAttributes: true,
+    removeEmptyGroups: true,
+    removeNamespaces: true,
+    minify: true
+  };
+
+  // パスのコマンドごとの引数の数
+  const PARAM_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+  // 中の空白が表示に影響する要素
+  const PRESERVE_SPACE_ELEMENTS = ['text', 'tspan', 'textPath', 'style', 'script'];
+
+  const NUMBER_PATTERN = /[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/y;
+  const FLAG_PATTERN = /[01]/y;
+  const SEPARATOR_PATTERN = /[\s,]*/y;
+
+  /**
+   * 文字列のUTF-8でのバイト数を求めます
+   * @private
+   */
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  /**
+   * SVG文字列を要素の木に変換します
+   * 属性値と文字列は元の表記（エスケープ済み）のまま保持します
+   * @param {string} svg - SVG文字列
+   * @returns {Object} ルートノード {type: 'root', children}
+   *   要素は {type: 'element', name, attributes: [{name, value}], children}
+   */
+  function parseXML(svg) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    let position = 0;
+
+    const current = () => stack[stack.length - 1];
+    const readUntil = (terminator, description) => {
+      const end = svg.indexOf(terminator, position);
+      if (end < 0) {
+        throw new Error(`${description}が閉じられていません（${position}文字目）`);
+      }
+      const raw = svg.slice(position, end + terminator.length);
+      position = end + terminator.length;
+      return raw;
+    };
+
+    while (position < svg.length) {
+      if (svg[position] !== '<') {
+        const end = svg.indexOf('<', position);
+        const text = svg.slice(position, end < 0 ? svg.length : end);
+        current().children.push({ type: 'text', value: text });
+        position += text.length;
+      } else if (svg.startsWith('<!--', position)) {
+        current().children.push({ type: 'comment', raw: readUntil('-->', 'コメント') });
+      } else if (svg.startsWith('<![CDATA[', position)) {
+        current().children.push({ type: 'raw', raw: readUntil(']]>', 'CDATA') });
+      } else if (svg.startsWith('<?', position) || svg.startsWith('<!', position)) {
+        current().children.push({ type: 'raw', raw: readUntil('>', '宣言') });
+      } else if (svg[position + 1] === '/') {
+        const name = readUntil('>', '終了タグ').slice(2, -1).trim();
+        if (current().name !== name) {
+          throw new Error(`終了タグ </${name}> が開始タグと対応していません`);
+        }
+        stack.pop();
+      } else {
+        // 引用符の中の「>」を無視してタグの終わりを探す
+        let end = position + 1;
+        let quote = null;
+        while (end < svg.length && (quote || svg[end] !== '>')) {
+          if (quote) {
+            if (svg[end] === quote) quote = null;
+          } else if (svg[end] === '"' || svg[end] === '\'') {
+            quote = svg[end];
+          }
+          end++;
+        }
+        if (end >= svg.length) {
+          throw new Error(`タグが閉じられていません（${position}文字目）`);
+        }
+
+        const body = svg.slice(position + 1, end);
+        const selfClosing = body.endsWith('/');
+        const name = body.match(/^[^\s/>]+/)[0];
+        const attributes = [];
+        const attributePattern = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let match;
+        while ((match = attributePattern.exec(body.slice(name.length))) !== null) {
+          attributes.push({ name: match[1], value: match[2] !== undefined ? match[2] : match[3] });
+        }
+
+        const element = { type: 'element', name: name, attributes: attributes, children: [] };
+        current().children.push(element);
+        if (!selfClosing) stack.push(element);
+        position = end + 1;
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new Error(`要素 <${current().name}> が閉じられていません`);
+    }
+
+    return root;
+  }
+
+  /**
+   * 要素の木をSVG文字列に戻します
+   * @param {Object} node - parseXMLの結果（またはその中の要素）
+   * @returns {string} SVG文字列
+   */
+  function serializeXML(node) {
+    if (node.type === 'root') return node.children.map(serializeXML).join('');
+    if (node.type === 'text') return node.value;
+    if (node.type !== 'element') return node.raw;
+
+    const attributes = node.attributes.map(attribute => {
+      const quote = attribute.value.includes('"') ? '\'' : '"';
+      return ` ${attribute.name}=${quote}${attribute.value}${quote}`;
+    }).join('');
+
+    if (node.children.length === 0) {
+      return `<${node.name}${attributes}/>`;
+    }
+    return `<${node.name}${attributes}>${node.children.map(serializeXML).join('')}</${node.name}>`;
+  }
+
+  /**
+   * 要素の属性値を取得します（ない場合はnull）
+   * @private
+   */
+  function getAttribute(element, name) {
+    const attribute = element.attributes.find(item => item.name === name);
+    return attribute ? attribute.value : null;
+  }
+
+  /**
+   * 要素の属性を削除します
+   * @private
+   */
+  function removeAttribute(element, name) {
+    element.attributes = element.attributes.filter(attribute => attribute.name !== name);
+  }
+
+  /**
+   * 空白だけの文字列ノードかどうかを判定します
+   * @private
+   */
+  function isBlankText(node) {
+    return node.type === 'text' && node.value.trim() === '';
+  }
+
+  /**
+   * 木のすべての要素を順に処理します
+   * @private
+   */
+  function walk(node, callback) {
+    if (node.type === 'element') callback(node);
+    if (node.children) {
+      node.children.forEach(child => walk(child, callback));
+    }
+  }
+
+  /**
+   * パスデータを、絶対座標の M・L・C・Q・A・Z だけからなるセグメントの配列に変換します
+   * H・Vは L に、S・Tは制御点を補って C・Q に置き換えます
+   * @param {string} pathData - SVGのパスデータ（d属性）
+   * @returns {Array<Object>} セグメントの配列 [{type, values}]
+   */
+  function parsePathData(pathData) {
+    const segments = [];
+    let position = 0;
+    let command = null;
+    let x = 0, y = 0;             // 現在の点
+    let startX = 0, startY = 0;   // サブパスの始点
+    let controlX = 0, controlY = 0; // 直前のC・Qの（2番目の）制御点
+    let previousType = null;
+
+    const skipSeparators = () => {
+      SEPARATOR_PATTERN.lastIndex = position;
+      SEPARATOR_PATTERN.exec(pathData);
+      position = SEPARATOR_PATTERN.lastIndex;
+    };
+    const readToken = pattern => {
+      skipSeparators();
+      pattern.lastIndex = position;
+      const match = pattern.exec(pathData);
+      if (!match) {
+        throw new Error(`パスデータの数値が不正です（${position}文字目）: ${pathData.slice(position, position + 20)}`);
+      }
+      position = pattern.lastIndex;
+      return parseFloat(match[0]);
+    };
+
+    skipSeparators();
+    while (position < pathData.length) {
+      if (/[a-zA-Z]/.test(pathData[position])) {
+        command = pathData[position++];
+        if (PARAM_COUNTS[command.toUpperCase()] === undefined) {
+          throw new Error(`未対応のパスコマンドです: ${command}`);
+        }
+      } else if (!command) {
+        throw new Error('パスデータがコマンドで始まっていません');
+      }
+
+      const type = command.toUpperCase();
+      const relative = command !== type;
+      const values = [];
+      for (let i = 0; i < PARAM_COUNTS[type]; i++) {
+        values.push(readToken(type === 'A' && (i === 3 || i === 4) ? FLAG_PATTERN : NUMBER_PATTERN));
+      }
+
+      // 相対座標を絶対座標に変換（Aは終点のみ、Hはx、Vはy）
+      if (relative) {
+        if (type === 'H') values[0] += x;
+        else if (type === 'V') values[0] += y;
+        else if (type === 'A') { values[5] += x; values[6] += y; }
+        else {
+          for (let i = 0; i < values.length; i += 2) {
+            values[i] += x;
+            values[i + 1] += y;
+          }
+        }
+      }
+
+      let segment;
+      if (type === 'M') {
+        segment = { type: 'M', values: values };
+        startX = values[0];
+        startY = values[1];
+        // Mの後に続く座標は線分として扱う
+        command = relative ? 'l' : 'L';
+      } else if (type === 'L') {
+        segment = { type: 'L', values: values };
+      } else if (type === 'H') {
+        segment = { type: 'L', values: [values[0], y] };
+      } else if (type === 'V') {
+        segment = { type: 'L', values: [x, values[0]] };
+      } else if (type === 'C' || type === 'Q' || type === 'A') {
+        segment = { type: type, values: values };
+      } else if (type === 'S' || type === 'T') {
+        const full = type === 'S' ? 'C' : 'Q';
+        const reflected = previousType === full ?
+          [2 * x - controlX, 2 * y - controlY] :
+          [x, y];
+        segment = { type: full, values: reflected.concat(values) };
+      } else {
+        segment = { type: 'Z', values: [] };
+      }
+
+      if (segment.type === 'C') {
+        controlX = segment.values[2];
+        controlY = segment.values[3];
+      } else if (segment.type === 'Q') {
+        controlX = segment.values[0];
+        controlY = segment.values[1];
+      }
+
+      if (segment.type === 'Z') {
+        x = startX;
+        y = startY;
+      } else {
+        x = segment.values[segment.values.length - 2];
+        y = segment.values[segment.values.length - 1];
+      }
+
+      previousType = segment.type;
+      segments.push(segment);
+      skipSeparators();
+
+      if (type === 'Z') command = null;
+    }
+
+    return segments;
+  }
+
+  /**
+   * セグメントの外接矩形を求めます（曲線は制御点を含めた範囲で近似します）
+   * @private
+   */
+  function segmentBounds(segments) {
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+
+    for (const segment of segments) {
+      const values = segment.type === 'A' ? segment.values.slice(5) : segment.values;
+      const radius = segment.type === 'A' ? Math.max(Math.abs(segment.values[0]), Math.abs(segment.values[1])) : 0;
+
+      for (let i = 0; i < values.length; i += 2) {
+        bounds.minX = Math.min(bounds.minX, values[i] - radius * 2);
+        bounds.minY = Math.min(bounds.minY, values[i + 1] - radius * 2);
+        bounds.maxX = Math.max(bounds.maxX, values[i] + radius * 2);
+        bounds.maxY = Math.max(bounds.maxY, values[i + 1] + radius * 2);
+      }
+    }
+
+    return bounds;
+  }
+
+  /**
+   * 2つの外接矩形が重なるかどうかを判定します（辺が接するだけの場合は重ならないとみなします）
+   * @private
+   */
+  function boundsOverlap(a, b) {
+    return a.minX < b.maxX && b.minX < a.maxX && a.minY < b.maxY && b.minY < a.maxY;
+  }
+
+  /**
+   * 数値を指定の桁数に丸めて、できるだけ短い文字列にします（0.5 → .5）
+   * @private
+   */
+  function formatNumber(value, precision) {
+    const rounded = Number(value.toFixed(precision));
+    const text = String(rounded === 0 ? 0 : rounded);
+    return text.replace(/^(-?)0\./, '$1.');
+  }
+
+  /**
+   * セグメントの配列を最も短いパスデータの文字列に変換します
+   * 座標は先に絶対座標で丸めてから相対座標を求めるため、相対座標を使っても誤差は蓄積しません
+   * @param {Array<Object>} segments - parsePathDataの結果
+   * @param {number|null} precision - 小数点以下の桁数（nullの場合は丸めず、絶対座標のまま書き出す）
+   * @returns {string} パスデータ
+   */
+  function stringifyPathData(segments, precision) {
+    const compact = precision !== null;
+    const digits = compact ? precision : 12;
+    const round = value => Number(value.toFixed(digits));
+
+    let output = '';
+    let lastLetter = null;
+    let lastNumber = null;
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+    let controlX = 0, controlY = 0;
+    let previousType = null;
+
+    // 数値の区切り文字は、次の数値が「-」で始まるか、前の数値に小数点があり次が「.」で始まる場合は不要
+    const joinNumbers = numbers => {
+      let text = '';
+      let previous = lastNumber;
+      for (const number of numbers) {
+        if (previous !== null && !number.startsWith('-') && !(number.startsWith('.') && /[.e]/.test(previous))) {
+          text += ' ';
+        }
+        text += number;
+        previous = number;
+      }
+      return text;
+    };
+
+    const emit = (letter, numbers) => {
+      const implicit = letter === lastLetter && letter.toUpperCase() !== 'M' ||
+        lastLetter === 'M' && letter === 'L' ||
+        lastLetter === 'm' && letter === 'l';
+
+      if (!compact) {
+        output += (output === '' ? '' : ' ') + [letter].concat(numbers).join(' ');
+      } else if (implicit && numbers.length > 0) {
+        output += joinNumbers(numbers);
+      } else {
+        lastNumber = null;
+        output += letter + joinNumbers(numbers);
+      }
+      lastLetter = letter;
+      lastNumber = numbers.length > 0 ? numbers[numbers.length - 1] : null;
+    };
+
+    // 絶対座標と相対座標のうち短い方で書き出す
+    const emitShorter = (type, absolute, relative) => {
+      const absoluteNumbers = absolute.map(value => formatNumber(value, digits));
+      if (!compact) {
+        emit(type, absoluteNumbers);
+        return;
+      }
+      const relativeNumbers = relative.map(value => formatNumber(value, digits));
+      const lower = type.toLowerCase();
+      const absoluteLength = (lastLetter === type ? 0 : 1) + joinNumbers(absoluteNumbers).length;
+      const relativeLength = (lastLetter === lower ? 0 : 1) + joinNumbers(relativeNumbers).length;
+
+      if (relativeLength < absoluteLength) emit(lower, relativeNumbers);
+      else emit(type, absoluteNumbers);
+    };
+
+    for (const segment of segments) {
+      const values = segment.type === 'A' ?
+        segment.values.map((value, i) => (i === 3 || i === 4 ? value : round(value))) :
+        segment.values.map(round);
+      const relativeTo = (list, indices) =>
+        list.map((value, i) => (indices.includes(i) ? round(value - ((i - indices[0]) % 2 === 0 ? x : y)) : value));
+
+      if (segment.type === 'M') {
+        emitShorter('M', values, output === '' ? values : relativeTo(values, [0, 1]));
+        startX = values[0];
+        startY = values[1];
+      } else if (segment.type === 'L') {
+        if (compact && values[0] === x && values[1] === y) continue;
+
+        if (compact && values[1] === y) {
+          emitShorter('H', [values[0]], [round(values[0] - x)]);
+        } else if (compact && values[0] === x) {
+          emitShorter('V', [values[1]], [round(values[1] - y)]);
+        } else {
+          emitShorter('L', values, relativeTo(values, [0, 1]));
+        }
+      } else if (segment.type === 'C') {
+        const smooth = compact &&
+          (previousType === 'C' ?
+            round(2 * x - controlX) === values[0] && round(2 * y - controlY) === values[1] :
+            values[0] === x && values[1] === y);
+
+        if (smooth) {
+          emitShorter('S', values.slice(2), relativeTo(values.slice(2), [0, 1, 2, 3]));
+        } else {
+          emitShorter('C', values, relativeTo(values, [0, 1, 2, 3, 4, 5]));
+        }
+        controlX = values[2];
+        controlY = values[3];
+      } else if (segment.type === 'Q') {
+        const smooth = compact && previousType === 'Q' &&
+          round(2 * x - controlX) === values[0] && round(2 * y - controlY) === values[1];
+
+        if (smooth) {
+          emitShorter('T', values.slice(2), relativeTo(values.slice(2), [0, 1]));
+        } else {
+          emitShorter('Q', values, relativeTo(values, [0, 1, 2, 3]));
+        }
+        controlX = values[0];
+        controlY = values[1];
+      } else if (segment.type === 'A') {
+        emitShorter('A', values, relativeTo(values, [5, 6]));
+      } else {
+        emit(compact ? 'z' : 'Z', []);
+        x = startX;
+        y = startY;
+        previousType = 'Z';
+        continue;
+      }
+
+      x = values[values.length - 2];
+      y = values[values.length - 1];
+      previousType = segment.type;
+    }
+
+    return output;
+  }
+
+  /**
+   * <metadata>とコメントを削除します
+   * @private
+   */
+  function removeMetadata(root) {
+    const prune = node => {
+      if (!node.children) return;
+      node.children = node.children.filter(child =>
+        child.type !== 'comment' && !(child.type === 'element' && child.name === 'metadata'));
+      node.children.forEach(prune);
+    };
+    prune(root);
+  }
+
+  /**
+   * 属性が同じで外接矩形が重ならない隣り合う<path>を1つにまとめます
+   * 重なるパスをまとめると塗りつぶしの規則によって見た目が変わるため、重なる場合はまとめません
+   * @returns {Set<Object>} ほかのパスをまとめた<path>要素
+   * @private
+   */
+  function mergePaths(root, pathSegments) {
+    const merged = new Set();
+    const signature = element => element.attributes
+      .filter(attribute => attribute.name !== 'd')
+      .map(attribute => `${attribute.name}=${attribute.value}`)
+      .join('\n');
+
+    walk(root, element => {
+      const children = [];
+      let target = null;
+      let targetBounds = [];
+
+      for (const child of element.children) {
+        if (isBlankText(child) && target) continue;
+
+        const segments = child.type === 'element' && child.name === 'path' && child.children.length === 0 ?
+          pathSegments.get(child) : null;
+
+        if (!segments) {
+          target = null;
+          children.push(child);
+          continue;
+        }
+
+        const bounds = segmentBounds(segments);
+        const mergeable = target && signature(target) === signature(child) &&
+          !targetBounds.some(other => boundsOverlap(other, bounds));
+
+        if (mergeable) {
+          pathSegments.set(target, pathSegments.get(target).concat(segments));
+          pathSegments.delete(child);
+          targetBounds.push(bounds);
+          merged.add(target);
+        } else {
+          target = child;
+          targetBounds = [bounds];
+          children.push(child);
+        }
+      }
+
+      element.children = children;
+    });
+
+    return merged;
+  }
+
+  /**
+   * 親のグループから引き継ぐ値と同じfill属性と、空のstyle属性を削除します
+   * @private
+   */
+  function cleanupAttributes(root) {
+    const visit = (node, inheritedFill) => {
+      if (node.type !== 'element') {
+        if (node.children) node.children.forEach(child => visit(child, inheritedFill));
+        return;
+      }
+
+      const fill = getAttribute(node, 'fill');
+      if (fill !== null && inheritedFill !== null && fill === inheritedFill && node.name !== 'svg') {
+        removeAttribute(node, 'fill');
+      }
+
+      const style = getAttribute(node, 'style');
+      if (style !== null && style.trim() === '') {
+        removeAttribute(node, 'style');
+      }
+
+      const nextFill = fill !== null ? fill : inheritedFill;
+      node.children.forEach(child => visit(child, nextFill));
+    };
+    visit(root, null);
+  }
+
+  /**
+   * 中身のない<g>と<defs>を削除します
+   * @private
+   */
+  function removeEmptyGroups(root) {
+    const prune = node => {
+      if (!node.children) return;
+      node.children.forEach(prune);
+      node.children = node.children.filter(child =>
+        !(child.type === 'element' && (child.name === 'g' || child.name === 'defs') &&
+          child.children.every(isBlankText)));
+    };
+    prune(root);
+  }
+
+  /**
+   * 外側の要素と同じ名前空間の宣言と、要素名・属性名で使われていない接頭辞の宣言を削除します
+   * @private
+   */
+  function removeNamespaces(root) {
+    const used = new Set(['xml']);
+    walk(root, element => {
+      [element.name].concat(element.attributes.map(attribute => attribute.name)).forEach(name => {
+        const separator = name.indexOf(':');
+        if (separator > 0 && !name.startsWith('xmlns')) used.add(name.slice(0, separator));
+      });
+    });
+
+    const visit = (node, scope) => {
+      if (node.type !== 'element') {
+        if (node.children) node.children.forEach(child => visit(child, scope));
+        return;
+      }
+
+      const nextScope = Object.assign({}, scope);
+      node.attributes = node.attributes.filter(attribute => {
+        if (attribute.name !== 'xmlns' && !attribute.name.startsWith('xmlns:')) return true;
+
+        const prefix = attribute.name === 'xmlns' ? '' : attribute.name.slice('xmlns:'.length);
+        if (prefix && !used.has(prefix)) return false;
+        if (scope[prefix] === attribute.value) return false;
+
+        nextScope[prefix] = attribute.value;
+        return true;
+      });
+      node.children.forEach(child => visit(child, nextScope));
+    };
+    visit(root, {});
+  }
+
+  /**
+   * 要素の間の空白や改行を削除します（text要素などの中は残します）
+   * @private
+   */
+  function minify(root) {
+    const prune = node => {
+      if (!node.children || PRESERVE_SPACE_ELEMENTS.includes(node.name)) return;
+      node.children = node.children.filter(child => !isBlankText(child));
+      node.children.forEach(prune);
+    };
+    prune(root);
+
+    // XML宣言の後だけは改行を残す
+    const declaration = root.children[0];
+    if (declaration && declaration.type === 'raw' && declaration.raw.startsWith('<?xml')) {
+      root.children.splice(1, 0, { type: 'text', value: '\n' });
+    }
+  }
+
+  /**
+   * SVGを最適化します
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 最適化オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 最適化結果 {svgData, originalSize, optimizedSize}（サイズはUTF-8のバイト数）
+   */
+  function optimize(svgData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const precision = Math.max(0, Math.min(6, Math.round(Number(settings.precision) || 0)));
+
+    try {
+      const root = parseXML(svgData);
+
+      if (settings.removeMetadata) removeMetadata(root);
+
+      // パスデータは一度だけ解析し、まとめた後に書き出す
+      const pathSegments = new Map();
+      if (settings.convertPathData || settings.mergePaths) {
+        walk(root, element => {
+          const pathData = element.name === 'path' ? getAttribute(element, 'd') : null;
+          if (pathData !== null) pathSegments.set(element, parsePathData(pathData));
+        });
+      }
+
+      const merged = settings.mergePaths ? mergePaths(root, pathSegments) : new Set();
+
+      pathSegments.forEach((segments, element) => {
+        const attribute = element.attributes.find(item => item.name === 'd');
+        if (settings.convertPathData) {
+          attribute.value = stringifyPathData(segments, precision);
+        } else if (merged.has(element)) {
+          attribute.value = stringifyPathData(segments, null);
+        }
+      });
+
+      if (settings.cleanupAttributes) cleanupAttributes(root);
+      if (settings.removeEmptyGroups) removeEmptyGroups(root);
+      if (settings.removeNamespaces) removeNamespaces(root);
+      if (settings.minify) minify(root);
+
+      const optimized = serializeXML(root);
+
+      return {
+        svgData: optimized,
+        originalSize: byteLength(svgData),
+        optimizedSize: byteLength(optimized)
+      };
+    } catch (error) {
+      console.error('SVGの最適化に失敗しました:', error);
+      throw new Error('SVGの最適化に失敗しました: ' + error.message);
+    }
+  }
+
+  // 公開API
+  return {
+    optimize: optimize,
+    parseXML: parseXML,
+    serializeXML: serializeXML,
+    parsePathData: parsePathData,
+    stringifyPathData: stringifyPathData,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerOptimizer;
+} else {
+  globalThis.ImageTracerOptimizer = ImageTracerOptimizer;
+}
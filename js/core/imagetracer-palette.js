@@ -0,0 +1,289 @@
+/**
+ * @module ImageTracerPalette
+ * @description 変換に使用するパレット（色の一覧）を読み込むモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * ブランドカラーなど、決まった色で変換したい場合に使用するパレットを次の形式から読み込みます。
+ *   - 16進数カラーコードの一覧（"#ff0000, #00ff00" のようにカンマ・空白・改行区切り）
+ *   - GIMPパレット（.gpl）
+ *   - Adobe Swatch Exchange（.ase）
+ *   - 既存のSVGファイル（fill / stroke / stop-color に使われている色）
+ *
+ * 読み込んだパレットは ImageTracerEngine の palette オプションにそのまま渡せます。
+ */
+
+// ImageTracerPaletteを定義
+const ImageTracerPalette = (function() {
+  'use strict';
+
+  /**
+   * 色の指定を {r, g, b, hex} 形式に変換します
+   * @param {string|Array|Object} value - "#rrggbb" / "#rgb" / [r, g, b] / {r, g, b}
+   * @returns {Object} 色 {r, g, b, hex}
+   */
+  function normalizeColor(value) {
+    let r;
+    let g;
+    let b;
+
+    if (typeof value === 'string') {
+      const match = value.trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+      if (!match) {
+        throw new Error(`不正な色の指定です: ${value}`);
+      }
+
+      const hex = match[1].length === 3 ?
+        match[1].split('').map(c => c + c).join('') :
+        match[1];
+      r = parseInt(hex.slice(0, 2), 16);
+      g = parseInt(hex.slice(2, 4), 16);
+      b = parseInt(hex.slice(4, 6), 16);
+    } else if (Array.isArray(value)) {
+      [r, g, b] = value;
+    } else if (value && typeof value === 'object') {
+      ({ r, g, b } = value);
+    }
+
+    if (![r, g, b].every(v => Number.isFinite(v))) {
+      throw new Error(`不正な色の指定です: ${JSON.stringify(value)}`);
+    }
+
+    r = clampChannel(r);
+    g = clampChannel(g);
+    b = clampChannel(b);
+
+    return { r: r, g: g, b: b, hex: rgbToHex(r, g, b) };
+  }
+
+  /**
+   * パレットを正規化し、重複した色を取り除きます
+   * @param {Array} colors - 色の指定の配列（normalizeColorを参照）
+   * @returns {Array} パレット [{r, g, b, hex}, ...]
+   */
+  function normalizePalette(colors) {
+    const palette = [];
+    const seen = new Set();
+
+    for (const value of colors || []) {
+      const color = normalizeColor(value);
+      if (seen.has(color.hex)) continue;
+
+      seen.add(color.hex);
+      if (value && typeof value === 'object' && value.name) {
+        color.name = value.name;
+      }
+      palette.push(color);
+    }
+
+    return palette;
+  }
+
+  /**
+   * 16進数カラーコードの一覧を読み込みます
+   * @param {string} text - カンマ・セミコロン・空白・改行で区切ったカラーコード
+   * @returns {Array} パレット [{r, g, b, hex}, ...]
+   */
+  function parseHexList(text) {
+    const tokens = String(text || '').split(/[\s,;]+/).filter(token => token);
+    return normalizePalette(tokens);
+  }
+
+  /**
+   * GIMPパレット（.gpl）を読み込みます
+   * @param {string} text - ファイルの内容
+   * @returns {Array} パレット [{r, g, b, hex, name}, ...]
+   */
+  function parseGPL(text) {
+    const lines = String(text).split(/\r?\n/);
+
+    if (!/^GIMP Palette/.test(lines[0] || '')) {
+      throw new Error('GIMPパレット形式ではありません');
+    }
+
+    const colors = [];
+
+    for (const line of lines.slice(1)) {
+      const trimmed = line.trim();
+      if (!trimmed || trimmed.startsWith('#') || /^(Name|Columns):/i.test(trimmed)) continue;
+
+      const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/);
+      if (!match) continue;
+
+      colors.push({ r: Number(match[1]), g: Number(match[2]), b: Number(match[3]), name: match[4] || undefined });
+    }
+
+    return normalizePalette(colors);
+  }
+
+  /**
+   * Adobe Swatch Exchange（.ase）を読み込みます
+   * RGB・CMYK・LAB・グレーの色をRGBに変換します（グループは展開します）
+   * @param {ArrayBuffer|Uint8Array} buffer - ファイルの内容
+   * @returns {Array} パレット [{r, g, b, hex, name}, ...]
+   */
+  function parseASE(buffer) {
+    const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    if (bytes.length < 12 || String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3]) !== 'ASEF') {
+      throw new Error('Adobe Swatch Exchange形式ではありません');
+    }
+
+    const BLOCK_COLOR = 0x0001;
+    const blockCount = view.getUint32(8);
+    const colors = [];
+    let offset = 12;
+
+    for (let i = 0; i < blockCount && offset + 6 <= bytes.length; i++) {
+      const type = view.getUint16(offset);
+      const length = view.getUint32(offset + 2);
+      const start = offset + 6;
+      offset = start + length;
+
+      if (type !== BLOCK_COLOR) continue;
+
+      // 色名（UTF-16BE、終端のNULを含む文字数）
+      const nameLength = view.getUint16(start);
+      let name = '';
+      for (let c = 0; c < nameLength; c++) {
+        const code = view.getUint16(start + 2 + c * 2);
+        if (code !== 0) name += String.fromCharCode(code);
+      }
+
+      let p = start + 2 + nameLength * 2;
+      const model = String.fromCharCode(bytes[p], bytes[p + 1], bytes[p + 2], bytes[p + 3]).trim();
+      p += 4;
+      const read = count => Array.from({ length: count }, (_, k) => view.getFloat32(p + k * 4));
+
+      let rgb;
+      switch (model) {
+        case 'RGB':
+          rgb = read(3).map(v => v * 255);
+          break;
+        case 'CMYK': {
+          const [c, m, y, k] = read(4);
+          rgb = [c, m, y].map(v => 255 * (1 - v) * (1 - k));
+          break;
+        }
+        case 'LAB': {
+          const [l, a, b] = read(3);
+          rgb = labToRgb(l * 100, a, b);
+          break;
+        }
+        case 'Gray':
+          rgb = read(1).map(v => v * 255);
+          rgb = [rgb[0], rgb[0], rgb[0]];
+          break;
+        default:
+          console.warn(`未対応の色モデルのため読み飛ばします: ${model}`);
+          continue;
+      }
+
+      colors.push({ r: rgb[0], g: rgb[1], b: rgb[2], name: name || undefined });
+    }
+
+    return normalizePalette(colors);
+  }
+
+  /**
+   * SVGで使われている塗り・線・グラデーションの色を読み込みます
+   * @param {string} text - SVGの内容
+   * @returns {Array} パレット [{r, g, b, hex}, ...]（出現順）
+   */
+  function parseSVG(text) {
+    const pattern = /(?:fill|stroke|stop-color)\s*(?:=\s*["']|:)\s*(#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgb\(\s*[\d.]+%?\s*,\s*[\d.]+%?\s*,\s*[\d.]+%?\s*\))/gi;
+    const colors = [];
+    let match;
+
+    while ((match = pattern.exec(String(text))) !== null) {
+      const value = match[1];
+
+      if (value[0] === '#') {
+        colors.push(value);
+      } else {
+        colors.push(value.match(/[\d.]+%?/g).map(v =>
+          v.endsWith('%') ? parseFloat(v) * 2.55 : parseFloat(v)));
+      }
+    }
+
+    if (colors.length === 0) {
+      throw new Error('SVGに色が見つかりません');
+    }
+
+    return normalizePalette(colors);
+  }
+
+  /**
+   * ファイル名の拡張子から形式を判定してパレットを読み込みます
+   * @param {string} fileName - ファイル名
+   * @param {string|ArrayBuffer|Uint8Array} content - ファイルの内容（.aseはバイナリ、それ以外はテキスト）
+   * @returns {Array} パレット [{r, g, b, hex}, ...]
+   */
+  function parsePaletteFile(fileName, content) {
+    const extension = String(fileName).toLowerCase().split('.').pop();
+    const asText = () => (typeof content === 'string' ? content : new TextDecoder().decode(content));
+
+    switch (extension) {
+      case 'ase':
+        return parseASE(content);
+      case 'gpl':
+        return parseGPL(asText());
+      case 'svg':
+        return parseSVG(asText());
+      default:
+        return parseHexList(asText());
+    }
+  }
+
+  /**
+   * パレットを16進数カラーコードの一覧に変換します
+   * @param {Array} palette - パレット
+   * @returns {string} カンマ区切りのカラーコード
+   */
+  function toHexList(palette) {
+    return palette.map(color => color.hex).join(', ');
+  }
+
+  /** @private */
+  function clampChannel(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+  }
+
+  /**
+   * CIELAB値をRGB値に変換します（ImageTracerQuantizerを使用）
+   * @private
+   */
+  function labToRgb(l, a, b) {
+    const quantizer = typeof ImageTracerQuantizer !== 'undefined' ?
+      ImageTracerQuantizer : require('./imagetracer-quantizer.js');
+    return quantizer.labToRgb(l, a, b);
+  }
+
+  /**
+   * RGB値から16進数カラーコードを生成
+   * @private
+   */
+  function rgbToHex(r, g, b) {
+    return '#' + ((1 << 24) + (r << 16) + (g << 8) + b).toString(16).slice(1);
+  }
+
+  // 公開API
+  return {
+    normalizeColor: normalizeColor,
+    normalizePalette: normalizePalette,
+    parseHexList: parseHexList,
+    parseGPL: parseGPL,
+    parseASE: parseASE,
+    parseSVG: parseSVG,
+    parsePaletteFile: parsePaletteFile,
+    toHexList: toHexList
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerPalette;
+} else {
+  globalThis.ImageTracerPalette = ImageTracerPalette;
+}
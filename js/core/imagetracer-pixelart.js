@@ -0,0 +1,296 @@
+/**
+ * @module ImageTracerPixelArt
+ * @description ドット絵をピクセル単位の矩形の組み合わせとしてトレースするモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * ドット絵をPotraceなどで曲線にトレースすると角が丸くなってしまうため、
+ * ドット（元のピクセル）の格子をそのまま残した、縦横の辺だけからなる多角形に変換します。
+ *
+ * 処理の流れ:
+ *   1. 色が変わる位置の間隔から、拡大されたドット絵の1ドットの大きさと格子のずれを検出する
+ *   2. 1ドットを1ピクセルに縮小した画像を作成する（色の割り当てはこの画像で行う）
+ *   3. 同じ色のドットの集まりの外周（穴を含む）を、縦横の辺だけの多角形としてたどる
+ *
+ * 使用例:
+ *   const grid = ImageTracerPixelArt.detectGrid(imageData);
+ *   const dots = ImageTracerPixelArt.downsample(imageData, grid);
+ *   const paths = ImageTracerPixelArt.traceCells(mask, grid);
+ *   // grid: {scaleX, scaleY, columns, rows, xs, ys}（xs・ysは元画像でのドットの境界の座標）
+ */
+
+// ImageTracerPixelArtを定義
+const ImageTracerPixelArt = (function() {
+  'use strict';
+
+  /**
+   * ドット絵オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    pixelSize: 0,          // 1ドットの大きさ（ピクセル、0は自動検出）
+    alphaThreshold: 128    // これ未満の不透明度のピクセルは透明として扱う
+  };
+
+  /**
+   * 最大公約数を求めます
+   * @private
+   */
+  function gcd(a, b) {
+    while (b) {
+      [a, b] = [b, a % b];
+    }
+    return a;
+  }
+
+  /**
+   * ピクセルの色をキーにします（透明は-1）
+   * @private
+   */
+  function colorKey(data, i, alphaThreshold) {
+    return data[i + 3] < alphaThreshold ? -1 : (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+  }
+
+  /**
+   * 境界の位置の一覧から、1ドットの大きさとずれを求めます
+   * @param {Array<number>} boundaries - 色が変わる位置（昇順）
+   * @returns {Object|null} {scale, offset}（境界が2つ未満で決められない場合はnull）
+   * @private
+   */
+  function scaleFromBoundaries(boundaries) {
+    if (boundaries.length < 2) return null;
+
+    let scale = 0;
+    for (let i = 1; i < boundaries.length; i++) {
+      scale = gcd(scale, boundaries[i] - boundaries[i - 1]);
+    }
+
+    return { scale: scale, offset: boundaries[0] % scale };
+  }
+
+  /**
+   * ドットの境界の座標を作成します（0から始まり size で終わる）
+   * @private
+   */
+  function gridEdges(size, scale, offset) {
+    const edges = [0];
+    for (let position = offset || scale; position < size; position += scale) {
+      edges.push(position);
+    }
+    edges.push(size);
+    return edges;
+  }
+
+  /**
+   * ドットの格子を検出します
+   * 画像全体で色が変わる列・行の位置を集め、その間隔の最大公約数を1ドットの大きさとします
+   * （境界が少ない方向は、もう一方の方向の大きさを使用します）
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} options - オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} 格子 {scaleX, scaleY, offsetX, offsetY, columns, rows, xs, ys}
+   */
+  function detectGrid(imageData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, data } = imageData;
+    let horizontal;
+    let vertical;
+
+    if (settings.pixelSize >= 1) {
+      const size = Math.round(settings.pixelSize);
+      horizontal = { scale: size, offset: 0 };
+      vertical = { scale: size, offset: 0 };
+    } else {
+      const columnBoundary = new Uint8Array(width);
+      const rowBoundary = new Uint8Array(height);
+
+      for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+          const i = (y * width + x) * 4;
+          const key = colorKey(data, i, settings.alphaThreshold);
+
+          if (x > 0 && !columnBoundary[x] && key !== colorKey(data, i - 4, settings.alphaThreshold)) {
+            columnBoundary[x] = 1;
+          }
+          if (y > 0 && !rowBoundary[y] && key !== colorKey(data, i - width * 4, settings.alphaThreshold)) {
+            rowBoundary[y] = 1;
+          }
+        }
+      }
+
+      const positions = flags => {
+        const list = [];
+        flags.forEach((flag, i) => { if (flag) list.push(i); });
+        return list;
+      };
+      horizontal = scaleFromBoundaries(positions(columnBoundary));
+      vertical = scaleFromBoundaries(positions(rowBoundary));
+
+      // 一方向にしか境界がない場合（縞模様など）は、もう一方の方向の大きさを使用する
+      const fallback = horizontal || vertical || { scale: 1, offset: 0 };
+      horizontal = horizontal || { scale: fallback.scale, offset: 0 };
+      vertical = vertical || { scale: fallback.scale, offset: 0 };
+    }
+
+    const xs = gridEdges(width, horizontal.scale, horizontal.offset);
+    const ys = gridEdges(height, vertical.scale, vertical.offset);
+
+    return {
+      scaleX: horizontal.scale,
+      scaleY: vertical.scale,
+      offsetX: horizontal.offset,
+      offsetY: vertical.offset,
+      columns: xs.length - 1,
+      rows: ys.length - 1,
+      xs: xs,
+      ys: ys
+    };
+  }
+
+  /**
+   * 1ドットを1ピクセルにした画像を作成します（各ドットの中央のピクセルの色を使用）
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} grid - detectGridの結果
+   * @returns {Object} 縮小した画像データ {width: columns, height: rows, data}
+   */
+  function downsample(imageData, grid) {
+    const { columns, rows, xs, ys } = grid;
+    const data = new Uint8ClampedArray(columns * rows * 4);
+
+    for (let row = 0; row < rows; row++) {
+      const y = Math.floor((ys[row] + ys[row + 1] - 1) / 2);
+
+      for (let column = 0; column < columns; column++) {
+        const x = Math.floor((xs[column] + xs[column + 1] - 1) / 2);
+        const source = (y * imageData.width + x) * 4;
+        const target = (row * columns + column) * 4;
+
+        data[target] = imageData.data[source];
+        data[target + 1] = imageData.data[source + 1];
+        data[target + 2] = imageData.data[source + 2];
+        data[target + 3] = imageData.data[source + 3];
+      }
+    }
+
+    return { width: columns, height: rows, data: data };
+  }
+
+  /**
+   * 画像の色が指定数以内であれば、その色をパレットとして返します（出現数の多い順）
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {number} maxColors - 最大の色数
+   * @param {number} alphaThreshold - 透明とみなす不透明度の閾値
+   * @returns {Array|null} パレット [{r, g, b, hex}]（色数を超える場合はnull）
+   */
+  function distinctColors(imageData, maxColors, alphaThreshold = DEFAULT_OPTIONS.alphaThreshold) {
+    const counts = new Map();
+    const data = imageData.data;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const key = colorKey(data, i, alphaThreshold);
+      if (key < 0) continue;
+
+      counts.set(key, (counts.get(key) || 0) + 1);
+      if (counts.size > maxColors) return null;
+    }
+
+    return Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1])
+      .map(([key]) => {
+        const r = key >> 16;
+        const g = (key >> 8) & 0xff;
+        const b = key & 0xff;
+        return { r: r, g: g, b: b, hex: '#' + ((1 << 24) + key).toString(16).slice(1) };
+      });
+  }
+
+  /**
+   * ドットのマスクを、縦横の辺だけからなる多角形のパスデータに変換します
+   * 塗りつぶすドットを右手に見ながら外周をたどるため、外側の輪郭は時計回り、穴は反時計回りになり、
+   * すべての輪郭を1つのパスにまとめます（同じ方向に続く辺は1つの辺にまとめます）
+   * @param {Uint8Array} mask - ドットのマスク（columns × rows、1が塗りつぶし対象）
+   * @param {Object} grid - detectGridの結果（xs・ysで元画像の座標に変換します）
+   * @returns {Array<string>} SVGパスデータの配列（塗りつぶすドットがない場合は空）
+   */
+  function traceCells(mask, grid) {
+    const { columns, rows, xs, ys } = grid;
+    const stride = columns + 1;
+    const filled = (column, row) =>
+      column >= 0 && row >= 0 && column < columns && row < rows && mask[row * columns + column] === 1;
+
+    // 方向: 0 右, 1 下, 2 左, 3 上
+    const DX = [1, 0, -1, 0];
+    const DY = [0, 1, 0, -1];
+
+    // 頂点ごとの出ていく辺の方向（ビット）
+    const outgoing = new Uint8Array(stride * (rows + 1));
+    let edgeCount = 0;
+
+    for (let row = 0; row < rows; row++) {
+      for (let column = 0; column < columns; column++) {
+        if (!filled(column, row)) continue;
+
+        const topLeft = row * stride + column;
+        if (!filled(column, row - 1)) { outgoing[topLeft] |= 1 << 0; edgeCount++; }
+        if (!filled(column + 1, row)) { outgoing[topLeft + 1] |= 1 << 1; edgeCount++; }
+        if (!filled(column, row + 1)) { outgoing[topLeft + stride + 1] |= 1 << 2; edgeCount++; }
+        if (!filled(column - 1, row)) { outgoing[topLeft + stride] |= 1 << 3; edgeCount++; }
+      }
+    }
+
+    if (edgeCount === 0) return [];
+
+    let pathData = '';
+
+    // 頂点番号の小さい順に輪郭をたどる（最初に見つかる頂点は輪郭の左上の角になる）
+    for (let start = 0; start < outgoing.length; start++) {
+      while (outgoing[start]) {
+        let direction = outgoing[start] & 1 ? 0 : 1;
+        let vertex = start;
+        const corners = [start];
+
+        do {
+          outgoing[vertex] &= ~(1 << direction);
+          vertex += DX[direction] + DY[direction] * stride;
+          if (vertex === start) break;
+
+          // 右折を優先する（斜めに接するドットは別の輪郭として分ける）
+          const turn = [1, 0, 3].find(t => outgoing[vertex] & (1 << ((direction + t) % 4)));
+          const next = (direction + turn) % 4;
+
+          if (next !== direction) corners.push(vertex);
+          direction = next;
+        } while (true);
+
+        // 頂点番号を元画像の座標に変換
+        const points = corners.map(corner => {
+          const column = corner % stride;
+          return { x: xs[column], y: ys[(corner - column) / stride] };
+        });
+
+        pathData += `M${points[0].x} ${points[0].y}`;
+        for (let i = 1; i < points.length; i++) {
+          pathData += points[i].x === points[i - 1].x ? `V${points[i].y}` : `H${points[i].x}`;
+        }
+        pathData += 'Z';
+      }
+    }
+
+    return pathData ? [pathData] : [];
+  }
+
+  // 公開API
+  return {
+    detectGrid: detectGrid,
+    downsample: downsample,
+    distinctColors: distinctColors,
+    traceCells: traceCells,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerPixelArt;
+} else {
+  globalThis.ImageTracerPixelArt = ImageTracerPixelArt;
+}
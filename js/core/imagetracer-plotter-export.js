@@ -0,0 +1,608 @@
+/**
+ * @module ImageTracerPlotterExport
+ * @description 変換結果のSVGをカッティングマシン・プロッター用のDXF（R12）・HPGLに書き出すモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * ImageTracerVectorExport.collectLayers() でSVGのレイヤーとパスデータ（白黒モードの輪郭・中心線を含む）を取り出し、
+ * 曲線を許容誤差以内の折れ線にしてから、実寸（mm・インチ）の座標で書き出します。
+ *
+ * 書き出しの内容:
+ *   - 塗りのパスは閉じた輪郭として扱い、穴（入れ子の深さが奇数の輪郭）は外側の輪郭と逆回りにします。
+ *     穴は必ず外側の輪郭より先に切るため、切り抜いた部品がずれても穴の位置は狂いません
+ *   - 線だけのパス（中心線モードなど）は開いた折れ線のまま書き出します
+ *   - レイヤーごとに、直前の位置から最も近い輪郭を順に選び（閉じた輪郭は最も近い頂点から、開いた線は近い方の端から）、
+ *     ペンを上げて移動する距離を短くします
+ *   DXF  - レイヤーごとにDXFのレイヤーを作り、輪郭をPOLYLINEで書き出します（単位は units の指定に従います）
+ *   HPGL - レイヤーごとにペン番号（SP1〜SP8）を切り替え、プロッター単位（1/40mm）で書き出します
+ *
+ * 座標はSVGの1ピクセルを dpi（既定値96）の1ドットとして換算し、原点を左下にします。
+ * 非表示のレイヤーは書き出しません（includeHidden: true で書き出します）。
+ *
+ * 使用例:
+ *   const file = ImageTracerPlotterExport.convert(svgData, 'dxf', { units: 'mm', dpi: 300, tolerance: 0.05 });
+ *   const blob = new Blob([file.data], { type: file.mimeType }); // file.extension は '.dxf'
+ */
+
+// ImageTracerPlotterExportを定義
+const ImageTracerPlotterExport = (function() {
+  'use strict';
+
+  /**
+   * 書き出しオプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    units: 'mm',           // 座標の単位（'mm' または 'inch'。HPGLは常にプロッター単位）
+    dpi: 96,               // SVGの1ピクセルあたりの解像度（実寸への換算に使用）
+    tolerance: 0.1,        // 曲線を折れ線にするときの許容誤差（mm。単位がinchの場合もmmで指定）
+    includeHidden: false   // 非表示のレイヤーも書き出す
+  };
+
+  /**
+   * 対応する形式
+   * @type {Object}
+   */
+  const FORMATS = {
+    dxf: { mimeType: 'application/dxf', extension: '.dxf' },
+    hpgl: { mimeType: 'application/vnd.hp-hpgl', extension: '.plt' }
+  };
+
+  // 1インチあたりの単位の数と、書き出す座標の小数点以下の桁数
+  const UNITS = {
+    mm: { perInch: 25.4, digits: 4 },
+    inch: { perInch: 1, digits: 5 }
+  };
+
+  // HPGLのプロッター単位（1mmあたり40単位）
+  const HPGL_UNITS_PER_MM = 40;
+
+  // HPGLで使用するペンの数（レイヤーの順に繰り返す）
+  const HPGL_PEN_COUNT = 8;
+
+  // 曲線を分割する最大の深さ（2^16分割）
+  const MAX_FLATTEN_DEPTH = 16;
+
+  // DXFの色番号（ACI）の基本色（赤・黄・緑・シアン・青・マゼンタの順に色相60°ごと）
+  const ACI_HUE_COLORS = [1, 2, 3, 4, 5, 6];
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getVectorExport() {
+    if (typeof globalThis.ImageTracerVectorExport !== 'undefined') {
+      return globalThis.ImageTracerVectorExport;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-vector-export.js');
+    }
+
+    throw new Error('ImageTracerVectorExportモジュールが読み込まれていません');
+  }
+
+  /**
+   * 点と線分（両端を通る直線）の距離を求めます
+   * @private
+   */
+  function distanceToLine(point, start, end) {
+    const dx = end[0] - start[0];
+    const dy = end[1] - start[1];
+    const length = Math.hypot(dx, dy);
+
+    if (length === 0) {
+      return Math.hypot(point[0] - start[0], point[1] - start[1]);
+    }
+    return Math.abs(dx * (start[1] - point[1]) - dy * (start[0] - point[0])) / length;
+  }
+
+  /**
+   * 3次ベジェ曲線を許容誤差以内の折れ線にし、終点までの点を追加します（始点は含みません）
+   * @private
+   */
+  function flattenCubic(p0, p1, p2, p3, tolerance, points, depth = 0) {
+    if (depth >= MAX_FLATTEN_DEPTH ||
+      Math.max(distanceToLine(p1, p0, p3), distanceToLine(p2, p0, p3)) <= tolerance) {
+      points.push(p3);
+      return;
+    }
+
+    // de Casteljauのアルゴリズムで半分に分割する
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    const p01 = mid(p0, p1), p12 = mid(p1, p2), p23 = mid(p2, p3);
+    const p012 = mid(p01, p12), p123 = mid(p12, p23);
+    const center = mid(p012, p123);
+
+    flattenCubic(p0, p01, p012, center, tolerance, points, depth + 1);
+    flattenCubic(center, p123, p23, p3, tolerance, points, depth + 1);
+  }
+
+  /**
+   * M・L・C・Zのセグメントをサブパスごとの折れ線にします
+   * @private
+   * @returns {Array<Object>} [{points, closed}]
+   */
+  function flattenSegments(segments, transform, tolerance) {
+    const polylines = [];
+    let current = null;
+
+    for (const segment of segments) {
+      const values = segment.values;
+
+      if (segment.type === 'M') {
+        current = { points: [transform(values[0], values[1])], closed: false };
+        polylines.push(current);
+      } else if (segment.type === 'Z') {
+        if (current) {
+          current.closed = true;
+          // 閉じた後に続くセグメントは同じ始点から始まる
+          current = { points: [current.points[0]], closed: false };
+          polylines.push(current);
+        }
+      } else if (current) {
+        const last = current.points[current.points.length - 1];
+        if (segment.type === 'L') {
+          current.points.push(transform(values[0], values[1]));
+        } else if (segment.type === 'C') {
+          flattenCubic(last, transform(values[0], values[1]), transform(values[2], values[3]),
+            transform(values[4], values[5]), tolerance, current.points);
+        }
+      }
+    }
+
+    // 同じ位置に続く点と、閉じた輪郭の始点と重なる終点を取り除く
+    return polylines.map(polyline => {
+      const points = polyline.points.filter((point, index, list) =>
+        index === 0 || point[0] !== list[index - 1][0] || point[1] !== list[index - 1][1]);
+      if (polyline.closed && points.length > 1) {
+        const first = points[0], last = points[points.length - 1];
+        if (first[0] === last[0] && first[1] === last[1]) points.pop();
+      }
+      return { points: points, closed: polyline.closed };
+    });
+  }
+
+  /**
+   * 折れ線の外接矩形を求めます
+   * @private
+   */
+  function boundingBox(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const point of points) {
+      if (point[0] < minX) minX = point[0];
+      if (point[0] > maxX) maxX = point[0];
+      if (point[1] < minY) minY = point[1];
+      if (point[1] > maxY) maxY = point[1];
+    }
+    return { minX: minX, minY: minY, maxX: maxX, maxY: maxY };
+  }
+
+  /**
+   * 閉じた折れ線の符号付き面積を求めます（反時計回りが正）
+   * @private
+   */
+  function signedArea(points) {
+    let area = 0;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      area += (points[j][0] - points[i][0]) * (points[j][1] + points[i][1]);
+    }
+    return area / 2;
+  }
+
+  /**
+   * 点が閉じた折れ線の内側にあるかを判定します（偶奇規則）
+   * @private
+   */
+  function containsPoint(points, point) {
+    let inside = false;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const a = points[i], b = points[j];
+      if ((a[1] > point[1]) !== (b[1] > point[1]) &&
+        point[0] < (b[0] - a[0]) * (point[1] - a[1]) / (b[1] - a[1]) + a[0]) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  /**
+   * 塗りのパスの輪郭を、入れ子の関係から外側の輪郭と穴に分けます
+   * 外側の輪郭は反時計回り、穴は時計回りにそろえ、各輪郭を内側に含む輪郭（containers）を記録します
+   * @private
+   */
+  function classifyRings(rings) {
+    rings.forEach(ring => {
+      ring.box = boundingBox(ring.points);
+      ring.containers = [];
+    });
+
+    rings.forEach(ring => {
+      const point = ring.points[0];
+      rings.forEach(other => {
+        if (other === ring || point[0] < other.box.minX || point[0] > other.box.maxX ||
+          point[1] < other.box.minY || point[1] > other.box.maxY) {
+          return;
+        }
+        if (containsPoint(other.points, point)) {
+          ring.containers.push(other);
+        }
+      });
+
+      ring.hole = ring.containers.length % 2 === 1;
+      if ((signedArea(ring.points) > 0) === ring.hole) {
+        ring.points.reverse();
+      }
+    });
+  }
+
+  /**
+   * 点と外接矩形の距離を求めます（矩形の内側では0）
+   * @private
+   */
+  function distanceToBox(point, box) {
+    const dx = Math.max(box.minX - point[0], 0, point[0] - box.maxX);
+    const dy = Math.max(box.minY - point[1], 0, point[1] - box.maxY);
+    return Math.hypot(dx, dy);
+  }
+
+  /**
+   * 現在の位置から最も近い順に輪郭を並べ、閉じた輪郭は最も近い頂点から、開いた線は近い方の端から始めます
+   * 穴は、それを含む外側の輪郭より先に並べます
+   * @private
+   * @returns {Object} {paths, position} 並べた輪郭と最後の位置
+   */
+  function orderPaths(items, start) {
+    const pending = new Map(items.map(item => [item, 0]));
+    items.forEach(item => item.containers.forEach(container => pending.set(container, pending.get(container) + 1)));
+
+    const remaining = new Set(items);
+    const ordered = [];
+    let position = start;
+
+    while (remaining.size > 0) {
+      let best = null;
+      let bestDistance = Infinity;
+      let bestIndex = 0;
+
+      for (const item of remaining) {
+        if (pending.get(item) > 0) continue;
+
+        if (item.closed) {
+          // 外接矩形までの距離がこれまでの最短より遠い場合は頂点を調べない
+          if (distanceToBox(position, item.box) >= bestDistance) continue;
+          item.points.forEach((point, index) => {
+            const distance = Math.hypot(point[0] - position[0], point[1] - position[1]);
+            if (distance < bestDistance) {
+              best = item;
+              bestDistance = distance;
+              bestIndex = index;
+            }
+          });
+        } else {
+          const first = item.points[0];
+          const last = item.points[item.points.length - 1];
+          const toFirst = Math.hypot(first[0] - position[0], first[1] - position[1]);
+          const toLast = Math.hypot(last[0] - position[0], last[1] - position[1]);
+          if (Math.min(toFirst, toLast) < bestDistance) {
+            best = item;
+            bestDistance = Math.min(toFirst, toLast);
+            bestIndex = toFirst <= toLast ? 0 : item.points.length - 1;
+          }
+        }
+      }
+
+      let points;
+      if (best.closed) {
+        points = best.points.slice(bestIndex).concat(best.points.slice(0, bestIndex));
+        position = points[0];
+      } else {
+        points = bestIndex === 0 ? best.points : best.points.slice().reverse();
+        position = points[points.length - 1];
+      }
+
+      ordered.push({ points: points, closed: best.closed, hole: Boolean(best.hole) });
+      remaining.delete(best);
+      best.containers.forEach(container => pending.set(container, pending.get(container) - 1));
+    }
+
+    return { paths: ordered, position: position };
+  }
+
+  /**
+   * SVGのレイヤーとパスを、実寸の座標の折れ線にします
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} {units, width, height, layers: [{id, name, color, paths: [{points, closed, hole}]}]}
+   *   （points は [[x, y], ...]、原点は左下。閉じた輪郭の終点は始点と重ねません）
+   */
+  function toPolylines(svgData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const unit = UNITS[settings.units];
+    const dpi = Number(settings.dpi);
+    const tolerance = Number(settings.tolerance);
+
+    if (!unit) {
+      throw new Error(`未対応の単位です: ${settings.units}`);
+    }
+    if (!(dpi > 0)) {
+      throw new Error(`解像度（dpi）には正の数を指定してください: ${settings.dpi}`);
+    }
+    if (!(tolerance > 0)) {
+      throw new Error(`許容誤差には正の数を指定してください: ${settings.tolerance}`);
+    }
+
+    const drawing = getVectorExport().collectLayers(svgData);
+    const box = drawing.viewBox;
+    const scaleX = drawing.width / box.width * unit.perInch / dpi;
+    const scaleY = drawing.height / box.height * unit.perInch / dpi;
+    const transform = (x, y) => [(x - box.x) * scaleX, (box.y + box.height - y) * scaleY];
+    const unitTolerance = tolerance * unit.perInch / UNITS.mm.perInch;
+
+    let position = [0, 0];
+    const layers = [];
+
+    for (const layer of drawing.layers) {
+      if (!layer.visible && !settings.includeHidden) continue;
+
+      const items = [];
+      let color = null;
+
+      for (const path of layer.paths) {
+        const fill = path.fill && path.fillOpacity > 0;
+        const stroke = path.stroke && path.strokeWidth > 0 && path.strokeOpacity > 0;
+        if (!fill && !stroke) continue;
+
+        color = color || (fill ? path.fill : path.stroke);
+        const polylines = flattenSegments(path.segments, transform, unitTolerance);
+
+        if (fill) {
+          // 塗りは閉じた領域として切り抜く
+          const rings = polylines
+            .filter(polyline => polyline.points.length >= 3)
+            .map(polyline => ({ points: polyline.points, closed: true }));
+          classifyRings(rings);
+          items.push(...rings);
+        } else {
+          polylines
+            .filter(polyline => polyline.points.length >= 2)
+            .forEach(polyline => {
+              polyline.box = boundingBox(polyline.points);
+              polyline.containers = [];
+              items.push(polyline);
+            });
+        }
+      }
+
+      if (items.length === 0) continue;
+
+      const ordered = orderPaths(items, position);
+      position = ordered.position;
+      layers.push({ id: layer.id, name: layer.name, color: color, paths: ordered.paths });
+    }
+
+    if (layers.length === 0) {
+      throw new Error('書き出せる輪郭がありません');
+    }
+
+    return {
+      units: settings.units,
+      width: drawing.width * unit.perInch / dpi,
+      height: drawing.height * unit.perInch / dpi,
+      layers: layers
+    };
+  }
+
+  /**
+   * 数値を指定した桁数までの短い文字列にします
+   * @private
+   */
+  function formatNumber(value, digits) {
+    const rounded = Number(value.toFixed(digits));
+    return String(rounded === 0 ? 0 : rounded);
+  }
+
+  /**
+   * レイヤーの色に近いDXFの色番号を求めます
+   * 彩度の低い色は明るさで黒（7）・灰色（8・9）に、それ以外は色相で最も近い基本色にします
+   * @private
+   */
+  function nearestColorIndex(color) {
+    if (!color) return 7;
+
+    const max = Math.max(color.r, color.g, color.b);
+    const min = Math.min(color.r, color.g, color.b);
+
+    if (max - min < 48) {
+      const lightness = (max + min) / 2;
+      return lightness < 96 ? 7 : lightness < 176 ? 8 : 9;
+    }
+
+    let hue;
+    if (max === color.r) {
+      hue = ((color.g - color.b) / (max - min) + 6) % 6;
+    } else if (max === color.g) {
+      hue = (color.b - color.r) / (max - min) + 2;
+    } else {
+      hue = (color.r - color.g) / (max - min) + 4;
+    }
+    return ACI_HUE_COLORS[Math.round(hue) % 6];
+  }
+
+  /**
+   * DXF（R12）で使えるレイヤー名を作ります
+   * R12のレイヤー名は英数字と「_」「-」「$」のみのため、日本語などを含む名前の場合はレイヤーのidを使います
+   * @private
+   */
+  function dxfLayerName(layer, usedNames) {
+    const sanitize = text => String(text || '').toUpperCase().replace(/[^A-Z0-9_$-]/g, '_').slice(0, 24);
+    let base = /^[\x20-\x7e]+$/.test(layer.name || '') ? sanitize(layer.name) : '';
+    if (!/[A-Z0-9]/.test(base)) base = sanitize(layer.id);
+    if (!/[A-Z0-9]/.test(base)) base = 'LAYER';
+
+    let name = base;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `${base}_${suffix}`;
+    }
+    usedNames.add(name);
+    return name;
+  }
+
+  /**
+   * SVGをDXF（R12）に変換します
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照）
+   * @returns {string} DXFデータ
+   */
+  function toDXF(svgData, options = {}) {
+    const drawing = toPolylines(svgData, options);
+    const digits = UNITS[drawing.units].digits;
+    const number = value => formatNumber(value, digits);
+    const lines = [];
+    const group = (code, value) => lines.push(String(code), String(value));
+    const usedNames = new Set();
+    const layerNames = drawing.layers.map(layer => dxfLayerName(layer, usedNames));
+
+    group(999, `SVG Wizard (units: ${drawing.units})`);
+
+    // ヘッダー
+    group(0, 'SECTION');
+    group(2, 'HEADER');
+    group(9, '$ACADVER');
+    group(1, 'AC1009');
+    group(9, '$EXTMIN');
+    group(10, 0);
+    group(20, 0);
+    group(30, 0);
+    group(9, '$EXTMAX');
+    group(10, number(drawing.width));
+    group(20, number(drawing.height));
+    group(30, 0);
+    group(0, 'ENDSEC');
+
+    // 線種とレイヤーの定義
+    group(0, 'SECTION');
+    group(2, 'TABLES');
+    group(0, 'TABLE');
+    group(2, 'LTYPE');
+    group(70, 1);
+    group(0, 'LTYPE');
+    group(2, 'CONTINUOUS');
+    group(70, 0);
+    group(3, 'Solid line');
+    group(72, 65);
+    group(73, 0);
+    group(40, 0);
+    group(0, 'ENDTAB');
+    group(0, 'TABLE');
+    group(2, 'LAYER');
+    group(70, drawing.layers.length);
+    drawing.layers.forEach((layer, index) => {
+      group(0, 'LAYER');
+      group(2, layerNames[index]);
+      group(70, 0);
+      group(62, nearestColorIndex(layer.color));
+      group(6, 'CONTINUOUS');
+    });
+    group(0, 'ENDTAB');
+    group(0, 'ENDSEC');
+
+    // 輪郭
+    group(0, 'SECTION');
+    group(2, 'ENTITIES');
+    drawing.layers.forEach((layer, index) => {
+      const name = layerNames[index];
+      for (const path of layer.paths) {
+        group(0, 'POLYLINE');
+        group(8, name);
+        group(66, 1);
+        group(10, 0);
+        group(20, 0);
+        group(30, 0);
+        group(70, path.closed ? 1 : 0);
+        for (const point of path.points) {
+          group(0, 'VERTEX');
+          group(8, name);
+          group(10, number(point[0]));
+          group(20, number(point[1]));
+          group(30, 0);
+        }
+        group(0, 'SEQEND');
+        group(8, name);
+      }
+    });
+    group(0, 'ENDSEC');
+    group(0, 'EOF');
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * SVGをHPGLに変換します
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照。座標は units によらずプロッター単位）
+   * @returns {string} HPGLデータ
+   */
+  function toHPGL(svgData, options = {}) {
+    const drawing = toPolylines(svgData, options);
+    const scale = HPGL_UNITS_PER_MM * UNITS.mm.perInch / UNITS[drawing.units].perInch;
+    const coordinates = point => `${Math.round(point[0] * scale)},${Math.round(point[1] * scale)}`;
+    const lines = ['IN;'];
+    let position = null;
+
+    drawing.layers.forEach((layer, index) => {
+      lines.push(`SP${index % HPGL_PEN_COUNT + 1};`);
+      position = null;
+      for (const path of layer.paths) {
+        const points = path.closed ? path.points.concat([path.points[0]]) : path.points;
+        // 前の線の終点から続く場合はペンを上げない
+        if (coordinates(points[0]) !== position) {
+          lines.push(`PU${coordinates(points[0])};`);
+        }
+        lines.push(`PD${points.slice(1).map(coordinates).join(',')};`);
+        position = coordinates(points[points.length - 1]);
+      }
+    });
+
+    lines.push('PU0,0;', 'SP0;');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * SVGを指定の形式に変換します
+   * @param {string} svgData - SVG文字列
+   * @param {string} format - 形式（'dxf' または 'hpgl'）
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} {data, mimeType, extension}
+   */
+  function convert(svgData, format, options = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`未対応の書き出し形式です: ${format}`);
+    }
+
+    try {
+      const data = format === 'dxf' ? toDXF(svgData, options) : toHPGL(svgData, options);
+      return { data: data, mimeType: FORMATS[format].mimeType, extension: FORMATS[format].extension };
+    } catch (error) {
+      console.error(`${format.toUpperCase()}への変換に失敗しました:`, error);
+      throw new Error(`${format.toUpperCase()}への変換に失敗しました: ${error.message}`);
+    }
+  }
+
+  // 公開API
+  return {
+    convert: convert,
+    toDXF: toDXF,
+    toHPGL: toHPGL,
+    toPolylines: toPolylines,
+    FORMATS: FORMATS,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerPlotterExport;
+} else {
+  globalThis.ImageTracerPlotterExport = ImageTracerPlotterExport;
+}
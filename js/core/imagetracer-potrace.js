@@ -0,0 +1,1239 @@
+/**
+ * @module Potrace
+ * @description 2値ビットマップを滑らかなベクターパスに変換するトレーサー
+ * @version 1.0.0
+ * @license GPL-2.0（全文は js/core/LICENSE-potrace）
+ *
+ * Copyright (C) 2001-2013 Peter Selinger（Potrace, http://potrace.sourceforge.net）
+ * JavaScript版: potrace.js（kilobtye, https://github.com/kilobtye/potrace）
+ *
+ * このファイルは potrace.js を元にした改変版です。bitmapToPathlist・majority・calcLon・bestPolygon・optiCurve などの
+ * 処理は potrace.js の関数をそのまま移植しており、元のライセンス（GNU General Public License version 2）に従います。
+ * このリポジトリの他のファイル（MIT License）とは異なるライセンスのため、このファイルを含めてアプリを配布する場合は
+ * GPLの条件に従ってください。
+ *
+ * 元の実装からの変更点:
+ *   - DOMを使わない loadBitmap / loadImageData / getPathData / trace を追加し、Node.jsからもrequireで利用できるようにした
+ *   - 外部CDNに依存せずアプリと一緒に読み込めるよう、グローバル変数とmodule.exportsの両方で公開した
+ *   - 同じ入力とパラメータからは常に同じパスを出力する
+ *
+ * 処理の流れ:
+ *   1. ビットマップの境界をたどってパス（輪郭）を抽出
+ *   2. 各パスを最適な多角形に近似し、頂点位置を調整
+ *   3. 角と曲線を判定してベジェ曲線で平滑化し、可能な範囲で曲線を結合
+ *
+ * 従来のCDN版Potraceと同じ setParameter / loadImageFromCanvas / getSVG に加えて、
+ * DOMを使わない loadBitmap / loadImageData / getPathData / trace を提供します。
+ */
+
+// Potraceを定義
+const Potrace = (function() {
+  'use strict';
+
+  const VERSION = '1.0.0';
+
+  // 曲がり角で進む方向を決めるポリシー
+  const TURNPOLICY_BLACK = 'black';
+  const TURNPOLICY_WHITE = 'white';
+  const TURNPOLICY_LEFT = 'left';
+  const TURNPOLICY_RIGHT = 'right';
+  const TURNPOLICY_MINORITY = 'minority';
+  const TURNPOLICY_MAJORITY = 'majority';
+
+  /**
+   * パラメータのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_PARAMS = {
+    turnpolicy: TURNPOLICY_MINORITY, // 曲がり角のポリシー
+    turdsize: 2,          // この面積以下の小さな斑点は無視する
+    optcurve: true,       // 隣接する曲線を結合して最適化する
+    alphamax: 1,          // 角とみなす閾値（大きいほど滑らか、0ですべて角）
+    opttolerance: 0.2,    // 曲線結合時の許容誤差
+    threshold: 128,       // 画像読み込み時の2値化閾値
+    blackOnWhite: true    // trueなら暗いピクセルをトレース対象にする
+  };
+
+  // 単一インスタンスAPI用の状態
+  const state = {
+    params: Object.assign({}, DEFAULT_PARAMS),
+    bitmap: null,
+    pathlist: null
+  };
+
+  // ---------------------------------------------------------------------------
+  // 基本構造
+  // ---------------------------------------------------------------------------
+
+  function point(x, y) {
+    return { x: x || 0, y: y || 0 };
+  }
+
+  /**
+   * 2値ビットマップを作成します（1がトレース対象）
+   * @private
+   */
+  function createBitmap(width, height, data) {
+    return {
+      w: width,
+      h: height,
+      size: width * height,
+      data: data || new Int8Array(width * height)
+    };
+  }
+
+  function bitmapAt(bm, x, y) {
+    return x >= 0 && x < bm.w && y >= 0 && y < bm.h && bm.data[bm.w * y + x] === 1;
+  }
+
+  function bitmapFlip(bm, x, y) {
+    const i = bm.w * y + x;
+    bm.data[i] = bm.data[i] === 1 ? 0 : 1;
+  }
+
+  /**
+   * 曲線（角または3次ベジェのセグメント列）を作成します
+   * @private
+   */
+  function createCurve(n) {
+    return {
+      n: n,
+      tag: new Array(n),
+      c: new Array(n * 3),
+      vertex: new Array(n),
+      alpha: new Array(n),
+      alpha0: new Array(n),
+      beta: new Array(n)
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // 幾何計算の補助関数
+  // ---------------------------------------------------------------------------
+
+  function mod(a, n) {
+    return a >= n ? a % n : a >= 0 ? a : n - 1 - (-1 - a) % n;
+  }
+
+  function sign(i) {
+    return i > 0 ? 1 : i < 0 ? -1 : 0;
+  }
+
+  function xprod(p1, p2) {
+    return p1.x * p2.y - p1.y * p2.x;
+  }
+
+  function cyclic(a, b, c) {
+    return a <= c ? (a <= b && b < c) : (a <= b || b < c);
+  }
+
+  function quadform(Q, w) {
+    const v = [w.x, w.y, 1];
+    let sum = 0;
+
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        sum += v[i] * Q[i * 3 + j] * v[j];
+      }
+    }
+
+    return sum;
+  }
+
+  function interval(lambda, a, b) {
+    return point(a.x + lambda * (b.x - a.x), a.y + lambda * (b.y - a.y));
+  }
+
+  function ddenom(p0, p2) {
+    const rx = -sign(p2.y - p0.y);
+    const ry = sign(p2.x - p0.x);
+    return ry * (p2.x - p0.x) - rx * (p2.y - p0.y);
+  }
+
+  function dpara(p0, p1, p2) {
+    return (p1.x - p0.x) * (p2.y - p0.y) - (p2.x - p0.x) * (p1.y - p0.y);
+  }
+
+  function cprod(p0, p1, p2, p3) {
+    return (p1.x - p0.x) * (p3.y - p2.y) - (p3.x - p2.x) * (p1.y - p0.y);
+  }
+
+  function iprod(p0, p1, p2) {
+    return (p1.x - p0.x) * (p2.x - p0.x) + (p1.y - p0.y) * (p2.y - p0.y);
+  }
+
+  function iprod1(p0, p1, p2, p3) {
+    return (p1.x - p0.x) * (p3.x - p2.x) + (p1.y - p0.y) * (p3.y - p2.y);
+  }
+
+  function ddist(p, q) {
+    return Math.sqrt((p.x - q.x) * (p.x - q.x) + (p.y - q.y) * (p.y - q.y));
+  }
+
+  function bezier(t, p0, p1, p2, p3) {
+    const s = 1 - t;
+    return point(
+      s * s * s * p0.x + 3 * (s * s * t) * p1.x + 3 * (t * t * s) * p2.x + t * t * t * p3.x,
+      s * s * s * p0.y + 3 * (s * s * t) * p1.y + 3 * (t * t * s) * p2.y + t * t * t * p3.y
+    );
+  }
+
+  /**
+   * ベジェ曲線の接線が線分q0-q1と平行になるパラメータtを求めます（なければ-1）
+   * @private
+   */
+  function tangent(p0, p1, p2, p3, q0, q1) {
+    const A = cprod(p0, p1, q0, q1);
+    const B = cprod(p1, p2, q0, q1);
+    const C = cprod(p2, p3, q0, q1);
+
+    const a = A - 2 * B + C;
+    const b = -2 * A + 2 * B;
+    const c = A;
+    const d = b * b - 4 * a * c;
+
+    if (a === 0 || d < 0) return -1;
+
+    const s = Math.sqrt(d);
+    const r1 = (-b + s) / (2 * a);
+    const r2 = (-b - s) / (2 * a);
+
+    if (r1 >= 0 && r1 <= 1) return r1;
+    if (r2 >= 0 && r2 <= 1) return r2;
+    return -1;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 1. ビットマップからパスを抽出
+  // ---------------------------------------------------------------------------
+
+  /**
+   * ビットマップのすべての境界をパスとして抽出します
+   * 抽出したパスの内側は作業用ビットマップ上で反転し、穴は符号 '-' のパスとして得られます
+   * @private
+   */
+  function bitmapToPathlist(bm, params) {
+    const work = createBitmap(bm.w, bm.h, Int8Array.from(bm.data));
+    const pathlist = [];
+    let index = 0;
+
+    function majority(x, y) {
+      for (let i = 2; i < 5; i++) {
+        let ct = 0;
+        for (let a = -i + 1; a <= i - 1; a++) {
+          ct += bitmapAt(work, x + a, y + i - 1) ? 1 : -1;
+          ct += bitmapAt(work, x + i - 1, y + a - 1) ? 1 : -1;
+          ct += bitmapAt(work, x + a - 1, y - i) ? 1 : -1;
+          ct += bitmapAt(work, x - i, y + a) ? 1 : -1;
+        }
+        if (ct > 0) return true;
+        if (ct < 0) return false;
+      }
+      return false;
+    }
+
+    function findPath(x0, y0) {
+      const path = {
+        area: 0,
+        len: 0,
+        pt: [],
+        minX: x0, minY: y0, maxX: x0, maxY: y0,
+        sign: bitmapAt(bm, x0, y0) ? '+' : '-'
+      };
+      const policy = params.turnpolicy;
+      let x = x0;
+      let y = y0;
+      let dirx = 0;
+      let diry = 1;
+
+      for (;;) {
+        path.pt.push(point(x, y));
+        if (x > path.maxX) path.maxX = x;
+        if (x < path.minX) path.minX = x;
+        if (y > path.maxY) path.maxY = y;
+        if (y < path.minY) path.minY = y;
+        path.len++;
+
+        x += dirx;
+        y += diry;
+        path.area -= x * diry;
+
+        if (x === x0 && y === y0) break;
+
+        const l = bitmapAt(work, x + (dirx + diry - 1) / 2, y + (diry - dirx - 1) / 2);
+        const r = bitmapAt(work, x + (dirx - diry - 1) / 2, y + (diry + dirx - 1) / 2);
+        let tmp;
+
+        if (r && !l) {
+          const turnRight = policy === TURNPOLICY_RIGHT ||
+            (policy === TURNPOLICY_BLACK && path.sign === '+') ||
+            (policy === TURNPOLICY_WHITE && path.sign === '-') ||
+            (policy === TURNPOLICY_MAJORITY && majority(x, y)) ||
+            (policy === TURNPOLICY_MINORITY && !majority(x, y));
+
+          if (turnRight) {
+            tmp = dirx; dirx = -diry; diry = tmp;
+          } else {
+            tmp = dirx; dirx = diry; diry = -tmp;
+          }
+        } else if (r) {
+          tmp = dirx; dirx = -diry; diry = tmp;
+        } else if (!l) {
+          tmp = dirx; dirx = diry; diry = -tmp;
+        }
+      }
+
+      return path;
+    }
+
+    function xorPath(path) {
+      let y1 = path.pt[0].y;
+
+      for (let i = 1; i < path.len; i++) {
+        const x = path.pt[i].x;
+        const y = path.pt[i].y;
+
+        if (y !== y1) {
+          const minY = y1 < y ? y1 : y;
+          for (let j = x; j < path.maxX; j++) {
+            bitmapFlip(work, j, minY);
+          }
+          y1 = y;
+        }
+      }
+    }
+
+    for (;;) {
+      while (index < work.size && work.data[index] !== 1) index++;
+      if (index >= work.size) break;
+
+      const path = findPath(index % work.w, Math.floor(index / work.w));
+      xorPath(path);
+
+      if (path.area > params.turdsize) {
+        pathlist.push(path);
+      }
+    }
+
+    return pathlist;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 2. 多角形近似
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 座標の累積和を計算します（区間ごとの二乗誤差を定数時間で求めるため）
+   * @private
+   */
+  function calcSums(path) {
+    path.x0 = path.pt[0].x;
+    path.y0 = path.pt[0].y;
+    path.sums = [{ x: 0, y: 0, xy: 0, x2: 0, y2: 0 }];
+
+    const s = path.sums;
+    for (let i = 0; i < path.len; i++) {
+      const x = path.pt[i].x - path.x0;
+      const y = path.pt[i].y - path.y0;
+      s.push({
+        x: s[i].x + x,
+        y: s[i].y + y,
+        xy: s[i].xy + x * y,
+        x2: s[i].x2 + x * x,
+        y2: s[i].y2 + y * y
+      });
+    }
+  }
+
+  /**
+   * 各点から直線で結べる最も遠い点（lon）を求めます
+   * @private
+   */
+  function calcLon(path) {
+    const n = path.len;
+    const pt = path.pt;
+    const pivk = new Array(n);
+    const nc = new Array(n);
+    const ct = new Array(4);
+    const constraint = [point(), point()];
+    const cur = point();
+    const off = point();
+    const dk = point();
+    let k = 0;
+
+    path.lon = new Array(n);
+
+    for (let i = n - 1; i >= 0; i--) {
+      if (pt[i].x !== pt[k].x && pt[i].y !== pt[k].y) {
+        k = i + 1;
+      }
+      nc[i] = k;
+    }
+
+    for (let i = n - 1; i >= 0; i--) {
+      ct[0] = ct[1] = ct[2] = ct[3] = 0;
+      let dir = (3 + 3 * (pt[mod(i + 1, n)].x - pt[i].x) + (pt[mod(i + 1, n)].y - pt[i].y)) / 2;
+      ct[dir]++;
+
+      constraint[0].x = 0; constraint[0].y = 0;
+      constraint[1].x = 0; constraint[1].y = 0;
+
+      k = nc[i];
+      let k1 = i;
+      let foundk = false;
+
+      for (;;) {
+        dir = (3 + 3 * sign(pt[k].x - pt[k1].x) + sign(pt[k].y - pt[k1].y)) / 2;
+        ct[dir]++;
+
+        if (ct[0] && ct[1] && ct[2] && ct[3]) {
+          pivk[i] = k1;
+          foundk = true;
+          break;
+        }
+
+        cur.x = pt[k].x - pt[i].x;
+        cur.y = pt[k].y - pt[i].y;
+
+        if (xprod(constraint[0], cur) < 0 || xprod(constraint[1], cur) > 0) {
+          break;
+        }
+
+        if (Math.abs(cur.x) > 1 || Math.abs(cur.y) > 1) {
+          off.x = cur.x + ((cur.y >= 0 && (cur.y > 0 || cur.x < 0)) ? 1 : -1);
+          off.y = cur.y + ((cur.x <= 0 && (cur.x < 0 || cur.y < 0)) ? 1 : -1);
+          if (xprod(constraint[0], off) >= 0) {
+            constraint[0].x = off.x;
+            constraint[0].y = off.y;
+          }
+
+          off.x = cur.x + ((cur.y <= 0 && (cur.y < 0 || cur.x < 0)) ? 1 : -1);
+          off.y = cur.y + ((cur.x >= 0 && (cur.x > 0 || cur.y < 0)) ? 1 : -1);
+          if (xprod(constraint[1], off) <= 0) {
+            constraint[1].x = off.x;
+            constraint[1].y = off.y;
+          }
+        }
+
+        k1 = k;
+        k = nc[k1];
+        if (!cyclic(k, i, k1)) break;
+      }
+
+      if (!foundk) {
+        dk.x = sign(pt[k].x - pt[k1].x);
+        dk.y = sign(pt[k].y - pt[k1].y);
+        cur.x = pt[k1].x - pt[i].x;
+        cur.y = pt[k1].y - pt[i].y;
+
+        const a = xprod(constraint[0], cur);
+        const b = xprod(constraint[0], dk);
+        const c = xprod(constraint[1], cur);
+        const d = xprod(constraint[1], dk);
+
+        let j = 10000000;
+        if (b < 0) j = Math.floor(a / -b);
+        if (d > 0) j = Math.min(j, Math.floor(-c / d));
+        pivk[i] = mod(k1 + j, n);
+      }
+    }
+
+    let j = pivk[n - 1];
+    path.lon[n - 1] = j;
+    for (let i = n - 2; i >= 0; i--) {
+      if (cyclic(i + 1, pivk[i], j)) j = pivk[i];
+      path.lon[i] = j;
+    }
+
+    for (let i = n - 1; cyclic(mod(i + 1, n), j, path.lon[i]); i--) {
+      path.lon[i] = j;
+    }
+  }
+
+  /**
+   * 点iから点jまでを直線で近似したときのペナルティ（誤差）を計算します
+   * @private
+   */
+  function penalty3(path, i, j) {
+    const n = path.len;
+    const pt = path.pt;
+    const sums = path.sums;
+    let r = 0;
+
+    if (j >= n) {
+      j -= n;
+      r = 1;
+    }
+
+    const x = sums[j + 1].x - sums[i].x + r * sums[n].x;
+    const y = sums[j + 1].y - sums[i].y + r * sums[n].y;
+    const x2 = sums[j + 1].x2 - sums[i].x2 + r * sums[n].x2;
+    const xy = sums[j + 1].xy - sums[i].xy + r * sums[n].xy;
+    const y2 = sums[j + 1].y2 - sums[i].y2 + r * sums[n].y2;
+    const k = j + 1 - i + r * n;
+
+    const px = (pt[i].x + pt[j].x) / 2 - pt[0].x;
+    const py = (pt[i].y + pt[j].y) / 2 - pt[0].y;
+    const ey = pt[j].x - pt[i].x;
+    const ex = -(pt[j].y - pt[i].y);
+
+    const a = (x2 - 2 * x * px) / k + px * px;
+    const b = (xy - x * py - y * px) / k + px * py;
+    const c = (y2 - 2 * y * py) / k + py * py;
+
+    return Math.sqrt(ex * ex * a + 2 * ex * ey * b + ey * ey * c);
+  }
+
+  /**
+   * ペナルティが最小となる頂点数最小の多角形を求めます
+   * @private
+   */
+  function bestPolygon(path) {
+    const n = path.len;
+    const pen = new Array(n + 1);
+    const prev = new Array(n + 1);
+    const clip0 = new Array(n);
+    const clip1 = new Array(n + 1);
+    const seg0 = new Array(n + 1);
+    const seg1 = new Array(n + 1);
+    let i;
+    let j;
+
+    for (i = 0; i < n; i++) {
+      let c = mod(path.lon[mod(i - 1, n)] - 1, n);
+      if (c === i) c = mod(i + 1, n);
+      clip0[i] = c < i ? n : c;
+    }
+
+    j = 1;
+    for (i = 0; i < n; i++) {
+      while (j <= clip0[i]) {
+        clip1[j] = i;
+        j++;
+      }
+    }
+
+    i = 0;
+    for (j = 0; i < n; j++) {
+      seg0[j] = i;
+      i = clip0[i];
+    }
+    seg0[j] = n;
+    const m = j;
+
+    i = n;
+    for (j = m; j > 0; j--) {
+      seg1[j] = i;
+      i = clip1[i];
+    }
+    seg1[0] = 0;
+
+    pen[0] = 0;
+    for (j = 1; j <= m; j++) {
+      for (i = seg1[j]; i <= seg0[j]; i++) {
+        let best = -1;
+        for (let k = seg0[j - 1]; k >= clip1[i]; k--) {
+          const thispen = penalty3(path, k, i) + pen[k];
+          if (best < 0 || thispen < best) {
+            prev[i] = k;
+            best = thispen;
+          }
+        }
+        pen[i] = best;
+      }
+    }
+
+    path.m = m;
+    path.po = new Array(m);
+
+    for (i = n, j = m - 1; i > 0; j--) {
+      i = prev[i];
+      path.po[j] = i;
+    }
+  }
+
+  /**
+   * 区間の点列に最もよく当てはまる直線（重心と方向）を求めます
+   * @private
+   */
+  function pointslope(path, i, j, ctr, dir) {
+    const n = path.len;
+    const sums = path.sums;
+    let r = 0;
+
+    while (j >= n) { j -= n; r += 1; }
+    while (i >= n) { i -= n; r -= 1; }
+    while (j < 0) { j += n; r -= 1; }
+    while (i < 0) { i += n; r += 1; }
+
+    const x = sums[j + 1].x - sums[i].x + r * sums[n].x;
+    const y = sums[j + 1].y - sums[i].y + r * sums[n].y;
+    const x2 = sums[j + 1].x2 - sums[i].x2 + r * sums[n].x2;
+    const xy = sums[j + 1].xy - sums[i].xy + r * sums[n].xy;
+    const y2 = sums[j + 1].y2 - sums[i].y2 + r * sums[n].y2;
+    const k = j + 1 - i + r * n;
+
+    ctr.x = x / k;
+    ctr.y = y / k;
+
+    let a = (x2 - x * x / k) / k;
+    const b = (xy - x * y / k) / k;
+    let c = (y2 - y * y / k) / k;
+
+    const lambda2 = (a + c + Math.sqrt((a - c) * (a - c) + 4 * b * b)) / 2;
+    a -= lambda2;
+    c -= lambda2;
+
+    let l;
+    if (Math.abs(a) >= Math.abs(c)) {
+      l = Math.sqrt(a * a + b * b);
+      if (l !== 0) {
+        dir.x = -b / l;
+        dir.y = a / l;
+      }
+    } else {
+      l = Math.sqrt(c * c + b * b);
+      if (l !== 0) {
+        dir.x = -c / l;
+        dir.y = b / l;
+      }
+    }
+
+    if (l === 0) {
+      dir.x = 0;
+      dir.y = 0;
+    }
+  }
+
+  /**
+   * 多角形の各頂点を、隣接する辺の近似直線の交点付近に移動します
+   * @private
+   */
+  function adjustVertices(path) {
+    const m = path.m;
+    const po = path.po;
+    const n = path.len;
+    const pt = path.pt;
+    const x0 = path.x0;
+    const y0 = path.y0;
+    const ctr = new Array(m);
+    const dir = new Array(m);
+    const q = new Array(m);
+    const v = new Array(3);
+    const s = point();
+
+    path.curve = createCurve(m);
+
+    for (let i = 0; i < m; i++) {
+      let j = po[mod(i + 1, m)];
+      j = mod(j - po[i], n) + po[i];
+      ctr[i] = point();
+      dir[i] = point();
+      pointslope(path, po[i], j, ctr[i], dir[i]);
+    }
+
+    for (let i = 0; i < m; i++) {
+      q[i] = new Array(9).fill(0);
+      const d = dir[i].x * dir[i].x + dir[i].y * dir[i].y;
+
+      if (d !== 0) {
+        v[0] = dir[i].y;
+        v[1] = -dir[i].x;
+        v[2] = -v[1] * ctr[i].y - v[0] * ctr[i].x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            q[i][l * 3 + k] = v[l] * v[k] / d;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < m; i++) {
+      const Q = new Array(9);
+      const w = point();
+
+      s.x = pt[po[i]].x - x0;
+      s.y = pt[po[i]].y - y0;
+
+      const j = mod(i - 1, m);
+      for (let l = 0; l < 9; l++) {
+        Q[l] = q[j][l] + q[i][l];
+      }
+
+      for (;;) {
+        const det = Q[0] * Q[4] - Q[1] * Q[3];
+        if (det !== 0) {
+          w.x = (-Q[2] * Q[4] + Q[5] * Q[1]) / det;
+          w.y = (Q[2] * Q[3] - Q[5] * Q[0]) / det;
+          break;
+        }
+
+        // 2直線が平行な場合は、元の頂点を通る直交方向の制約を追加する
+        if (Q[0] > Q[4]) {
+          v[0] = -Q[1];
+          v[1] = Q[0];
+        } else if (Q[4]) {
+          v[0] = -Q[4];
+          v[1] = Q[3];
+        } else {
+          v[0] = 1;
+          v[1] = 0;
+        }
+        const d = v[0] * v[0] + v[1] * v[1];
+        v[2] = -v[1] * s.y - v[0] * s.x;
+        for (let l = 0; l < 3; l++) {
+          for (let k = 0; k < 3; k++) {
+            Q[l * 3 + k] += v[l] * v[k] / d;
+          }
+        }
+      }
+
+      let dx = Math.abs(w.x - s.x);
+      let dy = Math.abs(w.y - s.y);
+      if (dx <= 0.5 && dy <= 0.5) {
+        path.curve.vertex[i] = point(w.x + x0, w.y + y0);
+        continue;
+      }
+
+      // 交点が元の頂点の近傍（1x1の正方形）の外にある場合は、正方形内で誤差最小の点を探す
+      let min = quadform(Q, s);
+      let xmin = s.x;
+      let ymin = s.y;
+
+      if (Q[0] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          w.y = s.y - 0.5 + z;
+          w.x = -(Q[1] * w.y + Q[2]) / Q[0];
+          dx = Math.abs(w.x - s.x);
+          const cand = quadform(Q, w);
+          if (dx <= 0.5 && cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      if (Q[4] !== 0) {
+        for (let z = 0; z < 2; z++) {
+          w.x = s.x - 0.5 + z;
+          w.y = -(Q[3] * w.x + Q[5]) / Q[4];
+          dy = Math.abs(w.y - s.y);
+          const cand = quadform(Q, w);
+          if (dy <= 0.5 && cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      for (let l = 0; l < 2; l++) {
+        for (let k = 0; k < 2; k++) {
+          w.x = s.x - 0.5 + l;
+          w.y = s.y - 0.5 + k;
+          const cand = quadform(Q, w);
+          if (cand < min) {
+            min = cand;
+            xmin = w.x;
+            ymin = w.y;
+          }
+        }
+      }
+
+      path.curve.vertex[i] = point(xmin + x0, ymin + y0);
+    }
+  }
+
+  /**
+   * 穴のパスの頂点順を反転します
+   * @private
+   */
+  function reverse(path) {
+    const v = path.curve.vertex;
+    for (let i = 0, j = path.curve.n - 1; i < j; i++, j--) {
+      const tmp = v[i];
+      v[i] = v[j];
+      v[j] = tmp;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // 3. 平滑化と曲線の最適化
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 各頂点を角（直線）または曲線（3次ベジェ）に分類して制御点を決めます
+   * @private
+   */
+  function smooth(path, params) {
+    const curve = path.curve;
+    const m = curve.n;
+
+    for (let i = 0; i < m; i++) {
+      const j = mod(i + 1, m);
+      const k = mod(i + 2, m);
+      const p4 = interval(1 / 2, curve.vertex[k], curve.vertex[j]);
+      const denom = ddenom(curve.vertex[i], curve.vertex[k]);
+      let alpha;
+
+      if (denom !== 0) {
+        let dd = dpara(curve.vertex[i], curve.vertex[j], curve.vertex[k]) / denom;
+        dd = Math.abs(dd);
+        alpha = dd > 1 ? (1 - 1 / dd) : 0;
+        alpha = alpha / 0.75;
+      } else {
+        alpha = 4 / 3;
+      }
+      curve.alpha0[j] = alpha;
+
+      if (alpha >= params.alphamax) {
+        curve.tag[j] = 'CORNER';
+        curve.c[3 * j + 1] = curve.vertex[j];
+        curve.c[3 * j + 2] = p4;
+      } else {
+        if (alpha < 0.55) {
+          alpha = 0.55;
+        } else if (alpha > 1) {
+          alpha = 1;
+        }
+        curve.tag[j] = 'CURVE';
+        curve.c[3 * j + 0] = interval(0.5 + 0.5 * alpha, curve.vertex[i], curve.vertex[j]);
+        curve.c[3 * j + 1] = interval(0.5 + 0.5 * alpha, curve.vertex[k], curve.vertex[j]);
+        curve.c[3 * j + 2] = p4;
+      }
+
+      curve.alpha[j] = alpha;
+      curve.beta[j] = 0.5;
+    }
+  }
+
+  /**
+   * セグメントiからjまでを1本のベジェ曲線で置き換えられるか判定し、ペナルティを計算します
+   * @returns {boolean} 置き換えられない場合はtrue
+   * @private
+   */
+  function optiPenalty(path, i, j, res, opttolerance, convc, areac) {
+    const curve = path.curve;
+    const m = curve.n;
+    const vertex = curve.vertex;
+
+    if (i === j) return true;
+
+    const i1 = mod(i + 1, m);
+    let k1 = mod(i + 1, m);
+    const conv = convc[k1];
+    if (conv === 0) return true;
+
+    let d = ddist(vertex[i], vertex[i1]);
+    for (let k = k1; k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      const k2 = mod(k + 2, m);
+      if (convc[k1] !== conv) return true;
+      if (sign(cprod(vertex[i], vertex[i1], vertex[k1], vertex[k2])) !== conv) return true;
+      // 179度以上の急な折り返しは結合しない
+      if (iprod1(vertex[i], vertex[i1], vertex[k1], vertex[k2]) <
+          d * ddist(vertex[k1], vertex[k2]) * -0.999847695156) {
+        return true;
+      }
+    }
+
+    const p0 = curve.c[mod(i, m) * 3 + 2];
+    let p1 = vertex[mod(i + 1, m)];
+    let p2 = vertex[mod(j, m)];
+    const p3 = curve.c[mod(j, m) * 3 + 2];
+
+    let area = areac[j] - areac[i];
+    area -= dpara(vertex[0], curve.c[i * 3 + 2], curve.c[j * 3 + 2]) / 2;
+    if (i >= j) area += areac[m];
+
+    const A1 = dpara(p0, p1, p2);
+    const A2 = dpara(p0, p1, p3);
+    const A3 = dpara(p0, p2, p3);
+    const A4 = A1 + A3 - A2;
+
+    if (A2 === A1) return true;
+
+    let t = A3 / (A3 - A4);
+    const s = A2 / (A2 - A1);
+    const A = A2 * t / 2;
+
+    if (A === 0) return true;
+
+    const R = area / A;
+    const alpha = 2 - Math.sqrt(4 - R / 0.3);
+
+    res.c[0] = interval(t * alpha, p0, p1);
+    res.c[1] = interval(s * alpha, p3, p2);
+    res.alpha = alpha;
+    res.t = t;
+    res.s = s;
+
+    p1 = res.c[0];
+    p2 = res.c[1];
+    res.pen = 0;
+
+    // 新しい曲線が元の多角形の辺から離れすぎていないか確認
+    for (let k = mod(i + 1, m); k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      t = tangent(p0, p1, p2, p3, vertex[k], vertex[k1]);
+      if (t < -0.5) return true;
+
+      const pt = bezier(t, p0, p1, p2, p3);
+      d = ddist(vertex[k], vertex[k1]);
+      if (d === 0) return true;
+
+      const d1 = dpara(vertex[k], vertex[k1], pt) / d;
+      if (Math.abs(d1) > opttolerance) return true;
+      if (iprod(vertex[k], vertex[k1], pt) < 0 || iprod(vertex[k1], vertex[k], pt) < 0) return true;
+      res.pen += d1 * d1;
+    }
+
+    // 元の曲線の角を削りすぎていないか確認
+    for (let k = i; k !== j; k = k1) {
+      k1 = mod(k + 1, m);
+      t = tangent(p0, p1, p2, p3, curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (t < -0.5) return true;
+
+      const pt = bezier(t, p0, p1, p2, p3);
+      d = ddist(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2]);
+      if (d === 0) return true;
+
+      let d1 = dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], pt) / d;
+      let d2 = dpara(curve.c[k * 3 + 2], curve.c[k1 * 3 + 2], vertex[k1]) / d;
+      d2 *= 0.75 * curve.alpha[k1];
+      if (d2 < 0) {
+        d1 = -d1;
+        d2 = -d2;
+      }
+      if (d1 < d2 - opttolerance) return true;
+      if (d1 < d2) res.pen += (d1 - d2) * (d1 - d2);
+    }
+
+    return false;
+  }
+
+  /**
+   * 連続する曲線セグメントをできるだけ少ない数のベジェ曲線に結合します
+   * @private
+   */
+  function optiCurve(path, params) {
+    const curve = path.curve;
+    const m = curve.n;
+    const vert = curve.vertex;
+    const pt = new Array(m + 1);
+    const pen = new Array(m + 1);
+    const len = new Array(m + 1);
+    const opt = new Array(m + 1);
+    const convc = new Array(m);
+    const areac = new Array(m + 1);
+    const createOpti = () => ({ pen: 0, c: [point(), point()], t: 0, s: 0, alpha: 0 });
+    let o = createOpti();
+
+    for (let i = 0; i < m; i++) {
+      convc[i] = curve.tag[i] === 'CURVE' ?
+        sign(dpara(vert[mod(i - 1, m)], vert[i], vert[mod(i + 1, m)])) : 0;
+    }
+
+    let area = 0;
+    areac[0] = 0;
+    const p0 = curve.vertex[0];
+    for (let i = 0; i < m; i++) {
+      const i1 = mod(i + 1, m);
+      if (curve.tag[i1] === 'CURVE') {
+        const alpha = curve.alpha[i1];
+        area += 0.3 * alpha * (4 - alpha) * dpara(curve.c[i * 3 + 2], vert[i1], curve.c[i1 * 3 + 2]) / 2;
+        area += dpara(p0, curve.c[i * 3 + 2], curve.c[i1 * 3 + 2]) / 2;
+      }
+      areac[i + 1] = area;
+    }
+
+    pt[0] = -1;
+    pen[0] = 0;
+    len[0] = 0;
+
+    for (let j = 1; j <= m; j++) {
+      pt[j] = j - 1;
+      pen[j] = pen[j - 1];
+      len[j] = len[j - 1] + 1;
+
+      for (let i = j - 2; i >= 0; i--) {
+        if (optiPenalty(path, i, mod(j, m), o, params.opttolerance, convc, areac)) break;
+
+        if (len[j] > len[i] + 1 || (len[j] === len[i] + 1 && pen[j] > pen[i] + o.pen)) {
+          pt[j] = i;
+          pen[j] = pen[i] + o.pen;
+          len[j] = len[i] + 1;
+          opt[j] = o;
+          o = createOpti();
+        }
+      }
+    }
+
+    const om = len[m];
+    const ocurve = createCurve(om);
+    const s = new Array(om);
+    const t = new Array(om);
+
+    let j = m;
+    for (let i = om - 1; i >= 0; i--) {
+      const jm = mod(j, m);
+      if (pt[j] === j - 1) {
+        ocurve.tag[i] = curve.tag[jm];
+        ocurve.c[i * 3 + 0] = curve.c[jm * 3 + 0];
+        ocurve.c[i * 3 + 1] = curve.c[jm * 3 + 1];
+        ocurve.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        ocurve.vertex[i] = curve.vertex[jm];
+        ocurve.alpha[i] = curve.alpha[jm];
+        ocurve.alpha0[i] = curve.alpha0[jm];
+        ocurve.beta[i] = curve.beta[jm];
+        s[i] = t[i] = 1;
+      } else {
+        ocurve.tag[i] = 'CURVE';
+        ocurve.c[i * 3 + 0] = opt[j].c[0];
+        ocurve.c[i * 3 + 1] = opt[j].c[1];
+        ocurve.c[i * 3 + 2] = curve.c[jm * 3 + 2];
+        ocurve.vertex[i] = interval(opt[j].s, curve.c[jm * 3 + 2], vert[jm]);
+        ocurve.alpha[i] = opt[j].alpha;
+        ocurve.alpha0[i] = opt[j].alpha;
+        s[i] = opt[j].s;
+        t[i] = opt[j].t;
+      }
+      j = pt[j];
+    }
+
+    for (let i = 0; i < om; i++) {
+      const i1 = mod(i + 1, om);
+      ocurve.beta[i] = s[i] / (s[i] + t[i1]);
+    }
+
+    path.curve = ocurve;
+  }
+
+  /**
+   * 抽出したパスを曲線に変換します
+   * @private
+   */
+  function processPathlist(pathlist, params) {
+    for (const path of pathlist) {
+      calcSums(path);
+      calcLon(path);
+      bestPolygon(path);
+      adjustVertices(path);
+
+      if (path.sign === '-') {
+        reverse(path);
+      }
+
+      smooth(path, params);
+
+      if (params.optcurve) {
+        optiCurve(path, params);
+      }
+    }
+
+    return pathlist;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 出力
+  // ---------------------------------------------------------------------------
+
+  function formatNumber(value) {
+    return value.toFixed(3);
+  }
+
+  /**
+   * 1つの曲線をSVGパスデータに変換します
+   * @private
+   */
+  function curveToPathData(curve, size) {
+    const n = curve.n;
+    const coord = p => formatNumber(p.x * size) + ' ' + formatNumber(p.y * size);
+    let d = 'M' + coord(curve.c[(n - 1) * 3 + 2]) + ' ';
+
+    for (let i = 0; i < n; i++) {
+      if (curve.tag[i] === 'CURVE') {
+        d += 'C ' + coord(curve.c[i * 3]) + ', ' + coord(curve.c[i * 3 + 1]) + ', ' + coord(curve.c[i * 3 + 2]) + ' ';
+      } else {
+        d += 'L ' + coord(curve.c[i * 3 + 1]) + ' ' + coord(curve.c[i * 3 + 2]) + ' ';
+      }
+    }
+
+    return d + 'Z';
+  }
+
+  /**
+   * パスリストを1つのSVGパスデータ（even-oddで穴を表現）に変換します
+   * @private
+   */
+  function pathlistToPathData(pathlist, size) {
+    return pathlist.map(path => curveToPathData(path.curve, size)).join(' ');
+  }
+
+  /**
+   * パラメータを正規化します（従来のCDN版で使われていた optTolerance も受け付ける）
+   * @private
+   */
+  function normalizeParams(params) {
+    const result = Object.assign({}, DEFAULT_PARAMS);
+    if (!params) return result;
+
+    for (const key of Object.keys(DEFAULT_PARAMS)) {
+      if (params[key] !== undefined) result[key] = params[key];
+    }
+    if (params.optTolerance !== undefined && params.opttolerance === undefined) {
+      result.opttolerance = params.optTolerance;
+    }
+
+    return result;
+  }
+
+  /**
+   * 画像データを2値ビットマップに変換します
+   * 透明なピクセルは背景として扱います
+   * @private
+   */
+  function imageDataToBitmap(imageData, params) {
+    const { width, height, data } = imageData;
+    const bm = createBitmap(width, height);
+
+    for (let p = 0, i = 0; p < bm.size; p++, i += 4) {
+      if (data[i + 3] < 128) continue;
+
+      const luminance = 0.2126 * data[i] + 0.7153 * data[i + 1] + 0.0721 * data[i + 2];
+      const dark = luminance < params.threshold;
+      bm.data[p] = dark === params.blackOnWhite ? 1 : 0;
+    }
+
+    return bm;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 公開関数
+  // ---------------------------------------------------------------------------
+
+  /**
+   * 2値マスクをトレースしてSVGパスデータを返します（状態を持たない関数）
+   * @param {Uint8Array|Array} mask - 2値マスク（1がトレース対象）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} params - パラメータ（DEFAULT_PARAMSを参照）
+   * @returns {string} SVGパスデータ（対象がなければ空文字列）
+   */
+  function trace(mask, width, height, params) {
+    const options = normalizeParams(params);
+    const bm = createBitmap(width, height, Int8Array.from(mask, value => value ? 1 : 0));
+    const pathlist = processPathlist(bitmapToPathlist(bm, options), options);
+    return pathlistToPathData(pathlist, 1);
+  }
+
+  /**
+   * パラメータを設定します
+   * @param {Object} params - 変更するパラメータ
+   */
+  function setParameter(params) {
+    state.params = normalizeParams(Object.assign({}, state.params, params));
+    state.pathlist = null;
+  }
+
+  /**
+   * 2値マスクを読み込みます
+   * @param {Uint8Array|Array} mask - 2値マスク（1がトレース対象）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   */
+  function loadBitmap(mask, width, height) {
+    state.bitmap = createBitmap(width, height, Int8Array.from(mask, value => value ? 1 : 0));
+    state.pathlist = null;
+  }
+
+  /**
+   * 画像データ（{width, height, data}）を閾値で2値化して読み込みます
+   * @param {ImageData|Object} imageData - 画像データ
+   */
+  function loadImageData(imageData) {
+    state.bitmap = imageDataToBitmap(imageData, state.params);
+    state.pathlist = null;
+  }
+
+  /**
+   * キャンバスの内容を読み込みます（ブラウザ用）
+   * @param {HTMLCanvasElement} canvas - キャンバス要素
+   */
+  function loadImageFromCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    loadImageData(ctx.getImageData(0, 0, canvas.width, canvas.height));
+  }
+
+  /**
+   * 読み込んだビットマップをトレースします
+   * @param {Function} [callback] - 完了時に呼ばれる関数
+   */
+  function process(callback) {
+    if (!state.bitmap) {
+      throw new Error('トレースする画像が読み込まれていません');
+    }
+
+    state.pathlist = processPathlist(bitmapToPathlist(state.bitmap, state.params), state.params);
+
+    if (typeof callback === 'function') {
+      callback();
+    }
+  }
+
+  /**
+   * トレース結果をSVGパスデータとして取得します
+   * @param {number} [size=1] - 拡大率
+   * @returns {string} SVGパスデータ
+   */
+  function getPathData(size = 1) {
+    if (!state.pathlist) process();
+    return pathlistToPathData(state.pathlist, size);
+  }
+
+  /**
+   * トレース結果をSVG文字列として取得します
+   * @param {number} [size=1] - 拡大率
+   * @param {string} [type] - 'curve'を指定すると塗りではなく線で出力
+   * @returns {string} SVGデータ
+   */
+  function getSVG(size = 1, type) {
+    const w = state.bitmap.w * size;
+    const h = state.bitmap.h * size;
+    const d = getPathData(size);
+    const paint = type === 'curve' ?
+      'stroke="black" fill="none"' : 'stroke="none" fill="black" fill-rule="evenodd"';
+
+    return `<svg version="1.1" width="${w}" height="${h}" viewBox="0 0 ${w} ${h}" xmlns="http://www.w3.org/2000/svg">` +
+      `<path d="${d}" ${paint}/></svg>`;
+  }
+
+  // 公開API
+  return {
+    version: VERSION,
+    TURNPOLICY_BLACK: TURNPOLICY_BLACK,
+    TURNPOLICY_WHITE: TURNPOLICY_WHITE,
+    TURNPOLICY_LEFT: TURNPOLICY_LEFT,
+    TURNPOLICY_RIGHT: TURNPOLICY_RIGHT,
+    TURNPOLICY_MINORITY: TURNPOLICY_MINORITY,
+    TURNPOLICY_MAJORITY: TURNPOLICY_MAJORITY,
+    DEFAULT_PARAMS: DEFAULT_PARAMS,
+
+    trace: trace,
+    setParameter: setParameter,
+    loadBitmap: loadBitmap,
+    loadImageData: loadImageData,
+    loadImageFromCanvas: loadImageFromCanvas,
+    process: process,
+    getPathData: getPathData,
+    getSVG: getSVG
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Potrace;
+} else {
+  globalThis.Potrace = Potrace;
+}
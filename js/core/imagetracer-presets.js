@@ -0,0 +1,409 @@
+/**
+ * @module ImageTracerPresets
+ * @description 変換設定のプリセットを管理するモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * よく使う入力画像の種類に合わせた組み込みのプリセットと、ユーザーが保存したプリセットを扱います。
+ * ユーザーのプリセットはlocalStorageなどのストレージに保存し、JSONファイルとして書き出し・読み込みできます。
+ *
+ * プリセットの形式:
+ *   { id: 'logo', name: 'ロゴ', builtin: true, settings: { colorMode: 'color', colorQuantization: 6, ... } }
+ *
+ * settings のキーは変換オプション（ImageTracerEngine.convert）と共通です。
+ * プリセットに含まれない項目は DEFAULT_SETTINGS（設定パネルの初期値）になります。
+ *
+ * 使用例:
+ *   const presets = ImageTracerPresets.list(window.localStorage);
+ *   const settings = ImageTracerPresets.resolve(presets[0]);
+ *   ImageTracerPresets.saveUserPreset(window.localStorage, '自社ロゴ', settings);
+ */
+
+// ImageTracerPresetsを定義
+const ImageTracerPresets = (function() {
+  'use strict';
+
+  // ストレージに保存するキー
+  const STORAGE_KEY = 'svgWizard.presets';
+
+  // 書き出したJSONファイルの形式名と版
+  const FILE_FORMAT = 'svg-wizard-presets';
+  const FILE_VERSION = 1;
+
+  /**
+   * プリセットで指定できる設定項目
+   * @type {Array<Object>}
+   */
+  const SETTING_SPECS = [
+    { key: 'colorMode', type: 'choice', choices: ['color', 'bw'] },
+    { key: 'threshold', type: 'number', min: 1, max: 255 },
+    { key: 'thresholdMethod', type: 'choice', choices: ['global', 'otsu', 'sauvola', 'niblack', 'adaptive-mean'] },
+    { key: 'traceMode', type: 'choice', choices: ['outline', 'centerline', 'pixel'] },
+    { key: 'pixelSize', type: 'number', min: 0, max: 16 },
+    { key: 'colorQuantization', type: 'number', min: 2, max: 30 },
+    { key: 'quantizer', type: 'choice', choices: ['kmeans', 'median-cut', 'octree', 'wu'] },
+    { key: 'palette', type: 'palette' },
+    { key: 'paletteMode', type: 'choice', choices: ['fixed', 'lock'] },
+    { key: 'blurRadius', type: 'number', min: 0, max: 5 },
+    { key: 'simplify', type: 'number', min: 0, max: 1 },
+    { key: 'strokeWidth', type: 'number', min: 0, max: 5 },
+    { key: 'alphaLevels', type: 'number', min: 0, max: 16 },
+    { key: 'enableLayers', type: 'boolean' },
+    { key: 'illustratorCompat', type: 'boolean' },
+    { key: 'photopeaCompat', type: 'boolean' },
+    { key: 'gapless', type: 'boolean' },
+    { key: 'gradients', type: 'boolean' },
+    { key: 'objectDetection', type: 'boolean' },
+    { key: 'maxSegments', type: 'number', min: 2, max: 64 }
+  ];
+
+  /**
+   * 設定パネルの初期値
+   * @type {Object}
+   */
+  const DEFAULT_SETTINGS = {
+    colorMode: 'color',
+    threshold: 128,
+    thresholdMethod: 'global',
+    traceMode: 'outline',
+    pixelSize: 0,
+    colorQuantization: 8,
+    quantizer: 'kmeans',
+    palette: null,
+    paletteMode: 'fixed',
+    blurRadius: 0,
+    simplify: 0.5,
+    strokeWidth: 0,
+    alphaLevels: 0,
+    enableLayers: false,
+    illustratorCompat: true,
+    photopeaCompat: true,
+    gapless: false,
+    gradients: false,
+    objectDetection: false,
+    maxSegments: 24
+  };
+
+  /**
+   * 組み込みのプリセット
+   * @type {Array<Object>}
+   */
+  const BUILTIN_PRESETS = [
+    {
+      id: 'logo',
+      name: 'ロゴ',
+      builtin: true,
+      settings: {
+        colorQuantization: 6,
+        quantizer: 'wu',
+        simplify: 0.6,
+        enableLayers: true,
+        gapless: true,
+        objectDetection: false
+      }
+    },
+    {
+      id: 'photo',
+      name: '写真',
+      builtin: true,
+      settings: {
+        colorQuantization: 24,
+        quantizer: 'kmeans',
+        blurRadius: 1,
+        simplify: 0.4,
+        enableLayers: true,
+        gapless: true,
+        gradients: true,
+        objectDetection: false
+      }
+    },
+    {
+      id: 'line-art',
+      name: '線画',
+      builtin: true,
+      settings: {
+        colorMode: 'bw',
+        thresholdMethod: 'otsu',
+        traceMode: 'centerline',
+        simplify: 0.5,
+        objectDetection: false
+      }
+    },
+    {
+      id: 'pixel-art',
+      name: 'ドット絵',
+      builtin: true,
+      settings: {
+        traceMode: 'pixel',
+        pixelSize: 0,
+        colorQuantization: 16,
+        quantizer: 'octree',
+        blurRadius: 0,
+        simplify: 0,
+        enableLayers: true,
+        gapless: true,
+        objectDetection: false
+      }
+    },
+    {
+      id: 'scan',
+      name: 'スキャン画像',
+      builtin: true,
+      settings: {
+        colorMode: 'bw',
+        thresholdMethod: 'sauvola',
+        blurRadius: 0.5,
+        simplify: 0.5,
+        objectDetection: false
+      }
+    }
+  ];
+
+  /**
+   * 設定を検証し、既知の項目だけを取り出します
+   * @param {Object} settings - 設定
+   * @returns {Object} 検証済みの設定
+   * @throws {Error} 値が正しくない場合
+   */
+  function validateSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      throw new Error('プリセットの設定がありません');
+    }
+
+    const result = {};
+
+    for (const spec of SETTING_SPECS) {
+      if (!(spec.key in settings)) continue;
+      const value = settings[spec.key];
+
+      if (spec.type === 'boolean') {
+        if (typeof value !== 'boolean') {
+          throw new Error(`${spec.key} には true または false を指定してください: ${value}`);
+        }
+      } else if (spec.type === 'choice') {
+        if (!spec.choices.includes(value)) {
+          throw new Error(`${spec.key} には ${spec.choices.join(', ')} のいずれかを指定してください: ${value}`);
+        }
+      } else if (spec.type === 'palette') {
+        if (value !== null && (!Array.isArray(value) || !value.every(hex => /^#[0-9a-f]{6}$/i.test(hex)))) {
+          throw new Error(`${spec.key} にはカラーコード（#rrggbb）の配列を指定してください`);
+        }
+      } else if (typeof value !== 'number' || !Number.isFinite(value) || value < spec.min || value > spec.max) {
+        throw new Error(`${spec.key} には ${spec.min}〜${spec.max} の数値を指定してください: ${value}`);
+      }
+
+      result[spec.key] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * プリセットを検証します
+   * @param {Object} preset - プリセット {name, settings}
+   * @returns {Object} 検証済みのユーザープリセット {id, name, builtin: false, settings}
+   * @throws {Error} 名前や設定が正しくない場合
+   */
+  function validatePreset(preset) {
+    const name = preset && typeof preset.name === 'string' ? preset.name.trim() : '';
+    if (!name) {
+      throw new Error('プリセット名を指定してください');
+    }
+
+    return {
+      id: 'user:' + name,
+      name: name,
+      builtin: false,
+      settings: validateSettings(preset.settings)
+    };
+  }
+
+  /**
+   * プリセットの設定を初期値と合わせて、すべての項目を含む設定にします
+   * @param {Object} preset - プリセット
+   * @returns {Object} 設定
+   */
+  function resolve(preset) {
+    const settings = Object.assign({}, DEFAULT_SETTINGS, preset.settings);
+    if (Array.isArray(settings.palette)) settings.palette = settings.palette.slice();
+    return settings;
+  }
+
+  /**
+   * ストレージからユーザーのプリセットを読み込みます
+   * 読み込めないプリセットは無視します
+   * @param {Storage} storage - ストレージ（localStorageなど）
+   * @returns {Array<Object>} ユーザーのプリセット
+   */
+  function loadUserPresets(storage) {
+    let stored;
+    try {
+      stored = storage ? JSON.parse(storage.getItem(STORAGE_KEY) || '[]') : [];
+    } catch (error) {
+      console.error('保存したプリセットの読み込みに失敗しました:', error);
+      return [];
+    }
+
+    if (!Array.isArray(stored)) return [];
+
+    const presets = [];
+    stored.forEach(preset => {
+      try {
+        presets.push(validatePreset(preset));
+      } catch (error) {
+        console.warn('読み込めないプリセットを無視します:', error.message);
+      }
+    });
+
+    return presets;
+  }
+
+  /**
+   * ユーザーのプリセットをストレージに保存します
+   * @private
+   */
+  function storeUserPresets(storage, presets) {
+    try {
+      storage.setItem(STORAGE_KEY, JSON.stringify(presets.map(preset => ({ name: preset.name, settings: preset.settings }))));
+    } catch (error) {
+      console.error('プリセットの保存に失敗しました:', error);
+      throw new Error('プリセットを保存できません（ブラウザのストレージを利用できません）');
+    }
+  }
+
+  /**
+   * 組み込みのプリセットとユーザーのプリセットの一覧を返します
+   * @param {Storage} storage - ストレージ
+   * @returns {Array<Object>} プリセット
+   */
+  function list(storage) {
+    return BUILTIN_PRESETS.concat(loadUserPresets(storage));
+  }
+
+  /**
+   * IDからプリセットを検索します
+   * @param {Storage} storage - ストレージ
+   * @param {string} id - プリセットID
+   * @returns {Object|null} プリセット
+   */
+  function find(storage, id) {
+    return list(storage).find(preset => preset.id === id) || null;
+  }
+
+  /**
+   * ユーザーのプリセットを保存します（同じ名前のプリセットは上書き）
+   * @param {Storage} storage - ストレージ
+   * @param {string} name - プリセット名
+   * @param {Object} settings - 設定
+   * @returns {Object} 保存したプリセット
+   */
+  function saveUserPreset(storage, name, settings) {
+    const preset = validatePreset({ name: name, settings: settings });
+    const presets = loadUserPresets(storage).filter(item => item.id !== preset.id);
+
+    presets.push(preset);
+    storeUserPresets(storage, presets);
+
+    return preset;
+  }
+
+  /**
+   * ユーザーのプリセットを削除します
+   * @param {Storage} storage - ストレージ
+   * @param {string} id - プリセットID
+   * @returns {boolean} 削除した場合はtrue
+   */
+  function removeUserPreset(storage, id) {
+    const presets = loadUserPresets(storage);
+    const remaining = presets.filter(preset => preset.id !== id);
+    if (remaining.length === presets.length) return false;
+
+    storeUserPresets(storage, remaining);
+    return true;
+  }
+
+  /**
+   * プリセットをJSONファイルの内容に書き出します
+   * @param {Array<Object>} presets - プリセット
+   * @returns {string} JSON文字列
+   */
+  function exportPresets(presets) {
+    return JSON.stringify({
+      format: FILE_FORMAT,
+      version: FILE_VERSION,
+      presets: presets.map(preset => ({ name: preset.name, settings: preset.settings }))
+    }, null, 2);
+  }
+
+  /**
+   * JSONファイルの内容からプリセットを読み込みます
+   * 書き出したファイルのほか、プリセット1つ（{name, settings}）やその配列も読み込めます
+   * @param {string} json - JSON文字列
+   * @returns {Array<Object>} 検証済みのプリセット
+   * @throws {Error} JSONやプリセットが正しくない場合
+   */
+  function parsePresets(json) {
+    let data;
+    try {
+      data = JSON.parse(json);
+    } catch (error) {
+      throw new Error('プリセットファイルのJSONが正しくありません: ' + error.message);
+    }
+
+    if (data && data.format !== undefined && data.format !== FILE_FORMAT) {
+      throw new Error(`プリセットファイルの形式が正しくありません: ${data.format}`);
+    }
+
+    const items = Array.isArray(data) ? data : data && Array.isArray(data.presets) ? data.presets : [data];
+    if (items.length === 0) {
+      throw new Error('プリセットファイルにプリセットが含まれていません');
+    }
+
+    return items.map((item, index) => {
+      try {
+        return validatePreset(item);
+      } catch (error) {
+        throw new Error(`${index + 1}番目のプリセットが正しくありません: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * JSONファイルの内容からプリセットを読み込み、ストレージに保存します（同じ名前のプリセットは上書き）
+   * @param {Storage} storage - ストレージ
+   * @param {string} json - JSON文字列
+   * @returns {Array<Object>} 読み込んだプリセット
+   */
+  function importPresets(storage, json) {
+    const imported = parsePresets(json);
+    const names = new Set(imported.map(preset => preset.id));
+    const presets = loadUserPresets(storage).filter(preset => !names.has(preset.id)).concat(imported);
+
+    storeUserPresets(storage, presets);
+    return imported;
+  }
+
+  // 公開API
+  return {
+    list: list,
+    find: find,
+    resolve: resolve,
+    loadUserPresets: loadUserPresets,
+    saveUserPreset: saveUserPreset,
+    removeUserPreset: removeUserPreset,
+    exportPresets: exportPresets,
+    parsePresets: parsePresets,
+    importPresets: importPresets,
+    validateSettings: validateSettings,
+    SETTING_SPECS: SETTING_SPECS,
+    DEFAULT_SETTINGS: DEFAULT_SETTINGS,
+    BUILTIN_PRESETS: BUILTIN_PRESETS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerPresets;
+} else {
+  globalThis.ImageTracerPresets = ImageTracerPresets;
+}
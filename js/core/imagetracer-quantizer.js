@@ -0,0 +1,819 @@
+/**
+ * @module ImageTracerQuantizer
+ * @description CIELAB色空間で動作する色量子化モジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 画像の代表色（パレット）を求める量子化方式を切り替えて使用できます。
+ * 既定ではsRGBをCIELAB（D65）に変換し、色差ΔE（CIE76）で距離を測るため、
+ * 人の目に近い基準で色がまとまります。
+ *
+ * 量子化方式:
+ *   'median-cut' - 重み付き分散が最大の箱を、その軸の重み付き中央値で分割
+ *   'kmeans'     - k-means++で初期値を選んだk平均法（乱数は固定シードのため結果は毎回同じ）
+ *   'octree'     - 8分木に色を登録し、出現数の少ない枝から統合
+ *   'wu'         - Xiaolin Wuの分散最小化による色空間の分割
+ *
+ * 使用例:
+ *   const palette = ImageTracerQuantizer.quantize(imageData, 8, { method: 'wu', colorSpace: 'lab' });
+ *   const match = ImageTracerQuantizer.createColorMatcher(palette, 'lab');
+ *   const index = match(r, g, b);
+ *
+ * fixedColors オプションで固定する色を指定すると、固定色はそのままパレットに含め、
+ * 残りの色だけを量子化方式で選びます（固定色には locked: true が付きます）。
+ */
+
+// ImageTracerQuantizerを定義
+const ImageTracerQuantizer = (function() {
+  'use strict';
+
+  const METHODS = ['median-cut', 'kmeans', 'octree', 'wu'];
+  const COLOR_SPACES = ['lab', 'rgb'];
+
+  /**
+   * 量子化オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    method: 'median-cut',   // 量子化方式（METHODSを参照）
+    colorSpace: 'lab',      // 色空間（'lab', 'rgb'）
+    alphaThreshold: 128,    // これ未満の不透明度のピクセルは無視する
+    maxIterations: 16,      // k平均法の最大反復回数
+    fixedColors: []         // 固定する色 [{r, g, b}, ...]
+  };
+
+  // D65白色点
+  const WHITE_X = 0.95047;
+  const WHITE_Y = 1.0;
+  const WHITE_Z = 1.08883;
+
+  // sRGB値（0-255）からリニアRGB値への変換表
+  const SRGB_TO_LINEAR = new Float64Array(256);
+  for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    SRGB_TO_LINEAR[i] = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * sRGB値をCIELAB値に変換します
+   * @param {number} r - 赤成分 (0-255)
+   * @param {number} g - 緑成分 (0-255)
+   * @param {number} b - 青成分 (0-255)
+   * @returns {Array<number>} [L, a, b]
+   */
+  function rgbToLab(r, g, b) {
+    const lr = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(r)))];
+    const lg = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(g)))];
+    const lb = SRGB_TO_LINEAR[Math.max(0, Math.min(255, Math.round(b)))];
+
+    const x = (0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb) / WHITE_X;
+    const y = (0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb) / WHITE_Y;
+    const z = (0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb) / WHITE_Z;
+
+    const fx = labF(x);
+    const fy = labF(y);
+    const fz = labF(z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  }
+
+  /**
+   * CIELAB値をsRGB値に変換します（色域外の値は0-255に丸めます）
+   * @param {number} l - 明度L*
+   * @param {number} a - a*
+   * @param {number} b - b*
+   * @returns {Array<number>} [r, g, b]（整数）
+   */
+  function labToRgb(l, a, b) {
+    const fy = (l + 16) / 116;
+    const fx = fy + a / 500;
+    const fz = fy - b / 200;
+
+    const x = labFInverse(fx) * WHITE_X;
+    const y = labFInverse(fy) * WHITE_Y;
+    const z = labFInverse(fz) * WHITE_Z;
+
+    return [
+      linearToSrgb(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+      linearToSrgb(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+      linearToSrgb(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    ];
+  }
+
+  /** @private */
+  function labF(t) {
+    return t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+  }
+
+  /** @private */
+  function labFInverse(t) {
+    const t3 = t * t * t;
+    return t3 > 0.008856 ? t3 : (t - 16 / 116) / 7.787;
+  }
+
+  /** @private */
+  function linearToSrgb(c) {
+    const v = c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+    return Math.max(0, Math.min(255, Math.round(v * 255)));
+  }
+
+  /**
+   * 2色のCIE76色差（ΔE*ab）を計算します
+   * @param {Array<number>} lab1 - [L, a, b]
+   * @param {Array<number>} lab2 - [L, a, b]
+   * @returns {number} 色差
+   */
+  function deltaE(lab1, lab2) {
+    const dl = lab1[0] - lab2[0];
+    const da = lab1[1] - lab2[1];
+    const db = lab1[2] - lab2[2];
+    return Math.sqrt(dl * dl + da * da + db * db);
+  }
+
+  /**
+   * 2色のCIEDE2000色差（ΔE00）を計算します
+   * CIE76より知覚に近い値になりますが計算量が多いため、評価用に使用します
+   * @param {Array<number>} lab1 - [L, a, b]
+   * @param {Array<number>} lab2 - [L, a, b]
+   * @returns {number} 色差
+   */
+  function deltaE2000(lab1, lab2) {
+    const [l1, a1, b1] = lab1;
+    const [l2, a2, b2] = lab2;
+    const rad = Math.PI / 180;
+
+    const c1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const c2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const cMean7 = Math.pow((c1 + c2) / 2, 7);
+    const g = 0.5 * (1 - Math.sqrt(cMean7 / (cMean7 + Math.pow(25, 7))));
+
+    const a1p = (1 + g) * a1;
+    const a2p = (1 + g) * a2;
+    const c1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const c2p = Math.sqrt(a2p * a2p + b2 * b2);
+    const h1p = c1p === 0 ? 0 : (Math.atan2(b1, a1p) / rad + 360) % 360;
+    const h2p = c2p === 0 ? 0 : (Math.atan2(b2, a2p) / rad + 360) % 360;
+
+    const dLp = l2 - l1;
+    const dCp = c2p - c1p;
+    let dhp = 0;
+    if (c1p * c2p !== 0) {
+      dhp = h2p - h1p;
+      if (dhp > 180) dhp -= 360;
+      else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(dhp * rad / 2);
+
+    const lMean = (l1 + l2) / 2;
+    const cMeanP = (c1p + c2p) / 2;
+    let hMean = h1p + h2p;
+    if (c1p * c2p !== 0) {
+      hMean = Math.abs(h1p - h2p) > 180 ?
+        (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2 :
+        (h1p + h2p) / 2;
+    }
+
+    const t = 1 - 0.17 * Math.cos((hMean - 30) * rad) + 0.24 * Math.cos(2 * hMean * rad) +
+      0.32 * Math.cos((3 * hMean + 6) * rad) - 0.20 * Math.cos((4 * hMean - 63) * rad);
+    const dTheta = 30 * Math.exp(-Math.pow((hMean - 275) / 25, 2));
+    const cMeanP7 = Math.pow(cMeanP, 7);
+    const rc = 2 * Math.sqrt(cMeanP7 / (cMeanP7 + Math.pow(25, 7)));
+    const lMean50 = (lMean - 50) * (lMean - 50);
+    const sl = 1 + 0.015 * lMean50 / Math.sqrt(20 + lMean50);
+    const sc = 1 + 0.045 * cMeanP;
+    const sh = 1 + 0.015 * cMeanP * t;
+    const rt = -Math.sin(2 * dTheta * rad) * rc;
+
+    const termL = dLp / sl;
+    const termC = dCp / sc;
+    const termH = dHp / sh;
+
+    return Math.sqrt(termL * termL + termC * termC + termH * termH + rt * termC * termH);
+  }
+
+  /**
+   * 色空間での座標を求めます
+   * @private
+   */
+  function toSpace(r, g, b, colorSpace) {
+    return colorSpace === 'lab' ? rgbToLab(r, g, b) : [r, g, b];
+  }
+
+  /**
+   * 色空間での座標をsRGB値に戻します
+   * @private
+   */
+  function fromSpace(c0, c1, c2, colorSpace) {
+    return colorSpace === 'lab' ?
+      labToRgb(c0, c1, c2) :
+      [c0, c1, c2].map(v => Math.max(0, Math.min(255, Math.round(v))));
+  }
+
+  /**
+   * 画像のピクセルを重み付きの色サンプルにまとめます
+   * 各チャンネル上位6ビットが同じ色を1つのサンプルとし、元の色の平均を座標にします
+   * @param {Object} imageData - 画像データ
+   * @param {string} colorSpace - 色空間
+   * @param {number} alphaThreshold - 透明とみなす不透明度の閾値
+   * @returns {Object} サンプル {coords: Float64Array(n*3), weights: Float64Array(n), count: n}
+   * @private
+   */
+  function collectSamples(imageData, colorSpace, alphaThreshold) {
+    const data = imageData.data;
+    const BUCKETS = 1 << 18;
+    const counts = new Uint32Array(BUCKETS);
+    const sums = new Float64Array(BUCKETS * 3);
+
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < alphaThreshold) continue;
+
+      const key = ((data[i] >> 2) << 12) | ((data[i + 1] >> 2) << 6) | (data[i + 2] >> 2);
+      counts[key]++;
+      sums[key * 3] += data[i];
+      sums[key * 3 + 1] += data[i + 1];
+      sums[key * 3 + 2] += data[i + 2];
+    }
+
+    let count = 0;
+    for (let key = 0; key < BUCKETS; key++) {
+      if (counts[key] > 0) count++;
+    }
+
+    const coords = new Float64Array(count * 3);
+    const weights = new Float64Array(count);
+    let n = 0;
+
+    for (let key = 0; key < BUCKETS; key++) {
+      const w = counts[key];
+      if (w === 0) continue;
+
+      const c = toSpace(sums[key * 3] / w, sums[key * 3 + 1] / w, sums[key * 3 + 2] / w, colorSpace);
+      coords[n * 3] = c[0];
+      coords[n * 3 + 1] = c[1];
+      coords[n * 3 + 2] = c[2];
+      weights[n] = w;
+      n++;
+    }
+
+    return { coords: coords, weights: weights, count: count };
+  }
+
+  /**
+   * サンプルの重み付き平均と分散を求めます
+   * @private
+   */
+  function computeStats(samples, indices) {
+    const { coords, weights } = samples;
+    const mean = [0, 0, 0];
+    const variance = [0, 0, 0];
+    let weight = 0;
+
+    for (const i of indices) {
+      const w = weights[i];
+      weight += w;
+      for (let d = 0; d < 3; d++) mean[d] += coords[i * 3 + d] * w;
+    }
+
+    if (weight === 0) return { mean: mean, variance: variance, weight: 0 };
+
+    for (let d = 0; d < 3; d++) mean[d] /= weight;
+
+    for (const i of indices) {
+      const w = weights[i];
+      for (let d = 0; d < 3; d++) {
+        const diff = coords[i * 3 + d] - mean[d];
+        variance[d] += diff * diff * w;
+      }
+    }
+
+    return { mean: mean, variance: variance, weight: weight };
+  }
+
+  /**
+   * メディアンカット法
+   * @private
+   */
+  function medianCut(samples, colorCount) {
+    const createBox = indices => Object.assign({ indices: indices }, computeStats(samples, indices));
+    const all = [];
+    for (let i = 0; i < samples.count; i++) all.push(i);
+
+    const boxes = [createBox(all)];
+
+    while (boxes.length < colorCount) {
+      // 重み付き分散（誤差の合計）が最も大きい箱を分割する
+      let target = -1;
+      let maxError = 0;
+      boxes.forEach((box, i) => {
+        const error = box.variance[0] + box.variance[1] + box.variance[2];
+        if (box.indices.length > 1 && error > maxError) {
+          maxError = error;
+          target = i;
+        }
+      });
+
+      if (target === -1) break;
+
+      const box = boxes[target];
+      const axis = box.variance.indexOf(Math.max(...box.variance));
+      const sorted = box.indices.slice().sort((a, b) => samples.coords[a * 3 + axis] - samples.coords[b * 3 + axis]);
+
+      // 重みの累積が半分に達する位置で分割
+      let accumulated = 0;
+      let split = 1;
+      for (let i = 0; i < sorted.length - 1; i++) {
+        accumulated += samples.weights[sorted[i]];
+        split = i + 1;
+        if (accumulated >= box.weight / 2) break;
+      }
+
+      boxes.splice(target, 1, createBox(sorted.slice(0, split)), createBox(sorted.slice(split)));
+    }
+
+    return boxes.map(box => ({ coords: box.mean, weight: box.weight }));
+  }
+
+  /**
+   * 固定シードの疑似乱数（mulberry32）
+   * @private
+   */
+  function createRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * k-means++で初期値を選ぶk平均法
+   * @private
+   */
+  function kMeans(samples, colorCount, maxIterations) {
+    const { coords, weights, count } = samples;
+    const random = createRandom(0x5eed);
+    const k = Math.min(colorCount, count);
+    const centers = [];
+    const distances = new Float64Array(count).fill(Infinity);
+
+    const distanceTo = (i, center) => {
+      const d0 = coords[i * 3] - center[0];
+      const d1 = coords[i * 3 + 1] - center[1];
+      const d2 = coords[i * 3 + 2] - center[2];
+      return d0 * d0 + d1 * d1 + d2 * d2;
+    };
+
+    // 重みに比例した確率でサンプルを選ぶ
+    const pick = probabilities => {
+      let total = 0;
+      for (let i = 0; i < count; i++) total += probabilities(i);
+      if (total === 0) return -1;
+
+      let threshold = random() * total;
+      for (let i = 0; i < count; i++) {
+        threshold -= probabilities(i);
+        if (threshold < 0) return i;
+      }
+      return count - 1;
+    };
+
+    // k-means++: 既存の中心から遠いサンプルほど選ばれやすくする
+    let index = pick(i => weights[i]);
+    while (index !== -1 && centers.length < k) {
+      const center = [coords[index * 3], coords[index * 3 + 1], coords[index * 3 + 2]];
+      centers.push(center);
+
+      for (let i = 0; i < count; i++) {
+        distances[i] = Math.min(distances[i], distanceTo(i, center));
+      }
+
+      index = pick(i => weights[i] * distances[i]);
+    }
+
+    return refineCenters(samples, centers, 0, maxIterations);
+  }
+
+  /**
+   * k平均法の反復で中心を更新します
+   * 先頭のfixedCount個の中心は固定色として動かしません
+   * @param {Object} samples - 色サンプル
+   * @param {Array} centers - 初期の中心 [[c0, c1, c2], ...]
+   * @param {number} fixedCount - 動かさない中心の数
+   * @param {number} maxIterations - 最大反復回数
+   * @returns {Array} クラスタ [{coords, weight, fixedIndex}]（固定色のクラスタは重みが0でも残す）
+   * @private
+   */
+  function refineCenters(samples, centers, fixedCount, maxIterations) {
+    const { coords, weights, count } = samples;
+    const clusterWeights = new Float64Array(centers.length);
+
+    const distanceTo = (i, center) => {
+      const d0 = coords[i * 3] - center[0];
+      const d1 = coords[i * 3 + 1] - center[1];
+      const d2 = coords[i * 3 + 2] - center[2];
+      return d0 * d0 + d1 * d1 + d2 * d2;
+    };
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const sums = new Float64Array(centers.length * 3);
+      clusterWeights.fill(0);
+
+      for (let i = 0; i < count; i++) {
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let c = 0; c < centers.length; c++) {
+          const distance = distanceTo(i, centers[c]);
+          if (distance < bestDistance) {
+            bestDistance = distance;
+            best = c;
+          }
+        }
+
+        clusterWeights[best] += weights[i];
+        for (let d = 0; d < 3; d++) sums[best * 3 + d] += coords[i * 3 + d] * weights[i];
+      }
+
+      // 中心を更新し、移動量が十分小さくなったら終了
+      let maxShift = 0;
+      centers.forEach((center, c) => {
+        if (c < fixedCount || clusterWeights[c] === 0) return;
+
+        const next = [0, 1, 2].map(d => sums[c * 3 + d] / clusterWeights[c]);
+        maxShift = Math.max(maxShift, Math.sqrt(
+          (next[0] - center[0]) ** 2 + (next[1] - center[1]) ** 2 + (next[2] - center[2]) ** 2));
+        centers[c] = next;
+      });
+
+      if (maxShift < 0.1) break;
+    }
+
+    return centers
+      .map((center, c) => ({ coords: center, weight: clusterWeights[c], fixedIndex: c < fixedCount ? c : -1 }))
+      .filter(cluster => cluster.weight > 0 || cluster.fixedIndex !== -1);
+  }
+
+  /**
+   * 固定色を含むクラスタを求めます
+   * 量子化方式で求めた色のうち各固定色に最も近いものを固定色に置き換え、
+   * 固定色を動かさずにk平均法で残りの色を調整します
+   * @private
+   */
+  function withFixedColors(clusters, fixedCoords, samples, colorCount, maxIterations) {
+    const candidates = clusters.slice().sort((a, b) => b.weight - a.weight);
+
+    for (const fixed of fixedCoords) {
+      let nearest = -1;
+      let nearestDistance = Infinity;
+
+      candidates.forEach((candidate, i) => {
+        const distance = (candidate.coords[0] - fixed[0]) ** 2 +
+          (candidate.coords[1] - fixed[1]) ** 2 + (candidate.coords[2] - fixed[2]) ** 2;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = i;
+        }
+      });
+
+      if (nearest !== -1) candidates.splice(nearest, 1);
+    }
+
+    const freeCount = Math.max(0, colorCount - fixedCoords.length);
+    const centers = fixedCoords.map(c => c.slice())
+      .concat(candidates.slice(0, freeCount).map(candidate => candidate.coords.slice()));
+
+    return refineCenters(samples, centers, fixedCoords.length, maxIterations);
+  }
+
+  /**
+   * 座標を0-255の範囲に正規化します（8分木とWu法のヒストグラム用）
+   * @private
+   */
+  function toUnitRange(c0, c1, c2, colorSpace) {
+    const values = colorSpace === 'lab' ? [c0 * 2.55, c1 + 128, c2 + 128] : [c0, c1, c2];
+    return values.map(v => Math.max(0, Math.min(255, Math.round(v))));
+  }
+
+  /**
+   * 8分木による量子化
+   * @private
+   */
+  function octree(samples, colorCount, colorSpace) {
+    const MAX_DEPTH = 6;
+    const root = { children: null, count: 0, sums: [0, 0, 0], depth: 0 };
+    const levels = [];
+    for (let depth = 0; depth < MAX_DEPTH; depth++) levels.push([]);
+
+    const { coords, weights, count } = samples;
+
+    for (let i = 0; i < count; i++) {
+      const unit = toUnitRange(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2], colorSpace);
+      const w = weights[i];
+      let node = root;
+
+      for (let depth = 0; ; depth++) {
+        node.count += w;
+        for (let d = 0; d < 3; d++) node.sums[d] += coords[i * 3 + d] * w;
+        if (depth === MAX_DEPTH) break;
+
+        const shift = 7 - depth;
+        const branch = (((unit[0] >> shift) & 1) << 2) | (((unit[1] >> shift) & 1) << 1) | ((unit[2] >> shift) & 1);
+
+        if (!node.children) {
+          node.children = new Array(8).fill(null);
+          levels[depth].push(node);
+        }
+        if (!node.children[branch]) {
+          node.children[branch] = { children: null, count: 0, sums: [0, 0, 0], depth: depth + 1 };
+        }
+        node = node.children[branch];
+      }
+    }
+
+    const countLeaves = node => (node.children ?
+      node.children.reduce((sum, child) => sum + (child ? countLeaves(child) : 0), 0) : 1);
+    let leafCount = countLeaves(root);
+
+    // 深い階層から、出現数の少ない枝を葉に統合していく
+    // （統合すると色数を下回る枝はそのまま残す）
+    for (let depth = MAX_DEPTH - 1; depth >= 0 && leafCount > colorCount; depth--) {
+      const nodes = levels[depth].sort((a, b) => b.count - a.count);
+
+      while (nodes.length > 0 && leafCount > colorCount) {
+        const node = nodes.pop();
+        const childCount = countLeaves(node);
+        if (leafCount - (childCount - 1) < colorCount) continue;
+
+        node.children = null;
+        leafCount -= childCount - 1;
+      }
+    }
+
+    const leaves = [];
+    const collect = node => {
+      if (!node.children) {
+        leaves.push({ coords: node.sums.map(sum => sum / node.count), weight: node.count });
+        return;
+      }
+      node.children.forEach(child => child && collect(child));
+    };
+    collect(root);
+
+    // まだ色数を超えている場合は、出現数の最も少ない色を最も近い色に統合する
+    while (leaves.length > colorCount) {
+      leaves.sort((a, b) => b.weight - a.weight);
+      const smallest = leaves.pop();
+      let nearest = leaves[0];
+      let nearestDistance = Infinity;
+
+      for (const leaf of leaves) {
+        const distance = (leaf.coords[0] - smallest.coords[0]) ** 2 +
+          (leaf.coords[1] - smallest.coords[1]) ** 2 + (leaf.coords[2] - smallest.coords[2]) ** 2;
+        if (distance < nearestDistance) {
+          nearestDistance = distance;
+          nearest = leaf;
+        }
+      }
+
+      const weight = nearest.weight + smallest.weight;
+      nearest.coords = nearest.coords.map((v, d) => (v * nearest.weight + smallest.coords[d] * smallest.weight) / weight);
+      nearest.weight = weight;
+    }
+
+    return leaves;
+  }
+
+  /**
+   * Xiaolin Wuの分散最小化による量子化
+   * @private
+   */
+  function wu(samples, colorCount, colorSpace) {
+    const SIZE = 33;
+    const index = (i0, i1, i2) => (i0 * SIZE + i1) * SIZE + i2;
+    const moments = {
+      w: new Float64Array(SIZE * SIZE * SIZE),
+      m0: new Float64Array(SIZE * SIZE * SIZE),
+      m1: new Float64Array(SIZE * SIZE * SIZE),
+      m2: new Float64Array(SIZE * SIZE * SIZE),
+      sq: new Float64Array(SIZE * SIZE * SIZE)
+    };
+    const { coords, weights, count } = samples;
+
+    // ヒストグラム（各軸32区間）にモーメントを集計
+    for (let i = 0; i < count; i++) {
+      const unit = toUnitRange(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2], colorSpace);
+      const cell = index((unit[0] >> 3) + 1, (unit[1] >> 3) + 1, (unit[2] >> 3) + 1);
+      const w = weights[i];
+      const c0 = coords[i * 3];
+      const c1 = coords[i * 3 + 1];
+      const c2 = coords[i * 3 + 2];
+
+      moments.w[cell] += w;
+      moments.m0[cell] += c0 * w;
+      moments.m1[cell] += c1 * w;
+      moments.m2[cell] += c2 * w;
+      moments.sq[cell] += (c0 * c0 + c1 * c1 + c2 * c2) * w;
+    }
+
+    // 累積和に変換して、任意の直方体のモーメントを8回の参照で求められるようにする
+    Object.values(moments).forEach(m => {
+      for (let i0 = 1; i0 < SIZE; i0++) {
+        for (let i1 = 1; i1 < SIZE; i1++) {
+          for (let i2 = 1; i2 < SIZE; i2++) {
+            m[index(i0, i1, i2)] += m[index(i0 - 1, i1, i2)] + m[index(i0, i1 - 1, i2)] + m[index(i0, i1, i2 - 1)] -
+              m[index(i0 - 1, i1 - 1, i2)] - m[index(i0 - 1, i1, i2 - 1)] - m[index(i0, i1 - 1, i2 - 1)] +
+              m[index(i0 - 1, i1 - 1, i2 - 1)];
+          }
+        }
+      }
+    });
+
+    // 直方体は各軸の (lower, upper] の範囲
+    const volume = (box, m) => {
+      const [l0, l1, l2] = box.lower;
+      const [u0, u1, u2] = box.upper;
+      return m[index(u0, u1, u2)] - m[index(u0, u1, l2)] - m[index(u0, l1, u2)] + m[index(u0, l1, l2)] -
+        m[index(l0, u1, u2)] + m[index(l0, u1, l2)] + m[index(l0, l1, u2)] - m[index(l0, l1, l2)];
+    };
+    const stats = box => ({
+      w: volume(box, moments.w),
+      m: [volume(box, moments.m0), volume(box, moments.m1), volume(box, moments.m2)]
+    });
+    const variance = box => {
+      const { w, m } = stats(box);
+      if (w === 0) return 0;
+      return volume(box, moments.sq) - (m[0] * m[0] + m[1] * m[1] + m[2] * m[2]) / w;
+    };
+
+    // 分割後の2つの箱の (平均の二乗 × 重み) の合計が最大になる位置で分割する
+    const cut = box => {
+      const whole = stats(box);
+      let best = null;
+      let bestScore = 0;
+
+      for (let axis = 0; axis < 3; axis++) {
+        for (let position = box.lower[axis] + 1; position < box.upper[axis]; position++) {
+          const upper = box.upper.slice();
+          upper[axis] = position;
+          const half = stats({ lower: box.lower, upper: upper });
+          const restWeight = whole.w - half.w;
+          if (half.w === 0 || restWeight === 0) continue;
+
+          const rest = whole.m.map((v, d) => v - half.m[d]);
+          const score = (half.m[0] ** 2 + half.m[1] ** 2 + half.m[2] ** 2) / half.w +
+            (rest[0] ** 2 + rest[1] ** 2 + rest[2] ** 2) / restWeight;
+
+          if (score > bestScore) {
+            bestScore = score;
+            best = { axis: axis, position: position };
+          }
+        }
+      }
+
+      if (!best) return null;
+
+      const upper = box.upper.slice();
+      const lower = box.lower.slice();
+      upper[best.axis] = best.position;
+      lower[best.axis] = best.position;
+
+      return [{ lower: box.lower, upper: upper }, { lower: lower, upper: box.upper }];
+    };
+
+    const boxes = [{ lower: [0, 0, 0], upper: [SIZE - 1, SIZE - 1, SIZE - 1] }];
+    const variances = [variance(boxes[0])];
+
+    while (boxes.length < colorCount) {
+      const target = variances.indexOf(Math.max(...variances));
+      if (variances[target] <= 0) break;
+
+      const halves = cut(boxes[target]);
+      if (!halves) {
+        variances[target] = 0;
+        continue;
+      }
+
+      boxes.splice(target, 1, halves[0], halves[1]);
+      variances.splice(target, 1, variance(halves[0]), variance(halves[1]));
+    }
+
+    return boxes
+      .map(stats)
+      .filter(box => box.w > 0)
+      .map(box => ({ coords: box.m.map(v => v / box.w), weight: box.w }));
+  }
+
+  /**
+   * 画像の代表色（パレット）を求めます
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {number} colorCount - 色数
+   * @param {Object} options - 量子化オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Array} パレット [{r, g, b, count}, ...]（出現数の多い順）
+   */
+  function quantize(imageData, colorCount, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+
+    if (!METHODS.includes(settings.method)) {
+      throw new Error(`不明な色量子化方式です: ${settings.method}`);
+    }
+    if (!COLOR_SPACES.includes(settings.colorSpace)) {
+      throw new Error(`不明な色空間です: ${settings.colorSpace}`);
+    }
+
+    const fixedColors = settings.fixedColors || [];
+    const samples = collectSamples(imageData, settings.colorSpace, settings.alphaThreshold);
+
+    if (samples.count === 0) {
+      return fixedColors.map(color => ({ r: color.r, g: color.g, b: color.b, count: 0, locked: true }));
+    }
+
+    let clusters;
+    switch (settings.method) {
+      case 'kmeans':
+        clusters = kMeans(samples, colorCount, settings.maxIterations);
+        break;
+      case 'octree':
+        clusters = octree(samples, colorCount, settings.colorSpace);
+        break;
+      case 'wu':
+        clusters = wu(samples, colorCount, settings.colorSpace);
+        break;
+      default:
+        clusters = medianCut(samples, colorCount);
+    }
+
+    if (fixedColors.length > 0) {
+      const fixedCoords = fixedColors.map(color => toSpace(color.r, color.g, color.b, settings.colorSpace));
+      clusters = withFixedColors(clusters, fixedCoords, samples, colorCount, settings.maxIterations);
+    }
+
+    return clusters
+      .sort((a, b) => b.weight - a.weight)
+      .map(cluster => {
+        // 固定色は色空間の変換による誤差を避けるため、指定された値をそのまま使う
+        if (cluster.fixedIndex !== undefined && cluster.fixedIndex !== -1) {
+          const fixed = fixedColors[cluster.fixedIndex];
+          return { r: fixed.r, g: fixed.g, b: fixed.b, count: cluster.weight, locked: true };
+        }
+
+        const [r, g, b] = fromSpace(cluster.coords[0], cluster.coords[1], cluster.coords[2], settings.colorSpace);
+        return { r: r, g: g, b: b, count: cluster.weight };
+      });
+  }
+
+  /**
+   * 色に最も近いパレット色のインデックスを返す関数を作成します
+   * colorSpaceが'lab'の場合はΔE（CIE76）、'rgb'の場合はRGBのユークリッド距離で比較します
+   * @param {Array} palette - パレット [{r, g, b}, ...]
+   * @param {string} colorSpace - 色空間（'lab', 'rgb'）
+   * @returns {Function} (r, g, b) => パレットのインデックス
+   */
+  function createColorMatcher(palette, colorSpace = DEFAULT_OPTIONS.colorSpace) {
+    const points = palette.map(color => toSpace(color.r, color.g, color.b, colorSpace));
+
+    return function(r, g, b) {
+      const c = toSpace(r, g, b, colorSpace);
+      let best = -1;
+      let bestDistance = Infinity;
+
+      for (let i = 0; i < points.length; i++) {
+        const d0 = c[0] - points[i][0];
+        const d1 = c[1] - points[i][1];
+        const d2 = c[2] - points[i][2];
+        const distance = d0 * d0 + d1 * d1 + d2 * d2;
+
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = i;
+        }
+      }
+
+      return best;
+    };
+  }
+
+  // 公開API
+  return {
+    METHODS: METHODS,
+    COLOR_SPACES: COLOR_SPACES,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS,
+
+    quantize: quantize,
+    createColorMatcher: createColorMatcher,
+
+    // 色空間の変換と色差
+    rgbToLab: rgbToLab,
+    labToRgb: labToRgb,
+    deltaE: deltaE,
+    deltaE2000: deltaE2000
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerQuantizer;
+} else {
+  globalThis.ImageTracerQuantizer = ImageTracerQuantizer;
+}
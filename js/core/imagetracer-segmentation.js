@@ -0,0 +1,451 @@
+/**
+ * @module ImageTracerSegmentation
+ * @description 物体ごとのレイヤー分離のための領域分割モジュール（SLICスーパーピクセル＋領域隣接グラフの統合）
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 画像を色と位置の近いピクセルの小さなまとまり（スーパーピクセル）に分け、
+ * 隣り合うまとまりを色の近さと境界の強さをもとに順に統合して、物体ごとのまとまった領域にします。
+ * エッジ検出とフラッドフィルによる分割と比べ、模様のある部分が細かく分かれすぎず、
+ * 弱い輪郭から領域が漏れ出しにくくなります。
+ *
+ * 処理の流れ:
+ *   1. SLIC: CIELAB色空間と位置の距離でピクセルを約 superpixels 個のスーパーピクセルに分ける
+ *   2. 連結していない小さな断片を隣のスーパーピクセルに付け替える
+ *   3. 領域隣接グラフ（RAG）を作成し、統合のコストが最も小さい隣り合う領域の組を順に統合する
+ *      コスト = (1 - edgeWeight) × 平均色の色差 + edgeWeight × 境界をまたぐピクセルの平均色差
+ *      コストが mergeThreshold 未満の組がなくなり、領域数が maxSegments 以下になるまで続ける
+ *
+ * 使用例:
+ *   const { segments, count } = ImageTracerSegmentation.segment(imageData, { maxSegments: 24 });
+ *   // segments[i] はピクセル i の領域番号（0〜count-1、面積の大きい順。透明なピクセルは-1）
+ */
+
+// ImageTracerSegmentationを定義
+const ImageTracerSegmentation = (function() {
+  'use strict';
+
+  /**
+   * 領域分割オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    superpixels: 400,      // SLICで最初に作るスーパーピクセルのおおよその数
+    compactness: 10,       // SLICの位置の重み（大きいほど四角に近いまとまりになる）
+    iterations: 5,         // SLICの繰り返し回数
+    maxSegments: 24,       // 統合後の最大の領域数
+    mergeThreshold: 12,    // この値未満のコストの領域は、領域数にかかわらず統合する
+    edgeWeight: 0.5,       // 統合のコストに占める境界の強さの割合（0〜1）
+    minArea: 0.001,        // これより小さい領域（画像全体に対する割合）は必ず隣に統合する
+    alphaThreshold: 128    // これ未満の不透明度のピクセルは分割の対象にしない
+  };
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getQuantizer() {
+    if (typeof globalThis.ImageTracerQuantizer !== 'undefined') {
+      return globalThis.ImageTracerQuantizer;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-quantizer.js');
+    }
+
+    throw new Error('ImageTracerQuantizerモジュールが読み込まれていません');
+  }
+
+  /**
+   * 画像をCIELABに変換します（同じ色は一度だけ変換します）
+   * @returns {Float32Array} Lab値（ピクセルごとに3要素）
+   * @private
+   */
+  function toLab(imageData) {
+    const quantizer = getQuantizer();
+    const data = imageData.data;
+    const total = imageData.width * imageData.height;
+    const lab = new Float32Array(total * 3);
+    const cache = new Map();
+
+    for (let p = 0, i = 0; p < total; p++, i += 4) {
+      const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+      let value = cache.get(key);
+      if (!value) {
+        value = quantizer.rgbToLab(data[i], data[i + 1], data[i + 2]);
+        // キャッシュが大きくなりすぎないよう、一定数までにする
+        if (cache.size < 262144) cache.set(key, value);
+      }
+      lab[p * 3] = value[0];
+      lab[p * 3 + 1] = value[1];
+      lab[p * 3 + 2] = value[2];
+    }
+
+    return lab;
+  }
+
+  /**
+   * 2つのピクセルのLab値の距離（CIE76色差）を求めます
+   * @private
+   */
+  function pixelDistance(lab, p, q) {
+    const dl = lab[p * 3] - lab[q * 3];
+    const da = lab[p * 3 + 1] - lab[q * 3 + 1];
+    const db = lab[p * 3 + 2] - lab[q * 3 + 2];
+    return Math.sqrt(dl * dl + da * da + db * db);
+  }
+
+  /**
+   * SLICでスーパーピクセルに分割します
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Float32Array} lab - Lab値
+   * @param {Uint8Array} opaque - 対象のピクセル（1）
+   * @param {Object} settings - 分割オプション
+   * @returns {Int32Array} スーパーピクセル番号（対象外は-1）
+   * @private
+   */
+  function slic(imageData, lab, opaque, settings) {
+    const { width, height } = imageData;
+    const total = width * height;
+    const step = Math.max(2, Math.round(Math.sqrt(total / Math.max(1, settings.superpixels))));
+    const spatialWeight = (settings.compactness / step) * (settings.compactness / step);
+
+    // 格子状に中心を配置し、周囲3×3で色の変化が最も小さい位置へ動かす（輪郭上に置かないため）
+    const centers = [];
+    for (let y = Math.floor(step / 2); y < height; y += step) {
+      for (let x = Math.floor(step / 2); x < width; x += step) {
+        let best = y * width + x;
+        let bestGradient = Infinity;
+
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 1 || ny < 1 || nx >= width - 1 || ny >= height - 1) continue;
+
+            const p = ny * width + nx;
+            const gradient = pixelDistance(lab, p - 1, p + 1) + pixelDistance(lab, p - width, p + width);
+            if (gradient < bestGradient) {
+              bestGradient = gradient;
+              best = p;
+            }
+          }
+        }
+
+        if (opaque[best]) {
+          centers.push({
+            l: lab[best * 3], a: lab[best * 3 + 1], b: lab[best * 3 + 2],
+            x: best % width, y: Math.floor(best / width)
+          });
+        }
+      }
+    }
+
+    const labels = new Int32Array(total).fill(-1);
+    const distances = new Float64Array(total);
+
+    for (let iteration = 0; iteration < settings.iterations; iteration++) {
+      distances.fill(Infinity);
+
+      centers.forEach((center, k) => {
+        const x0 = Math.max(0, Math.floor(center.x - step));
+        const x1 = Math.min(width, Math.ceil(center.x + step));
+        const y0 = Math.max(0, Math.floor(center.y - step));
+        const y1 = Math.min(height, Math.ceil(center.y + step));
+
+        for (let y = y0; y < y1; y++) {
+          for (let x = x0; x < x1; x++) {
+            const p = y * width + x;
+            if (!opaque[p]) continue;
+
+            const dl = lab[p * 3] - center.l;
+            const da = lab[p * 3 + 1] - center.a;
+            const db = lab[p * 3 + 2] - center.b;
+            const dx = x - center.x;
+            const dy = y - center.y;
+            const distance = dl * dl + da * da + db * db + (dx * dx + dy * dy) * spatialWeight;
+
+            if (distance < distances[p]) {
+              distances[p] = distance;
+              labels[p] = k;
+            }
+          }
+        }
+      });
+
+      // 中心を割り当てたピクセルの平均に更新
+      const sums = centers.map(() => ({ l: 0, a: 0, b: 0, x: 0, y: 0, count: 0 }));
+      for (let p = 0; p < total; p++) {
+        const k = labels[p];
+        if (k < 0) continue;
+
+        const sum = sums[k];
+        sum.l += lab[p * 3];
+        sum.a += lab[p * 3 + 1];
+        sum.b += lab[p * 3 + 2];
+        sum.x += p % width;
+        sum.y += Math.floor(p / width);
+        sum.count++;
+      }
+
+      sums.forEach((sum, k) => {
+        if (sum.count === 0) return;
+        centers[k] = {
+          l: sum.l / sum.count, a: sum.a / sum.count, b: sum.b / sum.count,
+          x: sum.x / sum.count, y: sum.y / sum.count
+        };
+      });
+    }
+
+    return enforceConnectivity(labels, opaque, width, height, Math.max(1, Math.floor(step * step / 4)));
+  }
+
+  /**
+   * 連結した領域ごとに番号を振り直し、小さな断片は直前に隣接していた領域に付け替えます
+   * （どの中心からも遠く割り当てられなかったピクセルも、連結したまとまりごとに1つの領域にします）
+   * @returns {Int32Array} 連結した領域ごとの番号（対象外は-1）
+   * @private
+   */
+  function enforceConnectivity(labels, opaque, width, height, minSize) {
+    const total = width * height;
+    const result = new Int32Array(total).fill(-1);
+    const queue = new Int32Array(total);
+    let count = 0;
+
+    for (let start = 0; start < total; start++) {
+      if (result[start] !== -1 || !opaque[start]) continue;
+
+      // 断片を付け替える先として、すでに番号を振った隣の領域を探す
+      const x = start % width;
+      let adjacent = -1;
+      if (x > 0 && result[start - 1] >= 0) adjacent = result[start - 1];
+      else if (start >= width && result[start - width] >= 0) adjacent = result[start - width];
+
+      let head = 0;
+      let tail = 0;
+      result[start] = count;
+      queue[tail++] = start;
+
+      while (head < tail) {
+        const p = queue[head++];
+        const px = p % width;
+        const neighbors = [
+          px > 0 ? p - 1 : -1,
+          px < width - 1 ? p + 1 : -1,
+          p >= width ? p - width : -1,
+          p < total - width ? p + width : -1
+        ];
+
+        for (const n of neighbors) {
+          if (n < 0 || result[n] !== -1 || !opaque[n] || labels[n] !== labels[start]) continue;
+          result[n] = count;
+          queue[tail++] = n;
+        }
+      }
+
+      if (tail < minSize && adjacent >= 0) {
+        for (let i = 0; i < tail; i++) {
+          result[queue[i]] = adjacent;
+        }
+      } else {
+        count++;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * 領域隣接グラフを作成し、コストの小さい隣り合う領域から順に統合します
+   * @param {Int32Array} labels - スーパーピクセル番号（対象外は-1）
+   * @param {Float32Array} lab - Lab値
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {Object} settings - 分割オプション
+   * @returns {Int32Array} 統合後の領域番号（0から連番、面積の大きい順。対象外は-1）
+   * @private
+   */
+  function mergeRegions(labels, lab, width, height, settings) {
+    const total = width * height;
+    let regionCount = 0;
+    for (let p = 0; p < total; p++) {
+      regionCount = Math.max(regionCount, labels[p] + 1);
+    }
+
+    // 領域ごとの面積とLab値の合計
+    const regions = Array.from({ length: regionCount }, () => ({
+      count: 0, l: 0, a: 0, b: 0, neighbors: new Map()
+    }));
+
+    for (let p = 0; p < total; p++) {
+      const k = labels[p];
+      if (k < 0) continue;
+
+      const region = regions[k];
+      region.count++;
+      region.l += lab[p * 3];
+      region.a += lab[p * 3 + 1];
+      region.b += lab[p * 3 + 2];
+    }
+
+    // 境界の長さと、境界をまたぐピクセルの色差の合計
+    const addBoundary = (p, q) => {
+      const a = labels[p];
+      const b = labels[q];
+      if (a < 0 || b < 0 || a === b) return;
+
+      const strength = pixelDistance(lab, p, q);
+      [[a, b], [b, a]].forEach(([from, to]) => {
+        const edge = regions[from].neighbors.get(to);
+        if (edge) {
+          edge.length++;
+          edge.strength += strength;
+        } else {
+          regions[from].neighbors.set(to, { length: 1, strength: strength });
+        }
+      });
+    };
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        if (x < width - 1) addBoundary(p, p + 1);
+        if (y < height - 1) addBoundary(p, p + width);
+      }
+    }
+
+    const minCount = Math.max(1, Math.round(total * settings.minArea));
+    const cost = (a, b, edge) => {
+      const ra = regions[a];
+      const rb = regions[b];
+      const dl = ra.l / ra.count - rb.l / rb.count;
+      const da = ra.a / ra.count - rb.a / rb.count;
+      const db = ra.b / ra.count - rb.b / rb.count;
+      const colorDistance = Math.sqrt(dl * dl + da * da + db * db);
+      const value = (1 - settings.edgeWeight) * colorDistance + settings.edgeWeight * (edge.strength / edge.length);
+
+      // 小さすぎる領域は最優先で統合する
+      return ra.count < minCount || rb.count < minCount ? value - 1e6 : value;
+    };
+
+    // 統合先をたどるための配列（統合された領域は統合先の番号を持つ）
+    const parent = Int32Array.from({ length: regionCount }, (_, i) => i);
+    let remaining = regions.filter(region => region.count > 0).length;
+
+    while (remaining > 1) {
+      let best = null;
+      let bestCost = Infinity;
+
+      regions.forEach((region, a) => {
+        if (parent[a] !== a || region.count === 0) return;
+        region.neighbors.forEach((edge, b) => {
+          if (b <= a) return;
+          const value = cost(a, b, edge);
+          if (value < bestCost) {
+            bestCost = value;
+            best = [a, b];
+          }
+        });
+      });
+
+      if (!best || (bestCost >= settings.mergeThreshold && remaining <= settings.maxSegments)) break;
+
+      // b を a に統合する
+      const [a, b] = best;
+      const ra = regions[a];
+      const rb = regions[b];
+      ra.count += rb.count;
+      ra.l += rb.l;
+      ra.a += rb.a;
+      ra.b += rb.b;
+      parent[b] = a;
+
+      rb.neighbors.forEach((edge, n) => {
+        const neighbor = regions[n];
+        neighbor.neighbors.delete(b);
+        if (n === a) return;
+
+        const existing = ra.neighbors.get(n);
+        const merged = existing ?
+          { length: existing.length + edge.length, strength: existing.strength + edge.strength } :
+          { length: edge.length, strength: edge.strength };
+        ra.neighbors.set(n, merged);
+        neighbor.neighbors.set(a, merged);
+      });
+      ra.neighbors.delete(b);
+      rb.neighbors.clear();
+      rb.count = 0;
+      remaining--;
+    }
+
+    // 統合先の番号に置き換え、面積の大きい順に0から振り直す
+    const root = k => {
+      while (parent[k] !== k) k = parent[k];
+      return k;
+    };
+    const order = regions
+      .map((region, k) => ({ k: k, count: region.count }))
+      .filter(item => parent[item.k] === item.k && item.count > 0)
+      .sort((a, b) => b.count - a.count);
+    const renumber = new Int32Array(regionCount).fill(-1);
+    order.forEach((item, i) => {
+      renumber[item.k] = i;
+    });
+
+    const result = new Int32Array(total).fill(-1);
+    for (let p = 0; p < total; p++) {
+      if (labels[p] >= 0) result[p] = renumber[root(labels[p])];
+    }
+
+    return result;
+  }
+
+  /**
+   * 画像を物体ごとのまとまった領域に分割します
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} options - 分割オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} {segments: 領域番号の配列（面積の大きい順、透明なピクセルは-1）, count: 領域数}
+   */
+  function segment(imageData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, data } = imageData;
+    const total = width * height;
+
+    const opaque = new Uint8Array(total);
+    let opaqueCount = 0;
+    for (let p = 0; p < total; p++) {
+      if (data[p * 4 + 3] >= settings.alphaThreshold) {
+        opaque[p] = 1;
+        opaqueCount++;
+      }
+    }
+
+    if (opaqueCount === 0) {
+      return { segments: new Int32Array(total).fill(-1), count: 0 };
+    }
+
+    const lab = toLab(imageData);
+    const superpixels = slic(imageData, lab, opaque, settings);
+    const segments = mergeRegions(superpixels, lab, width, height, settings);
+
+    let count = 0;
+    for (let p = 0; p < total; p++) {
+      count = Math.max(count, segments[p] + 1);
+    }
+
+    return { segments: segments, count: count };
+  }
+
+  // 公開API
+  return {
+    segment: segment,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerSegmentation;
+} else {
+  globalThis.ImageTracerSegmentation = ImageTracerSegmentation;
+}
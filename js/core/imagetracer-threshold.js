@@ -0,0 +1,237 @@
+/**
+ * @module ImageTracerThreshold
+ * @description 白黒モードの2値化（閾値処理）モジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 画像全体で1つの閾値を使う方法のほか、画像から閾値を自動で決める方法や、
+ * ピクセルごとに周囲の明るさから閾値を決める局所的な方法を選択できます。
+ * 照明にむらのあるスキャン画像やグラデーションのある写真でも、閾値を手で調整せずに2値化できます。
+ *
+ * 2値化方式:
+ *   'global'        - 指定した閾値（threshold）を画像全体に使用
+ *   'otsu'          - 大津の方法で輝度ヒストグラムから閾値を自動で決定
+ *   'adaptive-mean' - 周囲の平均輝度から offset を引いた値を閾値にする
+ *   'niblack'       - 周囲の平均 + k × 標準偏差（k の既定値 -0.2）
+ *   'sauvola'       - 周囲の平均 × (1 + k × (標準偏差 / 128 - 1))（k の既定値 0.34）
+ *
+ * 局所的な方式の周囲の範囲は windowSize（ピクセル、奇数）で指定します。
+ * 0の場合は画像の短い辺の1/16程度（15以上）を自動で使用します。
+ *
+ * 使用例:
+ *   const mask = ImageTracerThreshold.binarize(imageData, { method: 'sauvola' });
+ *   // mask[i] === 1 のピクセルが黒（閾値より暗い）
+ */
+
+// ImageTracerThresholdを定義
+const ImageTracerThreshold = (function() {
+  'use strict';
+
+  const METHODS = ['global', 'otsu', 'adaptive-mean', 'niblack', 'sauvola'];
+
+  /**
+   * 2値化オプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    method: 'global',      // 2値化方式（METHODSを参照）
+    threshold: 128,        // 'global'で使用する閾値
+    windowSize: 0,         // 局所的な方式で使用する周囲の範囲（0は自動）
+    k: null,               // 'niblack'・'sauvola'の係数（nullは方式ごとの既定値）
+    offset: 10,            // 'adaptive-mean'で平均から引く値
+    alphaThreshold: 128    // これ未満の不透明度のピクセルは背景（白）として扱う
+  };
+
+  // Niblack・Sauvolaの係数の既定値
+  const DEFAULT_K = {
+    niblack: -0.2,
+    sauvola: 0.34
+  };
+
+  // Sauvolaの標準偏差の正規化に使用する値（輝度の最大標準偏差）
+  const SAUVOLA_RANGE = 128;
+
+  /**
+   * 画像データを輝度（0〜255）の配列に変換します
+   * 透明なピクセルは背景として白（255）にします
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {number} alphaThreshold - 透明とみなす不透明度の閾値
+   * @returns {Float32Array} 輝度
+   */
+  function toGrayscale(imageData, alphaThreshold = DEFAULT_OPTIONS.alphaThreshold) {
+    const data = imageData.data;
+    const gray = new Float32Array(imageData.width * imageData.height);
+
+    for (let p = 0, i = 0; p < gray.length; p++, i += 4) {
+      gray[p] = data[i + 3] < alphaThreshold ? 255 :
+        data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+    }
+
+    return gray;
+  }
+
+  /**
+   * 大津の方法で閾値を求めます（クラス間分散が最大になる輝度）
+   * @param {Float32Array} gray - 輝度
+   * @returns {number} 閾値（この値未満を黒とする）
+   */
+  function otsuThreshold(gray) {
+    const histogram = new Float64Array(256);
+    for (let i = 0; i < gray.length; i++) {
+      histogram[Math.min(255, Math.round(gray[i]))]++;
+    }
+
+    let total = 0;
+    let sum = 0;
+    for (let v = 0; v < 256; v++) {
+      total += histogram[v];
+      sum += v * histogram[v];
+    }
+
+    let weightBelow = 0;
+    let sumBelow = 0;
+    let bestVariance = -1;
+    let best = 128;
+
+    for (let v = 0; v < 256; v++) {
+      weightBelow += histogram[v];
+      if (weightBelow === 0) continue;
+
+      const weightAbove = total - weightBelow;
+      if (weightAbove === 0) break;
+
+      sumBelow += v * histogram[v];
+      const meanBelow = sumBelow / weightBelow;
+      const meanAbove = (sum - sumBelow) / weightAbove;
+      const variance = weightBelow * weightAbove * (meanBelow - meanAbove) * (meanBelow - meanAbove);
+
+      if (variance > bestVariance) {
+        bestVariance = variance;
+        best = v;
+      }
+    }
+
+    // v以下が黒のクラスになるため、閾値（未満が黒）はv + 1
+    return best + 1;
+  }
+
+  /**
+   * 周囲の範囲を決定します
+   * @private
+   */
+  function resolveWindowSize(windowSize, width, height) {
+    let size = Math.round(windowSize) || Math.max(15, Math.round(Math.min(width, height) / 16));
+    if (size % 2 === 0) size++;
+    return Math.max(3, size);
+  }
+
+  /**
+   * 輝度と輝度の2乗の積分画像を作成します
+   * @private
+   */
+  function integralImages(gray, width, height) {
+    const stride = width + 1;
+    const sum = new Float64Array(stride * (height + 1));
+    const sumSq = new Float64Array(stride * (height + 1));
+
+    for (let y = 0; y < height; y++) {
+      let rowSum = 0;
+      let rowSumSq = 0;
+
+      for (let x = 0; x < width; x++) {
+        const value = gray[y * width + x];
+        rowSum += value;
+        rowSumSq += value * value;
+
+        const i = (y + 1) * stride + x + 1;
+        sum[i] = sum[i - stride] + rowSum;
+        sumSq[i] = sumSq[i - stride] + rowSumSq;
+      }
+    }
+
+    return { sum: sum, sumSq: sumSq, stride: stride };
+  }
+
+  /**
+   * 画像を2値化します
+   * @param {Object} imageData - 画像データ {width, height, data}
+   * @param {Object} options - 2値化オプション（DEFAULT_OPTIONSを参照）
+   * @returns {Uint8Array} マスク（1が黒、透明なピクセルは0）
+   */
+  function binarize(imageData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const { width, height, data } = imageData;
+
+    if (!METHODS.includes(settings.method)) {
+      throw new Error(`不明な2値化方式です: ${settings.method}`);
+    }
+
+    const gray = toGrayscale(imageData, settings.alphaThreshold);
+    const mask = new Uint8Array(width * height);
+    const isOpaque = p => data[p * 4 + 3] >= settings.alphaThreshold;
+
+    if (settings.method === 'global' || settings.method === 'otsu') {
+      const threshold = settings.method === 'otsu' ? otsuThreshold(gray) : settings.threshold;
+
+      for (let p = 0; p < mask.length; p++) {
+        if (isOpaque(p) && gray[p] < threshold) mask[p] = 1;
+      }
+
+      return mask;
+    }
+
+    const half = (resolveWindowSize(settings.windowSize, width, height) - 1) / 2;
+    const k = settings.k !== null ? settings.k : DEFAULT_K[settings.method];
+    const { sum, sumSq, stride } = integralImages(gray, width, height);
+
+    for (let y = 0; y < height; y++) {
+      const y0 = Math.max(0, y - half);
+      const y1 = Math.min(height, y + half + 1);
+
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        if (!isOpaque(p)) continue;
+
+        const x0 = Math.max(0, x - half);
+        const x1 = Math.min(width, x + half + 1);
+        const count = (x1 - x0) * (y1 - y0);
+
+        const total = sum[y1 * stride + x1] - sum[y0 * stride + x1] - sum[y1 * stride + x0] + sum[y0 * stride + x0];
+        const mean = total / count;
+
+        let threshold;
+        if (settings.method === 'adaptive-mean') {
+          threshold = mean - settings.offset;
+        } else {
+          const totalSq = sumSq[y1 * stride + x1] - sumSq[y0 * stride + x1] -
+            sumSq[y1 * stride + x0] + sumSq[y0 * stride + x0];
+          const deviation = Math.sqrt(Math.max(0, totalSq / count - mean * mean));
+
+          threshold = settings.method === 'niblack' ?
+            mean + k * deviation :
+            mean * (1 + k * (deviation / SAUVOLA_RANGE - 1));
+        }
+
+        if (gray[p] < threshold) mask[p] = 1;
+      }
+    }
+
+    return mask;
+  }
+
+  // 公開API
+  return {
+    binarize: binarize,
+    otsuThreshold: otsuThreshold,
+    toGrayscale: toGrayscale,
+    METHODS: METHODS,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerThreshold;
+} else {
+  globalThis.ImageTracerThreshold = ImageTracerThreshold;
+}
@@ -0,0 +1,894 @@
+/**
+ * @module ImageTracerVectorExport
+ * @description 変換結果のSVGを印刷用のPDF・EPSに書き出すモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * 生成したSVGのレイヤー（<g id="layer_…">）とパスデータをたどり、同じ図形をPDF・EPSの
+ * 描画命令として書き出します。ブラウザだけで動作し、外部のライブラリは使用しません。
+ *
+ * 書き出しの内容:
+ *   PDF - レイヤーごとにオプショナルコンテンツグループ（OCG）を作成し、layer.name を名前にします。
+ *         非表示のレイヤーは初期状態がオフのOCGになります。半透明はExtGStateで表現します
+ *   EPS - レイヤーごとに gsave〜grestore でまとめ、レイヤー名をコメントに残します。
+ *         EPSは半透明を扱えないため不透明で描画し、非表示のレイヤーは書き出しません
+ *
+ * グラデーションの塗り（fill="url(#…)"）は、linearGradient・radialGradient の定義をPDFの軸・放射シェーディング、
+ * EPSの shfill（LanguageLevel 3）に変換します。gradientTransform を持つグラデーションと線のグラデーションは、
+ * 色の区切り（stop）の平均色で塗ります。stop-opacity は使用しません。
+ * 座標はSVGの1ピクセルを dpi（既定値96）の1ドットとしてポイント（1/72インチ）に換算します。
+ *
+ * 使用例:
+ *   const file = ImageTracerVectorExport.convert(svgData, 'pdf', { title: 'logo' });
+ *   const blob = new Blob([file.data], { type: file.mimeType }); // file.extension は '.pdf'
+ */
+
+// ImageTracerVectorExportを定義
+const ImageTracerVectorExport = (function() {
+  'use strict';
+
+  /**
+   * 書き出しオプションのデフォルト値
+   * @type {Object}
+   */
+  const DEFAULT_OPTIONS = {
+    dpi: 96,               // SVGの1ピクセルあたりの解像度（ポイントへの換算に使用）
+    title: 'SVG Wizard',   // 文書のタイトル
+    includeHidden: true    // 非表示のレイヤーも書き出す（PDFではオフのOCG、EPSでは常に書き出さない）
+  };
+
+  /**
+   * 対応する形式
+   * @type {Object}
+   */
+  const FORMATS = {
+    pdf: { mimeType: 'application/pdf', extension: '.pdf' },
+    eps: { mimeType: 'application/postscript', extension: '.eps' }
+  };
+
+  // 色名のうち、生成したSVGで使われるもの
+  const NAMED_COLORS = {
+    black: { r: 0, g: 0, b: 0 },
+    white: { r: 255, g: 255, b: 255 }
+  };
+
+  // stroke-linecap・stroke-linejoin とPDF・PostScriptの番号の対応
+  const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+  const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+  /**
+   * 依存モジュールを取得します
+   * @private
+   */
+  function getOptimizer() {
+    if (typeof globalThis.ImageTracerOptimizer !== 'undefined') {
+      return globalThis.ImageTracerOptimizer;
+    }
+
+    if (typeof require === 'function') {
+      return require('./imagetracer-optimizer.js');
+    }
+
+    throw new Error('ImageTracerOptimizerモジュールが読み込まれていません');
+  }
+
+  /**
+   * XMLの文字参照（&amp; など）を元の文字に戻します
+   * @private
+   */
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+      }
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'' }[entity];
+    });
+  }
+
+  /**
+   * SVGの色の指定を {r, g, b} に変換します
+   * @returns {Object|null|undefined} 色（'none' の場合はnull、解釈できない場合はundefined）
+   * @private
+   */
+  function parseColor(value) {
+    const text = value.trim().toLowerCase();
+    if (text === 'none' || text === 'transparent') return null;
+    if (NAMED_COLORS[text]) return NAMED_COLORS[text];
+
+    let match = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (match) {
+      const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+      return {
+        r: parseInt(hex.slice(0, 2), 16),
+        g: parseInt(hex.slice(2, 4), 16),
+        b: parseInt(hex.slice(4, 6), 16)
+      };
+    }
+
+    match = text.match(/^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)/);
+    if (match) {
+      return { r: Number(match[1]), g: Number(match[2]), b: Number(match[3]) };
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 要素の表示に関する属性を取得します（style属性の指定を優先します）
+   * @private
+   */
+  function presentation(element) {
+    const properties = {};
+    element.attributes.forEach(attribute => {
+      properties[attribute.name] = decodeEntities(attribute.value);
+    });
+
+    if (properties.style) {
+      properties.style.split(';').forEach(declaration => {
+        const separator = declaration.indexOf(':');
+        if (separator > 0) {
+          properties[declaration.slice(0, separator).trim()] = declaration.slice(separator + 1).trim();
+        }
+      });
+    }
+
+    return properties;
+  }
+
+  /**
+   * グラデーションの座標の値を解析します（%指定は基準の長さに対する割合）
+   * @private
+   */
+  function parseGradientLength(value, fallback, reference) {
+    if (value === undefined) return fallback;
+    const number = parseFloat(value);
+    if (!Number.isFinite(number)) return fallback;
+    return /%\s*$/.test(value) ? number / 100 * reference : number;
+  }
+
+  /**
+   * グラデーションの色の区切り（stop）を0〜1の区間全体に広げ、平均色を求めます
+   * @returns {Object} {stops: [{offset, color}], color}
+   * @private
+   */
+  function normalizeStops(stops) {
+    const result = stops.slice();
+    if (result[0].offset > 0) result.unshift({ offset: 0, color: result[0].color });
+    if (result[result.length - 1].offset < 1) result.push({ offset: 1, color: result[result.length - 1].color });
+
+    // 区切りの間は線形に補間されるため、区間の長さで重み付けした中点の色の平均になる
+    const sum = { r: 0, g: 0, b: 0 };
+    for (let i = 1; i < result.length; i++) {
+      const weight = result[i].offset - result[i - 1].offset;
+      ['r', 'g', 'b'].forEach(channel => {
+        sum[channel] += weight * (result[i - 1].color[channel] + result[i].color[channel]) / 2;
+      });
+    }
+
+    return {
+      stops: result,
+      color: { r: Math.round(sum.r), g: Math.round(sum.g), b: Math.round(sum.b) }
+    };
+  }
+
+  /**
+   * SVGのグラデーションの定義（linearGradient・radialGradient）を id ごとに取り出します
+   * href で参照した定義の属性と色の区切りを引き継ぎます
+   * @param {Object} root - ImageTracerOptimizer.parseXMLの結果
+   * @param {Object} box - viewBox {x, y, width, height}（userSpaceOnUse の%指定の基準）
+   * @returns {Map<string, Object>} id → {type, units, coords, stops, color}
+   *   （色の区切りが1つ以下、または gradientTransform を持つ場合は coords・stops がnullで color だけを持ちます。
+   *     色の区切りがない場合は color もnullです）
+   * @private
+   */
+  function collectGradients(root, box) {
+    const elements = new Map();
+    const find = node => {
+      if (node.type !== 'element' && node.type !== 'root') return;
+      if (node.name === 'linearGradient' || node.name === 'radialGradient') {
+        const properties = presentation(node);
+        if (properties.id && !elements.has(properties.id)) elements.set(properties.id, { node: node, properties: properties });
+      }
+      node.children.forEach(find);
+    };
+    find(root);
+
+    const gradients = new Map();
+    const resolve = (id, seen) => {
+      if (gradients.has(id)) return gradients.get(id);
+      const entry = elements.get(id);
+      if (!entry || seen.has(id)) return null;
+      seen.add(id);
+
+      const properties = entry.properties;
+      const href = (properties.href || properties['xlink:href'] || '').match(/^#(.+)$/);
+      const base = href ? resolve(href[1], seen) : null;
+      const type = entry.node.name === 'linearGradient' ? 'linear' : 'radial';
+      const units = properties.gradientUnits || (base ? base.units : 'objectBoundingBox');
+      const inherited = base && base.type === type ? base.attributes : {};
+      const attribute = name => properties[name] !== undefined ? properties[name] : inherited[name];
+
+      let offset = 0;
+      let stops = [];
+      entry.node.children.forEach(child => {
+        if (child.type !== 'element' || child.name !== 'stop') return;
+        const stop = presentation(child);
+        const color = parseColor(stop['stop-color'] || 'black');
+        // 区切りの位置は前の区切りより小さくならない
+        offset = Math.max(offset, Math.min(1, Math.max(0, parseGradientLength(stop.offset, 0, 1))));
+        if (color) stops.push({ offset: offset, color: color });
+      });
+      if (stops.length === 0 && base) stops = base.rawStops;
+
+      // userSpaceOnUse の%指定はviewBoxの大きさ、objectBoundingBox の%指定はバウンディングボックスに対する割合
+      const userSpace = units === 'userSpaceOnUse';
+      const width = userSpace ? box.width : 1;
+      const height = userSpace ? box.height : 1;
+      const diagonal = userSpace ? Math.sqrt((box.width * box.width + box.height * box.height) / 2) : 1;
+      let coords;
+      if (type === 'linear') {
+        coords = [
+          parseGradientLength(attribute('x1'), 0, width),
+          parseGradientLength(attribute('y1'), 0, height),
+          parseGradientLength(attribute('x2'), width, width),
+          parseGradientLength(attribute('y2'), 0, height)
+        ];
+      } else {
+        const cx = parseGradientLength(attribute('cx'), width / 2, width);
+        const cy = parseGradientLength(attribute('cy'), height / 2, height);
+        const r = parseGradientLength(attribute('r'), diagonal / 2, diagonal);
+        coords = [parseGradientLength(attribute('fx'), cx, width), parseGradientLength(attribute('fy'), cy, height), 0, cx, cy, r];
+      }
+
+      const attributes = {};
+      ['x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'fx', 'fy'].forEach(name => {
+        if (attribute(name) !== undefined) attributes[name] = attribute(name);
+      });
+
+      const transformed = Boolean(properties.gradientTransform || (base && base.transformed));
+      const gradient = {
+        type: type, units: units, attributes: attributes, transformed: transformed, rawStops: stops,
+        coords: null, stops: null, color: null
+      };
+      if (stops.length > 0) {
+        const normalized = normalizeStops(stops);
+        gradient.color = normalized.color;
+        if (stops.length > 1 && !transformed) {
+          gradient.coords = coords;
+          gradient.stops = normalized.stops;
+        }
+      }
+
+      gradients.set(id, gradient);
+      return gradient;
+    };
+
+    elements.forEach((entry, id) => resolve(id, new Set()));
+    return gradients;
+  }
+
+  /**
+   * 親から引き継いだ描画の状態に、要素の属性を反映します
+   * @param {Object} state - 親の描画の状態
+   * @param {Object} properties - presentation() の結果
+   * @param {Map<string, Object>} gradients - collectGradients() の結果
+   * @private
+   */
+  function applyPresentation(state, properties, gradients) {
+    const next = Object.assign({}, state);
+
+    ['fill', 'stroke'].forEach(name => {
+      if (properties[name] === undefined) return;
+
+      // url(#id) はグラデーションの定義を参照する（見つからない場合は後ろの代替色、なければ親の色）
+      const reference = properties[name].match(/^\s*url\(\s*['"]?#([^'")]+)['"]?\s*\)\s*(.*)$/);
+      if (reference) {
+        const gradient = gradients.get(reference[1]);
+        if (gradient) {
+          next[name] = gradient.color;
+          if (name === 'fill') next.fillGradient = gradient.stops ? gradient : null;
+        } else if (reference[2]) {
+          const color = parseColor(reference[2]);
+          if (color !== undefined) next[name] = color;
+          if (color !== undefined && name === 'fill') next.fillGradient = null;
+        }
+        return;
+      }
+
+      // 解釈できない色の場合は、親の色をそのまま使う
+      const color = parseColor(properties[name]);
+      if (color !== undefined) {
+        next[name] = color;
+        if (name === 'fill') next.fillGradient = null;
+      }
+    });
+
+    if (properties['fill-rule']) next.fillRule = properties['fill-rule'];
+    if (properties['fill-opacity'] !== undefined) next.fillOpacity = Number(properties['fill-opacity']);
+    if (properties['stroke-opacity'] !== undefined) next.strokeOpacity = Number(properties['stroke-opacity']);
+    if (properties['stroke-width'] !== undefined) next.strokeWidth = parseFloat(properties['stroke-width']);
+    if (properties['stroke-linecap']) next.lineCap = properties['stroke-linecap'];
+    if (properties['stroke-linejoin']) next.lineJoin = properties['stroke-linejoin'];
+    if (properties.opacity !== undefined) next.opacity = state.opacity * Number(properties.opacity);
+
+    return next;
+  }
+
+  /**
+   * SVGの楕円弧をベジェ曲線に変換します（SVG仕様の中心パラメータ化による）
+   * @returns {Array<Array<number>>} 3次ベジェ曲線の引数 [x1, y1, x2, y2, x, y] の配列
+   * @private
+   */
+  function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+    if (x1 === x2 && y1 === y2) return [];
+    if (!rx || !ry) return [[x1, y1, x2, y2, x2, y2]];
+
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+
+    const dx = (x1 - x2) / 2;
+    const dy = (y1 - y2) / 2;
+    const x1p = cos * dx + sin * dy;
+    const y1p = -sin * dx + cos * dy;
+
+    // 半径が足りない場合は拡大する
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) {
+      rx *= Math.sqrt(lambda);
+      ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coefficient = (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cxp = coefficient * rx * y1p / ry;
+    const cyp = -coefficient * ry * x1p / rx;
+    const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+    const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+    let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // 90度以下の弧に分けて、それぞれを1つのベジェ曲線で近似する
+    const count = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / count;
+    const handle = 4 / 3 * Math.tan(step / 4);
+    const point = t => [
+      cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin,
+      cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos
+    ];
+    const derivative = t => [
+      -rx * Math.sin(t) * cos - ry * Math.cos(t) * sin,
+      -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos
+    ];
+
+    const curves = [];
+    for (let i = 0; i < count; i++) {
+      const start = theta + i * step;
+      const end = start + step;
+      const [px, py] = point(start);
+      const [qx, qy] = i === count - 1 ? [x2, y2] : point(end);
+      const [sx, sy] = derivative(start);
+      const [ex, ey] = derivative(end);
+      curves.push([px + handle * sx, py + handle * sy, qx - handle * ex, qy - handle * ey, qx, qy]);
+    }
+
+    return curves;
+  }
+
+  /**
+   * パスのセグメントを M・L・C・Z だけに変換します（2次ベジェ曲線と楕円弧は3次ベジェ曲線にします）
+   * @param {Array<Object>} segments - ImageTracerOptimizer.parsePathDataの結果
+   * @returns {Array<Object>} セグメントの配列 [{type, values}]
+   */
+  function toCubicSegments(segments) {
+    const result = [];
+    let x = 0, y = 0;
+    let startX = 0, startY = 0;
+
+    for (const segment of segments) {
+      const values = segment.values;
+
+      if (segment.type === 'Q') {
+        result.push({ type: 'C', values: [
+          x + 2 / 3 * (values[0] - x), y + 2 / 3 * (values[1] - y),
+          values[2] + 2 / 3 * (values[0] - values[2]), values[3] + 2 / 3 * (values[1] - values[3]),
+          values[2], values[3]
+        ] });
+      } else if (segment.type === 'A') {
+        arcToCubics(x, y, values[0], values[1], values[2], values[3], values[4], values[5], values[6])
+          .forEach(curve => result.push({ type: 'C', values: curve }));
+      } else {
+        result.push({ type: segment.type, values: values.slice() });
+      }
+
+      if (segment.type === 'M') {
+        startX = values[0];
+        startY = values[1];
+      }
+      if (segment.type === 'Z') {
+        x = startX;
+        y = startY;
+      } else {
+        x = values[values.length - 2];
+        y = values[values.length - 1];
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * SVGからレイヤーごとのパスを取り出します
+   * id が「layer_」で始まるグループをレイヤーとし、レイヤーの外のパスは1つのレイヤーにまとめます
+   * @param {string} svgData - SVG文字列
+   * @returns {Object} {width, height, viewBox: {x, y, width, height}, layers: [{id, name, visible, paths}]}
+   *   paths は [{segments, fill, fillGradient, fillRule, fillOpacity, stroke, strokeWidth, strokeOpacity, lineCap, lineJoin}]
+   *   （fill・stroke は {r, g, b} またはnull、segments は M・L・C・Z のみ。
+   *     fillGradient はグラデーションの塗り {type, units, coords, stops} またはnullで、その場合の fill は平均色）
+   */
+  function collectLayers(svgData) {
+    const optimizer = getOptimizer();
+    const root = optimizer.parseXML(svgData);
+    const svg = root.children.find(node => node.type === 'element' && node.name === 'svg');
+
+    if (!svg) {
+      throw new Error('SVG要素が見つかりません');
+    }
+
+    const properties = presentation(svg);
+    const viewBox = (properties.viewBox || '').split(/[\s,]+/).map(Number);
+    const width = parseFloat(properties.width) || viewBox[2] || 0;
+    const height = parseFloat(properties.height) || viewBox[3] || 0;
+    const box = viewBox.length === 4 && viewBox.every(Number.isFinite) ?
+      { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] } :
+      { x: 0, y: 0, width: width, height: height };
+
+    if (!(width > 0 && height > 0 && box.width > 0 && box.height > 0)) {
+      throw new Error('SVGの大きさが不明です');
+    }
+
+    const gradients = collectGradients(root, box);
+    const layers = [];
+    const looseLayer = { id: 'unlayered', name: '', visible: true, paths: [] };
+
+    const visit = (node, state, layer) => {
+      if (node.type !== 'element' || ['defs', 'metadata', 'clipPath', 'mask', 'linearGradient', 'radialGradient'].includes(node.name)) {
+        return;
+      }
+
+      const properties = presentation(node);
+      const nextState = applyPresentation(state, properties, gradients);
+      const hidden = properties.display === 'none' || properties.visibility === 'hidden';
+      let nextLayer = layer;
+
+      if (node.name === 'g' && /^layer_/.test(properties.id || '')) {
+        nextLayer = {
+          id: properties.id,
+          name: properties['data-name'] || properties['ai:layerName'] || properties['inkscape:label'] || properties.id,
+          visible: !hidden,
+          paths: []
+        };
+        layers.push(nextLayer);
+      } else if (hidden) {
+        return;
+      }
+
+      if (node.name === 'path' && properties.d) {
+        const target = nextLayer || looseLayer;
+        target.paths.push({
+          segments: toCubicSegments(optimizer.parsePathData(properties.d)),
+          fill: nextState.fill,
+          fillGradient: nextState.fill ? nextState.fillGradient : null,
+          fillRule: nextState.fillRule,
+          fillOpacity: nextState.fillOpacity * nextState.opacity,
+          stroke: nextState.stroke,
+          strokeWidth: nextState.strokeWidth,
+          strokeOpacity: nextState.strokeOpacity * nextState.opacity,
+          lineCap: nextState.lineCap,
+          lineJoin: nextState.lineJoin
+        });
+      }
+
+      node.children.forEach(child => visit(child, nextState, nextLayer));
+    };
+
+    const initialState = {
+      fill: NAMED_COLORS.black, fillGradient: null, fillRule: 'nonzero', fillOpacity: 1,
+      stroke: null, strokeWidth: 1, strokeOpacity: 1,
+      lineCap: 'butt', lineJoin: 'miter', opacity: 1
+    };
+    visit(svg, initialState, null);
+
+    if (looseLayer.paths.length > 0) {
+      looseLayer.name = layers.length > 0 ? 'レイヤー外のパス' : 'レイヤー 1';
+      layers.unshift(looseLayer);
+    }
+
+    const layersWithPaths = layers.filter(layer => layer.paths.length > 0);
+    if (layersWithPaths.length === 0) {
+      throw new Error('書き出せるパスがありません（画像を埋め込んだSVGはPDF・EPSに書き出せません）');
+    }
+
+    return { width: width, height: height, viewBox: box, layers: layersWithPaths };
+  }
+
+  /**
+   * 数値をPDF・PostScript用の短い文字列にします
+   * @private
+   */
+  function formatNumber(value) {
+    const rounded = Number(value.toFixed(3));
+    return String(rounded === 0 ? 0 : rounded);
+  }
+
+  /**
+   * 色を0〜1の3つの数値の文字列にします
+   * @private
+   */
+  function formatColor(color) {
+    return [color.r, color.g, color.b].map(value => formatNumber(value / 255)).join(' ');
+  }
+
+  /**
+   * M・L・C・Z だけのセグメントのバウンディングボックスを求めます（ベジェ曲線は極値まで含めます）
+   * @returns {Object|null} {x, y, width, height}（点がない場合はnull）
+   * @private
+   */
+  function segmentsBounds(segments) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const include = (x, y) => {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    };
+
+    // 3次ベジェ曲線の1軸について、導関数が0になる t（0〜1の間）を求める
+    const extrema = (p0, p1, p2, p3) => {
+      const a = -p0 + 3 * p1 - 3 * p2 + p3;
+      const b = 2 * (p0 - 2 * p1 + p2);
+      const c = p1 - p0;
+      if (Math.abs(a) < 1e-12) return Math.abs(b) < 1e-12 ? [] : [-c / b];
+      const discriminant = b * b - 4 * a * c;
+      if (discriminant < 0) return [];
+      const root = Math.sqrt(discriminant);
+      return [(-b + root) / (2 * a), (-b - root) / (2 * a)];
+    };
+    const bezier = (p0, p1, p2, p3, t) =>
+      (1 - t) * (1 - t) * (1 - t) * p0 + 3 * (1 - t) * (1 - t) * t * p1 + 3 * (1 - t) * t * t * p2 + t * t * t * p3;
+
+    let x = 0, y = 0;
+    for (const segment of segments) {
+      const values = segment.values;
+      if (segment.type === 'C') {
+        extrema(x, values[0], values[2], values[4]).concat(extrema(y, values[1], values[3], values[5]))
+          .filter(t => t > 0 && t < 1)
+          .forEach(t => include(bezier(x, values[0], values[2], values[4], t), bezier(y, values[1], values[3], values[5], t)));
+      }
+      if (segment.type !== 'Z') {
+        x = values[values.length - 2];
+        y = values[values.length - 1];
+        include(x, y);
+      }
+    }
+
+    return minX <= maxX ? { x: minX, y: minY, width: maxX - minX, height: maxY - minY } : null;
+  }
+
+  /**
+   * グラデーションの座標系への変換行列を求めます
+   * objectBoundingBox の場合はパスのバウンディングボックスを0〜1とする行列、userSpaceOnUse の場合はnull
+   * @returns {Array<number>|null|undefined} 行列（バウンディングボックスの幅か高さが0の場合はundefined）
+   * @private
+   */
+  function gradientMatrix(gradient, segments) {
+    if (gradient.units === 'userSpaceOnUse') return null;
+    const bounds = segmentsBounds(segments);
+    if (!bounds || bounds.width === 0 || bounds.height === 0) return undefined;
+    return [bounds.width, 0, 0, bounds.height, bounds.x, bounds.y];
+  }
+
+  /**
+   * グラデーションをシェーディングの辞書にします（PDFとPostScriptで同じ書式です）
+   * 色の区切りの間は指数関数（FunctionType 2、N=1 の線形補間）、区間が2つ以上の場合は
+   * それらをつなぐ関数（FunctionType 3）で表します。範囲の外は端の色で塗ります（spreadMethod="pad"）
+   * @private
+   */
+  function shadingDictionary(gradient) {
+    // 0〜1の座標や区切りの位置は丸めると大きくずれるため、桁数を多めに残す
+    const precise = value => String(Number(value.toFixed(6)));
+    const stops = gradient.stops;
+    const interpolation = (start, end) =>
+      `<< /FunctionType 2 /Domain [0 1] /C0 [${formatColor(start.color)}] /C1 [${formatColor(end.color)}] /N 1 >>`;
+
+    // 同じ位置の区切り（色が急に変わる境目）の間は長さ0の区間になるため、関数にしない
+    const pieces = [];
+    for (let i = 1; i < stops.length; i++) {
+      if (stops[i].offset > stops[i - 1].offset) pieces.push([stops[i - 1], stops[i]]);
+    }
+
+    const fn = pieces.length === 1 ? interpolation(pieces[0][0], pieces[0][1]) :
+      `<< /FunctionType 3 /Domain [0 1] /Functions [${pieces.map(piece => interpolation(piece[0], piece[1])).join(' ')}] ` +
+      `/Bounds [${pieces.slice(0, -1).map(piece => precise(piece[1].offset)).join(' ')}] ` +
+      `/Encode [${pieces.map(() => '0 1').join(' ')}] >>`;
+
+    return `<< /ShadingType ${gradient.type === 'linear' ? 2 : 3} /ColorSpace /DeviceRGB ` +
+      `/Coords [${gradient.coords.map(precise).join(' ')}] /Function ${fn} /Extend [true true] >>`;
+  }
+
+  /**
+   * パスの輪郭を描画命令にします（PDFとPostScriptで命令の名前だけが異なります）
+   * @private
+   */
+  function pathCommands(segments, operators) {
+    const lines = [];
+    for (const segment of segments) {
+      if (segment.type === 'Z') {
+        lines.push(operators.Z);
+      } else {
+        lines.push(segment.values.map(formatNumber).join(' ') + ' ' + operators[segment.type]);
+      }
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * ページの座標変換（SVGの座標 → 左下が原点のポイント）を求めます
+   * @private
+   */
+  function pageTransform(drawing, dpi) {
+    const scale = 72 / dpi;
+    const pageWidth = drawing.width * scale;
+    const pageHeight = drawing.height * scale;
+    const a = pageWidth / drawing.viewBox.width;
+    const d = pageHeight / drawing.viewBox.height;
+
+    return {
+      pageWidth: pageWidth,
+      pageHeight: pageHeight,
+      matrix: [a, 0, 0, -d, -drawing.viewBox.x * a, pageHeight + drawing.viewBox.y * d]
+    };
+  }
+
+  /**
+   * 文字列をPDFのテキスト文字列（UTF-16BEの16進数表記）にします
+   * @private
+   */
+  function pdfTextString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) {
+      hex += text.charCodeAt(i).toString(16).toUpperCase().padStart(4, '0');
+    }
+    return `<${hex}>`;
+  }
+
+  /**
+   * SVGをPDFに変換します
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照）
+   * @returns {string} PDFデータ（ASCII文字のみ）
+   */
+  function toPDF(svgData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const drawing = collectLayers(svgData);
+    const layers = settings.includeHidden ? drawing.layers : drawing.layers.filter(layer => layer.visible);
+    const transform = pageTransform(drawing, settings.dpi);
+    const operators = { M: 'm', L: 'l', C: 'c', Z: 'h' };
+
+    // 不透明度ごとのグラフィックス状態（ExtGState）
+    const graphicsStates = new Map();
+    const graphicsState = (fillOpacity, strokeOpacity) => {
+      const key = `${formatNumber(fillOpacity)} ${formatNumber(strokeOpacity)}`;
+      if (!graphicsStates.has(key)) {
+        graphicsStates.set(key, { name: `GS${graphicsStates.size}`, fill: fillOpacity, stroke: strokeOpacity });
+      }
+      return graphicsStates.get(key).name;
+    };
+
+    // グラデーションごとのシェーディング
+    const shadings = new Map();
+    const shading = gradient => {
+      if (!shadings.has(gradient)) {
+        shadings.set(gradient, { name: `Sh${shadings.size}`, dictionary: shadingDictionary(gradient) });
+      }
+      return shadings.get(gradient).name;
+    };
+
+    const content = [transform.matrix.map(formatNumber).join(' ') + ' cm'];
+    layers.forEach((layer, index) => {
+      content.push(`/OC /L${index} BDC`);
+
+      for (const path of layer.paths) {
+        const stroke = path.stroke && path.strokeWidth > 0 && path.strokeOpacity > 0;
+        const evenOdd = path.fillRule === 'evenodd' ? '*' : '';
+        let fill = path.fill && path.fillOpacity > 0;
+
+        // グラデーションの塗りは、パスで切り抜いた範囲にシェーディングを描く
+        const matrix = fill && path.fillGradient ? gradientMatrix(path.fillGradient, path.segments) : undefined;
+        if (matrix !== undefined) {
+          content.push('q');
+          if (path.fillOpacity < 1) content.push(`/${graphicsState(path.fillOpacity, 1)} gs`);
+          content.push(pathCommands(path.segments, operators), `W${evenOdd} n`);
+          if (matrix) content.push(`${matrix.map(formatNumber).join(' ')} cm`);
+          content.push(`/${shading(path.fillGradient)} sh`, 'Q');
+          fill = false;
+        }
+        if (!fill && !stroke) continue;
+
+        content.push('q');
+        if (fill && path.fillOpacity < 1 || stroke && path.strokeOpacity < 1) {
+          content.push(`/${graphicsState(fill ? path.fillOpacity : 1, stroke ? path.strokeOpacity : 1)} gs`);
+        }
+        if (fill) content.push(`${formatColor(path.fill)} rg`);
+        if (stroke) {
+          content.push(`${formatColor(path.stroke)} RG ${formatNumber(path.strokeWidth)} w ` +
+            `${LINE_CAPS[path.lineCap] || 0} J ${LINE_JOINS[path.lineJoin] || 0} j`);
+        }
+        content.push(pathCommands(path.segments, operators));
+        content.push(fill && stroke ? `B${evenOdd}` : fill ? `f${evenOdd}` : 'S');
+        content.push('Q');
+      }
+
+      content.push('EMC');
+    });
+    const stream = content.join('\n') + '\n';
+
+    // オブジェクト番号: 1 カタログ, 2 ページツリー, 3 ページ, 4 内容, 5 文書情報, 6〜 OCG
+    const ocgNumber = index => 6 + index;
+    const ocgReferences = layers.map((layer, index) => `${ocgNumber(index)} 0 R`);
+    const visibleReferences = ocgReferences.filter((reference, index) => layers[index].visible);
+    const hiddenReferences = ocgReferences.filter((reference, index) => !layers[index].visible);
+    const extGStates = Array.from(graphicsStates.values())
+      .map(state => `/${state.name} << /ca ${formatNumber(state.fill)} /CA ${formatNumber(state.stroke)} >>`)
+      .join(' ');
+    const shadingResources = Array.from(shadings.values())
+      .map(item => `/${item.name} ${item.dictionary}`)
+      .join(' ');
+
+    const objects = [
+      `<< /Type /Catalog /Pages 2 0 R /OCProperties << /OCGs [${ocgReferences.join(' ')}] ` +
+        `/D << /Order [${ocgReferences.join(' ')}] /ON [${visibleReferences.join(' ')}] /OFF [${hiddenReferences.join(' ')}] >> >> >>`,
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${formatNumber(transform.pageWidth)} ${formatNumber(transform.pageHeight)}] ` +
+        `/Resources << /Properties << ${layers.map((layer, index) => `/L${index} ${ocgNumber(index)} 0 R`).join(' ')} >>` +
+        `${extGStates ? ` /ExtGState << ${extGStates} >>` : ''}` +
+        `${shadingResources ? ` /Shading << ${shadingResources} >>` : ''} >> /Contents 4 0 R >>`,
+      `<< /Length ${stream.length} >>\nstream\n${stream}endstream`,
+      `<< /Title ${pdfTextString(settings.title)} /Creator (SVG Wizard) /Producer (SVG Wizard) >>`
+    ].concat(layers.map(layer => `<< /Type /OCG /Name ${pdfTextString(layer.name)} >>`));
+
+    let pdf = '%PDF-1.5\n';
+    const offsets = [];
+    objects.forEach((object, index) => {
+      offsets.push(pdf.length);
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      pdf += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return pdf;
+  }
+
+  /**
+   * SVGをEPSに変換します
+   * @param {string} svgData - SVG文字列
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照。includeHiddenは使用しません）
+   * @returns {string} EPSデータ
+   */
+  function toEPS(svgData, options = {}) {
+    const settings = Object.assign({}, DEFAULT_OPTIONS, options);
+    const drawing = collectLayers(svgData);
+    const transform = pageTransform(drawing, settings.dpi);
+    const operators = { M: 'm', L: 'l', C: 'c', Z: 'h' };
+    const comment = text => text.replace(/[\r\n]+/g, ' ');
+    const layers = drawing.layers.filter(item => item.visible);
+    // shfill はLanguageLevel 3の命令のため、グラデーションがある場合だけLevel 3とする
+    const shaded = layers.some(layer => layer.paths.some(path => path.fillGradient));
+
+    const lines = [
+      '%!PS-Adobe-3.0 EPSF-3.0',
+      `%%Title: ${comment(settings.title)}`,
+      '%%Creator: SVG Wizard',
+      `%%BoundingBox: 0 0 ${Math.ceil(transform.pageWidth)} ${Math.ceil(transform.pageHeight)}`,
+      `%%HiResBoundingBox: 0 0 ${formatNumber(transform.pageWidth)} ${formatNumber(transform.pageHeight)}`,
+      `%%LanguageLevel: ${shaded ? 3 : 2}`,
+      '%%Pages: 1',
+      '%%EndComments',
+      '%%BeginProlog',
+      '/m { moveto } bind def /l { lineto } bind def /c { curveto } bind def /h { closepath } bind def',
+      '%%EndProlog',
+      '%%Page: 1 1',
+      'gsave',
+      `[${transform.matrix.map(formatNumber).join(' ')}] concat`
+    ];
+
+    for (const layer of layers) {
+      lines.push(`% Layer: ${comment(layer.name)}`, 'gsave');
+
+      for (const path of layer.paths) {
+        const stroke = path.stroke && path.strokeWidth > 0 && path.strokeOpacity > 0;
+        let fill = path.fill && path.fillOpacity > 0;
+
+        // グラデーションの塗りは、パスで切り抜いた範囲にシェーディングを描く
+        const matrix = fill && path.fillGradient ? gradientMatrix(path.fillGradient, path.segments) : undefined;
+        if (matrix !== undefined) {
+          lines.push('gsave newpath', pathCommands(path.segments, operators),
+            `${path.fillRule === 'evenodd' ? 'eoclip' : 'clip'} newpath`);
+          if (matrix) lines.push(`[${matrix.map(formatNumber).join(' ')}] concat`);
+          lines.push(`${shadingDictionary(path.fillGradient)} shfill grestore`);
+          fill = false;
+        }
+        if (!fill && !stroke) continue;
+
+        lines.push('newpath', pathCommands(path.segments, operators));
+        const fillOperator = path.fillRule === 'evenodd' ? 'eofill' : 'fill';
+
+        if (fill && stroke) {
+          lines.push(`gsave ${formatColor(path.fill)} setrgbcolor ${fillOperator} grestore`);
+        } else if (fill) {
+          lines.push(`${formatColor(path.fill)} setrgbcolor ${fillOperator}`);
+        }
+        if (stroke) {
+          lines.push(`${formatColor(path.stroke)} setrgbcolor ${formatNumber(path.strokeWidth)} setlinewidth ` +
+            `${LINE_CAPS[path.lineCap] || 0} setlinecap ${LINE_JOINS[path.lineJoin] || 0} setlinejoin stroke`);
+        }
+      }
+
+      lines.push('grestore');
+    }
+
+    lines.push('grestore', 'showpage', '%%EOF');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * SVGを指定の形式に変換します
+   * @param {string} svgData - SVG文字列
+   * @param {string} format - 形式（'pdf' または 'eps'）
+   * @param {Object} options - 書き出しオプション（DEFAULT_OPTIONSを参照）
+   * @returns {Object} {data, mimeType, extension}
+   */
+  function convert(svgData, format, options = {}) {
+    if (!FORMATS[format]) {
+      throw new Error(`未対応の書き出し形式です: ${format}`);
+    }
+
+    try {
+      const data = format === 'pdf' ? toPDF(svgData, options) : toEPS(svgData, options);
+      return { data: data, mimeType: FORMATS[format].mimeType, extension: FORMATS[format].extension };
+    } catch (error) {
+      console.error(`${format.toUpperCase()}への変換に失敗しました:`, error);
+      throw new Error(`${format.toUpperCase()}への変換に失敗しました: ${error.message}`);
+    }
+  }
+
+  // 公開API
+  return {
+    convert: convert,
+    toPDF: toPDF,
+    toEPS: toEPS,
+    collectLayers: collectLayers,
+    toCubicSegments: toCubicSegments,
+    FORMATS: FORMATS,
+    DEFAULT_OPTIONS: DEFAULT_OPTIONS
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerVectorExport;
+} else {
+  globalThis.ImageTracerVectorExport = ImageTracerVectorExport;
+}
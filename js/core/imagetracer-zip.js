@@ -0,0 +1,167 @@
+/**
+ * @module ImageTracerZip
+ * @description 複数のファイルを1つのZIPファイルにまとめるモジュール
+ * @version 1.0.0
+ * @license MIT
+ *
+ * ブラウザだけでZIPファイルを作成するための最小限の実装です。
+ * ファイルは圧縮せずに格納（stored）し、ファイル名はUTF-8で記録します（日本語のレイヤー名に対応）。
+ * 非同期の圧縮APIに頼らないため、作成は同期的に完了します（options.date を指定すれば、同じ内容から同じZIPができます）。
+ *
+ * 使用例:
+ *   const zip = ImageTracerZip.createZip([
+ *     { name: 'manifest.json', data: JSON.stringify(manifest) },
+ *     { name: 'layers/01_赤.svg', data: svgText }
+ *   ]);
+ *   const blob = new Blob([zip], { type: 'application/zip' });
+ */
+
+// ImageTracerZipを定義
+const ImageTracerZip = (function() {
+  'use strict';
+
+  // ZIPのヘッダーの識別子
+  const LOCAL_FILE_HEADER = 0x04034b50;
+  const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+  const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+  // 展開に必要なバージョン（2.0）と、ファイル名がUTF-8であることを示すフラグ
+  const VERSION = 20;
+  const UTF8_FLAG = 0x0800;
+
+  // CRC-32の計算表
+  const CRC_TABLE = (function() {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  /**
+   * CRC-32を計算します
+   * @param {Uint8Array} bytes - データ
+   * @returns {number} CRC-32（符号なし32ビット整数）
+   */
+  function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * 日時をMS-DOS形式の時刻と日付に変換します
+   * @private
+   */
+  function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * ZIPファイルを作成します
+   * @param {Array<Object>} files - ファイルの配列 [{name, data}]（data は文字列またはUint8Array。文字列はUTF-8で格納）
+   * @param {Object} options - オプション {date: ファイルの更新日時（省略時は現在の日時）}
+   * @returns {Uint8Array} ZIPファイルのデータ
+   */
+  function createZip(files, options = {}) {
+    const encoder = new TextEncoder();
+    const { time, date } = dosDateTime(options.date || new Date());
+    const names = new Set();
+
+    const entries = files.map(file => {
+      if (names.has(file.name)) {
+        throw new Error(`ファイル名が重複しています: ${file.name}`);
+      }
+      names.add(file.name);
+
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      return { name: encoder.encode(file.name), data: data, crc: crc32(data), offset: 0 };
+    });
+
+    const localSize = entries.reduce((total, entry) => total + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((total, entry) => total + 46 + entry.name.length, 0);
+    const buffer = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(buffer.buffer);
+    let position = 0;
+
+    const writeUint16 = value => { view.setUint16(position, value, true); position += 2; };
+    const writeUint32 = value => { view.setUint32(position, value, true); position += 4; };
+    const writeBytes = bytes => { buffer.set(bytes, position); position += bytes.length; };
+
+    // ローカルファイルヘッダーとデータ
+    for (const entry of entries) {
+      entry.offset = position;
+      writeUint32(LOCAL_FILE_HEADER);
+      writeUint16(VERSION);
+      writeUint16(UTF8_FLAG);
+      writeUint16(0); // 圧縮なし
+      writeUint16(time);
+      writeUint16(date);
+      writeUint32(entry.crc);
+      writeUint32(entry.data.length);
+      writeUint32(entry.data.length);
+      writeUint16(entry.name.length);
+      writeUint16(0);
+      writeBytes(entry.name);
+      writeBytes(entry.data);
+    }
+
+    // セントラルディレクトリ
+    const centralOffset = position;
+    for (const entry of entries) {
+      writeUint32(CENTRAL_DIRECTORY_HEADER);
+      writeUint16(VERSION);
+      writeUint16(VERSION);
+      writeUint16(UTF8_FLAG);
+      writeUint16(0);
+      writeUint16(time);
+      writeUint16(date);
+      writeUint32(entry.crc);
+      writeUint32(entry.data.length);
+      writeUint32(entry.data.length);
+      writeUint16(entry.name.length);
+      writeUint16(0); // 拡張フィールドの長さ
+      writeUint16(0); // コメントの長さ
+      writeUint16(0); // ディスク番号
+      writeUint16(0); // 内部属性
+      writeUint32(0); // 外部属性
+      writeUint32(entry.offset);
+      writeBytes(entry.name);
+    }
+
+    // セントラルディレクトリの終端
+    writeUint32(END_OF_CENTRAL_DIRECTORY);
+    writeUint16(0);
+    writeUint16(0);
+    writeUint16(entries.length);
+    writeUint16(entries.length);
+    writeUint32(centralSize);
+    writeUint32(centralOffset);
+    writeUint16(0);
+
+    return buffer;
+  }
+
+  // 公開API
+  return {
+    createZip: createZip,
+    crc32: crc32
+  };
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerZip;
+} else {
+  globalThis.ImageTracerZip = ImageTracerZip;
+}
@@ -133,9 +133,8 @@ window.ImageTracer = (function() {
     photopeaCompat: true,     // Photopea互換出力を有効化
     
     // 物体認識オプション
-    objectDetection: true,    // 物体認識を使用するかどうか
+    objectDetection: false,   // 物体ごとの領域分割でレイヤーを分けるかどうか
     edgeThreshold: 30,        // エッジ検出の閾値
-    minSegmentSize: 100,      // 最小セグメントサイズ
     maxSegments: 24,          // 最大セグメント数
     
     // パフォーマンスオプション
@@ -322,74 +321,43 @@ window.ImageTracer = (function() {
   }
   
   /**
-   * 白黒モードでSVG変換を行う
+   * ImageTracerEngineで画像データをSVGに変換します
+   * トレースにはアプリに同梱したPotraceモジュールを使用します
    * @param {ImageData} imageData - 処理する画像データ
    * @param {Object} options - 変換オプション
-   * @returns {string} SVGデータ
+   * @param {number} optTolerance - Potraceのカーブ最適化許容値
+   * @returns {Object} 変換結果 {svgData, layers, palette, width, height}
    * @private
    */
-  function processBlackAndWhite(imageData, options) {
-    // Potraceが読み込まれているか確認
-    const potraceAvailable = typeof window.Potrace !== 'undefined';
-    const fallbackMode = window.potraceFallbackMode === true;
+  function convertWithEngine(imageData, options, optTolerance) {
+    const engine = window.ImageTracerEngine;
     
-    if (!potraceAvailable && !fallbackMode) {
-      console.warn('Potraceライブラリが読み込まれていません。フォールバック処理を実行します。');
-    }
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    const ctx = canvas.getContext('2d');
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Potraceが利用可能な場合
-    if (potraceAvailable) {
-      try {
-        // Potraceパラメータを設定
-        const params = {
-          turdsize: 2,
-          turnpolicy: Potrace.TURNPOLICY_MINORITY,
-          optcurve: true,
-          optTolerance: 0.2,
-          threshold: options.threshold,
-          blackOnWhite: true
-        };
-        
-        // Potraceでトレース
-        Potrace.setParameter(params);
-        Potrace.loadImageFromCanvas(canvas);
-        const svgData = Potrace.getSVG(1);
-        
-        // SVGデータの整合性チェック
-        if (!svgData || !svgData.includes('<svg') || !svgData.includes('</svg>')) {
-          throw new Error('Potraceによる変換結果が不正です');
-        }
-        
-        // レイヤーを作成（単一レイヤー）
-        if (options.illustratorCompat) {
-          return layers.createAICompatSVG([{
-            id: 'layer1',
-            name: '白黒レイヤー',
-            content: svgData.match(/<path[^>]*>/g).join(''),
-            color: '#000000',
-            visible: true
-          }], imageData.width, imageData.height, options);
-        }
-        
-        return svgData;
-      } catch (error) {
-        console.error('Potraceによる変換に失敗しました:', error);
-        // フォールバック処理に移行
-      }
+    if (!engine) {
+      throw new Error('ImageTracerEngineモジュールが読み込まれていません');
     }
     
-    // フォールバック処理（簡易SVG生成）
-    console.warn('簡易SVG生成モードを使用します');
-    
-    // Base64画像を埋め込んだSVGを作成
+    return engine.convert(imageData, Object.assign({}, options, {
+      tracer: 'potrace',
+      simplify: optTolerance
+    }));
+  }
+  
+  /**
+   * 画像をBase64で埋め込んだラスターSVGを作成します
+   * @param {ImageData} imageData - 画像データ
+   * @param {Object} options - 変換オプション
+   * @returns {string} SVGデータ
+   * @private
+   */
+  function createRasterFallbackSVG(imageData, options) {
     try {
+      const canvas = document.createElement('canvas');
+      canvas.width = imageData.width;
+      canvas.height = imageData.height;
+      canvas.getContext('2d').putImageData(imageData, 0, 0);
+      
       const dataURL = canvas.toDataURL('image/png', options.quality || 0.8);
+      
       return `<svg xmlns="http://www.w3.org/2000/svg" width="${imageData.width}" height="${imageData.height}">
         <image width="${imageData.width}" height="${imageData.height}" href="${dataURL}" />
       </svg>`;
@@ -399,6 +367,30 @@ window.ImageTracer = (function() {
     }
   }
   
+  /**
+   * 白黒モードでSVG変換を行う
+   * @param {ImageData} imageData - 処理する画像データ
+   * @param {Object} options - 変換オプション
+   * @returns {string} SVGデータ
+   * @private
+   */
+  function processBlackAndWhite(imageData, options) {
+    try {
+      const result = convertWithEngine(imageData, options, 0.2);
+      
+      if (result.layers.length > 0) {
+        return result.svgData;
+      }
+      
+      console.warn('トレース対象のピクセルがありません。簡易SVG生成モードを使用します。');
+    } catch (error) {
+      console.error('白黒変換に失敗しました:', error);
+    }
+    
+    // フォールバック処理（Base64画像を埋め込んだSVG）
+    return createRasterFallbackSVG(imageData, options);
+  }
+  
   /**
    * カラーモードでSVG変換を行う（高度なセグメンテーション対応）
    * @param {ImageData} imageData - 処理する画像データ
@@ -411,177 +403,36 @@ window.ImageTracer = (function() {
     
     if (segmentationEnabled) {
       try {
-        // 高度なセグメンテーションを使用
-        const result = core.generateObjectBasedSVG(imageData, {
-          edgeThreshold: options.edgeThreshold || 30,
-          minSegmentSize: options.minSegmentSize || 100,
-          maxSegments: options.maxSegments || 24,
-          simplify: options.simplify || 0.5
-        });
-        
-        return result.svgData;
+        // 物体ごとの領域分割（SLICスーパーピクセル＋領域の統合）を使用
+        const result = core.generateObjectBasedSVG(imageData, Object.assign({}, options, {
+          tracer: 'potrace',
+          maxSegments: options.maxSegments || 24
+        }));
+        
+        if (result.layers.length > 0) {
+          return result.svgData;
+        }
       } catch (error) {
         console.error('セグメンテーションエラー:', error);
         // 標準的な色処理にフォールバック
       }
     }
     
-    // 標準的な色処理
-    // Potraceが読み込まれているか確認
-    const potraceAvailable = typeof window.Potrace !== 'undefined';
-    const fallbackMode = window.potraceFallbackMode === true;
-    
-    if (!potraceAvailable && !fallbackMode) {
-      console.warn('Potraceライブラリが読み込まれていません。フォールバック処理を実行します。');
-    }
-    
-    // 色の量子化を行う
-    const colorCount = Math.min(64, Math.max(2, options.colorQuantization));
-    
+    // 標準的な色処理（量子化・トレース・SVG構築はImageTracerEngineで行う）
     try {
-      const palette = core.quantizeColors(imageData, colorCount);
-      
-      // カラーごとにレイヤーを作成
-      const layerItems = [];
-      
-      // トレース用のキャンバス（再利用）
-      const canvas = document.createElement('canvas');
-      canvas.width = imageData.width;
-      canvas.height = imageData.height;
-      const ctx = canvas.getContext('2d');
-      
-      // 各色ごとに処理
-      for (let i = 0; i < palette.length; i++) {
-        const color = palette[i];
-        
-        // 進捗更新
-        if (typeof options.progressCallback === 'function') {
-          options.progressCallback('色処理中', 40 + (i / palette.length) * 40);
-        }
-        
-        // この色のみのマスク画像を作成
-        const maskData = core.createColorMask(imageData, color);
-        
-        // Potraceが読み込まれていない場合は簡易処理
-        if (!potraceAvailable && !fallbackMode) {
-          continue;
-        }
-        
-        // マスクをトレース
-        ctx.putImageData(maskData, 0, 0);
-        
-        let svgPaths = '';
-        
-        if (potraceAvailable) {
-          try {
-            // Potraceパラメータを設定
-            const params = {
-              turdsize: 2,
-              turnpolicy: Potrace.TURNPOLICY_MINORITY,
-              optcurve: true,
-              optTolerance: options.simplify,
-              threshold: 128,
-              blackOnWhite: true
-            };
-            
-            // Potraceでトレース
-            Potrace.setParameter(params);
-            Potrace.loadImageFromCanvas(canvas);
-            const svgData = Potrace.getSVG(1);
-            svgPaths = svgData.match(/<path[^>]*>/g);
-            
-            if (svgPaths && svgPaths.length > 0) {
-              svgPaths = svgPaths.join('');
-            } else {
-              svgPaths = '';
-            }
-          } catch (traceError) {
-            console.error(`色 #${i + 1} のトレースに失敗しました:`, traceError);
-            svgPaths = '';
-          }
-        } else {
-          // Base64画像を使用したフォールバック（高いメモリ使用量を避けるため実装しない）
-          svgPaths = '';
-        }
-        
-        // レイヤー情報を作成
-        const colorHex = utils.rgbToHex(color[0], color[1], color[2]);
-        const layerName = layers.getLayerName(color, i, options.layerNaming);
-        
-        // 経路が取得できた場合のみ追加（空のレイヤーは除外）
-        if (svgPaths) {
-          const layerId = `layer_${i}`;
-          
-          // Photopea互換属性
-          const photopeaAttrs = options.photopeaCompat ? 
-            core.createPhotopeaLayerAttributes(layerId, layerName, {r: color[0], g: color[1], b: color[2]}) : {};
-          
-          layerItems.push({
-            id: layerId,
-            name: layerName,
-            content: svgPaths,
-            pathData: svgPaths,
-            color: colorHex,
-            visible: true,
-            photopeaAttributes: photopeaAttrs
-          });
-        }
-      }
+      const result = convertWithEngine(imageData, options, options.simplify);
       
-      // レイヤーが生成されなかった場合はフォールバック
-      if (layerItems.length === 0) {
-        console.warn('レイヤーが生成されませんでした。フォールバック処理を実行します。');
-        
-        // Base64画像を埋め込んだSVGを作成
-        ctx.putImageData(imageData, 0, 0);
-        const dataURL = canvas.toDataURL('image/png', options.quality || 0.8);
-        
-        return `<svg xmlns="http://www.w3.org/2000/svg" width="${imageData.width}" height="${imageData.height}">
-          <image width="${imageData.width}" height="${imageData.height}" href="${dataURL}" />
-        </svg>`;
+      if (result.layers.length > 0) {
+        return result.svgData;
       }
       
-      // SVGを生成
-      if (options.enableLayers) {
-        if (options.photopeaCompat) {
-          return core.generateLayeredSVG(layerItems, imageData.width, imageData.height, options);
-        } else if (options.universalLayerCompat) {
-          return core.generateLayeredSVG(layerItems, imageData.width, imageData.height, options);
-        } else if (options.illustratorCompat) {
-          return layers.createAICompatSVG(layerItems, imageData.width, imageData.height, options);
-        } else {
-          return layers.createLayeredSVG(layerItems, imageData.width, imageData.height);
-        }
-      } else {
-        // レイヤー無効時は単一SVGとして生成
-        let paths = '';
-        layerItems.forEach(function(layer) {
-          paths += layer.content;
-        });
-        
-        return `<svg xmlns="http://www.w3.org/2000/svg" width="${imageData.width}" height="${imageData.height}" viewBox="0 0 ${imageData.width} ${imageData.height}">${paths}</svg>`;
-      }
+      console.warn('レイヤーが生成されませんでした。フォールバック処理を実行します。');
     } catch (error) {
       console.error('カラー処理中にエラーが発生しました:', error);
-      
-      // フォールバック: Base64画像を埋め込んだSVGを作成
-      try {
-        const canvas = document.createElement('canvas');
-        canvas.width = imageData.width;
-        canvas.height = imageData.height;
-        const ctx = canvas.getContext('2d');
-        ctx.putImageData(imageData, 0, 0);
-        
-        const dataURL = canvas.toDataURL('image/png', options.quality || 0.8);
-        
-        return `<svg xmlns="http://www.w3.org/2000/svg" width="${imageData.width}" height="${imageData.height}">
-          <image width="${imageData.width}" height="${imageData.height}" href="${dataURL}" />
-        </svg>`;
-      } catch (fallbackError) {
-        console.error('フォールバック処理中にエラーが発生しました:', fallbackError);
-        return core.createFallbackSVG(imageData.width, imageData.height, 'SVG生成に失敗しました');
-      }
     }
+    
+    // フォールバック: Base64画像を埋め込んだSVGを作成
+    return createRasterFallbackSVG(imageData, options);
   }
   
   /**
@@ -763,6 +614,8 @@ window.ImageTracer = (function() {
           name: name,
           color: color,
           visible: visible,
+          locked: group.getAttribute('data-locked') === 'true',
+          opacity: group.hasAttribute('fill-opacity') ? parseFloat(group.getAttribute('fill-opacity')) : 1,
           photopeaAttributes: photopeaAttributes
         });
       }
@@ -9,8 +9,8 @@
  * Photopea、Illustrator、その他のグラフィックソフトウェア互換のレイヤー構造をサポートします。
  */
 
-// グローバル名前空間にImageTracerLayersを定義
-window.ImageTracerLayers = (function() {
+// ImageTracerLayersを定義（SVG文字列の生成はNode.jsからも利用可能）
+const ImageTracerLayers = (function() {
   'use strict';
   
   // プライベート変数
@@ -124,7 +124,7 @@ window.ImageTracerLayers = (function() {
       
       // レイヤーを追加
       svg += `
-    <g id="${layer.id}" ai:layer="true" ai:layerName="${layer.name}" ai:seqID="${i+1}" style="${visibilityStyle}" fill="${layer.color}">
+    <g id="${layer.id}" ai:layer="true" ai:layerName="${layer.name}" ai:seqID="${i+1}" style="${visibilityStyle}" fill="${layer.color}"${opacityAttribute(layer)}${lockedAttribute(layer)}>
       ${layer.content || ''}
     </g>`;
     }
@@ -190,7 +190,7 @@ window.ImageTracerLayers = (function() {
       let photopeaAttrsStr = '';
       if (layer.photopeaAttributes) {
         for (const [key, value] of Object.entries(layer.photopeaAttributes)) {
-          photopeaAttrsStr += ` ${key}="${value}"`;
+          photopeaAttrsStr += ` ${key}="${escapeAttribute(value)}"`;
         }
       } else {
         // 基本的なPhotopea属性
@@ -199,7 +199,7 @@ window.ImageTracerLayers = (function() {
       
       // レイヤーを追加
       svg += `
-    <g id="${layer.id}" style="${visibilityStyle}" fill="${layer.color}"${photopeaAttrsStr}>
+    <g id="${layer.id}" style="${visibilityStyle}" fill="${layer.color}"${photopeaAttrsStr}${opacityAttribute(layer)}${lockedAttribute(layer)}>
       ${layer.content || ''}
     </g>`;
     }
@@ -232,7 +232,7 @@ window.ImageTracerLayers = (function() {
       
       // レイヤーを追加
       svg += `
-  <g id="${layer.id}" data-name="${layer.name}" style="${visibilityStyle}" fill="${layer.color}">
+  <g id="${layer.id}" data-name="${layer.name}" style="${visibilityStyle}" fill="${layer.color}"${opacityAttribute(layer)}${lockedAttribute(layer)}>
     ${layer.content || ''}
   </g>`;
     }
@@ -307,7 +307,7 @@ window.ImageTracerLayers = (function() {
        data-name="${layer.name}"
        data-id="${layer.id}"
        data-color="${layer.color}"
-       data-layer-type="vector">
+       data-layer-type="vector"${opacityAttribute(layer)}${lockedAttribute(layer)}>
       ${layer.content || ''}
     </g>`;
     }
@@ -320,6 +320,40 @@ window.ImageTracerLayers = (function() {
     return svg;
   }
   
+  /**
+   * XML属性値として安全な文字列にエスケープします
+   * @param {*} value - 属性値
+   * @returns {string} エスケープされた文字列
+   * @private
+   */
+  function escapeAttribute(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;');
+  }
+  
+  /**
+   * 指定パレットで固定された色のレイヤーに付ける属性を返します
+   * @param {Object} layer - レイヤー情報
+   * @returns {string} 属性文字列（固定されていない場合は空文字列）
+   * @private
+   */
+  function lockedAttribute(layer) {
+    return layer.locked ? ' data-locked="true"' : '';
+  }
+  
+  /**
+   * 半透明のレイヤーに付ける塗りの不透明度の属性を返します
+   * @param {Object} layer - レイヤー情報
+   * @returns {string} 属性文字列（不透明なレイヤーは空文字列）
+   * @private
+   */
+  function opacityAttribute(layer) {
+    return typeof layer.opacity === 'number' && layer.opacity < 1 ?
+      ` fill-opacity="${layer.opacity}"` : '';
+  }
+  
   /**
    * レイヤーの表示/非表示を設定します
    * @param {string} svgData - SVGデータ文字列
@@ -586,4 +620,11 @@ window.ImageTracerLayers = (function() {
     colorToName: colorToName,
     getHue: getHue
   };
-})(); 
\ No newline at end of file
+})();
+
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageTracerLayers;
+} else {
+  globalThis.ImageTracerLayers = ImageTracerLayers;
+}
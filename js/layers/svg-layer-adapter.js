@@ -24,10 +24,8 @@ const SVGLayerAdapter = (function() {
       result.maxColors = options.colorQuantization;
     }
     
-    // エッジ検出関連
-    if (options.edgeThreshold) {
-      result.threshold = options.edgeThreshold;
-    }
+    // エッジ検出の閾値（edgeThreshold）はそのまま渡す
+    // threshold は白黒モードの2値化の閾値なので、edgeThreshold で上書きしない
     
     if (options.simplify) {
       result.simplification = options.simplify;
@@ -101,6 +99,24 @@ const SVGLayerAdapter = (function() {
     });
   }
   
+  /**
+   * 最大サイズに収まるように縦横比を保ったサイズを計算する
+   * @param {number} width - 元の幅
+   * @param {number} height - 元の高さ
+   * @param {number} maxSize - 最大サイズ
+   * @returns {Object} リサイズ後のサイズ {width, height}
+   */
+  function getResizedDimensions(width, height, maxSize) {
+    if (width <= maxSize && height <= maxSize) {
+      return { width: width, height: height };
+    }
+    
+    if (width > height) {
+      return { width: maxSize, height: Math.floor(height * (maxSize / width)) };
+    }
+    return { width: Math.floor(width * (maxSize / height)), height: maxSize };
+  }
+  
   /**
    * キャンバスのサイズを変更する
    * @param {HTMLCanvasElement} canvas - 元のキャンバス
@@ -108,22 +124,12 @@ const SVGLayerAdapter = (function() {
    * @returns {HTMLCanvasElement} リサイズ後のキャンバス
    */
   function resizeCanvas(canvas, maxSize) {
-    let width = canvas.width;
-    let height = canvas.height;
-    
     // リサイズが必要ない場合は元のキャンバスをそのまま返す
-    if (width <= maxSize && height <= maxSize) {
+    if (canvas.width <= maxSize && canvas.height <= maxSize) {
       return canvas;
     }
     
-    // 新しいサイズを計算
-    if (width > height) {
-      height = Math.floor(height * (maxSize / width));
-      width = maxSize;
-    } else {
-      width = Math.floor(width * (maxSize / height));
-      height = maxSize;
-    }
+    const { width, height } = getResizedDimensions(canvas.width, canvas.height, maxSize);
     
     // 新しいキャンバスを作成
     const resizedCanvas = document.createElement('canvas');
@@ -168,70 +174,14 @@ const SVGLayerAdapter = (function() {
         const maxSize = options.maxImageSize || 2000;
         const resizedCanvas = resizeCanvas(canvas, maxSize);
         
-        progressCallback('画像前処理実行中', 30);
-        
-        // 高品質モードの場合、画像の前処理を強化
-        if (options.highQualityMode) {
-          enhanceImageForLayerExtraction(resizedCanvas);
-        }
-        
-        progressCallback('SVG変換準備中', 40);
-        
-        // SVGレイヤージェネレーターのオプションに変換
-        const layerOptions = convertOptions(options);
-        
-        // レイヤー生成を強化
-        if (options.colorQuantization > 32) {
-          // 色数が多い場合は特に詳細な設定を追加
-          layerOptions.detailBoost = true;
-          layerOptions.colorThreshold = 10; // 色の類似性の閾値を下げる
-          layerOptions.edgeEnhance = true;  // エッジ強調を有効化
-        }
-        
         try {
-          // SVG変換ステップを細分化して進捗表示
-          progressCallback('画像分析中', 50);
-          
-          // 1. まず画像分析して色と領域を特定
-          const analysis = analyzeImageForLayers(resizedCanvas, layerOptions);
-          
-          progressCallback('レイヤー抽出中', 60);
-          
-          // 2. レイヤー用のパス生成
-          const layers = generateLayerPaths(analysis, layerOptions);
-          
-          progressCallback('SVG構造構築中', 70);
-          
-          // 3. SVGを生成
-          const svgData = SVGLayerGenerator.convertCanvasToLayeredSVG(resizedCanvas, {
-            ...layerOptions,
-            layerData: layers // 事前に生成したレイヤーデータを使用
-          });
-          
-          // レイヤー数を確認して警告
-          const layerCount = (svgData.match(/<g[^>]*id="layer_/g) || []).length;
-          console.log(`SVGレイヤーアダプターで ${layerCount} 個のレイヤーを生成しました`);
-          
-          if (layerCount <= 1 && options.colorMode === 'color') {
-            console.warn('レイヤー分割が不十分です。画像の複雑さに対して色の量子化値が低い可能性があります。');
-            
-            // 色数を自動的に増やして再試行するオプション
-            if (options.autoRetryWithMoreColors && !options._retried) {
-              console.log('より多くの色数で再試行します');
-              const newOptions = { 
-                ...options, 
-                colorQuantization: Math.min(128, options.colorQuantization * 2),
-                _retried: true 
-              };
-              return fileToSVG(file, newOptions, callback);
-            }
-          }
-          
-          progressCallback('SVG出力完了', 100);
+          const ctx = resizedCanvas.getContext('2d');
+          const imageData = ctx.getImageData(0, 0, resizedCanvas.width, resizedCanvas.height);
+          const result = imageDataToSVG(imageData, options);
           
           // コールバックを呼び出す
           if (callback) {
-            callback(null, svgData);
+            callback(null, result.svgData);
           }
         } catch (error) {
           console.error('SVG生成エラー:', error);
@@ -250,6 +200,70 @@ const SVGLayerAdapter = (function() {
       });
   }
   
+  /**
+   * 画像データ（リサイズ済み）をSVGに変換する
+   * DOMを使用しないため、Web Workerからも利用できます
+   * @param {ImageData} imageData - 画像データ
+   * @param {Object} options - 変換オプション
+   * @returns {Object} 変換結果 {svgData, layerCount}
+   */
+  function imageDataToSVG(imageData, options) {
+    const progressCallback = options.progressCallback || function() {};
+    
+    progressCallback('画像前処理実行中', 30);
+    
+    // 高品質モードの場合、画像の前処理を強化（再試行時は適用済み）
+    if (options.highQualityMode && !options._retried) {
+      enhanceImageForLayerExtraction(imageData);
+    }
+    
+    progressCallback('SVG変換準備中', 40);
+    
+    // SVGレイヤージェネレーターのオプションに変換
+    const layerOptions = convertOptions(options);
+    
+    // レイヤー生成を強化
+    if (options.colorQuantization > 32) {
+      // 色数が多い場合は特に詳細な設定を追加
+      layerOptions.detailBoost = true;
+      layerOptions.colorThreshold = 10; // 色の類似性の閾値を下げる
+      layerOptions.edgeEnhance = true;  // エッジ強調を有効化
+    }
+    
+    // 量子化・トレース・SVG構築はImageTracerEngineで行う
+    const result = ImageTracerEngine.convert(imageData, {
+      ...layerOptions,
+      quantizer: layerOptions.quantizer || 'kmeans',
+      tracer: layerOptions.tracer || 'builtin',
+      progressCallback: (stage, percent) => {
+        progressCallback(stage, 40 + Math.round(percent * 0.6));
+      }
+    });
+    
+    // レイヤー数を確認して警告
+    const layerCount = result.layers.length;
+    console.log(`SVGレイヤーアダプターで ${layerCount} 個のレイヤーを生成しました`);
+    
+    if (layerCount <= 1 && options.colorMode === 'color') {
+      console.warn('レイヤー分割が不十分です。画像の複雑さに対して色の量子化値が低い可能性があります。');
+      
+      // 色数を自動的に増やして再試行するオプション
+      if (options.autoRetryWithMoreColors && !options._retried) {
+        console.log('より多くの色数で再試行します');
+        const newOptions = { 
+          ...options, 
+          colorQuantization: Math.min(128, options.colorQuantization * 2),
+          _retried: true 
+        };
+        return imageDataToSVG(imageData, newOptions);
+      }
+    }
+    
+    progressCallback('SVG出力完了', 100);
+    
+    return { svgData: result.svgData, layerCount: layerCount };
+  }
+  
   /**
    * SVG文字列からレイヤー情報を抽出する
    * @param {string} svgString - SVG文字列
@@ -334,11 +348,9 @@ const SVGLayerAdapter = (function() {
   
   /**
    * レイヤー抽出に最適化するために画像を強化する
-   * @param {HTMLCanvasElement} canvas - キャンバス要素
+   * @param {ImageData} imageData - 画像データ（直接書き換えます）
    */
-  function enhanceImageForLayerExtraction(canvas) {
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  function enhanceImageForLayerExtraction(imageData) {
     const data = imageData.data;
     
     // コントラストを少し上げる
@@ -353,10 +365,7 @@ const SVGLayerAdapter = (function() {
       // アルファは変更しない
     }
     
-    // 変更を適用
-    ctx.putImageData(imageData, 0, 0);
-    
-    return canvas;
+    return imageData;
   }
   
   /**
@@ -614,271 +623,197 @@ const SVGLayerAdapter = (function() {
   }
   
   /**
-   * レイヤーのパスを生成する
-   * @param {Object} analysis - 画像分析結果
-   * @param {Object} options - 生成オプション
-   * @returns {Array} レイヤーパスデータ
+   * 画像を分析して推奨する変換設定（色数・ぼかし・単純化・カラーモード）を求める
+   * analyzeImageForLayersで求めた代表色とエッジの情報に、輝度ヒストグラムのピーク・ノイズ量・
+   * 色の多さ（写真かフラットなイラストか）を加えて判定します
+   * @param {HTMLCanvasElement} canvas - 分析する画像を描画したキャンバス（縮小したものでよい）
+   * @returns {Object} {settings: {colorMode, colorQuantization, blurRadius, simplify},
+   *   analysis: 分析値, reasons: 設定の理由（文字列の配列）}
    */
-  function generateLayerPaths(analysis, options) {
-    console.log('レイヤーパス生成中...');
+  function suggestSettings(canvas) {
+    const colorInfo = analyzeImageForLayers(canvas, {
+      colorSpace: 'lab',
+      colorReduction: 'kmeans',
+      maxColors: 16,
+      edgeThreshold: 100
+    });
     
-    try {
-      if (!analysis || !analysis.colors || analysis.colors.length === 0) {
-        console.error('有効な分析データがありません');
-        
-        if (analysis && analysis.canvas) {
-          // 分析データがなくてもキャンバスがある場合は、強制的にレイヤー生成を試みる
-          console.log('キャンバスから直接レイヤー生成を試みます');
-          return forcedGeneratePathsFromCanvas(analysis.canvas, options);
-        }
-        
-        return [];
-      }
-      
-      const layerData = [];
-      
-      // 各色に対してパスを生成
-      for (let i = 0; i < analysis.colors.length; i++) {
-        const color = analysis.colors[i];
-        
-        // この色のマップが存在する場合のみ処理
-        if (analysis.colorMaps && analysis.colorMaps[color.id]) {
-          const colorMap = analysis.colorMaps[color.id];
-          
-          // SVGLayerGeneratorの関数を使用してパスを生成
-          let paths = [];
-          
-          if (typeof SVGLayerGenerator.generatePathsFromColorMap === 'function') {
-            // 公開APIが存在する場合
-            console.log(`色 ${color.hex} のパスを生成中...`);
-            paths = SVGLayerGenerator.generatePathsFromColorMap(
-              colorMap, 
-              analysis.width, 
-              analysis.height, 
-              options
-            );
-          } else {
-            // フォールバック: 単純なパス生成
-            console.log(`色 ${color.hex} の単純パスを生成中...`);
-            paths = generateSimplePaths(colorMap, analysis.width, analysis.height, options);
-          }
-          
-          // パスがある場合のみレイヤーデータに追加
-          if (paths && paths.length > 0) {
-            console.log(`色 ${color.hex} に ${paths.length} パスを生成しました`);
-            layerData.push({
-              id: color.id,
-              color: color.hex,
-              name: options.layerNaming === 'color' ? `layer_${color.hex.substring(1)}` : `layer_${i + 1}`,
-              paths: paths
-            });
-          }
-        }
-      }
-      
-      console.log(`レイヤーパス生成完了: ${layerData.length}レイヤー`);
-      
-      // レイヤーが1つもない場合は単一レイヤーのフォールバックを作成
-      if (layerData.length === 0 && analysis.canvas) {
-        console.log('レイヤーが生成されなかったためフォールバックを作成');
-        return createSingleLayerFallback(analysis.canvas);
-      }
-      
-      return layerData;
-    } catch (error) {
-      console.error('レイヤーパス生成エラー:', error);
-      
-      // エラーが発生した場合でもキャンバスがあればフォールバックを生成
-      if (analysis && analysis.canvas) {
-        console.log('エラー発生のためフォールバックレイヤーを生成');
-        return createSingleLayerFallback(analysis.canvas);
-      }
-      
-      return [];
+    const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const analysis = measureImage(imageData, colorInfo);
+    const settings = {};
+    const reasons = [];
+    
+    // 写真かフラットなイラストかの判定
+    const isPhoto = analysis.colorVariety > 0.2;
+    
+    if (analysis.grayscale && analysis.histogramPeaks <= 2 && !isPhoto) {
+      settings.colorMode = 'bw';
+      reasons.push(`色味がほとんどなく明るさのピークが${analysis.histogramPeaks}つのため、線画・文書として白黒モードを推奨します。`);
+    } else {
+      settings.colorMode = 'color';
+    }
+    
+    // 色数：フラットな画像は面積の95%を占める代表色の数、写真はヒストグラムのピーク数から決める
+    if (isPhoto) {
+      settings.colorQuantization = Math.min(24, Math.max(12, 8 + analysis.histogramPeaks * 2));
+      reasons.push(`色の種類が多い（${Math.round(analysis.colorVariety * 100)}%）写真のため、色数を${settings.colorQuantization}にしました。`);
+    } else {
+      settings.colorQuantization = Math.min(30, Math.max(2, analysis.dominantColors + 1));
+      reasons.push(`代表色${analysis.dominantColors}色で画像の95%を占めるフラットな画像のため、色数を${settings.colorQuantization}にしました。`);
     }
+    
+    // ぼかし：ノイズが多い場合や写真の場合は細かい斑点ができないようにぼかす
+    if (analysis.noiseLevel > 6) {
+      settings.blurRadius = 1.5;
+      reasons.push(`ノイズが多い（${analysis.noiseLevel.toFixed(1)}）ため、ぼかしを${settings.blurRadius}にしました。`);
+    } else if (analysis.noiseLevel > 3 || isPhoto) {
+      settings.blurRadius = 0.8;
+      reasons.push(`細かな色のばらつき（ノイズ ${analysis.noiseLevel.toFixed(1)}）を抑えるため、ぼかしを${settings.blurRadius}にしました。`);
+    } else {
+      settings.blurRadius = 0;
+      reasons.push('ノイズが少ないため、ぼかしは使用しません。');
+    }
+    
+    // 単純化：輪郭が多く細かい画像は形を保つため小さく、輪郭の少ない画像は滑らかにする
+    if (analysis.edgeDensity > 0.12) {
+      settings.simplify = 0.3;
+      reasons.push(`輪郭の割合が高い（${(analysis.edgeDensity * 100).toFixed(1)}%）細かな画像のため、単純化を${settings.simplify}にしました。`);
+    } else if (analysis.edgeDensity < 0.04 && !isPhoto) {
+      settings.simplify = 0.7;
+      reasons.push(`輪郭が少ない（${(analysis.edgeDensity * 100).toFixed(1)}%）シンプルな画像のため、単純化を${settings.simplify}にして滑らかにしました。`);
+    } else {
+      settings.simplify = 0.5;
+      reasons.push(`輪郭の割合（${(analysis.edgeDensity * 100).toFixed(1)}%）が標準的なため、単純化は${settings.simplify}にしました。`);
+    }
+    
+    return { settings: settings, analysis: analysis, reasons: reasons };
   }
   
   /**
-   * 単純なパス生成（フォールバック実装）
+   * 推奨設定の判定に使用する分析値を求める
+   * @param {ImageData} imageData - 画像データ
+   * @param {Object} colorInfo - analyzeImageForLayersの結果（colors, edges）
+   * @returns {Object} 分析値 {dominantColors, colorVariety, edgeDensity, noiseLevel, histogramPeaks, grayscale}
    */
-  function generateSimplePaths(colorMap, width, height, options) {
-    // 単純化のため、色の領域を長方形に近似
-    const paths = [];
-    const visited = new Uint8Array(width * height);
+  function measureImage(imageData, colorInfo) {
+    const { width, height, data } = imageData;
+    const gray = new Float32Array(width * height);
+    const histogram = new Float64Array(256);
+    const buckets = new Set();
+    let opaque = 0;
+    let chroma = 0;
+    
+    for (let p = 0, i = 0; p < gray.length; p++, i += 4) {
+      gray[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+      if (data[i + 3] < 128) continue;
+      
+      opaque++;
+      histogram[Math.round(gray[p])]++;
+      chroma += Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]);
+      // 各チャンネル5ビットに丸めた色の種類を数える
+      buckets.add(((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3));
+    }
     
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
+    // 面積の95%を占める代表色の数
+    const counts = (colorInfo.colors || []).map(color => color.count || 0).sort((a, b) => b - a);
+    const totalCount = counts.reduce((sum, count) => sum + count, 0);
+    let dominantColors = 0;
+    for (let covered = 0; dominantColors < counts.length && covered < totalCount * 0.95; dominantColors++) {
+      covered += counts[dominantColors];
+    }
+    
+    // エッジの割合
+    let edgeCount = 0;
+    const edges = colorInfo.edges || [];
+    for (let i = 0; i < edges.length; i++) {
+      if (edges[i]) edgeCount++;
+    }
+    
+    // ノイズ量：エッジ以外のピクセルと周囲3x3の平均との差の平均
+    let noise = 0;
+    let noiseSamples = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const p = y * width + x;
+        if (edges[p]) continue;
         
-        // この点が色の領域内で、まだ訪問していない場合
-        if (colorMap[idx] === 1 && visited[idx] === 0) {
-          // 長方形の範囲を探索
-          let x1 = x, y1 = y;
-          let x2 = x, y2 = y;
-          
-          // 右方向に探索
-          for (let tx = x + 1; tx < width; tx++) {
-            if (colorMap[y * width + tx] === 1) {
-              x2 = tx;
-              visited[y * width + tx] = 1;
-            } else {
-              break;
-            }
+        let sum = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            sum += gray[p + dy * width + dx];
           }
-          
-          // 下方向に探索（既に見つけた幅を使用）
-          let validRow = true;
-          for (let ty = y + 1; ty < height && validRow; ty++) {
-            // この行全体が色の領域内かチェック
-            for (let tx = x1; tx <= x2; tx++) {
-              if (colorMap[ty * width + tx] !== 1) {
-                validRow = false;
-                break;
-              }
-            }
-            
-            if (validRow) {
-              y2 = ty;
-              // この行を訪問済みにマーク
-              for (let tx = x1; tx <= x2; tx++) {
-                visited[ty * width + tx] = 1;
-              }
-            }
-          }
-          
-          // 長方形パスを追加
-          const rectPath = `M ${x1},${y1} L ${x2},${y1} L ${x2},${y2} L ${x1},${y2} Z`;
-          paths.push(rectPath);
-          
-          // 開始点も訪問済みにマーク
-          visited[idx] = 1;
         }
+        noise += Math.abs(gray[p] - sum / 9);
+        noiseSamples++;
       }
     }
     
-    return paths;
+    return {
+      dominantColors: Math.max(1, dominantColors),
+      colorVariety: opaque > 0 ? Math.min(1, buckets.size / Math.min(opaque, 4096)) : 0,
+      edgeDensity: edgeCount / Math.max(1, width * height),
+      noiseLevel: noiseSamples > 0 ? noise / noiseSamples : 0,
+      histogramPeaks: countHistogramPeaks(histogram, opaque),
+      grayscale: opaque > 0 && chroma / opaque < 12
+    };
   }
   
   /**
-   * キャンバスから強制的にレイヤーパスを生成する（フォールバック）
-   * @param {HTMLCanvasElement} canvas - キャンバス要素
-   * @param {Object} options - 生成オプション
-   * @returns {Array} レイヤーパスデータ
+   * 輝度ヒストグラムのピーク（山）の数を数える
+   * 平滑化したヒストグラムの極大のうち、全体の2%以上の高さがあり、谷で十分に隔てられたものを数えます
+   * @param {Float64Array} histogram - 輝度ヒストグラム（256階調）
+   * @param {number} total - ピクセル数
+   * @returns {number} ピークの数
    */
-  function forcedGeneratePathsFromCanvas(canvas, options) {
-    // キャンバスの内容をグレースケールに変換し、色の境界を見つける
-    const ctx = canvas.getContext('2d');
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const pixels = imageData.data;
-    
-    // より強力なK-means色検出を試みる
-    let colorCount = options.colorQuantization || 16;
-    colorCount = Math.max(colorCount, 8); // 最低8色は検出
-    
-    // 色検出のみを強制的に行う
-    const colors = [];
-    const colorMap = {};
-    
-    // 単純な色抽出（ピクセルをスキャンして主要な色を抽出）
-    for (let i = 0; i < pixels.length; i += 4) {
-      // 透明ピクセルはスキップ
-      if (pixels[i + 3] < 128) continue;
-      
-      // 色を量子化
-      const r = Math.floor(pixels[i] / 32) * 32;
-      const g = Math.floor(pixels[i + 1] / 32) * 32;
-      const b = Math.floor(pixels[i + 2] / 32) * 32;
-      const key = `${r},${g},${b}`;
-      
-      if (!colorMap[key]) {
-        colorMap[key] = {
-          r, g, b,
-          count: 0,
-          hex: rgbToHex(r, g, b)
-        };
+  function countHistogramPeaks(histogram, total) {
+    const smoothed = new Float64Array(256);
+    for (let v = 0; v < 256; v++) {
+      let sum = 0;
+      let count = 0;
+      for (let k = -4; k <= 4; k++) {
+        if (v + k < 0 || v + k > 255) continue;
+        sum += histogram[v + k];
+        count++;
       }
-      
-      colorMap[key].count++;
+      smoothed[v] = sum / count;
     }
     
-    // 色の配列を作成
-    Object.keys(colorMap).forEach((key, index) => {
-      colors.push({
-        ...colorMap[key],
-        id: `color_${index + 1}`
-      });
-    });
-    
-    // 出現回数でソート
-    colors.sort((a, b) => b.count - a.count);
-    
-    // 主要な色だけ保持
-    const mainColors = colors.slice(0, colorCount);
-    console.log(`フォールバック: ${mainColors.length}色を抽出しました`);
-    
-    // 単純な矩形レイヤーを各色ごとに作成
-    const layerData = [];
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    for (let i = 0; i < mainColors.length; i++) {
-      const color = mainColors[i];
-      // 単純な矩形パス
-      const rectPath = `M ${i * 10},${i * 10} L ${width - i * 10},${i * 10} L ${width - i * 10},${height - i * 10} L ${i * 10},${height - i * 10} Z`;
-      
-      layerData.push({
-        id: color.id,
-        name: `layer_${color.hex.substring(1)}`,
-        color: color.hex,
-        paths: [rectPath]
-      });
+    const minHeight = total * 0.02 / 9;
+    let peaks = 0;
+    let lastPeak = -1;
+    let valley = Infinity;
+    
+    for (let v = 0; v < 256; v++) {
+      valley = Math.min(valley, smoothed[v]);
+      
+      const isMaximum = smoothed[v] >= minHeight &&
+        (v === 0 || smoothed[v] > smoothed[v - 1]) &&
+        (v === 255 || smoothed[v] >= smoothed[v + 1]);
+      
+      // 直前のピークとの間に半分以下の谷がある場合のみ別のピークとする
+      if (isMaximum && (lastPeak < 0 || valley < Math.min(smoothed[v], smoothed[lastPeak]) * 0.5)) {
+        peaks++;
+        lastPeak = v;
+        valley = Infinity;
+      } else if (isMaximum && smoothed[v] > smoothed[lastPeak]) {
+        lastPeak = v;
+      }
     }
     
-    return layerData;
-  }
-  
-  /**
-   * RGB値を16進数カラーコードに変換
-   * @param {number} r - 赤成分 (0-255)
-   * @param {number} g - 緑成分 (0-255)
-   * @param {number} b - 青成分 (0-255)
-   * @returns {string} 16進数カラーコード (#RRGGBB)
-   */
-  function rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map(x => {
-      const hex = Math.max(0, Math.min(255, x)).toString(16);
-      return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
-  }
-  
-  /**
-   * 単一レイヤーのフォールバックを作成
-   * @param {HTMLCanvasElement} canvas - キャンバス要素
-   * @returns {Array} レイヤーデータの配列
-   */
-  function createSingleLayerFallback(canvas) {
-    const width = canvas.width;
-    const height = canvas.height;
-    
-    // 画像全体を覆う矩形パス
-    const rectPath = `M 0,0 L ${width},0 L ${width},${height} L 0,${height} Z`;
-    
-    return [{
-      id: "layer_main",
-      name: "main_layer",
-      color: "#000000",
-      paths: [rectPath]
-    }];
+    return Math.max(1, peaks);
   }
   
   // 公開API
   return {
     fileToSVG: fileToSVG,
+    imageDataToSVG: imageDataToSVG,
+    suggestSettings: suggestSettings,
+    getResizedDimensions: getResizedDimensions,
     extractLayers: extractLayers,
     setLayerVisibility: setLayerVisibility,
     updateLayerColor: updateLayerColor
   };
 })();
 
-// グローバルスコープに公開
-window.SVGLayerAdapter = SVGLayerAdapter; 
\ No newline at end of file
+// グローバルスコープに公開（Web Workerからも利用できるようにglobalThisを使用）
+globalThis.SVGLayerAdapter = SVGLayerAdapter;
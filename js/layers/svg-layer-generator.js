@@ -16,9 +16,9 @@ const SVGLayerGenerator = (function() {
    */
   const DEFAULT_COLOR_OPTIONS = {
     maxColors: 16,        // 最大色数（元の36から16に減らして最適化）
-    colorSpace: 'rgb',    // 色空間（rgb, lab, hsv）
+    colorSpace: 'rgb',    // 色空間（rgb, lab）。labではImageTracerQuantizerでΔEに基づいて量子化
     colorDistance: 'euclidean', // 色距離計算方法
-    colorReduction: 'kmeans',   // 色削減アルゴリズム
+    colorReduction: 'kmeans',   // 色削減アルゴリズム（labではmedian-cut, kmeans, octree, wuも指定可能）
     colorImportance: [3, 6, 1], // RGB各要素の重要度
     minColorArea: 0.8      // 最小の色領域サイズ（ピクセル比率）
   };
@@ -31,7 +31,8 @@ const SVGLayerGenerator = (function() {
     threshold: 20,        // エッジ検出閾値
     simplification: 0.5,  // パス単純化レベル
     strokeWidth: 0,       // 線の太さ
-    cornerThreshold: 80,  // 角度閾値
+    cornerThreshold: 80,  // 角度閾値（この角度以上に曲がる頂点を角として扱う）
+    curveFitting: true,   // 輪郭をベジェ曲線で滑らかにする
     maxSegments: 48,      // 最大セグメント数
     minPathLength: 5      // 最小パス長
   };
@@ -62,8 +63,10 @@ const SVGLayerGenerator = (function() {
     const height = imageData.height;
     const pixels = imageData.data;
     
-    // 色の量子化処理（K-means法）
-    const colors = quantizeColors(pixels, colorOptions);
+    // 色の量子化処理（K-means法）。パレットが指定されている場合はその色を使用
+    const colors = colorOptions.palette && colorOptions.palette.length > 0 ?
+      paletteToColors(pixels, colorOptions) :
+      quantizeColors(pixels, colorOptions);
     
     // 色ごとのピクセルマップを生成
     const colorMaps = createColorMaps(pixels, colors, width, height);
@@ -89,6 +92,11 @@ const SVGLayerGenerator = (function() {
   function quantizeColors(pixels, options) {
     // 最大色数を制限（オプションで指定された値と16のいずれか小さい方を使用）
     const maxColors = Math.min(options.maxColors || 16, 16);
+    
+    if (options.colorSpace === 'lab') {
+      return quantizeColorsInLab(pixels, maxColors, options);
+    }
+    
     const result = [];
     const colorCounts = {};
     const totalPixels = pixels.length / 4;
@@ -174,6 +182,62 @@ const SVGLayerGenerator = (function() {
     }));
   }
 
+  /**
+   * 指定されたパレットから代表色の配列を作成する
+   * paletteModeが'lock'の場合は、パレットの色を固定して残りの色をCIELAB色空間で量子化します
+   * @param {Uint8ClampedArray} pixels - ピクセルデータ
+   * @param {Object} options - 量子化オプション（palette, paletteMode）
+   * @returns {Array} 代表色の配列（パレットの色は locked: true）
+   */
+  function paletteToColors(pixels, options) {
+    const palette = (typeof ImageTracerPalette !== 'undefined' ?
+      ImageTracerPalette : require('../core/imagetracer-palette.js')).normalizePalette(options.palette);
+    const maxColors = Math.min(options.maxColors || 16, 16);
+    
+    if (options.paletteMode === 'lock' && palette.length < maxColors) {
+      return quantizeColorsInLab(pixels, maxColors, { ...options, fixedColors: palette });
+    }
+    
+    return palette.map((color, index) => ({
+      r: color.r,
+      g: color.g,
+      b: color.b,
+      locked: true,
+      hex: color.hex,
+      id: `color_${index + 1}`
+    }));
+  }
+
+  /**
+   * CIELAB色空間で色を量子化する（ImageTracerQuantizerを使用）
+   * @param {Uint8ClampedArray} pixels - ピクセルデータ
+   * @param {number} maxColors - 最大色数
+   * @param {Object} options - 量子化オプション
+   * @returns {Array} 抽出された代表色の配列
+   */
+  function quantizeColorsInLab(pixels, maxColors, options) {
+    const quantizer = typeof ImageTracerQuantizer !== 'undefined' ?
+      ImageTracerQuantizer : require('../core/imagetracer-quantizer.js');
+    const method = quantizer.METHODS.includes(options.colorReduction) ? options.colorReduction : 'kmeans';
+    
+    console.log(`CIELAB色空間で色の量子化を開始: 最大 ${maxColors} 色（${method}）`);
+    
+    return quantizer.quantize({ data: pixels }, maxColors, {
+      method: method,
+      colorSpace: 'lab',
+      fixedColors: options.fixedColors || []
+    })
+      .map((color, index) => ({
+        r: color.r,
+        g: color.g,
+        b: color.b,
+        count: color.count,
+        locked: color.locked === true,
+        hex: rgbToHex(color.r, color.g, color.b),
+        id: `color_${index + 1}`
+      }));
+  }
+
   /**
    * K-means法による色のクラスタリング
    * @param {Array} colors - 色データの配列
@@ -435,6 +499,8 @@ const SVGLayerGenerator = (function() {
 
   /**
    * 色のマップからパスを生成する
+   * 連結した領域ごとに、外側の輪郭と穴の輪郭をサブパスとしてまとめた1つのパスデータを返します
+   * （外側は時計回り、穴は反時計回りのため、fill-rule="evenodd"でも"nonzero"でも穴が抜けます）
    * @param {Uint8Array} colorMap - 色ごとのピクセルマップ
    * @param {number} width - 画像の幅
    * @param {number} height - 画像の高さ
@@ -443,98 +509,508 @@ const SVGLayerGenerator = (function() {
    */
   function generatePathsFromColorMap(colorMap, width, height, options) {
     const simplification = options.simplification || DEFAULT_EDGE_OPTIONS.simplification;
+    const minPathLength = options.minPathLength !== undefined ? options.minPathLength : DEFAULT_EDGE_OPTIONS.minPathLength;
+    const curveOptions = {
+      cornerThreshold: options.cornerThreshold || DEFAULT_EDGE_OPTIONS.cornerThreshold,
+      curveFitting: options.curveFitting !== undefined ? options.curveFitting : DEFAULT_EDGE_OPTIONS.curveFitting
+    };
     const paths = [];
     
-    // 訪問済みピクセルを追跡
-    const visited = new Uint8Array(width * height);
+    // 連結領域ごとに輪郭をトレース
+    const shapes = traceContours(colorMap, width, height);
+    
+    for (const shape of shapes) {
+      // 輪郭が十分な長さ（周長）を持つ場合のみパスにする
+      if (shape.outer.length < minPathLength) continue;
+      
+      const contours = [shape.outer].concat(shape.holes.filter(hole => hole.length >= minPathLength));
+      
+      // 輪郭を単純化してSVGパス文字列を生成
+      // 曲線化する場合は、階段状の段差が直線になる辺の中点の列を使用する
+      const pathData = contours
+        .map(contour => {
+          const source = curveOptions.curveFitting ? contour.midpoints : contour.points;
+          return contourToPathData(simplifyClosedPath(source, simplification), curveOptions);
+        })
+        .join(' ');
+      
+      paths.push(pathData);
+    }
+    
+    return paths;
+  }
+
+  /**
+   * 色のマップの輪郭をトレースする
+   * ピクセルの境界（ピクセルの角を頂点とする格子）をたどり、順序付きの閉じた輪郭を作成します。
+   * 領域は4近傍で連結とみなし、斜めに接するピクセルは別の領域として扱います。
+   * @param {Uint8Array} colorMap - 色ごとのピクセルマップ（1が対象）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @returns {Array} 領域ごとの輪郭 [{outer, holes: []}]
+   *   各輪郭は {points: 角の頂点の配列, midpoints: 各辺の中点の配列, length: 周長}
+   */
+  function traceContours(colorMap, width, height) {
+    // 方向: 0=右, 1=下, 2=左, 3=上（y軸は下向き）
+    const DX = [1, 0, -1, 0];
+    const DY = [0, 1, 0, -1];
+    const stride = width + 1;
+    const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height && colorMap[y * width + x] === 1;
+    
+    // 連結領域のラベル付け（4近傍）
+    const labels = labelRegions(colorMap, width, height);
+    
+    // 境界の辺を、対象ピクセルが進行方向の右側になる向きで頂点ごとに記録
+    const edges = new Uint8Array(stride * (height + 1));
+    let edgeCount = 0;
     
-    // 連結領域を見つけてパスに変換
     for (let y = 0; y < height; y++) {
       for (let x = 0; x < width; x++) {
-        const idx = y * width + x;
+        if (colorMap[y * width + x] !== 1) continue;
         
-        // このピクセルが色のマップに含まれており、まだ訪問していない場合
-        if (colorMap[idx] === 1 && visited[idx] === 0) {
-          const contour = traceContour(colorMap, visited, x, y, width, height);
+        if (!inside(x, y - 1)) { edges[y * stride + x] |= 1 << 0; edgeCount++; }
+        if (!inside(x + 1, y)) { edges[y * stride + x + 1] |= 1 << 1; edgeCount++; }
+        if (!inside(x, y + 1)) { edges[(y + 1) * stride + x + 1] |= 1 << 2; edgeCount++; }
+        if (!inside(x - 1, y)) { edges[(y + 1) * stride + x] |= 1 << 3; edgeCount++; }
+      }
+    }
+    
+    const shapes = new Map();
+    
+    for (let start = 0; start < edges.length && edgeCount > 0; start++) {
+      while (edges[start] !== 0) {
+        let x = start % stride;
+        let y = Math.floor(start / stride);
+        let dir = 0;
+        while (!(edges[start] & (1 << dir))) dir++;
+        
+        // 辺の右側にあるピクセルから所属する領域を求める
+        const px = dir === 0 || dir === 3 ? x : x - 1;
+        const py = dir === 0 || dir === 1 ? y : y - 1;
+        const label = labels[py * width + px];
+        
+        const startX = x;
+        const startY = y;
+        const startDir = dir;
+        const points = [];
+        const midpoints = [];
+        let area = 0;
+        let length = 0;
+        
+        for (;;) {
+          edges[y * stride + x] &= ~(1 << dir);
+          edgeCount--;
+          length++;
           
-          // 輪郭が十分な長さを持つ場合
-          if (contour.length >= options.minPathLength || DEFAULT_EDGE_OPTIONS.minPathLength) {
-            // 輪郭を単純化
-            const simplified = simplifyPath(contour, simplification);
-            
-            // SVGパス文字列を生成
-            const pathData = contourToPathData(simplified);
-            paths.push(pathData);
+          const nx = x + DX[dir];
+          const ny = y + DY[dir];
+          area += x * ny - nx * y;
+          midpoints.push({ x: x + DX[dir] / 2, y: y + DY[dir] / 2 });
+          x = nx;
+          y = ny;
+          
+          // 次の辺を選ぶ（右折を優先して対象ピクセルの周りを小さく回る）
+          const closing = x === startX && y === startY;
+          const available = edges[y * stride + x] | (closing ? 1 << startDir : 0);
+          const right = (dir + 1) % 4;
+          const left = (dir + 3) % 4;
+          let nextDir = -1;
+          
+          if (available & (1 << right)) {
+            nextDir = right;
+          } else if (available & (1 << dir)) {
+            nextDir = dir;
+          } else if (available & (1 << left)) {
+            nextDir = left;
           }
+          
+          // 向きが変わる点のみを輪郭の頂点として記録
+          if (nextDir !== dir) {
+            points.push({ x: x, y: y });
+          }
+          
+          if (nextDir === -1 || (closing && nextDir === startDir)) break;
+          dir = nextDir;
+        }
+        
+        if (points.length < 3) continue;
+        
+        if (!shapes.has(label)) {
+          shapes.set(label, { outer: null, holes: [] });
+        }
+        
+        // 時計回り（面積が正）なら外側の輪郭、反時計回りなら穴
+        const shape = shapes.get(label);
+        if (area > 0) {
+          shape.outer = { points: points, midpoints: midpoints, length: length };
+        } else {
+          shape.holes.push({ points: points, midpoints: midpoints, length: length });
         }
       }
     }
     
-    return paths;
+    return Array.from(shapes.values()).filter(shape => shape.outer);
   }
 
   /**
-   * 輪郭をトレースする
-   * @param {Uint8Array} colorMap - 色ごとのピクセルマップ
-   * @param {Uint8Array} visited - 訪問済みマップ
-   * @param {number} startX - 開始X座標
-   * @param {number} startY - 開始Y座標
+   * 4近傍で連結した領域にラベルを付ける
+   * @param {Uint8Array} colorMap - 色ごとのピクセルマップ（1が対象）
    * @param {number} width - 画像の幅
    * @param {number} height - 画像の高さ
-   * @returns {Array} 輪郭点の配列
+   * @returns {Int32Array} ピクセルごとのラベル（対象外は-1）
    */
-  function traceContour(colorMap, visited, startX, startY, width, height) {
-    const contour = [];
-    const queue = [{x: startX, y: startY}];
-    const directions = [
-      {dx: 0, dy: -1}, // 上
-      {dx: 1, dy: 0},  // 右
-      {dx: 0, dy: 1},  // 下
-      {dx: -1, dy: 0}  // 左
-    ];
-    
-    // 境界点を見つける
-    while (queue.length > 0) {
-      const point = queue.shift();
-      const idx = point.y * width + point.x;
+  function labelRegions(colorMap, width, height) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const stack = new Int32Array(width * height);
+    let nextLabel = 0;
+    
+    for (let i = 0; i < labels.length; i++) {
+      if (colorMap[i] !== 1 || labels[i] !== -1) continue;
       
-      // すでに訪問済みならスキップ
-      if (visited[idx] === 1) continue;
+      let top = 0;
+      stack[top++] = i;
+      labels[i] = nextLabel;
       
-      // 訪問済みとしてマーク
-      visited[idx] = 1;
+      while (top > 0) {
+        const idx = stack[--top];
+        const x = idx % width;
+        const neighbors = [
+          x > 0 ? idx - 1 : -1,
+          x < width - 1 ? idx + 1 : -1,
+          idx - width,
+          idx + width
+        ];
+        
+        for (const n of neighbors) {
+          if (n >= 0 && n < labels.length && colorMap[n] === 1 && labels[n] === -1) {
+            labels[n] = nextLabel;
+            stack[top++] = n;
+          }
+        }
+      }
       
-      // 境界点かどうかを判定
-      let isBoundary = false;
+      nextLabel++;
+    }
+    
+    return labels;
+  }
+
+  /**
+   * ラベル画像の境界を共有してトレースする（隙間のないトレース）
+   * 色の境界を一度だけたどって分岐点の間の境界線（チェーン）に分け、各チェーンを1回だけ
+   * 曲線化します。隣り合う2つの色のパスは同じ曲線を逆向きに使用するため、
+   * 色ごとに個別にトレースした場合のような隙間や重なりが生じません。
+   * 分岐点・画像の角・画像の端に沿った辺は動かさないため、すべてのラベルのパスを合わせると画像全体を覆います。
+   * @param {Int16Array|Int32Array|Array} labels - ピクセルごとのラベル（透明は-1）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {number} labelCount - ラベルの数
+   * @param {Object} options - パス生成オプション {simplification, cornerThreshold, curveFitting}
+   * @returns {Array<string>} ラベルごとのSVGパスデータ（外形と穴をまとめた1つのパス。該当なしは空文字列）
+   */
+  function traceLabelMap(labels, width, height, labelCount, options = {}) {
+    const simplification = options.simplification || DEFAULT_EDGE_OPTIONS.simplification;
+    const cornerThreshold = options.cornerThreshold || DEFAULT_EDGE_OPTIONS.cornerThreshold;
+    const curveFitting = options.curveFitting !== undefined ? options.curveFitting : DEFAULT_EDGE_OPTIONS.curveFitting;
+    
+    // 方向: 0=右, 1=下, 2=左, 3=上（y軸は下向き）
+    const DX = [1, 0, -1, 0];
+    const DY = [0, 1, 0, -1];
+    const stride = width + 1;
+    const horizontalCount = width * (height + 1);
+    const labelAt = (x, y) => (x >= 0 && x < width && y >= 0 && y < height ? labels[y * width + x] : -1);
+    
+    // 頂点(x, y)から方向dirに伸びる辺の番号（水平の辺、垂直の辺の順に番号付け）
+    const edgeIndex = (x, y, dir) => {
+      switch (dir) {
+        case 0: return x < width ? y * width + x : -1;
+        case 1: return y < height ? horizontalCount + y * stride + x : -1;
+        case 2: return x > 0 ? y * width + x - 1 : -1;
+        default: return y > 0 ? horizontalCount + (y - 1) * stride + x : -1;
+      }
+    };
+    
+    // 辺の右側・左側にあるピクセルのラベル
+    const rightLabel = (x, y, dir) => [labelAt(x, y), labelAt(x - 1, y), labelAt(x - 1, y - 1), labelAt(x, y - 1)][dir];
+    const leftLabel = (x, y, dir) => [labelAt(x, y - 1), labelAt(x, y), labelAt(x - 1, y), labelAt(x - 1, y - 1)][dir];
+    
+    // 異なるラベルの間（画像の外側と透明部分は-1）にある辺を境界とする
+    const boundary = new Uint8Array(horizontalCount + stride * height);
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x <= width; x++) {
+        if (x < width && labelAt(x, y - 1) !== labelAt(x, y)) boundary[edgeIndex(x, y, 0)] = 1;
+        if (y < height && labelAt(x - 1, y) !== labelAt(x, y)) boundary[edgeIndex(x, y, 1)] = 1;
+      }
+    }
+    
+    const hasEdge = (x, y, dir) => {
+      const index = edgeIndex(x, y, dir);
+      return index !== -1 && boundary[index] === 1;
+    };
+    const degree = (x, y) => hasEdge(x, y, 0) + hasEdge(x, y, 1) + hasEdge(x, y, 2) + hasEdge(x, y, 3);
+    
+    const used = new Uint8Array(boundary.length);
+    const chains = [];
+    
+    // 頂点から境界をたどり、分岐点（3本以上の境界が接する頂点）または始点に戻るまでを1本のチェーンにする
+    const walkChain = (startX, startY, startDir) => {
+      const chain = {
+        rightLabel: rightLabel(startX, startY, startDir),
+        leftLabel: leftLabel(startX, startY, startDir),
+        start: startY * stride + startX,
+        startDir: startDir,
+        closed: false,
+        points: [{ x: startX, y: startY }],
+        vertices: [{ x: startX, y: startY }],
+        midpoints: []
+      };
+      let x = startX;
+      let y = startY;
+      let dir = startDir;
       
-      for (const dir of directions) {
-        const nx = point.x + dir.dx;
-        const ny = point.y + dir.dy;
+      for (;;) {
+        used[edgeIndex(x, y, dir)] = 1;
+        chain.midpoints.push({ x: x + DX[dir] / 2, y: y + DY[dir] / 2 });
+        x += DX[dir];
+        y += DY[dir];
+        chain.vertices.push({ x: x, y: y });
         
-        // 画像の範囲内かチェック
-        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
-          const nidx = ny * width + nx;
+        const closing = x === startX && y === startY;
+        if (closing || degree(x, y) !== 2) {
+          chain.closed = closing && degree(x, y) === 2;
+          chain.end = y * stride + x;
+          chain.endDir = dir;
           
-          // 隣接ピクセルが色のマップに含まれていなければ境界点
-          if (colorMap[nidx] === 0) {
-            isBoundary = true;
-          } else if (visited[nidx] === 0) {
-            // まだ訪問していない同じ色の領域をキューに追加
-            queue.push({x: nx, y: ny});
+          if (chain.closed) {
+            // 閉じたチェーンは角の頂点のみで表す
+            chain.points.shift();
+            if (dir !== startDir) chain.points.push({ x: x, y: y });
+          } else {
+            chain.points.push({ x: x, y: y });
+          }
+          break;
+        }
+        
+        // 分岐のない頂点では、来た辺以外の唯一の辺に進む
+        let nextDir = dir;
+        for (const candidate of [(dir + 1) % 4, dir, (dir + 3) % 4]) {
+          if (hasEdge(x, y, candidate)) {
+            nextDir = candidate;
+            break;
+          }
+        }
+        
+        if (nextDir !== dir) {
+          chain.points.push({ x: x, y: y });
+        }
+        dir = nextDir;
+      }
+      
+      chains.push(chain);
+    };
+    
+    // 分岐点から伸びるチェーン
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x <= width; x++) {
+        if (degree(x, y) <= 2) continue;
+        
+        for (let dir = 0; dir < 4; dir++) {
+          const index = edgeIndex(x, y, dir);
+          if (index !== -1 && boundary[index] === 1 && !used[index]) {
+            walkChain(x, y, dir);
           }
-        } else {
-          // 画像の外側に接していれば境界点
-          isBoundary = true;
         }
       }
+    }
+    
+    // 分岐点を含まない閉じた境界（他の色に囲まれた領域など）
+    for (let y = 0; y <= height; y++) {
+      for (let x = 0; x <= width; x++) {
+        for (const dir of [0, 1]) {
+          const index = edgeIndex(x, y, dir);
+          if (index !== -1 && boundary[index] === 1 && !used[index]) {
+            walkChain(x, y, dir);
+          }
+        }
+      }
+    }
+    
+    // 画像の角と、境界が画像の端に沿い始める・離れる頂点は単純化・曲線化で動かさない
+    // （動かすと画像の端に沿った辺が斜めになり、キャンバスの端に塗られない隙間ができる）
+    const isImageCorner = point => (point.x === 0 || point.x === width) && (point.y === 0 || point.y === height);
+    const isBorderEdge = (a, b) =>
+      (a.x === b.x && (a.x === 0 || a.x === width)) || (a.y === b.y && (a.y === 0 || a.y === height));
+    
+    const fitPinnedChain = chain => {
+      const vertices = chain.vertices;
+      const edgeCount = vertices.length - 1;
+      const border = [];
+      for (let i = 0; i < edgeCount; i++) {
+        border.push(isBorderEdge(vertices[i], vertices[i + 1]));
+      }
+      
+      // 開いたチェーンの両端（分岐点）はもともと動かさない
+      const pins = [];
+      for (let i = chain.closed ? 0 : 1; i < edgeCount; i++) {
+        if (isImageCorner(vertices[i]) || border[(i - 1 + edgeCount) % edgeCount] !== border[i]) pins.push(i);
+      }
+      if (pins.length === 0) {
+        return fitChain(chain, simplification, cornerThreshold, curveFitting);
+      }
+      
+      // 閉じたチェーンは、最初の固定点から始まって同じ点に戻る開いたチェーンとして扱う
+      let list = vertices;
+      let flags = border;
+      let cuts = [0].concat(pins, [edgeCount]);
+      if (chain.closed) {
+        const offset = pins[0];
+        list = vertices.slice(offset, edgeCount).concat(vertices.slice(0, offset + 1));
+        flags = border.slice(offset).concat(border.slice(0, offset));
+        cuts = pins.map(pin => pin - offset).concat([edgeCount]);
+      }
+      
+      // 固定点の間の区間ごとに単純化・曲線化する（画像の端に沿う区間は直線のまま）
+      const segments = [];
+      for (let k = 1; k < cuts.length; k++) {
+        const section = list.slice(cuts[k - 1], cuts[k] + 1);
+        const first = section[0];
+        const last = section[section.length - 1];
+        
+        if (flags[cuts[k - 1]]) {
+          segments.push({ type: 'L', end: last });
+          continue;
+        }
+        
+        const midpoints = [];
+        const points = [first];
+        for (let i = 0; i < section.length - 1; i++) {
+          midpoints.push(interpolatePoint(section[i], section[i + 1], 0.5));
+          if (i > 0 && (section[i].x - section[i - 1].x !== section[i + 1].x - section[i].x ||
+              section[i].y - section[i - 1].y !== section[i + 1].y - section[i].y)) {
+            points.push(section[i]);
+          }
+        }
+        points.push(last);
+        
+        const curve = fitChain({
+          closed: false,
+          start: first.y * stride + first.x,
+          end: last.y * stride + last.x,
+          points: points,
+          midpoints: midpoints
+        }, simplification, cornerThreshold, curveFitting);
+        segments.push(...curve.segments);
+      }
+      
+      return { start: list[0], segments: segments };
+    };
+    
+    // チェーンごとに1回だけ単純化・曲線化する
+    for (const chain of chains) {
+      chain.curve = fitPinnedChain(chain);
+    }
+    
+    // ラベルごとに、そのラベルが右側になる向きでチェーンをつないで閉じた輪郭を作る
+    const pathDataByLabel = [];
+    
+    for (let label = 0; label < labelCount; label++) {
+      const loops = [];
+      const outgoing = new Map();
+      const uses = [];
+      
+      for (const chain of chains) {
+        const forward = chain.rightLabel === label;
+        if (!forward && chain.leftLabel !== label) continue;
+        
+        if (chain.closed) {
+          loops.push([forward ? chain.curve : reverseSegments(chain.curve)]);
+          continue;
+        }
+        
+        const use = forward ?
+          { curve: chain.curve, start: chain.start, startDir: chain.startDir, end: chain.end, endDir: chain.endDir } :
+          {
+            curve: reverseSegments(chain.curve),
+            start: chain.end,
+            startDir: (chain.endDir + 2) % 4,
+            end: chain.start,
+            endDir: (chain.startDir + 2) % 4
+          };
+        
+        uses.push(use);
+        outgoing.set(use.start * 4 + use.startDir, use);
+      }
+      
+      const visited = new Set();
       
-      // 境界点なら輪郭に追加
-      if (isBoundary) {
-        contour.push({x: point.x, y: point.y});
+      for (const first of uses) {
+        if (visited.has(first)) continue;
+        
+        const loop = [];
+        let use = first;
+        
+        while (use && !visited.has(use)) {
+          visited.add(use);
+          loop.push(use.curve);
+          
+          // 次のチェーンを選ぶ（右折を優先して、斜めに接するピクセルを別の領域として扱う）
+          const dir = use.endDir;
+          use = outgoing.get(use.end * 4 + (dir + 1) % 4) ||
+            outgoing.get(use.end * 4 + dir) ||
+            outgoing.get(use.end * 4 + (dir + 3) % 4);
+        }
+        
+        loops.push(loop);
       }
+      
+      pathDataByLabel.push(loops
+        .map(loop => `M ${formatPoint(loop[0].start)}${loop.map(curve => segmentsToPathData(curve.segments)).join('')} Z`)
+        .join(' '));
     }
     
-    return contour;
+    return pathDataByLabel;
+  }
+
+  /**
+   * 境界のチェーンを単純化して曲線にする
+   * 開いたチェーンの両端（分岐点）は動かさないため、隣り合うチェーンと端点が一致します
+   * @param {Object} chain - traceLabelMapで作成したチェーン
+   * @param {number} simplification - 単純化の許容誤差
+   * @param {number} cornerThreshold - 角とみなす曲がり角度（度）
+   * @param {boolean} curveFitting - ベジェ曲線で滑らかにする場合はtrue
+   * @returns {Object} 曲線 {start, segments}
+   * @private
+   */
+  function fitChain(chain, simplification, cornerThreshold, curveFitting) {
+    // 曲線化する場合は、階段状の段差が直線になる辺の中点の列を使用する
+    let points;
+    if (chain.closed) {
+      points = curveFitting ? chain.midpoints : chain.points;
+    } else {
+      points = curveFitting ?
+        [chain.points[0]].concat(chain.midpoints, [chain.points[chain.points.length - 1]]) :
+        chain.points;
+    }
+    
+    if (chain.closed) {
+      points = simplifyClosedPath(points, simplification);
+    } else if (chain.start === chain.end) {
+      // 同じ分岐点に戻るチェーンは、閉じた輪郭として単純化してから端点を付け直す
+      points = simplifyClosedPath(points.slice(0, -1), simplification).concat([points[0]]);
+    } else {
+      points = simplifyPath(points, simplification);
+    }
+    
+    if (curveFitting && points.length >= 3) {
+      return fitBezierSegments(points, chain.closed, cornerThreshold);
+    }
+    
+    const segments = points.slice(1).map(point => ({ type: 'L', end: point }));
+    if (chain.closed) {
+      segments.push({ type: 'L', end: points[0] });
+    }
+    
+    return { start: points[0], segments: segments };
   }
 
   /**
@@ -561,6 +1037,39 @@ const SVGLayerGenerator = (function() {
     return simplified;
   }
 
+  /**
+   * 閉じた輪郭を単純化する
+   * 始点と、始点から最も遠い点で輪郭を2つに分けてそれぞれ単純化します
+   * 単純化によって面積がなくなる場合は元の点をそのまま返します
+   * @param {Array} points - 閉じた輪郭の点の配列（終点は始点と重複させない）
+   * @param {number} tolerance - 単純化の許容誤差
+   * @returns {Array} 単純化された点の配列
+   */
+  function simplifyClosedPath(points, tolerance) {
+    if (points.length <= 3) return points;
+    
+    const first = points[0];
+    let farthest = 1;
+    let maxDistance = 0;
+    
+    for (let i = 1; i < points.length; i++) {
+      const dx = points[i].x - first.x;
+      const dy = points[i].y - first.y;
+      const distance = dx * dx + dy * dy;
+      
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        farthest = i;
+      }
+    }
+    
+    const firstHalf = simplifyPath(points.slice(0, farthest + 1), tolerance);
+    const secondHalf = simplifyPath(points.slice(farthest).concat([first]), tolerance);
+    const simplified = firstHalf.concat(secondHalf.slice(1, -1));
+    
+    return simplified.length >= 3 ? simplified : points;
+  }
+
   /**
    * Douglas-Peucker アルゴリズムによるパス単純化の実装
    * @param {Array} points - 点の配列
@@ -635,16 +1144,25 @@ const SVGLayerGenerator = (function() {
 
   /**
    * 輪郭からSVGパスデータ文字列を生成
+   * curveFittingが有効な場合は、角以外の頂点を3次ベジェ曲線で滑らかにつなぎます
    * @param {Array} contour - 輪郭点の配列
+   * @param {Object} options - 曲線化オプション {cornerThreshold, curveFitting}
    * @returns {string} SVGパスデータ文字列
    */
-  function contourToPathData(contour) {
-    if (contour.length === 0) return '';
+  function contourToPathData(contour, options = {}) {
+    const points = removeDuplicatePoints(contour);
+    if (points.length === 0) return '';
     
-    let pathData = `M ${contour[0].x},${contour[0].y}`;
+    const curveFitting = options.curveFitting !== undefined ? options.curveFitting : DEFAULT_EDGE_OPTIONS.curveFitting;
     
-    for (let i = 1; i < contour.length; i++) {
-      pathData += ` L ${contour[i].x},${contour[i].y}`;
+    if (curveFitting && points.length >= 3) {
+      return fitBezierPath(points, options.cornerThreshold || DEFAULT_EDGE_OPTIONS.cornerThreshold);
+    }
+    
+    let pathData = `M ${formatPoint(points[0])}`;
+    
+    for (let i = 1; i < points.length; i++) {
+      pathData += ` L ${formatPoint(points[i])}`;
     }
     
     // 閉じたパスにする
@@ -653,6 +1171,238 @@ const SVGLayerGenerator = (function() {
     return pathData;
   }
 
+  /**
+   * 折れ線から線（stroke）で描画するためのSVGパスデータ文字列を生成
+   * 単純化したうえで、curveFittingが有効な場合は両端を動かさずに3次ベジェ曲線で滑らかにします
+   * @param {Array} points - 点の配列
+   * @param {boolean} closed - 閉じた折れ線として扱う場合はtrue
+   * @param {Object} options - パス生成オプション {simplification, cornerThreshold, curveFitting}
+   * @returns {string} SVGパスデータ文字列（開いた折れ線は Z で閉じません）
+   */
+  function polylineToPathData(points, closed, options = {}) {
+    const simplification = options.simplification || DEFAULT_EDGE_OPTIONS.simplification;
+    const cornerThreshold = options.cornerThreshold || DEFAULT_EDGE_OPTIONS.cornerThreshold;
+    const curveFitting = options.curveFitting !== undefined ? options.curveFitting : DEFAULT_EDGE_OPTIONS.curveFitting;
+    
+    let source = points.filter((point, i) =>
+      i === 0 || point.x !== points[i - 1].x || point.y !== points[i - 1].y);
+    if (source.length === 0) return '';
+    
+    // 1点だけの場合は長さ0の線にする（線端を丸めると点として描画される）
+    if (source.length === 1) {
+      return `M ${formatPoint(source[0])} L ${formatPoint(source[0])}`;
+    }
+    
+    const first = source[0];
+    const last = source[source.length - 1];
+    const returnsToStart = first.x === last.x && first.y === last.y;
+    
+    if (closed) {
+      source = simplifyClosedPath(returnsToStart ? source.slice(0, -1) : source, simplification);
+    } else if (returnsToStart && source.length > 3) {
+      // 同じ点に戻る折れ線は、閉じた輪郭として単純化してから端点を付け直す
+      source = simplifyClosedPath(source.slice(0, -1), simplification).concat([first]);
+    } else {
+      source = simplifyPath(source, simplification);
+    }
+    
+    const close = closed ? ' Z' : '';
+    
+    if (curveFitting && source.length >= 3) {
+      const curve = fitBezierSegments(source, closed, cornerThreshold);
+      return `M ${formatPoint(curve.start)}${segmentsToPathData(curve.segments)}${close}`;
+    }
+    
+    return `M ${formatPoint(source[0])}` +
+      source.slice(1).map(point => ` L ${formatPoint(point)}`).join('') + close;
+  }
+
+  /**
+   * 閉じた多角形を3次ベジェ曲線のパスに変換する
+   * @param {Array} points - 多角形の頂点の配列
+   * @param {number} cornerThreshold - 角とみなす曲がり角度（度）
+   * @returns {string} SVGパスデータ文字列
+   */
+  function fitBezierPath(points, cornerThreshold) {
+    const curve = fitBezierSegments(points, true, cornerThreshold);
+    return `M ${formatPoint(curve.start)}${segmentsToPathData(curve.segments)} Z`;
+  }
+
+  /**
+   * 折れ線を3次ベジェ曲線のセグメント列に変換する
+   * 各辺の中点を通り、頂点を制御点とする曲線（2次Bスプラインと同じ形）でつなぎ、
+   * 角と判定した頂点では直線で頂点を経由します。
+   * 開いた折れ線の場合は、両端の点を動かさずに曲線化します。
+   * @param {Array} points - 頂点の配列
+   * @param {boolean} closed - 閉じた多角形として扱う場合はtrue
+   * @param {number} cornerThreshold - 角とみなす曲がり角度（度）
+   * @returns {Object} 曲線 {start: 始点, segments: [{type: 'L'|'C', c1, c2, end}]}
+   */
+  function fitBezierSegments(points, closed, cornerThreshold) {
+    const n = points.length;
+    const segments = [];
+    
+    if (!closed && n < 3) {
+      return { start: points[0], segments: points.slice(1).map(point => ({ type: 'L', end: point })) };
+    }
+    
+    const edgeCount = closed ? n : n - 1;
+    const midpoints = [];
+    for (let i = 0; i < edgeCount; i++) {
+      midpoints.push(interpolatePoint(points[i], points[(i + 1) % n], 0.5));
+    }
+    
+    const appendVertex = (i, start, end) => {
+      const prev = points[(i - 1 + n) % n];
+      const current = points[i];
+      const next = points[(i + 1) % n];
+      
+      if (isCornerPoint(prev, current, next, cornerThreshold)) {
+        segments.push({ type: 'L', end: current }, { type: 'L', end: end });
+      } else {
+        // 2次ベジェ（制御点は頂点）を3次ベジェで表現
+        segments.push({
+          type: 'C',
+          c1: interpolatePoint(start, current, 2 / 3),
+          c2: interpolatePoint(end, current, 2 / 3),
+          end: end
+        });
+      }
+    };
+    
+    if (closed) {
+      // 最後の辺の中点から開始
+      for (let i = 0; i < n; i++) {
+        appendVertex(i, midpoints[(i - 1 + n) % n], midpoints[i]);
+      }
+      return { start: midpoints[n - 1], segments: segments };
+    }
+    
+    segments.push({ type: 'L', end: midpoints[0] });
+    for (let i = 1; i < n - 1; i++) {
+      appendVertex(i, midpoints[i - 1], midpoints[i]);
+    }
+    segments.push({ type: 'L', end: points[n - 1] });
+    
+    return { start: points[0], segments: segments };
+  }
+
+  /**
+   * 曲線の向きを反転する
+   * @param {Object} curve - fitBezierSegmentsで作成した曲線
+   * @returns {Object} 逆向きの曲線
+   */
+  function reverseSegments(curve) {
+    const segments = curve.segments;
+    const reversed = [];
+    
+    for (let i = segments.length - 1; i >= 0; i--) {
+      const segment = segments[i];
+      const start = i > 0 ? segments[i - 1].end : curve.start;
+      
+      reversed.push(segment.type === 'C' ?
+        { type: 'C', c1: segment.c2, c2: segment.c1, end: start } :
+        { type: 'L', end: start });
+    }
+    
+    return {
+      start: segments.length > 0 ? segments[segments.length - 1].end : curve.start,
+      segments: reversed
+    };
+  }
+
+  /**
+   * セグメント列をSVGパスデータの文字列にする（始点のMは含まない）
+   * @param {Array} segments - セグメントの配列
+   * @returns {string} パスデータ文字列
+   */
+  function segmentsToPathData(segments) {
+    let pathData = '';
+    
+    for (const segment of segments) {
+      pathData += segment.type === 'C' ?
+        ` C ${formatPoint(segment.c1)} ${formatPoint(segment.c2)} ${formatPoint(segment.end)}` :
+        ` L ${formatPoint(segment.end)}`;
+    }
+    
+    return pathData;
+  }
+
+  /**
+   * 頂点が角かどうかを判定する
+   * 曲がる角度が閾値以上で、かつ前後の辺が十分に長い場合に角とみなします
+   * （短い辺に挟まれた頂点はピクセルの階段状の段差として滑らかにします）
+   * @param {Object} prev - 前の頂点
+   * @param {Object} current - 判定する頂点
+   * @param {Object} next - 次の頂点
+   * @param {number} cornerThreshold - 角とみなす曲がり角度（度）
+   * @returns {boolean} 角であればtrue
+   */
+  function isCornerPoint(prev, current, next, cornerThreshold) {
+    const MIN_CORNER_EDGE_LENGTH = 2;
+    
+    const ax = current.x - prev.x;
+    const ay = current.y - prev.y;
+    const bx = next.x - current.x;
+    const by = next.y - current.y;
+    const lengthA = Math.sqrt(ax * ax + ay * ay);
+    const lengthB = Math.sqrt(bx * bx + by * by);
+    
+    if (lengthA === 0 || lengthB === 0) return true;
+    if (lengthA < MIN_CORNER_EDGE_LENGTH || lengthB < MIN_CORNER_EDGE_LENGTH) return false;
+    
+    const cos = Math.max(-1, Math.min(1, (ax * bx + ay * by) / (lengthA * lengthB)));
+    const turnAngle = Math.acos(cos) * 180 / Math.PI;
+    
+    return turnAngle >= cornerThreshold;
+  }
+
+  /**
+   * 2点間を線形補間した点を返す
+   * @param {Object} a - 始点
+   * @param {Object} b - 終点
+   * @param {number} t - 補間係数（0でa、1でb）
+   * @returns {Object} 補間した点
+   */
+  function interpolatePoint(a, b, t) {
+    return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+  }
+
+  /**
+   * 連続する重複点と、始点と重なる終点を取り除く
+   * @param {Array} points - 点の配列
+   * @returns {Array} 重複を除いた点の配列
+   */
+  function removeDuplicatePoints(points) {
+    const result = [];
+    
+    for (const point of points) {
+      const last = result[result.length - 1];
+      if (!last || last.x !== point.x || last.y !== point.y) {
+        result.push(point);
+      }
+    }
+    
+    if (result.length > 1) {
+      const first = result[0];
+      const last = result[result.length - 1];
+      if (first.x === last.x && first.y === last.y) {
+        result.pop();
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * 座標をパスデータ用の文字列にする（小数点以下2桁まで）
+   * @param {Object} point - 点の座標
+   * @returns {string} "x,y" 形式の文字列
+   */
+  function formatPoint(point) {
+    return `${Math.round(point.x * 100) / 100},${Math.round(point.y * 100) / 100}`;
+  }
+
   /**
    * RGB値から16進数カラーコードを生成
    * @param {number} r - 赤成分 (0-255)
@@ -740,8 +1490,8 @@ const SVGLayerGenerator = (function() {
       for (let j = 0; j < paths.length; j++) {
         const pathId = `${layerName}_path_${j + 1}`;
         const pathAttrs = layerOptions.strokeWidth > 0 
-          ? ` id="${pathId}" stroke="black" stroke-width="${layerOptions.strokeWidth}" fill="${color.hex}"`
-          : ` id="${pathId}" fill="${color.hex}"`;
+          ? ` id="${pathId}" stroke="black" stroke-width="${layerOptions.strokeWidth}" fill="${color.hex}" fill-rule="evenodd"`
+          : ` id="${pathId}" fill="${color.hex}" fill-rule="evenodd"`;
         
         svgParts.push(`      <path${pathAttrs} d="${paths[j]}"/>`);
       }
@@ -872,8 +1622,8 @@ const SVGLayerGenerator = (function() {
           const pathId = `${layerId}_path_${j + 1}`;
           const pathData = layer.paths[j];
           const pathAttrs = layerOptions.strokeWidth > 0 
-            ? ` id="${pathId}" stroke="black" stroke-width="${layerOptions.strokeWidth}" fill="${layerColor}"`
-            : ` id="${pathId}" fill="${layerColor}"`;
+            ? ` id="${pathId}" stroke="black" stroke-width="${layerOptions.strokeWidth}" fill="${layerColor}" fill-rule="evenodd"`
+            : ` id="${pathId}" fill="${layerColor}" fill-rule="evenodd"`;
           
           svgParts.push(`      <path${pathAttrs} d="${pathData}"/>`);
         }
@@ -989,6 +1739,9 @@ const SVGLayerGenerator = (function() {
     const layers = [];
     
     layerGroups.forEach((group, index) => {
+      // ドキュメントのルートグループはレイヤーとして扱わない
+      if (group.getAttribute('data-photopea-root') === 'true') return;
+      
       const id = group.getAttribute('id');
       const name = group.getAttribute('data-layer-name') || 
                   group.getAttribute('data-name') || 
@@ -996,7 +1749,7 @@ const SVGLayerGenerator = (function() {
                   `レイヤー ${index + 1}`;
       
       // 色の取得
-      let color = '#000000';
+      let color = group.getAttribute('fill') || '#000000';
       const style = group.getAttribute('style');
       if (style) {
         const fillMatch = style.match(/fill:\s*([^;]+)/);
@@ -1021,6 +1774,8 @@ const SVGLayerGenerator = (function() {
         name: name,
         color: color,
         visible: true,
+        locked: group.getAttribute('data-locked') === 'true',
+        opacity: group.hasAttribute('fill-opacity') ? parseFloat(group.getAttribute('fill-opacity')) : 1,
         group: group.outerHTML
       });
     });
@@ -1037,6 +1792,9 @@ const SVGLayerGenerator = (function() {
     // 新たに公開する内部API
     extractColorAndEdgeInfo: extractColorAndEdgeInfo,
     generatePathsFromColorMap: generatePathsFromColorMap,
+    contourToPathData: contourToPathData,
+    polylineToPathData: polylineToPathData,
+    traceLabelMap: traceLabelMap,
     quantizeColors: quantizeColors,
     createColorMaps: createColorMaps,
     
@@ -1047,5 +1805,9 @@ const SVGLayerGenerator = (function() {
   };
 })();
 
-// グローバルスコープに公開
-window.SVGLayerGenerator = SVGLayerGenerator; 
\ No newline at end of file
+// グローバルスコープに公開（Node.jsではmodule.exportsとして公開）
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SVGLayerGenerator;
+} else {
+  globalThis.SVGLayerGenerator = SVGLayerGenerator;
+}
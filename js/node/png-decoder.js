@@ -0,0 +1,270 @@
+/**
+ * @module PngDecoder
+ * @description Node.js用のPNGデコーダー
+ * @version 4.0.0
+ * @license MIT
+ *
+ * PNGファイルをImageTracerEngineが受け取れるRGBAピクセル（Uint8ClampedArray）に展開します。
+ * 外部パッケージに依存せず、Node.js標準のzlibのみを使用します。
+ * すべてのカラータイプ・ビット深度・透過色（tRNS）・インターレース（Adam7）に対応しています。
+ */
+
+'use strict';
+
+const zlib = require('zlib');
+
+// PngDecoderを定義
+const PngDecoder = (function() {
+  const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  // カラータイプごとのチャンネル数
+  const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+  // Adam7インターレースの各パス [開始X, 開始Y, X間隔, Y間隔]
+  const ADAM7_PASSES = [
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+  ];
+
+  /**
+   * バッファがPNG形式かどうかを判定します
+   * @param {Buffer} buffer - ファイルの内容
+   * @returns {boolean} PNG形式であればtrue
+   */
+  function isPNG(buffer) {
+    return buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE);
+  }
+
+  /**
+   * PNGファイルをRGBAピクセルに展開します
+   * @param {Buffer} buffer - PNGファイルの内容
+   * @returns {Object} 画像データ {width, height, data: Uint8ClampedArray}
+   */
+  function decode(buffer) {
+    if (!isPNG(buffer)) {
+      throw new Error('PNG形式のファイルではありません');
+    }
+
+    const png = readChunks(buffer);
+
+    if (!CHANNELS[png.colorType]) {
+      throw new Error(`未対応のカラータイプです: ${png.colorType}`);
+    }
+    if (png.colorType === 3 && !png.palette) {
+      throw new Error('パレット（PLTE）チャンクがありません');
+    }
+
+    let raw;
+    try {
+      raw = zlib.inflateSync(Buffer.concat(png.idat));
+    } catch (error) {
+      throw new Error('画像データの展開に失敗しました: ' + error.message);
+    }
+
+    const data = new Uint8ClampedArray(png.width * png.height * 4);
+    const passes = png.interlace === 1 ? ADAM7_PASSES : [[0, 0, 1, 1]];
+    let offset = 0;
+
+    for (const [startX, startY, stepX, stepY] of passes) {
+      const passWidth = Math.ceil((png.width - startX) / stepX);
+      const passHeight = Math.ceil((png.height - startY) / stepY);
+      if (passWidth <= 0 || passHeight <= 0) continue;
+
+      const rows = unfilter(raw, offset, passWidth, passHeight, png);
+      offset += rows.consumed;
+
+      for (let y = 0; y < passHeight; y++) {
+        for (let x = 0; x < passWidth; x++) {
+          const target = ((startY + y * stepY) * png.width + startX + x * stepX) * 4;
+          writePixel(rows.lines[y], x, png, data, target);
+        }
+      }
+    }
+
+    return { width: png.width, height: png.height, data: data };
+  }
+
+  /**
+   * チャンクを読み込んでヘッダー情報と画像データを集めます
+   * @private
+   */
+  function readChunks(buffer) {
+    const png = { idat: [] };
+    let pos = 8;
+
+    while (pos + 8 <= buffer.length) {
+      const length = buffer.readUInt32BE(pos);
+      const type = buffer.toString('ascii', pos + 4, pos + 8);
+      const body = buffer.subarray(pos + 8, pos + 8 + length);
+
+      if (body.length !== length) {
+        throw new Error(`${type}チャンクが途中で切れています`);
+      }
+
+      switch (type) {
+        case 'IHDR':
+          png.width = body.readUInt32BE(0);
+          png.height = body.readUInt32BE(4);
+          png.bitDepth = body[8];
+          png.colorType = body[9];
+          png.interlace = body[12];
+          break;
+        case 'PLTE':
+          png.palette = body;
+          break;
+        case 'tRNS':
+          png.transparency = body;
+          break;
+        case 'IDAT':
+          png.idat.push(body);
+          break;
+      }
+
+      if (type === 'IEND') break;
+      pos += 12 + length;
+    }
+
+    if (!png.width || !png.height) {
+      throw new Error('IHDRチャンクが見つかりません');
+    }
+    if (png.idat.length === 0) {
+      throw new Error('画像データ（IDAT）がありません');
+    }
+
+    return png;
+  }
+
+  /**
+   * スキャンラインのフィルタを解除します
+   * @private
+   */
+  function unfilter(raw, offset, width, height, png) {
+    const bitsPerPixel = CHANNELS[png.colorType] * png.bitDepth;
+    const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+    const stride = Math.ceil((width * bitsPerPixel) / 8);
+    const lines = [];
+    let previous = new Uint8Array(stride);
+
+    if (raw.length < offset + height * (stride + 1)) {
+      throw new Error('画像データが不足しています');
+    }
+
+    for (let y = 0; y < height; y++) {
+      const start = offset + y * (stride + 1);
+      const filterType = raw[start];
+      const line = Uint8Array.from(raw.subarray(start + 1, start + 1 + stride));
+
+      for (let i = 0; i < stride; i++) {
+        const left = i >= bytesPerPixel ? line[i - bytesPerPixel] : 0;
+        const up = previous[i];
+        const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+
+        switch (filterType) {
+          case 0: break;
+          case 1: line[i] = line[i] + left; break;
+          case 2: line[i] = line[i] + up; break;
+          case 3: line[i] = line[i] + ((left + up) >> 1); break;
+          case 4: line[i] = line[i] + paeth(left, up, upLeft); break;
+          default:
+            throw new Error(`不明なフィルタタイプです: ${filterType}`);
+        }
+      }
+
+      lines.push(line);
+      previous = line;
+    }
+
+    return { lines: lines, consumed: height * (stride + 1) };
+  }
+
+  /**
+   * Paeth予測子
+   * @private
+   */
+  function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+
+    if (pa <= pb && pa <= pc) return a;
+    if (pb <= pc) return b;
+    return c;
+  }
+
+  /**
+   * スキャンラインから指定チャンネルの生の値を読み出します
+   * @private
+   */
+  function readSample(line, index, bitDepth) {
+    if (bitDepth === 8) return line[index];
+    if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+
+    const bitOffset = index * bitDepth;
+    const shift = 8 - bitDepth - (bitOffset & 7);
+    return (line[bitOffset >> 3] >> shift) & ((1 << bitDepth) - 1);
+  }
+
+  /**
+   * 1ピクセルをRGBA（8ビット）として書き込みます
+   * @private
+   */
+  function writePixel(line, x, png, data, target) {
+    const { bitDepth, colorType, transparency } = png;
+    const channels = CHANNELS[colorType];
+    const max = (1 << bitDepth) - 1;
+    const to8 = value => bitDepth === 16 ? value >> 8 : Math.round((value * 255) / max);
+    const sample = channel => readSample(line, x * channels + channel, bitDepth);
+
+    switch (colorType) {
+      case 0: {
+        const gray = sample(0);
+        const alpha = transparency && transparency.length >= 2 &&
+          gray === transparency.readUInt16BE(0) ? 0 : 255;
+        data[target] = data[target + 1] = data[target + 2] = to8(gray);
+        data[target + 3] = alpha;
+        break;
+      }
+      case 2: {
+        const r = sample(0);
+        const g = sample(1);
+        const b = sample(2);
+        const transparent = transparency && transparency.length >= 6 &&
+          r === transparency.readUInt16BE(0) &&
+          g === transparency.readUInt16BE(2) &&
+          b === transparency.readUInt16BE(4);
+        data[target] = to8(r);
+        data[target + 1] = to8(g);
+        data[target + 2] = to8(b);
+        data[target + 3] = transparent ? 0 : 255;
+        break;
+      }
+      case 3: {
+        const index = sample(0);
+        data[target] = png.palette[index * 3];
+        data[target + 1] = png.palette[index * 3 + 1];
+        data[target + 2] = png.palette[index * 3 + 2];
+        data[target + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        break;
+      }
+      case 4:
+        data[target] = data[target + 1] = data[target + 2] = to8(sample(0));
+        data[target + 3] = to8(sample(1));
+        break;
+      case 6:
+        data[target] = to8(sample(0));
+        data[target + 1] = to8(sample(1));
+        data[target + 2] = to8(sample(2));
+        data[target + 3] = to8(sample(3));
+        break;
+    }
+  }
+
+  // 公開API
+  return {
+    isPNG: isPNG,
+    decode: decode
+  };
+})();
+
+module.exports = PngDecoder;
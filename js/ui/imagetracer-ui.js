@@ -214,24 +214,35 @@ window.ImageTracerUI = (function() {
    * SVGデータをダウンロードします
    * @param {string} svgData - SVGデータ文字列
    * @param {string} filename - ダウンロードするファイル名
+   * @param {string} [format='svg'] - 保存する形式（'svg'、'pdf'、'eps'、'dxf'、'hpgl'）。
+   *   PDF・EPSはImageTracerVectorExport、DXF・HPGLはImageTracerPlotterExportで変換します
    */
-  function downloadSVG(svgData, filename) {
+  function downloadSVG(svgData, filename, format = 'svg') {
     if (!svgData) {
       showError('SVGデータがありません', true);
       return;
     }
     
-    // ファイル名が指定されていない場合はデフォルト名を使用
-    const downloadFilename = filename || 'svgwizard-export.svg';
-    
     try {
       // SVG文字列を正しい形式に変換
       if (!svgData.startsWith('<?xml') && !svgData.startsWith('<svg')) {
         svgData = '<svg xmlns="http://www.w3.org/2000/svg">' + svgData + '</svg>';
       }
       
-      // Blobを作成
-      const blob = new Blob([svgData], { type: 'image/svg+xml' });
+      // Blobを作成（PDF・EPS・DXF・HPGLの場合は変換したデータ）
+      let blob;
+      let extension = '.svg';
+      if (format === 'svg') {
+        blob = new Blob([svgData], { type: 'image/svg+xml' });
+      } else {
+        const exporter = format === 'dxf' || format === 'hpgl' ? ImageTracerPlotterExport : ImageTracerVectorExport;
+        const exported = exporter.convert(svgData, format);
+        blob = new Blob([exported.data], { type: exported.mimeType });
+        extension = exported.extension;
+      }
+      
+      // ファイル名が指定されていない場合はデフォルト名を使用
+      const downloadFilename = filename || 'svgwizard-export' + extension;
       
       // ダウンロードリンクを作成
       const link = document.createElement('a');
@@ -248,7 +259,7 @@ window.ImageTracerUI = (function() {
         URL.revokeObjectURL(link.href);
       }, 100);
     } catch (error) {
-      showError('SVGのダウンロード中にエラーが発生しました: ' + error.message, true);
+      showError('ダウンロード中にエラーが発生しました: ' + error.message, true);
     }
   }
   
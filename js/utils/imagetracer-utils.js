@@ -294,6 +294,40 @@
     return { canvas, ctx };
   };
   
+  /**
+   * SVGを指定サイズのキャンバスに描画します
+   * 品質評価・設定の比較・画像の書き出しで共通して使用します
+   * @param {string} svgData - SVGデータ文字列
+   * @param {number} width - 描画する幅
+   * @param {number} height - 描画する高さ
+   * @param {string} [background] - 背景色（省略時は透明）
+   * @returns {Promise<HTMLCanvasElement>} SVGを描画したキャンバス
+   */
+  window.ImageTracerUtils.rasterizeSvg = function(svgData, width, height, background) {
+    return new Promise((resolve, reject) => {
+      const url = URL.createObjectURL(new Blob([svgData], { type: 'image/svg+xml' }));
+      const img = new Image();
+      
+      img.onload = function() {
+        URL.revokeObjectURL(url);
+        const { canvas, ctx } = window.ImageTracerUtils.createTempCanvas(width, height);
+        if (background) {
+          ctx.fillStyle = background;
+          ctx.fillRect(0, 0, width, height);
+        }
+        ctx.drawImage(img, 0, 0, width, height);
+        resolve(canvas);
+      };
+      
+      img.onerror = function() {
+        URL.revokeObjectURL(url);
+        reject(new Error('SVGの描画に失敗しました'));
+      };
+      
+      img.src = url;
+    });
+  };
+  
   /**
    * パフォーマンス測定のためのシンプルなタイマーを作成します
    * @returns {Object} タイマーオブジェクト
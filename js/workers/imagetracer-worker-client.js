@@ -0,0 +1,291 @@
+/**
+ * @module ImageTracerWorkerClient
+ * @description 変換用Web Worker（imagetracer-worker.js）を操作するメインスレッド側のクライアント
+ * @version 4.0.0
+ * @license MIT
+ *
+ * 変換をWorkerで実行し、進捗をコールバックで通知します。変換中に cancel() を呼ぶと
+ * Workerを終了して処理を中断し、変換のPromiseはキャンセルエラーで拒否されます。
+ * 次の変換では新しいWorkerが作成されます。
+ *
+ * 1つのクライアントで同時に実行できる変換は1つです。複数の変換を並列に実行する場合は
+ * create() でクライアントを作成します（クライアントごとに別のWorkerを使用します）。
+ *
+ * 使用例:
+ *   ImageTracerWorkerClient.convert(file, options, (stage, percent) => updateProgressUI(stage, percent))
+ *     .then(result => console.log(result.svgData))
+ *     .catch(error => { if (ImageTracerWorkerClient.isCancelError(error)) { ... } });
+ *
+ *   const client = ImageTracerWorkerClient.create();
+ *   client.convert(file, options).then(result => { ... });
+ */
+
+// ImageTracerWorkerClientを定義
+const ImageTracerWorkerClient = (function() {
+  'use strict';
+
+  // Workerスクリプトのパス（このスクリプトと同じディレクトリ）
+  const WORKER_URL = document.currentScript ?
+    new URL('imagetracer-worker.js', document.currentScript.src).href :
+    'js/workers/imagetracer-worker.js';
+
+  let nextId = 1; // 変換ID（すべてのクライアントで一意）
+
+  /**
+   * Web Workerを利用できるか確認します
+   * @returns {boolean} 利用できればtrue
+   */
+  function isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * キャンセルエラーを作成します
+   * @private
+   */
+  function createCancelError() {
+    const error = new Error('変換がキャンセルされました');
+    error.name = 'AbortError';
+    return error;
+  }
+
+  /**
+   * エラーがキャンセルによるものか判定します
+   * @param {Error} error - エラー
+   * @returns {boolean} キャンセルによるエラーであればtrue
+   */
+  function isCancelError(error) {
+    return !!error && error.name === 'AbortError';
+  }
+
+  /**
+   * Workerに渡せるようにオプションから関数（とログの出力先 logger）を取り除きます
+   * @private
+   */
+  function toTransferableOptions(options) {
+    const result = {};
+
+    Object.keys(options || {}).forEach(key => {
+      if (typeof options[key] !== 'function' && key !== 'logger') {
+        result[key] = options[key];
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 画像ファイルをメインスレッドで読み込みます（WorkerでOffscreenCanvasが使えない場合）
+   * @private
+   */
+  function loadImageData(file, maxSize) {
+    return new Promise((resolve, reject) => {
+      const objectURL = URL.createObjectURL(file);
+      const img = new Image();
+
+      img.onload = function() {
+        try {
+          const { width, height } = SVGLayerAdapter.getResizedDimensions(img.naturalWidth, img.naturalHeight, maxSize);
+          const canvas = document.createElement('canvas');
+          canvas.width = width;
+          canvas.height = height;
+
+          const ctx = canvas.getContext('2d');
+          ctx.drawImage(img, 0, 0, width, height);
+          resolve(ctx.getImageData(0, 0, width, height));
+        } catch (error) {
+          reject(error);
+        } finally {
+          URL.revokeObjectURL(objectURL);
+        }
+      };
+
+      img.onerror = function() {
+        URL.revokeObjectURL(objectURL);
+        reject(new Error('画像の読み込みに失敗しました'));
+      };
+
+      img.src = objectURL;
+    });
+  }
+
+  /**
+   * Workerクライアントを作成します
+   * クライアントごとに専用のWorkerを使用するため、複数のクライアントで変換を並列に実行できます
+   * @returns {Object} クライアント {convert, cancel, isBusy, dispose}
+   */
+  function createClient() {
+    let worker = null;
+    let pending = null; // 実行中の変換 {id, resolve, reject, progressCallback}
+
+    /**
+     * Workerを取得します（未作成であれば作成）
+     * @private
+     */
+    function getWorker() {
+      if (worker) return worker;
+
+      worker = new Worker(WORKER_URL);
+      worker.onmessage = handleMessage;
+      worker.onerror = function(event) {
+        event.preventDefault();
+        console.error('Workerでエラーが発生しました:', event.message);
+        terminateWorker();
+        settle(null, new Error('Workerでエラーが発生しました: ' + (event.message || '不明なエラー')));
+      };
+
+      return worker;
+    }
+
+    /**
+     * Workerを終了します
+     * @private
+     */
+    function terminateWorker() {
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+    }
+
+    /**
+     * 実行中の変換を完了させます
+     * @private
+     */
+    function settle(result, error) {
+      if (!pending) return;
+
+      const task = pending;
+      pending = null;
+
+      if (error) {
+        task.reject(error);
+      } else {
+        task.resolve(result);
+      }
+    }
+
+    /**
+     * Workerからのメッセージを処理します
+     * @private
+     */
+    function handleMessage(event) {
+      const message = event.data || {};
+
+      // キャンセル済みの変換など、古いメッセージは無視
+      if (!pending || message.id !== pending.id) return;
+
+      switch (message.type) {
+        case 'progress':
+          if (typeof pending.progressCallback === 'function') {
+            pending.progressCallback(message.stage, message.percent);
+          }
+          break;
+        case 'result':
+          settle({ svgData: message.svgData, layerCount: message.layerCount }, null);
+          break;
+        case 'error':
+          settle(null, new Error(message.message));
+          break;
+      }
+    }
+
+    /**
+     * 画像ファイルをWorkerでSVGに変換します
+     * 前の変換が実行中の場合はキャンセルしてから開始します
+     * @param {File} file - 画像ファイル
+     * @param {Object} options - 変換オプション（関数は除外して送信）
+     * @param {Function} progressCallback - 進捗コールバック関数(stage, percent)
+     * @returns {Promise<Object>} 変換結果 {svgData, layerCount}
+     */
+    function convert(file, options, progressCallback) {
+      cancel();
+
+      return new Promise((resolve, reject) => {
+        const id = nextId++;
+        const transferableOptions = toTransferableOptions(options);
+
+        pending = { id: id, resolve: resolve, reject: reject, progressCallback: progressCallback };
+
+        try {
+          const target = getWorker();
+
+          if (typeof OffscreenCanvas !== 'undefined') {
+            target.postMessage({ type: 'convert', id: id, file: file, options: transferableOptions });
+            return;
+          }
+
+          // OffscreenCanvasに対応していない場合は、読み込みのみメインスレッドで行う
+          loadImageData(file, transferableOptions.maxImageSize || 2000)
+            .then(imageData => {
+              if (!pending || pending.id !== id) return;
+              target.postMessage(
+                { type: 'convert', id: id, imageData: imageData, options: transferableOptions },
+                [imageData.data.buffer]
+              );
+            })
+            .catch(error => {
+              if (pending && pending.id === id) settle(null, error);
+            });
+        } catch (error) {
+          console.error('Workerの起動に失敗しました:', error);
+          terminateWorker();
+          settle(null, error);
+        }
+      });
+    }
+
+    /**
+     * 実行中の変換をキャンセルします
+     * @returns {boolean} キャンセルした変換があればtrue
+     */
+    function cancel() {
+      if (!pending) return false;
+
+      // 同期処理中のWorkerは終了させる以外に止める方法がないため、Workerごと破棄する
+      terminateWorker();
+      settle(null, createCancelError());
+
+      return true;
+    }
+
+    /**
+     * 変換を実行中か確認します
+     * @returns {boolean} 実行中であればtrue
+     */
+    function isBusy() {
+      return pending !== null;
+    }
+
+    /**
+     * 実行中の変換をキャンセルし、Workerを終了します（クライアントを使い終わったとき）
+     */
+    function dispose() {
+      cancel();
+      terminateWorker();
+    }
+
+    return {
+      convert: convert,
+      cancel: cancel,
+      isBusy: isBusy,
+      dispose: dispose
+    };
+  }
+
+  // 既定のクライアント
+  const defaultClient = createClient();
+
+  // 公開API
+  return {
+    isSupported: isSupported,
+    isCancelError: isCancelError,
+    create: createClient,
+    convert: defaultClient.convert,
+    cancel: defaultClient.cancel,
+    isBusy: defaultClient.isBusy
+  };
+})();
+
+// グローバルスコープに公開
+window.ImageTracerWorkerClient = ImageTracerWorkerClient;
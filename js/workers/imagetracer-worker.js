@@ -0,0 +1,97 @@
+/**
+ * @module ImageTracerWorker
+ * @description 画像→SVG変換をメインスレッドの外で実行するWeb Worker
+ * @version 4.0.0
+ * @license MIT
+ *
+ * 画像の読み込み（OffscreenCanvas）から量子化・トレース・SVG構築までをWorker内で行い、
+ * 進捗と結果をメッセージで返します。メインスレッドとのやり取りは
+ * ImageTracerWorkerClient（imagetracer-worker-client.js）が担当します。
+ *
+ * 受信メッセージ:
+ *   { type: 'convert', id, file, options }       - 画像ファイルをWorker内で読み込んで変換
+ *   { type: 'convert', id, imageData, options }  - 読み込み済みの画像データを変換
+ *
+ * 送信メッセージ:
+ *   { type: 'progress', id, stage, percent }
+ *   { type: 'result', id, svgData, layerCount }
+ *   { type: 'error', id, message }
+ */
+
+importScripts(
+  '../core/imagetracer-core.js',
+  '../layers/imagetracer-layers.js',
+  '../layers/svg-layer-generator.js',
+  '../core/imagetracer-potrace.js',
+  '../core/imagetracer-quantizer.js',
+  '../core/imagetracer-palette.js',
+  '../core/imagetracer-centerline.js',
+  '../core/imagetracer-threshold.js',
+  '../core/imagetracer-pixelart.js',
+  '../core/imagetracer-gradient.js',
+  '../core/imagetracer-segmentation.js',
+  '../core/imagetracer-engine.js',
+  '../layers/svg-layer-adapter.js'
+);
+
+/**
+ * 画像ファイルをOffscreenCanvasで読み込み、最大サイズに収めた画像データを返します
+ * @param {Blob} file - 画像ファイル
+ * @param {number} maxSize - 最大サイズ
+ * @returns {Promise<ImageData>} 画像データ
+ */
+async function loadImageData(file, maxSize) {
+  if (typeof createImageBitmap !== 'function' || typeof OffscreenCanvas === 'undefined') {
+    throw new Error('このブラウザはWorker内での画像読み込みに対応していません');
+  }
+
+  const bitmap = await createImageBitmap(file);
+
+  try {
+    const { width, height } = SVGLayerAdapter.getResizedDimensions(bitmap.width, bitmap.height, maxSize);
+    const canvas = new OffscreenCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+
+    ctx.drawImage(bitmap, 0, 0, bitmap.width, bitmap.height, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * 変換リクエストを処理します
+ * @param {Object} message - 受信メッセージ
+ */
+async function handleConvert(message) {
+  const { id } = message;
+  const options = Object.assign({}, message.options, {
+    progressCallback: function(stage, percent) {
+      self.postMessage({ type: 'progress', id: id, stage: stage, percent: percent });
+    }
+  });
+
+  try {
+    options.progressCallback('画像読み込み中', 10);
+
+    const imageData = message.imageData ||
+      await loadImageData(message.file, options.maxImageSize || 2000);
+
+    options.progressCallback('画像処理前準備', 20);
+
+    const result = SVGLayerAdapter.imageDataToSVG(imageData, options);
+
+    self.postMessage({ type: 'result', id: id, svgData: result.svgData, layerCount: result.layerCount });
+  } catch (error) {
+    console.error('Workerでの変換に失敗しました:', error);
+    self.postMessage({ type: 'error', id: id, message: error.message || String(error) });
+  }
+}
+
+self.onmessage = function(event) {
+  const message = event.data || {};
+
+  if (message.type === 'convert') {
+    handleConvert(message);
+  }
+};
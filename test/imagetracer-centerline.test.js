@@ -0,0 +1,76 @@
+/**
+ * ImageTracerCenterline のテスト
+ * 実行方法: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ImageTracerCenterline = require('../js/core/imagetracer-centerline.js');
+
+const WIDTH = 60;
+const HEIGHT = 60;
+
+/**
+ * 関数で2値マスクを作成します
+ */
+function createMask(isLine) {
+  const mask = new Uint8Array(WIDTH * HEIGHT);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      mask[y * WIDTH + x] = isLine(x, y) ? 1 : 0;
+    }
+  }
+  return mask;
+}
+
+/**
+ * 交差点で分かれた4本の線が、1つの分岐点から伸びていることを確認します
+ */
+function assertFourStrokesFromOneJunction(lines) {
+  assert.strictEqual(lines.length, 4, `線の数: ${lines.map(line => line.points.length).join(', ')}`);
+
+  const ends = lines.map(line => [line.points[0], line.points[line.points.length - 1]]);
+  const junction = ends[0].find(end => ends.every(pair => pair.some(point => point.x === end.x && point.y === end.y)));
+  assert.ok(junction, '4本の線の端が1点に集まっていません');
+
+  lines.forEach(line => {
+    assert.strictEqual(line.closed, false);
+    assert.ok(line.points.length > 15, `短い線があります（${line.points.length}点）`);
+  });
+}
+
+test('「+」の形は交差点から伸びる4本の線になる', () => {
+  for (const thickness of [2, 3, 4, 5]) {
+    const start = 30 - Math.floor(thickness / 2);
+    const end = start + thickness - 1;
+    const mask = createMask((x, y) =>
+      (y >= start && y <= end && x >= 5 && x <= 54) || (x >= start && x <= end && y >= 5 && y <= 54));
+
+    assertFourStrokesFromOneJunction(ImageTracerCenterline.trace(mask, WIDTH, HEIGHT).lines);
+  }
+});
+
+test('斜めに交わる「×」の形も、交差点のかたまりを1つの分岐点にまとめて4本の線になる', () => {
+  for (const thickness of [2, 4, 6]) {
+    const mask = createMask((x, y) => {
+      const inside = x >= 5 && x <= 54 && y >= 5 && y <= 54;
+      return inside && (Math.abs(x - y) <= thickness / 2 || Math.abs(x + y - 59) <= thickness / 2);
+    });
+
+    assertFourStrokesFromOneJunction(ImageTracerCenterline.trace(mask, WIDTH, HEIGHT).lines);
+  }
+});
+
+test('円は1本の閉じた線になり、半径のばらつきが小さい', () => {
+  const mask = createMask((x, y) => {
+    const distance = Math.hypot(x + 0.5 - 30, y + 0.5 - 30);
+    return distance >= 18 && distance <= 21;
+  });
+
+  const { lines } = ImageTracerCenterline.trace(mask, WIDTH, HEIGHT);
+  assert.strictEqual(lines.length, 1);
+  assert.strictEqual(lines[0].closed, true);
+
+  const radii = lines[0].points.map(point => Math.hypot(point.x - 30, point.y - 30));
+  assert.ok(Math.max(...radii) - Math.min(...radii) < 0.8, `半径: ${Math.min(...radii)}〜${Math.max(...radii)}`);
+});
@@ -0,0 +1,59 @@
+/**
+ * SVGLayerAdapter.imageDataToSVG のテスト
+ * 実行方法: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// アダプターはグローバル変数の ImageTracerEngine を使用し、globalThis.SVGLayerAdapter として公開される
+globalThis.ImageTracerEngine = require('../js/core/imagetracer-engine.js');
+require('../js/layers/svg-layer-adapter.js');
+const SVGLayerAdapter = globalThis.SVGLayerAdapter;
+
+/**
+ * 左から右に 0〜255 と明るくなるグレーの画像を作成します
+ */
+function createGrayRamp(width, height) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = data[i + 1] = data[i + 2] = x;
+      data[i + 3] = 255;
+    }
+  }
+  return { width: width, height: height, data: data };
+}
+
+/**
+ * SVGのパスデータに含まれるx座標の最大値を返します
+ */
+function maxPathX(svgData) {
+  const xs = [];
+  (svgData.match(/ d="[^"]*"/g) || []).forEach(attribute => {
+    (attribute.match(/-?\d+(?:\.\d+)?,-?\d+(?:\.\d+)?/g) || []).forEach(pair => xs.push(Number(pair.split(',')[0])));
+  });
+  return Math.max(...xs);
+}
+
+test('白黒モードは edgeThreshold ではなく threshold の値で2値化する', () => {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    for (const threshold of [64, 128, 192]) {
+      const { svgData } = SVGLayerAdapter.imageDataToSVG(createGrayRamp(256, 8), {
+        colorMode: 'bw',
+        thresholdMethod: 'global',
+        threshold: threshold,
+        edgeThreshold: 20,
+        simplify: 0.5
+      });
+
+      const right = maxPathX(svgData);
+      assert.ok(Math.abs(right - threshold) <= 4, `閾値${threshold}で黒い領域の右端が${right}になりました`);
+    }
+  } finally {
+    console.log = originalLog;
+  }
+});
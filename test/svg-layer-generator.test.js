@@ -0,0 +1,135 @@
+/**
+ * SVGLayerGenerator.traceLabelMap のテスト
+ * 実行方法: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SVGLayerGenerator = require('../js/layers/svg-layer-generator.js');
+
+/**
+ * パスデータ（M・L・C・Z）を折れ線の輪郭の配列にします
+ */
+function flattenPathData(pathData) {
+  const tokens = pathData.match(/[MLCZ]|-?\d+(?:\.\d+)?/g);
+  const rings = [];
+  let ring = null;
+  let current = null;
+  let i = 0;
+  const next = () => ({ x: Number(tokens[i++]), y: Number(tokens[i++]) });
+
+  while (i < tokens.length) {
+    const command = tokens[i++];
+    if (command === 'M') {
+      current = next();
+      ring = [current];
+      rings.push(ring);
+    } else if (command === 'L') {
+      current = next();
+      ring.push(current);
+    } else if (command === 'C') {
+      const c1 = next();
+      const c2 = next();
+      const end = next();
+      for (let step = 1; step <= 16; step++) {
+        const t = step / 16;
+        const s = 1 - t;
+        ring.push({
+          x: s * s * s * current.x + 3 * s * s * t * c1.x + 3 * s * t * t * c2.x + t * t * t * end.x,
+          y: s * s * s * current.y + 3 * s * s * t * c1.y + 3 * s * t * t * c2.y + t * t * t * end.y
+        });
+      }
+      current = end;
+    }
+  }
+
+  return rings;
+}
+
+/**
+ * 点が輪郭の内側にあるかを判定します（fill-rule="evenodd"）
+ */
+function isInside(rings, x, y) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+        inside = !inside;
+      }
+    }
+  }
+  return inside;
+}
+
+/**
+ * キャンバス上の1/4ピクセルごとの点のうち、どの領域にも含まれない点を返します
+ */
+function findUncoveredPoints(pathDataByLabel, width, height) {
+  const regions = pathDataByLabel.filter(Boolean).map(flattenPathData);
+  const uncovered = [];
+
+  for (let y = 0.125; y < height; y += 0.25) {
+    for (let x = 0.125; x < width; x += 0.25) {
+      if (!regions.some(rings => isInside(rings, x, y))) uncovered.push(`${x},${y}`);
+    }
+  }
+
+  return uncovered;
+}
+
+/**
+ * 関数でラベル画像を作成します
+ */
+function createLabels(width, height, labelAt) {
+  const labels = new Int16Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      labels[y * width + x] = labelAt(x, y);
+    }
+  }
+  return labels;
+}
+
+test('曲線化しても領域を合わせるとキャンバス全体を覆う', () => {
+  const width = 24;
+  const height = 24;
+  const labels = createLabels(width, height, (x, y) => {
+    if ((x - 11.5) * (x - 11.5) + (y - 11.5) * (y - 11.5) < 36) return 1;
+    if (x < 5 && y < 15) return 2;
+    if (x + y > 36) return 3;
+    return 0;
+  });
+
+  const pathDataByLabel = SVGLayerGenerator.traceLabelMap(labels, width, height, 4, {
+    simplification: 1,
+    cornerThreshold: 60,
+    curveFitting: true
+  });
+
+  assert.strictEqual(pathDataByLabel.length, 4);
+  assert.deepStrictEqual(findUncoveredPoints(pathDataByLabel, width, height), []);
+});
+
+test('1色だけの画像は画像の角を残した長方形になる', () => {
+  const labels = createLabels(10, 30, () => 0);
+  const [pathData] = SVGLayerGenerator.traceLabelMap(labels, 10, 30, 1, { curveFitting: true });
+
+  const corners = flattenPathData(pathData)[0].map(point => `${point.x},${point.y}`);
+  ['0,0', '10,0', '10,30', '0,30'].forEach(corner => assert.ok(corners.includes(corner), pathData));
+  assert.deepStrictEqual(findUncoveredPoints([pathData], 10, 30), []);
+});
+
+test('画像の端に接する領域は端に沿った辺を斜めにしない', () => {
+  // 左の列（幅10）と右の列に分かれた画像
+  const labels = createLabels(20, 30, x => (x < 10 ? 0 : 1));
+  const pathDataByLabel = SVGLayerGenerator.traceLabelMap(labels, 20, 30, 2, { curveFitting: true });
+
+  const left = flattenPathData(pathDataByLabel[0])[0];
+  left.forEach(point => {
+    const onBorder = point.x === 0 || point.y === 0 || point.y === 30;
+    assert.ok(onBorder || point.x === 10, `画像の端から外れた頂点があります: ${pathDataByLabel[0]}`);
+  });
+  assert.deepStrictEqual(findUncoveredPoints(pathDataByLabel, 20, 30), []);
+});